@@ -1,760 +1,4165 @@
 // index.js
 // ----- Imports -----
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
 const admin = require('firebase-admin');
+const { addMinutes } = require('date-fns');
+const { createPaystackClient, createFakePaystackClient } = require('./lib/paystack');
 const {
-  format,
-  startOfDay,
-  endOfDay,
-  addMinutes,
-  isSameDay,
-  isBefore,
-  startOfToday,
-  startOfMonth,
-  endOfMonth,
-  subHours,
-} = require('date-fns');
-const axios = require('axios');
-const rateLimit = require('express-rate-limit');
-
-// ---------- Time helpers (SAST-aware, robust) ----------
-function pad2(n) { return String(n).padStart(2, '0'); }
-
-// Accept {date:'yyyy-MM-dd', slot:'HH:mm'} OR {startTime:'ISO or yyyy-MM-ddTHH:mm'}.
-// Always return a Date that represents the UTC instant of the SAST time chosen.
-// Also normalizes seconds/millis to 00:000 for Firestore equality queries.
-function parseStartUTCFromBody(body) {
-  if (body?.date && body?.slot) {
-    // Normalize slot to HH:mm
-    const parts = String(body.slot).split(':').map((x) => parseInt(x, 10));
-    if (!Number.isFinite(parts[0])) return null;
-    const hh = pad2(parts[0]);
-    const mm = pad2(Number.isFinite(parts[1]) ? parts[1] : 0);
-    const d = new Date(`${body.date}T${hh}:${mm}:00+02:00`); // SAST -> UTC
-    d.setSeconds(0, 0);
-    return d;
-  }
-  if (body?.startTime) {
-    // Allow either ISO with Z/offset, or local-ish "yyyy-MM-ddTHH:mm"
-    let st = String(body.startTime).replace(' ', 'T');
-    if (!/[zZ]|[+\-]\d\d:\d\d$/.test(st)) {
-      // No zone provided: treat as SAST
-      st = `${st}:00+02:00`;
-    }
-    const d = new Date(st);
-    d.setSeconds(0, 0);
-    return d;
-  }
-  return null;
-}
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  toDate,
+  dateKeyInZone,
+  timeLabelInZone,
+  zonedToUTC,
+  dayBoundsUTC,
+  monthBoundsUTC,
+  addDaysToKey,
+  parseStartFromBody,
+  getLocationTimeZone,
+} = require('./lib/time');
+const {
+  loadDayState,
+  checkSlot,
+  reserveSlot,
+  rescheduleBooking,
+  chainPrepare,
+  resolveActiveBays,
+  bookingHoldsSlot,
+} = require('./lib/occupancy');
+const {
+  validateHours,
+  validateSlotInterval,
+  validateWeekly,
+  normalizeSchedule,
+  resolveDayHours,
+} = require('./lib/schedule');
+const { validateBlock, blockFields, blocksOf, loadBlocks, serializeBlock } = require('./lib/blocks');
+const {
+  validateStaff,
+  validateShift,
+  validateLeave,
+  staffFields,
+  shiftFields,
+  leaveFields,
+  staffOf,
+  shiftsOf,
+  leaveOf,
+  loadShifts,
+  loadLeave,
+  loadRoster,
+  serializeRoster,
+  serializeRosterEntry,
+  serializeStaff,
+} = require('./lib/roster');
+const {
+  WAITLIST,
+  ACTIVE_STATUSES: ACTIVE_WAITLIST_STATUSES,
+  MAX_ACTIVE_ENTRIES,
+  offerOpenings,
+  acceptOffer,
+  closeEntry,
+  sweepWaitlist,
+  serializeEntry,
+} = require('./lib/waitlist');
+const {
+  validateRules: validateLoyaltyRules,
+  normalizeRules: normalizeLoyaltyRules,
+  ops: loyaltyOps,
+  getRules: getLoyaltyRules,
+  prepareLoyaltyChange,
+  runLoyaltyChange,
+  describeBalance,
+} = require('./lib/loyalty');
+const {
+  PAYMENTS,
+  newPaymentReference,
+  getPayment,
+  markPaymentSuccessful,
+  markPaymentFailed,
+  releaseExpiredHolds,
+  capOpenHolds,
+} = require('./lib/payments');
+const { MANAGER_STATUSES, transitionBooking } = require('./lib/lifecycle');
+const {
+  validateLocation,
+  validateService,
+  validateAddOn,
+  servicePriceFor,
+  serializeItem,
+  saveItem,
+  resolveBookingItems,
+  bookingAddOns,
+} = require('./lib/catalogue');
+const {
+  VEHICLE_CLASSES,
+  MAX_VEHICLES,
+  validateVehicle,
+  vehicleFields,
+  bookingVehicle,
+} = require('./lib/vehicles');
+const {
+  ROLE_AUDIT,
+  hasRole,
+  isOwnerRole,
+  locationIdsOf,
+  canAccessLocation,
+  validateGrant,
+  setRole,
+} = require('./lib/roles');
+const { CSV_SECTIONS, dateRange, buildLocationReport, buildRollup, toCsv, MAX_RANGE_DAYS } = require('./lib/reports');
+const {
+  NOTIFICATION_LOG,
+  validateSettings: validateNotificationSettings,
+  getSettings: getNotificationSettings,
+  createNotifier,
+} = require('./lib/notifications');
+const { createTransportsFromEnv } = require('./lib/transports');
+const { createEventBus, touchesDate } = require('./lib/events');
+const { openStream, closeAllStreams } = require('./lib/sse');
+const { isValidIdempotencyKey, requestHash, claimKey, saveResponse, releaseKey } = require('./lib/idempotency');
+const {
+  validatePromo,
+  promoFields,
+  promoCodesOf,
+  promoRef,
+  serializePromo,
+  quotePromo,
+  claimPromo,
+  checkPromoDate,
+  releasePromo,
+} = require('./lib/promotions');
+const {
+  periodOf,
+  validatePlan,
+  planFields,
+  planTerms,
+  plansOf,
+  subscriptionsCol,
+  chargesOf,
+  serializePlan,
+  serializeSubscription,
+  findEntitlement,
+  claimEntitlement,
+  moveEntitlement,
+  releaseEntitlement,
+  activateSubscription,
+  renewSubscription,
+  renewDueSubscriptions,
+  cancelSubscription,
+} = require('./lib/subscriptions');
+const { createRepositories } = require('./lib/repositories');
+const { createMemoryStore } = require('./lib/memoryStore');
+const { createMemoryAuth } = require('./lib/memoryAuth');
+const { ApiError, errorBody, sendError } = require('./lib/errors');
+const { v, validate } = require('./lib/validate');
+const { logger, runWithRequestId } = require('./lib/logger');
+const { createMetrics } = require('./lib/metrics');
+const { loadConfig, ConfigError } = require('./lib/config');
+const { createRateLimiters, createFirestoreStore, callerKey } = require('./lib/rateLimits');
 
-// Clamp bays so a mistaken 0 doesn't block everything
-function clampActiveBays(val, fallback = 2) {
-  const n = Number(val);
-  if (!Number.isFinite(n) || n < 1) return Math.max(1, fallback);
-  return n;
+// ----- Configuration (lib/config.js) -----
+// Read and checked once. Missing secrets or credentials stop the process here, before it
+// listens, with every problem listed.
+let config;
+try {
+  config = loadConfig(process.env);
+} catch (error) {
+  if (!(error instanceof ConfigError)) throw error;
+  logger.error('invalid configuration', { problems: error.problems });
+  process.exit(1);
 }
 
 // ----- Firebase Configuration -----
+// FIREBASE_MODE=memory swaps Firestore and Firebase Auth for in-memory stand-ins
+// (lib/memoryStore.js, lib/memoryAuth.js): tests and offline development without a
+// service account. Push notifications are then unavailable.
 let db;
-try {
-  const serviceAccount = require('./serviceAccountKey.json');
+let auth;
+let messaging = null;
+if (config.firebase.mode === 'memory') {
+  db = createMemoryStore();
+  auth = createMemoryAuth();
+  logger.info('Using the in-memory datastore and auth (FIREBASE_MODE=memory).');
+} else {
   if (!admin.apps.length) {
-    admin.initializeApp({
-      credential: admin.credential.cert(serviceAccount),
-    });
-    console.log('Firebase Admin SDK initialized successfully.');
+    admin.initializeApp({ credential: admin.credential.cert(config.firebase.serviceAccount) });
+    logger.info('Firebase Admin SDK initialized successfully.', { projectId: config.firebase.serviceAccount.project_id });
   }
   db = admin.firestore();
-} catch (e) {
-  console.error(
-    'CRITICAL: Firebase Admin SDK initialization failed! serviceAccountKey.json may be missing or invalid.',
-    e
-  );
-  // Attempt to continue; db will be undefined and routes will error with clear messages
+  auth = admin.auth();
+  messaging = admin.messaging();
 }
+// Locations, services, bookings, settings, blocked slots and users (lib/repositories.js)
+const repos = createRepositories(db);
 
 // ----- App Configuration -----
 const app = express();
 
-// CORS: explicit headers so even error paths include them
+// ----- Request IDs, access log & metrics -----
+// Every request gets an ID: the caller's X-Request-Id when it looks sane, otherwise a new
+// UUID. It is sent back in the X-Request-Id header and written on every log line logged
+// while the request runs (lib/logger.js), so a client's report can be found in the logs.
+const REQUEST_ID_RE = /^[A-Za-z0-9._:-]{1,128}$/;
+const metrics = createMetrics();
+const httpDuration = metrics.histogram(
+  'http_request_duration_seconds',
+  'Time taken to answer HTTP requests, by route pattern.',
+  ['method', 'route', 'status']
+);
+const bookingsCreated = metrics.counter(
+  'bookings_created_total',
+  'Bookings created, by how they are paid for (checkout, free_wash, subscription).',
+  ['source']
+);
+const slotConflicts = metrics.counter(
+  'booking_slot_conflicts_total',
+  'Bookings and reschedules refused with 409 because the slot was no longer free.',
+  ['reason']
+);
+
 app.use((req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*'); // Consider restricting in production
-  res.header('Access-Control-Allow-Methods', 'GET,POST,PUT,PATCH,DELETE,OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-  if (req.method === 'OPTIONS') return res.sendStatus(204);
-  next();
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_RE.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  const stopTimer = httpDuration.startTimer({ method: req.method });
+  res.on('finish', () => {
+    // Route patterns, not raw paths, keep the label set small
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    const seconds = stopTimer({ route, status: res.statusCode });
+    logger.info('request', {
+      requestId: req.id,
+      method: req.method,
+      route,
+      status: res.statusCode,
+      durationMs: Math.round(seconds * 1000),
+    });
+  });
+  runWithRequestId(req.id, next);
 });
 
-app.use(cors());
-app.use(express.json());
-const PORT = process.env.PORT || 3001;
+// CORS: only the web apps in CORS_ORIGINS (any origin when it is '*', development only).
+// Preflights are answered here, before the rate limiter.
+app.use(cors({
+  origin: config.cors.origins,
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key', 'X-Request-Id', 'X-Location-Id'],
+  exposedHeaders: ['Idempotent-Replayed', 'X-Request-Id'],
+  maxAge: 10 * 60,
+}));
+
+// Keep the raw body around: Paystack webhook signatures are computed over it
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+const PORT = config.port;
 
 // Trust proxy (Render/other hosts)
 app.set('trust proxy', 1);
 
 // --- Paystack Credentials ---
-const PAYSTACK_SECRET_KEY =
-  process.env.PAYSTACK_SECRET_KEY || 'sk_test_c75e440a7b40c66a47a8ab73605ec0ac3cdbaece';
-const PAYSTACK_API_URL = 'https://api.paystack.co/transaction/initialize';
-const PAYSTACK_VERIFY_URL = 'https://api.paystack.co/transaction/verify/';
+// PAYSTACK_MODE=fake swaps in the in-memory adapter (local dev / tests)
+const paystack =
+  config.paystack.mode === 'fake'
+    ? createFakePaystackClient(config.paystack.secretKey ? { secretKey: config.paystack.secretKey } : {})
+    : createPaystackClient({ secretKey: config.paystack.secretKey });
+const PAYSTACK_CALLBACK_URL = config.paystack.callbackUrl;
+
+// How long an unpaid booking holds its slot, and how often stale holds are swept
+const PAYMENT_HOLD_MINUTES = config.paymentHoldMinutes;
+const HOLD_SWEEP_INTERVAL_MS = config.holdSweepIntervalMs;
+// A customer can only tie up this many future slots while paying (bookings staff make on
+// their behalf don't count against it)
+const MAX_OPEN_HOLDS_PER_CUSTOMER = config.maxOpenHoldsPerCustomer;
+
+// Declined plan renewals are retried every SUBSCRIPTION_RETRY_HOURS; the subscription is
+// cancelled after SUBSCRIPTION_MAX_FAILED_CHARGES declines in a row (lib/subscriptions.js)
+const SUBSCRIPTION_RETRY_HOURS = config.subscriptionRetryHours;
+const SUBSCRIPTION_MAX_FAILED_CHARGES = config.subscriptionMaxFailedCharges;
+
+// --- Notifications ---
+// NOTIFICATION_MODE=console|file|live (see lib/transports.js). Reminders go out
+// REMINDER_LEAD_MINUTES before a booking, via POST /api/cron/reminders or `npm run reminders`.
+const notifier = createNotifier({
+  db,
+  transports: createTransportsFromEnv(process.env, { messaging }),
+});
+const REMINDER_LEAD_MINUTES = config.reminderLeadMinutes;
+const CRON_SECRET = config.cronSecret;
+
+// Notifications never hold up or fail the request that triggered them
+function notifyBooking(event, details) {
+  notifier
+    .notifyBooking(event, details)
+    .catch((error) => logger.error('notify error', { event, bookingId: details.bookingId, error }));
+}
+
+// --- Live updates (lib/events.js) ---
+// Routes publish after a write; the SSE streams (GET /api/availability/stream and
+// GET /api/manager/bookings/stream) subscribe. Like notifications, publishing never holds
+// up or fails the request.
+const events = createEventBus();
+
+// `previousStartTime` (a move) also names the date the booking left
+function publishBooking(kind, { locationId, bookingId, previousStartTime = null }) {
+  Promise.all([
+    repos.bookings.get(locationId, bookingId),
+    locationTimeZone(locationId),
+  ])
+    .then(([doc, timeZone]) => {
+      if (!doc.exists) return;
+      const booking = doc.data();
+      const dateKeys = [dateKeyInZone(toDate(booking.startTime), timeZone)];
+      const previous = previousStartTime ? dateKeyInZone(toDate(previousStartTime), timeZone) : null;
+      if (previous && previous !== dateKeys[0]) dateKeys.push(previous);
+      events.publish('booking', { kind, locationId, bookingId, dateKeys, status: booking.status });
+      events.publish('availability', { locationId, dateKeys });
+    })
+    .catch((error) => logger.error('events error', { kind, locationId, bookingId, error }));
+}
+
+// Settings and blocked time; no dateKeys = every date
+function publishAvailability(locationId, dateKeys = null) {
+  events.publish('availability', { locationId, dateKeys });
+}
+
+// After a grant or revoke: ends the user's open board streams
+function publishRoleChange(uid) {
+  events.publish('role', { uid });
+}
+
+// --- Waitlist ---
+// How long a slot freed for a waitlisted customer is held for them (lib/waitlist.js)
+const WAITLIST_OFFER_MINUTES = config.waitlistOfferMinutes;
+
+// Tells each customer about their offer; the held booking shows up on the live feeds too
+function notifyOffers(locationId, offers) {
+  for (const offer of offers) {
+    logger.info('waitlist-offer', { locationId, entryId: offer.entryId, bookingId: offer.bookingId });
+    publishBooking('created', { locationId, bookingId: offer.bookingId });
+    notifyBooking('waitlist_offer', { locationId, bookingId: offer.bookingId, extra: { offerExpiresAt: offer.expiresAt } });
+  }
+}
+
+// Called wherever time may have freed up on a date; like notifications, it never holds up
+// the request. The hold sweep catches anything missed here.
+function fillFromWaitlist(locationId, dateKey) {
+  offerOpenings(db, { locationId, dateKey, offerMinutes: WAITLIST_OFFER_MINUTES })
+    .then((offers) => notifyOffers(locationId, offers))
+    .catch((error) => logger.error('waitlist error', { locationId, dateKey, error }));
+}
+
+// fillFromWaitlist for every date someone is waiting on between `from` and `until`
+// (null = no end), after a change that can free time across a range of days
+async function fillWaitlistBetween(locationId, from, until) {
+  const waiting = await db.collection(WAITLIST)
+    .where('locationId', '==', locationId)
+    .where('status', '==', 'waiting')
+    .get();
+  const dates = new Set(waiting.docs.map((d) => d.data().date).filter((d) => d >= from && (until == null || d <= until)));
+  for (const dateKey of dates) fillFromWaitlist(locationId, dateKey);
+}
+
+// --- SECURITY: Rate Limiters (lib/rateLimits.js) ---
+// Budgets are per signed-in user where the request has a valid token, otherwise per IP,
+// with more room for staff. RATE_LIMIT_STORE=firestore shares the counters between
+// instances and keeps them across restarts.
+const limiter = createRateLimiters({
+  createStore: config.rateLimitStore === 'firestore' ? createFirestoreStore(db) : null,
+});
+const FIFTEEN_MINUTES_MS = 15 * 60 * 1000;
+
+const apiLimiter = limiter('api', {
+  windowMs: FIFTEEN_MINUTES_MS,
+  limits: { anonymous: 100, customer: 300, staff: 2000 },
+  message: 'Too many requests, please try again later.',
+  // Paystack retries webhooks from shared IPs; they are authenticated by signature instead.
+  // Load balancer health probes would use up the budget of the address they come from.
+  skip: (req) => req.path === '/payments/webhook' || req.path === '/health',
+});
+
+// Creating bookings (checkout holds, free washes, accepted waitlist offers). Unpaid holds
+// are capped separately (MAX_OPEN_HOLDS_PER_CUSTOMER); this bounds the request volume.
+const bookingLimiter = limiter('bookings', {
+  windowMs: FIFTEEN_MINUTES_MS,
+  limits: { anonymous: 20, customer: 20, staff: 200 },
+  message: 'Too many bookings in a short time, please try again later.',
+});
 
-// --- SECURITY: Rate Limiters ---
-const apiLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000,
-  max: 100,
-  standardHeaders: true,
-  legacyHeaders: false,
+const verifySlotLimiter = limiter('verify-slot', {
+  windowMs: 60 * 1000,
+  limits: { anonymous: 20, customer: 30, staff: 120 },
+  message: 'Too many slot checks, please slow down.',
 });
 
-const createAccountLimiter = rateLimit({
+const createAccountLimiter = limiter('signup', {
   windowMs: 60 * 60 * 1000,
-  max: 10,
-  message: 'Too many accounts created from this IP, please try again after an hour',
-  standardHeaders: true,
-  legacyHeaders: false,
+  limits: { anonymous: 10, customer: 10, staff: 10 },
+  message: 'Too many accounts created from this IP, please try again after an hour.',
 });
 
-// Apply after CORS so preflight isn’t blocked
-app.use('/api/', apiLimiter);
+// Verifies the bearer token once per request: identifyCaller (for the limiters),
+// isAuthenticated and requireRole share the result. Resolves null without a token.
+function verifyRequestToken(req) {
+  if (!req.tokenCheck) {
+    const { authorization } = req.headers || {};
+    req.tokenCheck = authorization && authorization.startsWith('Bearer ')
+      ? auth.verifyIdToken(authorization.split('Bearer ')[1])
+      : Promise.resolve(null);
+  }
+  return req.tokenCheck;
+}
 
-// --- Middleware: Verify Manager ---
-const isManager = async (req, res, next) => {
+// Sets req.caller = { uid, role } for a valid token, else null. Never refuses: routes that
+// need a signed-in user still go through isAuthenticated / requireRole.
+async function identifyCaller(req, res, next) {
   try {
-    const { authorization } = req.headers || {};
-    if (!authorization || !authorization.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Unauthorized: No token provided.' });
-    }
-    const idToken = authorization.split('Bearer ')[1];
-    const decodedToken = await admin.auth().verifyIdToken(idToken);
+    const token = await verifyRequestToken(req);
+    req.caller = token ? { uid: token.uid, role: token.role || 'customer' } : null;
+  } catch {
+    req.caller = null;
+  }
+  next();
+}
+
+// Apply after CORS so preflight isn’t blocked
+app.use('/api/', identifyCaller, apiLimiter);
+
+// --- Middleware: Roles (lib/roles.js) ---
+// requireRole('staff' | 'manager' | 'owner') checks the role claim against the ranking.
+// Location-scoped routes act on one location, picked with ?locationId= or the
+// X-Location-Id header; staff and managers with a single location may leave it out.
+// Sets req.user.role, req.user.locationIds (null for owners: every location) and
+// req.user.managedLocationId (the selected location).
+function requireRole(required, { location = true } = {}) {
+  return async (req, res, next) => {
+    try {
+      const decodedToken = await verifyRequestToken(req);
+      if (!decodedToken) return sendError(res, 401, 'unauthorized', 'Unauthorized: No token provided.');
+
+      if (!hasRole(decodedToken.role, required)) {
+        return sendError(res, 403, 'forbidden', `Forbidden: Requires the ${required} role.`);
+      }
+
+      const userProfile = await repos.users.get(decodedToken.uid);
+      const profile = userProfile.exists ? userProfile.data() : {};
+      // Tokens minted before a grant or revoke still carry the old claim
+      const roleChangedAt = profile.roleChangedAt?.toDate ? profile.roleChangedAt.toDate() : null;
+      if (roleChangedAt && decodedToken.iat < Math.floor(roleChangedAt.getTime() / 1000)) {
+        return sendError(res, 401, 'role_changed', 'Unauthorized: Your role has changed. Please sign in again.');
+      }
+
+      const owner = isOwnerRole(decodedToken.role);
+      req.user = { ...decodedToken, locationIds: owner ? null : locationIdsOf(profile) };
+      if (!location) return next();
 
-    if (decodedToken.role !== 'manager') {
-      return res.status(403).json({ error: 'Forbidden: User is not a manager.' });
+      const requested = req.query?.locationId || req.get('x-location-id');
+      if (requested !== undefined) {
+        const issues = [];
+        v.id().check(requested, 'locationId', issues);
+        if (issues.length) {
+          return sendError(res, 400, 'validation_failed', 'locationId is not a valid ID.', { fields: { locationId: issues[0].message } });
+        }
+      }
+      if (requested) {
+        if (!canAccessLocation(decodedToken.role, profile, requested)) {
+          return sendError(res, 403, 'location_forbidden', 'Forbidden: You do not have access to this location.');
+        }
+        if (owner && !(await repos.locations.exists(requested))) {
+          return sendError(res, 404, 'location_not_found', 'Location not found.');
+        }
+        req.user.managedLocationId = requested;
+        return next();
+      }
+      if (!owner && req.user.locationIds.length === 1) {
+        req.user.managedLocationId = req.user.locationIds[0];
+        return next();
+      }
+      if (!owner && req.user.locationIds.length === 0) {
+        return sendError(res, 403, 'no_location_assigned', 'Forbidden: Not assigned to a location.');
+      }
+      return sendError(res, 400, 'location_required', 'Choose a location with ?locationId= or the X-Location-Id header.');
+    } catch (error) {
+      logger.error('requireRole error', error);
+      return sendError(res, 401, 'unauthorized', 'Unauthorized: Invalid token.');
     }
+  };
+}
 
+const isStaff = requireRole('staff');
+const isManager = requireRole('manager');
+const isOwner = requireRole('owner', { location: false });
+
+// --- Middleware: Verify signed-in user (any role) ---
+const isAuthenticated = async (req, res, next) => {
+  try {
+    const decodedToken = await verifyRequestToken(req);
+    if (!decodedToken) return sendError(res, 401, 'unauthorized', 'Unauthorized: No token provided.');
     req.user = decodedToken;
-    const userProfile = await db.collection('users').doc(decodedToken.uid).get();
-    if (userProfile.exists && userProfile.data().managedLocationId) {
-      req.user.managedLocationId = userProfile.data().managedLocationId;
-      return next();
-    }
-    return res.status(403).json({ error: 'Forbidden: Manager not assigned to a location.' });
+    return next();
   } catch (error) {
-    console.error('[isManager] error', error);
-    return res.status(401).json({ error: 'Unauthorized: Invalid token.' });
+    logger.error('isAuthenticated error', error);
+    return sendError(res, 401, 'unauthorized', 'Unauthorized: Invalid token.');
   }
 };
 
+// ----- Idempotency -----
+// An Idempotency-Key header on a route using this (after authentication) makes retries
+// safe: the first response is stored for IDEMPOTENCY_TTL_HOURS and replayed, with
+// Idempotent-Replayed: true, for any repeat from the same user to the same route. The same
+// key with a different body is refused (422); a repeat while the first is still running
+// gets a 409. Requests without the header run as usual. See lib/idempotency.js.
+const IDEMPOTENCY_TTL_HOURS = config.idempotencyTtlHours;
+
+async function idempotent(req, res, next) {
+  const key = req.get('idempotency-key');
+  if (key === undefined) return next();
+  if (!isValidIdempotencyKey(key)) {
+    return sendError(res, 400, 'invalid_idempotency_key', 'Idempotency-Key must be 1-255 printable characters.');
+  }
+
+  try {
+    const claim = await claimKey(db, {
+      userId: req.user.uid,
+      method: req.method,
+      path: req.path,
+      key,
+      hash: requestHash(req.body),
+      ttlMs: IDEMPOTENCY_TTL_HOURS * 60 * 60 * 1000,
+    });
+    if (claim.action === 'replay') {
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(claim.status).json(claim.body);
+    }
+    if (claim.action === 'mismatch') {
+      return sendError(res, 422, 'idempotency_key_reused', 'This Idempotency-Key was already used with a different request.');
+    }
+    if (claim.action === 'in_progress') {
+      return sendError(res, 409, 'idempotency_in_progress', 'A request with this Idempotency-Key is still being processed.');
+    }
+
+    // The response is stored before it goes out, so a quick retry already finds it
+    const send = res.json.bind(res);
+    res.json = (body) => {
+      const stored = res.statusCode >= 500
+        ? releaseKey(db, claim.id)
+        : saveResponse(db, claim.id, { status: res.statusCode, body });
+      stored
+        .catch((error) => logger.error('idempotency: failed to store response', { path: req.path, error }))
+        .then(() => send(body));
+      return res;
+    };
+    return next();
+  } catch (error) {
+    logger.error('idempotency error', error);
+    return sendError(res, 500, 'internal_error', 'Failed to process the request.');
+  }
+}
+
 // ----- Health & Root -----
 app.get('/', (req, res) => res.send('Welcome API!'));
-app.get('/api/health', (req, res) => res.json({ ok: true, ts: Date.now() }));
+
+// Readiness for the load balancer: 200 while the datastore answers a read, 503 when it
+// doesn't or the server is shutting down, so the instance is taken out of rotation
+const HEALTH_PROBE_TIMEOUT_MS = 2000;
+let shuttingDown = false;
+
+async function probeDatastore() {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error('Datastore probe timed out.')), HEALTH_PROBE_TIMEOUT_MS);
+  });
+  try {
+    await Promise.race([repos.locations.get('_health'), timeout]);
+    return 'ok';
+  } catch (error) {
+    logger.warn('health: datastore probe failed', error);
+    return 'unavailable';
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+app.get('/api/health', async (req, res) => {
+  const checks = { datastore: await probeDatastore() };
+  const ready = Object.values(checks).every((check) => check === 'ok');
+  const status = shuttingDown ? 'shutting_down' : ready ? 'ready' : 'unavailable';
+  res.status(status === 'ready' ? 200 : 503).json({ ok: status === 'ready', status, checks, ts: Date.now() });
+});
+
 app.get('/api/availability/ping', (req, res) => res.json({ ok: true, ts: Date.now() }));
 
 // ----- Auth -----
-app.post('/auth/signup', createAccountLimiter, async (req, res) => {
-  if (!db) return res.status(500).json({ error: 'Database not initialized.' });
+const signupSchema = {
+  body: v.object({
+    email: v.email(),
+    password: v.string({ min: 6, max: 200 }),
+    name: v.string({ max: 100, trim: true }),
+  }),
+};
+
+app.post('/auth/signup', createAccountLimiter, validate(signupSchema), async (req, res) => {
   try {
-    const { email, password, name } = req.body || {};
-    const userRecord = await admin.auth().createUser({ email, password, displayName: name });
+    const { email, password, name } = req.valid.body;
+    const userRecord = await auth.createUser({ email, password, displayName: name });
     const userProfile = {
       email: userRecord.email,
       name: userRecord.displayName,
       role: 'customer',
       rewards: {},
     };
-    await db.collection('users').doc(userRecord.uid).set(userProfile);
+    await repos.users.set(userRecord.uid, userProfile);
     res.status(201).json({ uid: userRecord.uid });
   } catch (error) {
-    res.status(400).json({ error: error.message || 'Failed to sign up.' });
+    // Firebase refuses taken emails and weak passwords with a message worth showing
+    sendError(res, 400, 'signup_failed', error.message || 'Failed to sign up.');
   }
 });
 
 // ----- Public: Locations & Services -----
 app.get('/api/locations', async (req, res) => {
-  if (!db) return res.status(500).json({ error: 'Database not initialized.' });
   try {
-    const locationsSnapshot = await db.collection('locations').orderBy('name').get();
-    const locationsList = locationsSnapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+    const locationsList = (await repos.locations.list())
+      .filter((doc) => doc.data().isActive !== false)
+      .map((doc) => ({ id: doc.id, ...doc.data() }));
     res.status(200).json(locationsList);
   } catch (error) {
-    console.error('Error in /api/locations:', error);
-    res.status(500).json({ error: 'Failed to fetch locations.' });
+    logger.error('Error in /api/locations', error);
+    sendError(res, 500, 'internal_error', 'Failed to fetch locations.');
   }
 });
 
-app.get('/api/services', async (req, res) => {
-  if (!db) return res.status(500).json({ error: 'Database not initialized.' });
-  const { locationId } = req.query || {};
-  if (!locationId || typeof locationId !== 'string') {
-    return res.status(400).json({ error: 'Location ID is required.' });
-  }
+app.get('/api/services', validate({ query: v.object({ locationId: v.id() }) }), async (req, res) => {
+  const { locationId } = req.valid.query;
   try {
-    const servicesSnapshot = await db
-      .collection('locations')
-      .doc(locationId)
-      .collection('services')
-      .where('isActive', '==', true)
-      .orderBy('displayOrder')
-      .get();
-    const servicesList = servicesSnapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+    const servicesList = (await repos.services.list(locationId)).map(serializeItem);
     res.status(200).json(servicesList);
   } catch (error) {
-    console.error('Error in /api/services:', error);
-    res.status(500).json({ error: 'Failed to fetch services.' });
+    logger.error('Error in /api/services', error);
+    sendError(res, 500, 'internal_error', 'Failed to fetch services.');
   }
 });
 
-// ----- Public: Availability (Hardened) -----
-app.get('/api/availability', async (req, res) => {
-  if (!db) return res.status(500).json({ error: 'Database not initialized.' });
-
-  const { date, locationId } = req.query || {};
-  console.log('[availability] hit', req.query);
-
-  if (!date || !locationId || typeof date !== 'string' || typeof locationId !== 'string') {
-    return res.status(400).json({ error: 'Date and Location ID are required.' });
-  }
+// Extras a customer can add to a booking; ?serviceId= leaves out ones that don't apply
+const addOnsQuery = v.object({ locationId: v.id(), serviceId: v.id().optional() });
 
+app.get('/api/add-ons', validate({ query: addOnsQuery }), async (req, res) => {
+  const { locationId, serviceId } = req.valid.query;
   try {
-    // --- Work in SAST consistently (SA has no DST) ---
-    const addMinutes = (d, mins) => new Date(d.getTime() + mins * 60000);
-    const pad = (n) => String(n).padStart(2, '0');
-
-    // "Now" in SAST
-    const nowSAST = addMinutes(new Date(), 120);
-    const todayKeySAST = `${nowSAST.getFullYear()}-${pad(nowSAST.getMonth() + 1)}-${pad(nowSAST.getDate())}`;
-
-    // Quick past-day check using yyyy-MM-dd string compare (safe lexicographically)
-    if (date < todayKeySAST) {
-      return res.status(200).json([]);
-    }
+    const addOns = (await repos.addOns.list(locationId))
+      .map(serializeItem)
+      .filter((a) => !serviceId || !Array.isArray(a.serviceIds) || a.serviceIds.includes(serviceId));
+    res.status(200).json(addOns);
+  } catch (error) {
+    logger.error('Error in /api/add-ons', error);
+    sendError(res, 500, 'internal_error', 'Failed to fetch add-ons.');
+  }
+});
 
-    // Slot window in **SAST**
-    const openingHourSAST = 8;   // 08:00
-    const closingHourSAST = 16;  // 16:00 (exclusive)
-    const slotInterval = 15;     // minutes
+// ----- Location time -----
+// Dates and slots in requests and responses are local to the location (see lib/time.js)
+function locationTimeZone(locationId) {
+  return getLocationTimeZone(db, locationId);
+}
 
-    // Build all slots as SAST "HH:mm" strings
-    const allSlots = [];
-    for (let minutes = openingHourSAST * 60; minutes < closingHourSAST * 60; minutes += slotInterval) {
-      const h = Math.floor(minutes / 60);
-      const m = minutes % 60;
-      allSlots.push(`${pad(h)}:${pad(m)}`);
-    }
+// ----- Public: Availability (Hardened) -----
+// Optional serviceId (and addOnIds=a,b, vehicleClass): only offer start times where one bay
+// stays free for the whole service plus extras.
+const availabilityQuery = v.object({
+  date: v.dateKey(),
+  locationId: v.id(),
+  serviceId: v.id().optional(),
+  addOnIds: v.idList().optional(),
+  vehicleClass: v.oneOf(VEHICLE_CLASSES).optional(),
+});
 
-    // Settings (daily -> global -> default 2)
-    const settingsRef = db.collection('locations').doc(locationId).collection('settings');
-    const [dailySettingDoc, globalSettingsDoc] = await Promise.all([
-      settingsRef.doc(date).get(),
-      settingsRef.doc('global').get(),
-    ]);
+// Free start times for a validated availabilityQuery: { slots, today } or a
+// resolveBookingItems refusal. `today`: the date is the location's current day.
+async function findAvailableSlots({ date, locationId, serviceId, addOnIds, vehicleClass }) {
+  const now = new Date();
+  const timeZone = await locationTimeZone(locationId);
 
-    let activeBays =
-      (dailySettingDoc.exists && dailySettingDoc.data()?.activeBays) ??
-      (globalSettingsDoc.exists && globalSettingsDoc.data()?.activeBays) ??
-      2;
-
-    // Clamp to sane minimum to avoid "all blocked" surprises
-    if (!Number.isFinite(activeBays) || activeBays <= 0) activeBays = 1;
-
-    // --- Bookings window in UTC that corresponds to the SAST date ---
-    // SAST day runs from 00:00 SAST to 23:59:59.999 SAST.
-    // In UTC that's SAST-2 hours.
-    const startUTC = new Date(`${date}T00:00:00.000Z`);                // 00:00 UTC (which is 02:00 SAST)
-    const startOfDayUTCForSAST = new Date(startUTC.getTime() - 120 * 60000); // 22:00 previous day UTC = 00:00 SAST
-    const endOfDayUTCForSAST   = new Date(startOfDayUTCForSAST.getTime() + (24 * 60 * 60000) - 1);
-
-    // Fetch bookings within the SAST day window
-    const bookingsRef = db.collection('locations').doc(locationId).collection('bookings');
-    const bookingsSnapshot = await bookingsRef
-      .where('startTime', '>=', startOfDayUTCForSAST)
-      .where('startTime', '<=', endOfDayUTCForSAST)
-      .orderBy('startTime', 'asc')
-      .get();
+  // Quick past-day check using yyyy-MM-dd string compare (safe lexicographically)
+  const todayKey = dateKeyInZone(now, timeZone);
+  if (date < todayKey) return { slots: [], today: false };
 
-    // Preload service durations (avoid N+1)
-    const serviceIds = new Set();
-    for (const d of bookingsSnapshot.docs) {
-      const b = d.data() || {};
-      if (b?.serviceId) serviceIds.add(String(b.serviceId));
-    }
-
-    const serviceDurations = {};
-    await Promise.all(
-      Array.from(serviceIds).map(async (sid) => {
-        try {
-          const sd = await db
-            .collection('locations')
-            .doc(locationId)
-            .collection('services')
-            .doc(sid)
-            .get();
-          if (sd.exists) {
-            const dur = Number(sd.data()?.durationInMinutes);
-            serviceDurations[sid] = Number.isFinite(dur) && dur > 0 ? dur : 15;
-          }
-        } catch (e) {
-          console.warn('[availability] failed to read service', sid, e);
-        }
-      })
-    );
+  let duration = null;
+  if (serviceId) {
+    const items = await resolveItems(locationId, serviceId, addOnIds, vehicleClass);
+    if (items.refusal) return items;
+    duration = items.durationInMinutes;
+  }
 
-    // Tally occupied slots (convert booking startTime UTC -> SAST slot strings)
-    const occupiedSlotCounts = {};
-    for (const d of bookingsSnapshot.docs) {
-      try {
-        const b = d.data() || {};
-        const ts = b?.startTime;
-        const sid = String(b?.serviceId || '');
-        if (!ts || typeof ts.toDate !== 'function' || !sid) {
-          console.warn('[availability] skipping bad booking', d.id, { hasStartTime: !!ts, sid });
-          continue;
-        }
-        const startUTCDate = ts.toDate();
-        const startSAST = addMinutes(startUTCDate, 120);
-        const duration = serviceDurations[sid] ?? 15;
-
-        let minutes = startSAST.getHours() * 60 + startSAST.getMinutes();
-        const steps = Math.max(1, Math.ceil(duration / slotInterval));
-        for (let i = 0; i < steps; i++) {
-          const h = Math.floor(minutes / 60);
-          const m = minutes % 60;
-          const slot = `${pad(h)}:${pad(m)}`;
-          occupiedSlotCounts[slot] = (occupiedSlotCounts[slot] || 0) + 1;
-          minutes += slotInterval;
-        }
-      } catch (e) {
-        console.warn('[availability] failed to process booking', d.id, e);
-      }
-    }
+  const state = await loadDayState(db, locationId, date, { now, timeZone });
 
-    // Blocked slots for this SAST date
-    const blockedSnap = await db
-      .collection('locations')
-      .doc(locationId)
-      .collection('blockedSlots')
-      .where('date', '==', date)
-      .get();
-    const blocked = new Set(blockedSnap.docs.map((doc) => doc.data()?.slot).filter(Boolean));
+  // Past times (when querying today), blocked slots and full bays all drop out here
+  const slots = state.slots.filter(
+    (slot) => checkSlot(state, zonedToUTC(date, slot, timeZone), duration ?? state.slotInterval).ok
+  );
+  return { slots, today: date === todayKey, activeBays: state.activeBays, totalSlots: state.slots.length };
+}
 
-    // Compute candidates
-    let availableSlots = allSlots.filter(
-      (s) => ((occupiedSlotCounts[s] || 0) < activeBays) && !blocked.has(s)
-    );
+app.get('/api/availability', validate({ query: availabilityQuery }), async (req, res) => {
+  const { date, locationId } = req.valid.query;
 
-    // If querying "today" (in SAST), remove past times
-    if (date === todayKeySAST) {
-      const nowHHmm = `${pad(nowSAST.getHours())}:${pad(nowSAST.getMinutes())}`;
-      availableSlots = availableSlots.filter((s) => s > nowHHmm);
-    }
+  try {
+    const result = await findAvailableSlots(req.valid.query);
+    if (result.refusal) return sendItemRefusal(res, result);
 
-    console.log('[availability] result', {
+    logger.debug('availability', {
       date,
       locationId,
-      activeBays,
-      totalSlots: allSlots.length,
-      freeSlots: availableSlots.length,
+      activeBays: result.activeBays,
+      totalSlots: result.totalSlots,
+      freeSlots: result.slots.length,
     });
 
-    return res.status(200).json(availableSlots);
+    return res.status(200).json(result.slots);
   } catch (error) {
-    console.error('Error in /api/availability:', error);
-    return res.status(500).json({ error: 'Failed to fetch availability.' });
+    logger.error('Error in /api/availability', error);
+    return sendError(res, 500, 'internal_error', 'Failed to fetch availability.');
   }
 });
 
-// ----- Bookings -----
-app.post('/api/bookings/verify-slot', async (req, res) => {
-  if (!db) return res.status(500).json({ error: 'Database not initialized.' });
-
-  try {
-    const locationId = req.body?.locationId || req.query?.locationId;
-    const startUTC = parseStartUTCFromBody(req.body);
-
-    if (!locationId || !startUTC) {
-      return res.status(400).json({ error: 'Missing or invalid locationId / start time (use {date,slot,locationId} or {startTime,locationId}).' });
-    }
-    if (['__proto__', 'constructor', 'prototype'].includes(String(locationId))) {
-      return res.status(400).json({ error: 'Invalid locationId.' });
-    }
+// ----- Live: Availability (SSE) -----
+// The same query as GET /api/availability. Sends `availability` ({ date, slots }) on
+// connect and again whenever a booking, setting or block changes that day's free start
+// times; bursts of changes are coalesced. On the current day it also refreshes every
+// minute so times drop off as they pass. If the service is withdrawn the stream ends
+// (the reconnect then gets the usual error response).
+const STREAM_COALESCE_MS = config.streamCoalesceMs;
+const STREAM_TODAY_REFRESH_MS = 60 * 1000;
 
-    // Derive SAST date key for settings
-    const startSAST = new Date(startUTC.getTime() + 120 * 60000);
-    const dateKey = `${startSAST.getFullYear()}-${pad2(startSAST.getMonth() + 1)}-${pad2(startSAST.getDate())}`;
+// Each open stream holds a connection and a subscription, so one caller may only keep
+// MAX_STREAMS_PER_CALLER of them (counted in this process; key from lib/rateLimits.js)
+const MAX_STREAMS_PER_CALLER = config.maxStreamsPerCaller;
+const openStreamsByCaller = new Map();
 
-    const settingsRef = db.collection('locations').doc(locationId).collection('settings');
-    const [daily, global] = await Promise.all([
-      settingsRef.doc(dateKey).get(),
-      settingsRef.doc('global').get(),
-    ]);
+// Counts a stream against `key`. Returns the function that gives the place back, or null
+// when the caller is at the cap.
+function takeStreamPlace(key) {
+  const count = openStreamsByCaller.get(key) || 0;
+  if (count >= MAX_STREAMS_PER_CALLER) return null;
+  openStreamsByCaller.set(key, count + 1);
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    const left = openStreamsByCaller.get(key) - 1;
+    if (left > 0) openStreamsByCaller.set(key, left);
+    else openStreamsByCaller.delete(key);
+  };
+}
 
-    const activeBays = clampActiveBays(
-      (daily.exists && daily.data()?.activeBays) ??
-      (global.exists && global.data()?.activeBays) ??
-      2
-    );
+function sendTooManyStreams(res) {
+  return sendError(res, 429, 'too_many_streams', `At most ${MAX_STREAMS_PER_CALLER} live streams may be open at once. Close one and try again.`);
+}
 
-    const existing = await db
-      .collection('locations').doc(locationId).collection('bookings')
-      .where('startTime', '==', startUTC)
-      .get();
+app.get('/api/availability/stream', validate({ query: availabilityQuery }), async (req, res) => {
+  const query = req.valid.query;
+  const { date, locationId } = query;
+  let first;
+  try {
+    first = await findAvailableSlots(query);
+    if (first.refusal) return sendItemRefusal(res, first);
+  } catch (error) {
+    logger.error('Error in /api/availability/stream', error);
+    return sendError(res, 500, 'internal_error', 'Failed to fetch availability.');
+  }
 
-    console.log('[verify-slot]', {
-      locationId, dateKey,
-      startUTC: startUTC.toISOString(),
-      activeBays, existing: existing.size
-    });
+  const release = takeStreamPlace(callerKey(req));
+  if (!release) return sendTooManyStreams(res);
+  const stream = openStream(req, res);
+  stream.onClose(release);
+  let lastSent = JSON.stringify(first.slots);
+  stream.send('availability', { date, slots: first.slots });
 
-    if (existing.size >= activeBays) {
-      return res.status(409).json({ error: 'Slot is no longer available.' });
-    }
+  let timer = null;
+  const refresh = () => {
+    timer = null;
+    findAvailableSlots(query)
+      .then((result) => {
+        if (result.refusal) return stream.close();
+        const key = JSON.stringify(result.slots);
+        if (key === lastSent) return;
+        lastSent = key;
+        stream.send('availability', { date, slots: result.slots });
+      })
+      .catch((error) => logger.error('availability-stream error', { locationId, date, error }));
+  };
+  const schedule = () => {
+    if (!timer && !stream.closed) timer = setTimeout(refresh, STREAM_COALESCE_MS);
+  };
 
-    return res.status(200).json({ ok: true, message: 'Slot is available.' });
-  } catch (error) {
-    console.error('Error in /api/bookings/verify-slot:', error);
-    return res.status(500).json({ error: 'Failed to verify slot availability.' });
-  }
+  const unsubscribe = events.subscribe('availability', (event) => {
+    if (event.locationId === locationId && touchesDate(event, date)) schedule();
+  });
+  const ticker = first.today ? setInterval(schedule, STREAM_TODAY_REFRESH_MS) : null;
+  stream.onClose(() => {
+    unsubscribe();
+    clearTimeout(timer);
+    clearInterval(ticker);
+  });
 });
 
+// ----- Bookings -----
+// checkSlot reasons (lib/occupancy.js) -> [status, code, message]. Asking for a time we're
+// not open is a bad request; anything else is a conflict.
+const SLOT_REFUSALS = {
+  past: [409, 'slot_in_past', 'That time has already passed. Please choose another.'],
+  closed: [400, 'location_closed', 'We are closed on that day. Please choose another date.'],
+  outside_hours: [400, 'outside_hours', 'That time is outside opening hours. Please choose one of the available slots.'],
+  blocked: [409, 'slot_blocked', 'That slot is blocked. Please choose another.'],
+  full: [409, 'slot_full', 'Slot is no longer available.'],
+  no_such_bay: [400, 'bay_inactive', 'That bay is not active on this day.'],
+  bay_busy: [409, 'bay_busy', 'That bay is already booked at that time.'],
+  no_staff: [409, 'no_washer_available', 'No washer is free at that time. Please choose another slot.'],
+  no_such_washer: [400, 'washer_not_rostered', 'That washer is not on shift for the whole booking.'],
+  washer_busy: [409, 'washer_busy', 'That washer is already on another booking at that time.'],
+};
+
+function sendSlotRefusal(res, reason, message) {
+  const [status, code, defaultMessage] = SLOT_REFUSALS[reason] || SLOT_REFUSALS.full;
+  if (status === 409) slotConflicts.inc({ reason });
+  return sendError(res, status, code, message || defaultMessage);
+}
 
-app.post('/api/bookings', async (req, res) => {
-  if (!db) return res.status(500).json({ error: 'Database not initialized.' });
+// Request fields shared by routes that take a start time: {date, slot} or startTime,
+// local to the location (lib/time.js)
+const startFields = {
+  date: v.dateKey().optional(),
+  slot: v.slot().optional(),
+  startTime: v.startTime().optional(),
+};
 
-  try {
-    const { userId, serviceId, locationId } = req.body || {};
-    const startUTC = parseStartUTCFromBody(req.body);
+function needsStart(body) {
+  return (body.date && body.slot) || body.startTime ? null : 'Send a {date, slot} or a startTime.';
+}
 
-    if (!userId || !serviceId || !locationId || !startUTC) {
-      return res.status(400).json({ error: 'Missing required booking information (need userId, serviceId, locationId and {date,slot} or startTime).' });
-    }
-    if (['__proto__', 'constructor', 'prototype'].includes(String(locationId))) {
-      return res.status(400).json({ error: 'Invalid locationId.' });
-    }
+async function getService(locationId, serviceId) {
+  const serviceDoc = await repos.services.get(locationId, serviceId);
+  return serviceDoc.exists ? serializeItem(serviceDoc) : null;
+}
 
-    // Re-evaluate active bays for that SAST date
-    const startSAST = new Date(startUTC.getTime() + 120 * 60000);
-    const dateKey = `${startSAST.getFullYear()}-${pad2(startSAST.getMonth() + 1)}-${pad2(startSAST.getDate())}`;
+// Service + add-ons with their combined duration and price for a vehicle class (lib/catalogue.js)
+function resolveItems(locationId, serviceId, addOnIds = [], vehicleClass = null) {
+  return resolveBookingItems(db, { locationId, serviceId, addOnIds, vehicleClass });
+}
 
-    const settingsRef = db.collection('locations').doc(locationId).collection('settings');
-    const [daily, global] = await Promise.all([
-      settingsRef.doc(dateKey).get(),
-      settingsRef.doc('global').get(),
-    ]);
-    const activeBays = clampActiveBays(
-      (daily.exists && daily.data()?.activeBays) ??
-      (global.exists && global.data()?.activeBays) ??
-      2
-    );
+// The car being washed: { vehicleId } from the customer's saved vehicles, or just a
+// { vehicleClass } (walk-ins, quotes). Neither is fine too; the service's own price applies.
+// Returns { vehicle, vehicleClass } or { status, code, error }.
+async function resolveBookingVehicle(userId, { vehicleId, vehicleClass }) {
+  if (vehicleId) {
+    const doc = await repos.users.vehicles(userId).doc(vehicleId).get();
+    if (!doc.exists) return { status: 404, code: 'vehicle_not_found', error: 'Vehicle not found.' };
+    const vehicle = bookingVehicle(doc);
+    return { vehicle, vehicleClass: vehicle.sizeClass };
+  }
+  return { vehicle: null, vehicleClass: vehicleClass || null };
+}
 
-    // Guard again just before inserting
-    const existing = await db
-      .collection('locations').doc(locationId).collection('bookings')
-      .where('startTime', '==', startUTC)
-      .get();
+// resolveBookingItems refusals -> [status, message]; the refusal is the error code
+const ITEM_REFUSALS = {
+  service_not_found: [404, 'Service not found.'],
+  service_inactive: [400, 'That service is no longer offered.'],
+  addon_not_found: [404, 'Add-on not found.'],
+  addon_inactive: [400, 'That add-on is no longer offered.'],
+  addon_not_allowed: [400, 'That add-on is not available with this service.'],
+  no_price: [400, 'Service has no price configured.'],
+};
 
-    if (existing.size >= activeBays) {
-      return res.status(409).json({ error: 'Slot just became unavailable. Please choose another.' });
-    }
+function sendItemRefusal(res, { refusal, addOnId }) {
+  const [status, message] = ITEM_REFUSALS[refusal];
+  return sendError(res, status, refusal, message, addOnId ? { addOnId } : {});
+}
 
-    const newBooking = {
-      userId,
-      serviceId,
-      locationId,
-      startTime: startUTC,   // canonical UTC
-      status: 'paid',
-      createdAt: new Date(),
-      bayId: existing.size + 1,
-    };
+// Optional serviceId (and addOnIds, vehicleClass): checks the whole duration instead of a
+// single slot. Older clients send locationId and serviceId in the query string.
+const slotItemFields = {
+  locationId: v.id().optional(),
+  serviceId: v.id().optional(),
+  addOnIds: v.idList().optional(),
+  vehicleClass: v.oneOf(VEHICLE_CLASSES).optional(),
+};
+const verifySlotSchema = {
+  query: v.object(slotItemFields),
+  body: v.object({ ...slotItemFields, ...startFields }).refine(needsStart),
+};
 
-    const docRef = await db.collection('locations').doc(locationId).collection('bookings').add(newBooking);
-
-    // Rewards (same logic, with null-safety)
-    const userRef = db.collection('users').doc(userId);
-    let userDoc = await userRef.get();
-    if (!userDoc.exists) {
-      const userRecord = await admin.auth().getUser(userId);
-      const userProfile = {
-        email: userRecord.email,
-        name: userRecord.displayName,
-        role: 'customer',
-        rewards: {},
-      };
-      await userRef.set(userProfile);
-      userDoc = await userRef.get();
-    }
+app.post('/api/bookings/verify-slot', verifySlotLimiter, validate(verifySlotSchema), async (req, res) => {
+  const { locationId, serviceId, addOnIds, vehicleClass } = { ...req.valid.query, ...req.valid.body };
+  if (!locationId) {
+    return sendError(res, 400, 'validation_failed', 'locationId is required.', { fields: { locationId: 'is required' } });
+  }
 
-    const currentRewards = userDoc.data()?.rewards || {};
-    const locationRewards = currentRewards[locationId] || { loyaltyPoints: 0, freeWashes: 0 };
-    const newPoints = (locationRewards.loyaltyPoints || 0) + 1;
+  try {
+    const timeZone = await locationTimeZone(locationId);
+    const startUTC = parseStartFromBody(req.valid.body, timeZone);
+    if (!startUTC) return sendError(res, 400, 'invalid_start', 'That date and time does not exist at this location.');
 
-    if (newPoints >= 10) {
-      locationRewards.loyaltyPoints = 0;
-      locationRewards.freeWashes = (locationRewards.freeWashes || 0) + 1;
-    } else {
-      locationRewards.loyaltyPoints = newPoints;
+    let duration = null;
+    if (serviceId) {
+      const items = await resolveItems(locationId, serviceId, addOnIds, vehicleClass);
+      if (items.refusal) return sendItemRefusal(res, items);
+      duration = items.durationInMinutes;
     }
 
-    await userRef.update({ [`rewards.${locationId}`]: locationRewards });
+    const dateKey = dateKeyInZone(startUTC, timeZone);
+    const state = await loadDayState(db, locationId, dateKey, { timeZone });
+    const check = checkSlot(state, startUTC, duration ?? state.slotInterval);
 
-    console.log('[create-booking]', {
-      bookingId: docRef.id,
+    logger.info('verify-slot', {
       locationId, dateKey,
       startUTC: startUTC.toISOString(),
-      bayId: existing.size + 1
+      activeBays: state.activeBays,
+      result: check.ok ? `bay ${check.bayId}` : check.reason,
     });
 
-    return res.status(201).json({ message: 'Booking created successfully!', bookingId: docRef.id });
+    if (!check.ok) return sendSlotRefusal(res, check.reason);
+
+    return res.status(200).json({ ok: true, message: 'Slot is available.' });
   } catch (error) {
-    console.error('Error in /api/bookings:', error);
-    return res.status(500).json({ error: 'Failed to create booking.' });
+    logger.error('Error in /api/bookings/verify-slot', error);
+    return sendError(res, 500, 'internal_error', 'Failed to verify slot availability.');
   }
 });
 
 
-app.post('/api/bookings/redeem-free-wash', async (req, res) => {
-  if (!db) return res.status(500).json({ error: 'Database not initialized.' });
+// ----- Booking helpers -----
+async function ensureUserProfile(userId) {
+  let userDoc = await repos.users.get(userId);
+  if (!userDoc.exists) {
+    const userRecord = await auth.getUser(userId);
+    const userProfile = {
+      email: userRecord.email,
+      name: userRecord.displayName,
+      role: 'customer',
+      rewards: {},
+    };
+    await repos.users.set(userId, userProfile);
+    userDoc = await repos.users.get(userId);
+  }
+  return userDoc;
+}
+
+// Loyalty points for a paid booking under the location's rules (lib/loyalty.js).
+// What was granted is kept on the booking so a cancellation can take it back.
+async function awardLoyaltyPoints({ userId, locationId, bookingId }) {
+  await ensureUserProfile(userId);
+  const bookingRef = repos.bookings.ref(locationId, bookingId);
+  const booking = (await bookingRef.get()).data() || {};
 
-  const { userId, serviceId, startTime, locationId } = req.body || {};
-  if (!userId || !serviceId || !startTime || !locationId) {
-    return res.status(400).json({ error: 'Missing required booking information.' });
+  const change = await runLoyaltyChange(db, {
+    userId,
+    locationId,
+    op: loyaltyOps.earnForBooking({ serviceId: booking.serviceId, amount: booking.amount }),
+    meta: { bookingId },
+  });
+  if (change.refusal) return null;
+
+  await bookingRef.update({ loyaltyAward: change.result });
+  return change.result;
+}
+
+// Shared by the verify route and the webhook; only the first report of a charge awards points
+async function settleSuccessfulCharge({ reference, amount, paidAt }) {
+  const result = await markPaymentSuccessful(db, { reference, amount, paidAt });
+  if (result.slotLost) {
+    logger.warn('payment-after-release: slot taken, refund needed', {
+      reference,
+      bookingId: result.payment.bookingId,
+      locationId: result.payment.locationId,
+    });
   }
-  if (['__proto__', 'constructor', 'prototype'].includes(String(locationId))) {
-    return res.status(400).json({ error: 'Invalid locationId.' });
+  if (result.found && !result.alreadyProcessed && !result.amountMismatch && !result.bookingCancelled && !result.slotLost) {
+    await awardLoyaltyPoints(result.payment);
+    notifyBooking('booking_confirmed', { locationId: result.payment.locationId, bookingId: result.payment.bookingId });
+    publishBooking('confirmed', result.payment);
+    logger.info('payment-success', {
+      reference,
+      bookingId: result.payment.bookingId,
+      locationId: result.payment.locationId,
+    });
   }
+  return result;
+}
 
-  try {
-    const userRef = db.collection('users').doc(userId);
-    const userDoc = await userRef.get();
-    const hasRewards =
-      userDoc.exists &&
-      userDoc.data().rewards &&
-      userDoc.data().rewards[locationId] &&
-      userDoc.data().rewards[locationId].freeWashes >= 1;
+// Who a booking is for. Customers always book for themselves (a body userId, if sent,
+// must match their token). Staff and managers may book at their own locations (owners
+// anywhere) for an existing customer ({ userId }) or a walk-in without an account
+// ({ walkIn: { name, phone?, email? } }), both checked by bookingOwnerFields.
+// Returns { userId, bookedBy, walkInProfile? } or { status, code, error }.
+const bookingOwnerFields = {
+  userId: v.id().optional(),
+  walkIn: v.object({
+    name: v.string({ max: 100, trim: true }),
+    phone: v.string({ max: 30 }).optional(),
+    email: v.email().optional(),
+  }).optional(),
+};
 
-    if (!hasRewards) {
-      return res.status(403).json({ error: 'No free washes available for this location.' });
-    }
+async function resolveBookingOwner(req, locationId) {
+  const { uid, role, email } = req.user;
+  const { userId, walkIn } = req.valid.body;
+  const now = new Date();
 
-    const correctUTCTime = subHours(new Date(startTime), 2);
-    const newBooking = {
-      userId,
-      serviceId,
-      startTime: correctUTCTime,
-      status: 'free',
-      createdAt: new Date(),
-      bayId: 1,
-    };
-    await db.collection('locations').doc(locationId).collection('bookings').add(newBooking);
-    await userRef.update({ [`rewards.${locationId}.freeWashes`]: admin.firestore.FieldValue.increment(-1) });
+  if (!walkIn && (!userId || userId === uid)) {
+    return { userId: uid, bookedBy: { uid, role: role || 'customer', at: now } };
+  }
+  if (!hasRole(role, 'staff')) {
+    return { status: 403, code: 'forbidden', error: 'Forbidden: You can only book for yourself.' };
+  }
 
-    res.status(201).json({ message: 'Free wash booked successfully!' });
-  } catch (error) {
-    console.error('Error in /api/bookings/redeem-free-wash:', error);
-    res.status(500).json({ error: 'Failed to redeem free wash.' });
+  const staffDoc = await repos.users.get(uid);
+  if (!canAccessLocation(role, staffDoc.data(), locationId)) {
+    return { status: 403, code: 'location_forbidden', error: 'Forbidden: Staff can only book at their own locations.' };
+  }
+  const bookedBy = { uid, email: email || null, role, onBehalf: true, at: now };
+
+  // Nothing is written yet: the walk-in's profile is created with their booking
+  // (createWalkIn), so a refused booking leaves no customer behind
+  if (walkIn) {
+    const walkInProfile = {
+      name: walkIn.name,
+      phone: walkIn.phone || null,
+      email: walkIn.email || null,
+      role: 'customer',
+      rewards: {},
+      isWalkIn: true,
+      createdBy: uid,
+      createdAt: now,
+    };
+    return { userId: repos.users.newRef().id, bookedBy, walkInProfile };
   }
-});
 
-// ----- Manager Routes -----
-app.post('/api/assign-manager-role', isManager, async (req, res) => {
-  if (!db) return res.status(500).json({ error: 'Database not initialized.' });
-  const { email } = req.body || {};
   try {
-    const user = await admin.auth().getUserByEmail(email);
-    await admin.auth().setCustomUserClaims(user.uid, { role: 'manager' });
-    await db.collection('users').doc(user.uid).update({ managedLocationId: req.user.managedLocationId });
-    res.status(200).json({ message: `Successfully assigned manager role to ${email}` });
+    await ensureUserProfile(userId);
   } catch (error) {
-    console.error('Error in /api/assign-manager-role:', error);
-    res.status(500).json({ error: error.message || 'Failed to assign role.' });
+    return { status: 404, code: 'customer_not_found', error: 'Customer not found.' };
   }
-});
+  return { userId, bookedBy };
+}
 
-app.get('/api/manager/bookings', isManager, async (req, res) => {
-  const { date } = req.query || {};
-  const locationId = req.user?.managedLocationId;
-  if (!date || !locationId) {
-    return res.status(400).json({ error: 'Date and location are required.' });
-  }
-  try {
-    const requestedDate = new Date(`${date}T00:00:00.000Z`);
-    const startOfRequestedDay = startOfDay(requestedDate);
-    const endOfRequestedDay = endOfDay(requestedDate);
+// reserveSlot prepare hook: writes a walk-in's profile in the booking's transaction
+function createWalkIn(userId, profile) {
+  return (tx) => ({ apply: () => tx.set(repos.users.ref(userId), profile) });
+}
 
-    const bookingsSnapshot = await db
-      .collection('locations')
-      .doc(locationId)
-      .collection('bookings')
-      .where('startTime', '>=', startOfRequestedDay)
-      .where('startTime', '<=', endOfRequestedDay)
-      .orderBy('startTime', 'asc')
-      .get();
+// ----- Promo codes -----
+// Codes are per location (lib/promotions.js). A booking claims its use in the reservation
+// transaction and gives it back when it is cancelled or its hold is released.
+const PROMO_REFUSALS = {
+  promo_not_found: [404, 'That promo code does not exist.'],
+  promo_inactive: [409, 'That promo code is no longer active.'],
+  promo_not_started: [409, 'That promo code is not valid yet for that date.'],
+  promo_expired: [409, 'That promo code has expired for that date.'],
+  promo_wrong_day: [409, 'That promo code is not valid on that day of the week.'],
+  promo_service_not_eligible: [409, 'That promo code cannot be used for this service.'],
+  promo_below_min_spend: [409, 'The booking does not reach the minimum spend for that promo code.'],
+  promo_used_up: [409, 'That promo code has been used up.'],
+  promo_user_limit_reached: [409, 'You have already used that promo code.'],
+};
 
-    const detailedBookings = await Promise.all(
-      bookingsSnapshot.docs.map(async (doc) => {
-        const booking = doc.data();
-        const userDoc = await db.collection('users').doc(booking.userId).get();
-        const serviceDoc = await db.collection('locations').doc(locationId).collection('services').doc(booking.serviceId).get();
-        return {
-          id: doc.id,
-          ...booking,
-          userName: userDoc.exists ? userDoc.data().name : 'Unknown User',
-          serviceName: serviceDoc.exists ? serviceDoc.data().name : 'Unknown Service',
-          startTimeSAST: format(addMinutes(booking.startTime.toDate(), 120), 'HH:mm'),
-        };
-      })
-    );
-    res.status(200).json(detailedBookings);
-  } catch (error) {
-    console.error('Error in /api/manager/bookings:', error);
-    res.status(500).json({ error: 'Failed to fetch manager bookings.' });
-  }
-});
+function sendPromoRefusal(res, reason) {
+  const [status, message] = PROMO_REFUSALS[reason];
+  return sendError(res, status, reason, message);
+}
 
-app.get('/api/manager/bookings/summary', isManager, async (req, res) => {
-  const { month, year } = req.query || {};
-  const locationId = req.user?.managedLocationId;
-  if (!month || !year || !locationId) {
-    return res.status(400).json({ error: 'Month, year, and location are required.' });
-  }
-  try {
-    const startDate = startOfMonth(new Date(year, month - 1, 1));
-    const endDate = endOfMonth(startDate);
-    const bookingsSnapshot = await db
-      .collection('locations')
-      .doc(locationId)
-      .collection('bookings')
-      .where('startTime', '>=', startDate)
-      .where('startTime', '<=', endDate)
-      .get();
+const promoCodeField = v.string({ max: 20, trim: true, pattern: /^[A-Za-z0-9-]+$/, message: 'must be letters, digits or dashes' });
 
-    const serviceCounts = {};
-    const userBookingCounts = {};
+// Fire-and-forget after a booking is cancelled or released
+function releaseBookingPromo(locationId, bookingId) {
+  return releasePromo(db, { locationId, bookingId })
+    .then((released) => {
+      if (released) logger.info('promo-released', { locationId, bookingId });
+    })
+    .catch((error) => logger.error('promo-release error', { locationId, bookingId, error }));
+}
 
-    for (const doc of bookingsSnapshot.docs) {
-      const booking = doc.data();
-      const serviceDoc = await db.collection('locations').doc(locationId).collection('services').doc(booking.serviceId).get();
-      if (serviceDoc.exists) {
-        const serviceName = serviceDoc.data().name;
-        serviceCounts[serviceName] = (serviceCounts[serviceName] || 0) + 1;
-      }
-      const userDoc = await db.collection('users').doc(booking.userId).get();
-      if (userDoc.exists) {
-        const userName = userDoc.data().name;
-        userBookingCounts[userName] = (userBookingCounts[userName] || 0) + 1;
-      }
-    }
+// ----- Subscriptions -----
+// Monthly plans per location (lib/subscriptions.js). The first month is paid through a
+// Paystack checkout that saves the card; renewals charge it via POST /api/cron/subscriptions.
+const SUBSCRIPTION_REFUSALS = {
+  subscription_not_found: [404, 'Subscription not found.'],
+  subscription_period_unpaid: [409, 'Your subscription has not been paid for that month.'],
+  subscription_service_not_covered: [409, 'Your plan does not cover this service.'],
+  subscription_used_up: [409, 'You have used all of this month\'s washes on your plan.'],
+};
 
-    const topServices = Object.keys(serviceCounts)
-      .map((serviceName) => ({ serviceName, count: serviceCounts[serviceName] }))
-      .sort((a, b) => b.count - a.count);
+function sendSubscriptionRefusal(res, reason) {
+  const [status, message] = SUBSCRIPTION_REFUSALS[reason];
+  return sendError(res, status, reason, message);
+}
 
-    const topClients = Object.keys(userBookingCounts)
-      .map((userName) => ({ userName, count: userBookingCounts[userName] }))
-      .sort((a, b) => b.count - a.count)
-      .slice(0, 5);
+// Shared by the verify route and the webhook for the first month's checkout
+async function settleSubscriptionSignup({ subscriptionId, reference, amount, authorizationCode }) {
+  const locationId = (await subscriptionsCol(db).doc(subscriptionId).get()).data()?.locationId;
+  if (!locationId) return { found: false };
+  const result = await activateSubscription(db, {
+    subscriptionId,
+    reference,
+    amount,
+    authorizationCode,
+    timeZone: await locationTimeZone(locationId),
+  });
+  if (result.found && !result.alreadyProcessed && !result.amountMismatch) {
+    logger.info('subscription-activated', { subscriptionId, locationId, reference, cancelled: Boolean(result.cancelled) });
+  }
+  return result;
+}
 
-    res.status(200).json({ topServices, topClients });
+// ----- Payments (Paystack) -----
+// Records the payment for a held booking and opens a Paystack checkout. Returns the
+// checkout, or null when Paystack refused (the payment is then marked failed).
+async function startCheckout({ reference, bookingId, locationId, userId, amount, email, now }) {
+  await db.collection(PAYMENTS).doc(reference).set({
+    reference,
+    bookingId,
+    locationId,
+    userId,
+    amount,
+    currency: 'ZAR',
+    status: 'initialized',
+    createdAt: now,
+  });
+  try {
+    return await paystack.initializeTransaction({
+      email,
+      amount,
+      reference,
+      callbackUrl: PAYSTACK_CALLBACK_URL,
+      metadata: { bookingId, locationId, userId },
+    });
   } catch (error) {
-    console.error('Error in /api/manager/bookings/summary:', error);
-    res.status(500).json({ error: 'Failed to fetch booking summary.' });
+    logger.error('payment-initialize: Paystack error', { error, response: error?.response?.data });
+    await markPaymentFailed(db, { reference, status: 'initialize_failed' });
+    publishBooking('released', { locationId, bookingId });
+    await releaseBookingPromo(locationId, bookingId);
+    return null;
   }
-});
+}
+
+// Creates a pending_payment booking that holds the slot for PAYMENT_HOLD_MINUTES
+// and returns the Paystack authorization URL. POST /api/bookings is kept as an
+// alias so existing clients go through payment instead of booking straight to paid.
+// An optional promoCode is applied to the amount charged. A subscriber whose plan covers
+// the wash is booked straight away instead (see bookWithEntitlement), unless they send
+// useSubscription: false; add-ons and promo codes always go through payment.
+const bookingSchema = {
+  body: v.object({
+    locationId: v.id(),
+    serviceId: v.id(),
+    ...startFields,
+    addOnIds: v.idList().optional(),
+    vehicleId: v.id().optional(),
+    vehicleClass: v.oneOf(VEHICLE_CLASSES).optional(),
+    email: v.email().optional(),
+    promoCode: promoCodeField.optional(),
+    useSubscription: v.boolean().optional(),
+    ...bookingOwnerFields,
+  }).refine(needsStart),
+};
+
+// Books a wash covered by a subscription (lib/subscriptions.js): no payment, the month's
+// use is claimed in the reservation transaction. Sends the response.
+async function bookWithEntitlement(res, { entitlement, locationId, serviceId, timeZone, startUTC, items, car, userId, bookedBy }) {
+  const now = new Date();
+  const period = periodOf(startUTC, timeZone);
+  const reservation = await reserveSlot(db, {
+    locationId,
+    timeZone,
+    start: startUTC,
+    durationInMinutes: items.durationInMinutes,
+    now,
+    booking: {
+      userId,
+      serviceId,
+      addOns: [],
+      vehicleId: car.vehicle?.id || null,
+      vehicle: car.vehicle,
+      vehicleClass: car.vehicleClass,
+      servicePriceCents: items.servicePriceCents,
+      status: 'free',
+      amount: 0,
+      createdAt: now,
+      bookedBy,
+    },
+    prepare: claimEntitlement(db, { subscriptionId: entitlement.id, serviceId, period }),
+  });
+  if (!reservation.ok) {
+    if (SUBSCRIPTION_REFUSALS[reservation.reason]) return sendSubscriptionRefusal(res, reservation.reason);
+    return sendSlotRefusal(res, reservation.reason);
+  }
+
+  const { bookingId } = reservation;
+  bookingsCreated.inc({ source: 'subscription' });
+  logger.info('create-booking', {
+    bookingId,
+    locationId,
+    startUTC: startUTC.toISOString(),
+    bayId: reservation.bayId,
+    subscriptionId: entitlement.id,
+  });
+  notifyBooking('booking_confirmed', { locationId, bookingId });
+  publishBooking('created', { locationId, bookingId });
+  return res.status(201).json({
+    message: 'Booked with your subscription.',
+    bookingId,
+    amount: 0,
+    subscription: reservation.prepared.bookingFields.subscription,
+  });
+}
+
+app.post(['/api/payments/initialize', '/api/bookings'], isAuthenticated, bookingLimiter, validate(bookingSchema), idempotent, async (req, res) => {
+  try {
+    const { serviceId, locationId, addOnIds, promoCode } = req.valid.body;
+    const timeZone = await locationTimeZone(locationId);
+    const startUTC = parseStartFromBody(req.valid.body, timeZone);
+    if (!startUTC) return sendError(res, 400, 'invalid_start', 'That date and time does not exist at this location.');
+
+    const owner = await resolveBookingOwner(req, locationId);
+    if (owner.error) return sendError(res, owner.status, owner.code, owner.error);
+    const { userId, bookedBy, walkInProfile } = owner;
+
+    // Base wash priced for the vehicle, plus any extras; Paystack charges in cents
+    const car = await resolveBookingVehicle(userId, req.valid.body);
+    if (car.error) return sendError(res, car.status, car.code, car.error);
+    const items = await resolveItems(locationId, serviceId, addOnIds, car.vehicleClass);
+    if (items.refusal) return sendItemRefusal(res, items);
+
+    // A manager booking for a walk-in pays at the counter with their own email
+    const profile = walkInProfile || (await ensureUserProfile(userId)).data();
+    const email = profile?.email || req.valid.body.email || (bookedBy.onBehalf ? req.user.email : null);
+    if (!email) {
+      return sendError(res, 400, 'email_required', 'An email address is required for payment.');
+    }
+
+    const entitlement = !walkInProfile && req.valid.body.useSubscription !== false && !promoCode && !items.addOns.length
+      ? await findEntitlement(db, { userId, locationId, serviceId, period: periodOf(startUTC, timeZone) })
+      : null;
+    if (entitlement) {
+      return bookWithEntitlement(res, { entitlement, locationId, serviceId, timeZone, startUTC, items, car, userId, bookedBy });
+    }
+
+    const now = new Date();
+    const reference = newPaymentReference();
+    const holdExpiresAt = addMinutes(now, PAYMENT_HOLD_MINUTES);
+
+    // Capacity check, bay assignment and insert happen in one transaction
+    const reservation = await reserveSlot(db, {
+      locationId,
+      timeZone,
+      start: startUTC,
+      durationInMinutes: items.durationInMinutes,
+      now,
+      booking: {
+        userId,
+        serviceId,
+        addOns: bookingAddOns(items.addOns),
+        vehicleId: car.vehicle?.id || null,
+        vehicle: car.vehicle,
+        vehicleClass: car.vehicleClass,
+        servicePriceCents: items.servicePriceCents,
+        status: 'pending_payment',
+        holdExpiresAt,
+        paymentReference: reference,
+        amount: items.amount,
+        createdAt: now,
+        bookedBy,
+      },
+      prepare: chainPrepare(
+        walkInProfile ? createWalkIn(userId, walkInProfile) : null,
+        // Counted with the hold itself, so parallel checkouts can't slip past the cap
+        bookedBy.onBehalf ? null : capOpenHolds(db, { userId, limit: MAX_OPEN_HOLDS_PER_CUSTOMER, now }),
+        // Claims one use of the code and writes the discounted amount onto the booking
+        promoCode
+          ? claimPromo(db, {
+            locationId,
+            code: promoCode,
+            userId,
+            serviceId,
+            amountCents: items.amount,
+            dateKey: dateKeyInZone(startUTC, timeZone),
+          })
+          : null
+      ),
+    });
+
+    if (!reservation.ok) {
+      if (reservation.reason === 'too_many_unpaid_bookings') {
+        return sendError(
+          res,
+          409,
+          'too_many_unpaid_bookings',
+          `You already have ${MAX_OPEN_HOLDS_PER_CUSTOMER} bookings waiting for payment. Pay for or cancel one first.`,
+          { limit: MAX_OPEN_HOLDS_PER_CUSTOMER }
+        );
+      }
+      if (PROMO_REFUSALS[reservation.reason]) return sendPromoRefusal(res, reservation.reason);
+      return sendSlotRefusal(
+        res,
+        reservation.reason,
+        reservation.reason === 'full' ? 'Slot just became unavailable. Please choose another.' : null
+      );
+    }
+    const { bookingId, bayId, dateKey } = reservation;
+    const promo = reservation.prepared?.bookingFields?.promo || null;
+    const amount = reservation.prepared?.bookingFields?.amount ?? items.amount;
+
+    const checkout = await startCheckout({ reference, bookingId, locationId, userId, amount, email, now });
+    if (!checkout) return sendError(res, 502, 'payment_start_failed', 'Failed to start payment. Please try again.');
+
+    bookingsCreated.inc({ source: 'checkout' });
+    publishBooking('created', { locationId, bookingId });
+    logger.info('create-booking', {
+      bookingId,
+      locationId, dateKey,
+      startUTC: startUTC.toISOString(),
+      bayId,
+      reference,
+      promoCode: promo?.code,
+    });
+
+    return res.status(201).json({
+      message: 'Booking held pending payment.',
+      bookingId,
+      reference,
+      amount,
+      promo,
+      authorizationUrl: checkout.authorizationUrl,
+      accessCode: checkout.accessCode,
+      holdExpiresAt: holdExpiresAt.toISOString(),
+    });
+  } catch (error) {
+    logger.error('Error in /api/payments/initialize', error);
+    return sendError(res, 500, 'internal_error', 'Failed to create booking.');
+  }
+});
+
+app.get('/api/payments/verify/:reference', validate({ params: v.object({ reference: v.id() }) }), async (req, res) => {
+  const { reference } = req.valid.params;
+  try {
+    const payment = await getPayment(db, reference);
+    if (!payment) {
+      return sendError(res, 404, 'payment_not_found', 'Payment not found.');
+    }
+    if (payment.status === 'success') {
+      return res.status(200).json({ status: 'paid', bookingId: payment.bookingId, reference });
+    }
+
+    const transaction = await paystack.verifyTransaction(reference);
+
+    if (transaction.status === 'success') {
+      const result = await settleSuccessfulCharge({
+        reference,
+        amount: transaction.amount,
+        paidAt: transaction.paidAt,
+      });
+      if (result.amountMismatch) {
+        return sendError(res, 409, 'payment_amount_mismatch', 'Paid amount does not match the booking.');
+      }
+      if (result.slotLost) {
+        return sendError(res, 409, 'slot_lost', 'Your hold ran out and the slot has since been taken. The payment will be refunded.');
+      }
+      return res.status(200).json({ status: 'paid', bookingId: payment.bookingId, reference });
+    }
+
+    if (transaction.status === 'failed' || transaction.status === 'reversed') {
+      await markPaymentFailed(db, { reference, status: transaction.status });
+      publishBooking('released', payment);
+      await releaseBookingPromo(payment.locationId, payment.bookingId);
+      return sendError(res, 402, 'payment_unsuccessful', 'Payment was not successful.', { status: transaction.status });
+    }
+
+    // Still at checkout ('ongoing', 'pending', 'abandoned', ...)
+    return res.status(202).json({ status: 'pending', bookingId: payment.bookingId, reference });
+  } catch (error) {
+    logger.error('Error in /api/payments/verify', { error, response: error?.response?.data });
+    return sendError(res, 500, 'internal_error', 'Failed to verify payment.');
+  }
+});
+
+app.post('/api/payments/webhook', async (req, res) => {
+  if (!paystack.verifyWebhookSignature(req.rawBody, req.headers['x-paystack-signature'])) {
+    return sendError(res, 401, 'invalid_signature', 'Invalid signature.');
+  }
+
+  const { event, data } = req.body || {};
+  try {
+    if (event === 'charge.success' && data?.reference && data.metadata?.subscriptionId) {
+      // A plan's first month; renewals are settled when they are charged
+      await settleSubscriptionSignup({
+        subscriptionId: String(data.metadata.subscriptionId),
+        reference: data.reference,
+        amount: data.amount,
+        authorizationCode: data.authorization?.reusable ? data.authorization.authorization_code : null,
+      });
+    } else if (event === 'charge.success' && data?.reference) {
+      const result = await settleSuccessfulCharge({
+        reference: data.reference,
+        amount: data.amount,
+        paidAt: data.paid_at ? new Date(data.paid_at) : new Date(),
+      });
+      if (!result.found) logger.warn('payment-webhook: unknown reference', { reference: data.reference });
+    }
+    // Acknowledge everything else so Paystack stops retrying
+    return res.sendStatus(200);
+  } catch (error) {
+    logger.error('Error in /api/payments/webhook', error);
+    return sendError(res, 500, 'internal_error', 'Failed to process webhook.');
+  }
+});
+
+
+// Books a free wash through the same capacity check as a paid booking; the free wash
+// is only spent if the slot is reserved (both happen in one transaction).
+const redeemSchema = {
+  body: v.object({
+    locationId: v.id(),
+    serviceId: v.id(),
+    ...startFields,
+    // Declared so it can be refused: a free wash covers the base service only
+    addOnIds: v.idList().optional(),
+    vehicleId: v.id().optional(),
+    vehicleClass: v.oneOf(VEHICLE_CLASSES).optional(),
+    ...bookingOwnerFields,
+  }).refine(needsStart),
+};
+
+app.post('/api/bookings/redeem-free-wash', isAuthenticated, bookingLimiter, validate(redeemSchema), idempotent, async (req, res) => {
+  const { serviceId, locationId } = req.valid.body;
+  // Free washes belong to an account, so managers can redeem for a customer but not a walk-in
+  if (req.valid.body.walkIn) {
+    return sendError(res, 400, 'free_wash_walk_in', 'Free washes can only be redeemed for registered customers.');
+  }
+  // A free wash covers the base service only
+  if (req.valid.body.addOnIds?.length) {
+    return sendError(res, 400, 'free_wash_add_ons', 'Add-ons cannot be included in a free wash.');
+  }
+
+  try {
+    const timeZone = await locationTimeZone(locationId);
+    const startUTC = parseStartFromBody(req.valid.body, timeZone);
+    if (!startUTC) return sendError(res, 400, 'invalid_start', 'That date and time does not exist at this location.');
+
+    const owner = await resolveBookingOwner(req, locationId);
+    if (owner.error) return sendError(res, owner.status, owner.code, owner.error);
+    const { userId, bookedBy } = owner;
+
+    const service = await getService(locationId, serviceId);
+    if (!service) {
+      return sendError(res, 404, 'service_not_found', 'Service not found.');
+    }
+    if (!service.isActive) {
+      return sendError(res, 400, 'service_inactive', ITEM_REFUSALS.service_inactive[1]);
+    }
+    // Free, but a bigger vehicle still takes longer
+    const car = await resolveBookingVehicle(userId, req.valid.body);
+    if (car.error) return sendError(res, car.status, car.code, car.error);
+
+    const now = new Date();
+    const reservation = await reserveSlot(db, {
+      locationId,
+      timeZone,
+      start: startUTC,
+      durationInMinutes: servicePriceFor(service, car.vehicleClass).durationInMinutes,
+      now,
+      booking: {
+        userId,
+        serviceId,
+        vehicleId: car.vehicle?.id || null,
+        vehicle: car.vehicle,
+        vehicleClass: car.vehicleClass,
+        status: 'free',
+        amount: 0,
+        createdAt: now,
+        bookedBy,
+      },
+      prepare: async (tx, { bookingId }) => {
+        const change = await prepareLoyaltyChange(tx, db, {
+          userId,
+          locationId,
+          op: loyaltyOps.redeemFreeWash(serviceId),
+          meta: { bookingId, actorUid: req.user.uid },
+          now,
+        });
+        if (change.refusal) return change;
+        return { apply: change.apply, bookingFields: { redeemedFreeWash: change.result.lot } };
+      },
+    });
+
+    if (!reservation.ok) {
+      if (reservation.reason === 'no_free_washes' || reservation.reason === 'no_account') {
+        return sendError(res, 403, 'no_free_washes', 'No free washes available for this location.');
+      }
+      if (reservation.reason === 'not_eligible') {
+        return sendError(res, 400, 'free_wash_not_eligible', 'Free washes cannot be used for this service.');
+      }
+      return sendSlotRefusal(res, reservation.reason);
+    }
+
+    bookingsCreated.inc({ source: 'free_wash' });
+    logger.info('redeem-free-wash', { bookingId: reservation.bookingId, locationId, bayId: reservation.bayId });
+    notifyBooking('booking_confirmed', { locationId, bookingId: reservation.bookingId });
+    publishBooking('created', { locationId, bookingId: reservation.bookingId });
+
+    res.status(201).json({ message: 'Free wash booked successfully!', bookingId: reservation.bookingId });
+  } catch (error) {
+    logger.error('Error in /api/bookings/redeem-free-wash', error);
+    sendError(res, 500, 'internal_error', 'Failed to redeem free wash.');
+  }
+});
+
+// ----- Customer: My Bookings -----
+const CANCELLATION_CUTOFF_HOURS = config.cancellationCutoffHours;
+const CHANGEABLE_STATUSES = new Set(['pending_payment', 'paid', 'free']);
+// Lapsed or failed checkouts are noise in a customer's history
+const HIDDEN_FROM_CUSTOMER = new Set(['expired', 'payment_failed']);
+
+// Per-location cut-off (settings/global.cancellationCutoffHours), else the env default
+async function getCancellationCutoffHours(locationId) {
+  const configured = (await repos.settings.data(locationId, 'global'))?.cancellationCutoffHours;
+  const n = Number(configured);
+  return configured != null && Number.isFinite(n) && n >= 0 ? n : CANCELLATION_CUTOFF_HOURS;
+}
+
+// Shared ownership / status / cut-off rules for cancel and reschedule.
+// Returns null when allowed, otherwise a refusal reason.
+function customerChangeRefusal(booking, uid, cutoffHours, now) {
+  if (!booking || booking.userId !== uid) return 'not_found';
+  if (!CHANGEABLE_STATUSES.has(booking.status)) return 'not_allowed';
+  const start = booking.startTime?.toDate ? booking.startTime.toDate() : new Date(booking.startTime);
+  if (start.getTime() - now.getTime() < cutoffHours * 60 * 60 * 1000) return 'cutoff';
+  return null;
+}
+
+// Reschedule `prepare` (lib/occupancy.js) for customer and manager moves: what paid for the
+// booking has to cover the new date too. A covered wash moved into another month uses that
+// month's allowance (lib/subscriptions.js) and gives the old month's back; a promo code
+// has to be valid on the new day (lib/promotions.js), otherwise the move is refused.
+function moveBookingTerms(locationId, timeZone) {
+  return async (tx, { booking, start, dateKey }) => {
+    const steps = [];
+    if (booking.promo) {
+      steps.push(await checkPromoDate(db, { locationId, code: booking.promo.code, dateKey })(tx));
+    }
+    const period = periodOf(start, timeZone);
+    if (booking.subscription && booking.subscription.period !== period) {
+      steps.push(await moveEntitlement(db, {
+        subscriptionId: booking.subscription.id,
+        serviceId: booking.serviceId,
+        from: booking.subscription.period,
+        to: period,
+      })(tx));
+    }
+    const refused = steps.find((step) => step.refusal);
+    if (refused) return refused;
+    return {
+      apply: () => steps.forEach((step) => step.apply?.()),
+      bookingFields: Object.assign({}, ...steps.map((step) => step.bookingFields)),
+    };
+  };
+}
+
+function sendChangeRefusal(res, reason, cutoffHours, action) {
+  if (reason === 'not_found') return sendError(res, 404, 'booking_not_found', 'Booking not found.');
+  if (SUBSCRIPTION_REFUSALS[reason]) return sendSubscriptionRefusal(res, reason);
+  if (PROMO_REFUSALS[reason]) return sendPromoRefusal(res, reason);
+  if (reason === 'not_allowed') return sendError(res, 409, 'booking_not_changeable', `This booking can no longer be ${action}.`);
+  if (reason === 'cutoff') {
+    return sendError(res, 409, 'cutoff_passed', `Bookings can only be ${action} at least ${cutoffHours} hours before the start time.`);
+  }
+  return sendSlotRefusal(res, reason);
+}
+
+const bookingParams = v.object({ bookingId: v.id() });
+
+app.get('/api/my/bookings', isAuthenticated, async (req, res) => {
+  try {
+    const rows = (await repos.bookings.forUser(req.user.uid))
+      .map((doc) => ({ id: doc.id, locationId: repos.bookings.locationIdOf(doc), booking: doc.data() || {} }))
+      .filter(({ booking }) => !HIDDEN_FROM_CUSTOMER.has(booking.status));
+
+    // One read per distinct location / service instead of per booking
+    const locationNames = {};
+    const locationTimeZones = {};
+    const serviceNames = {};
+    await Promise.all([
+      ...Array.from(new Set(rows.map((r) => r.locationId))).map(async (locationId) => {
+        const doc = await repos.locations.get(locationId);
+        locationNames[locationId] = doc.exists ? doc.data().name : 'Unknown Location';
+        locationTimeZones[locationId] = isValidTimeZone(doc.data()?.timezone) ? doc.data().timezone : DEFAULT_TIMEZONE;
+      }),
+      ...Array.from(new Set(rows.map((r) => `${r.locationId}/${r.booking.serviceId}`))).map(async (key) => {
+        const [locationId, serviceId] = key.split('/');
+        const service = serviceId && serviceId !== 'undefined' ? await getService(locationId, serviceId) : null;
+        serviceNames[key] = service ? service.name : 'Unknown Service';
+      }),
+    ]);
+
+    const now = new Date();
+    const upcoming = [];
+    const past = [];
+    for (const { id, locationId, booking } of rows) {
+      const start = toDate(booking.startTime);
+      if (!start) {
+        logger.warn('my-bookings: skipping booking without startTime', { bookingId: id, locationId });
+        continue;
+      }
+      const item = {
+        id,
+        locationId,
+        locationName: locationNames[locationId],
+        serviceId: booking.serviceId,
+        serviceName: serviceNames[`${locationId}/${booking.serviceId}`],
+        status: booking.status,
+        startTime: start.toISOString(),
+        date: dateKeyInZone(start, locationTimeZones[locationId]),
+        startTimeLocal: timeLabelInZone(start, locationTimeZones[locationId]),
+        timezone: locationTimeZones[locationId],
+        durationInMinutes: booking.durationInMinutes ?? null,
+        bayId: booking.bayId ?? null,
+        amount: booking.amount ?? null,
+        vehicle: booking.vehicle || null,
+      };
+      if (start > now && booking.status !== 'cancelled') upcoming.push(item);
+      else past.push(item);
+    }
+    past.reverse(); // most recent first
+
+    return res.status(200).json({ upcoming, past });
+  } catch (error) {
+    logger.error('Error in /api/my/bookings', error);
+    return sendError(res, 500, 'internal_error', 'Failed to fetch your bookings.');
+  }
+});
+
+const cancelSchema = { params: bookingParams, body: v.object({ locationId: v.id() }) };
+
+app.post('/api/my/bookings/:bookingId/cancel', isAuthenticated, validate(cancelSchema), async (req, res) => {
+  const { bookingId } = req.valid.params;
+  const { locationId } = req.valid.body;
+
+  try {
+    const uid = req.user.uid;
+    const now = new Date();
+    const cutoffHours = await getCancellationCutoffHours(locationId);
+    const bookingRef = repos.bookings.ref(locationId, bookingId);
+
+    // Claim the cancellation first so a double tap can't refund or reverse twice
+    const outcome = await db.runTransaction(async (tx) => {
+      const doc = await tx.get(bookingRef);
+      const booking = doc.exists ? doc.data() : null;
+      const refusal = customerChangeRefusal(booking, uid, cutoffHours, now);
+      if (refusal) return { refusal };
+      tx.update(bookingRef, { status: 'cancelled', cancelledAt: now, cancelledBy: uid, statusBeforeCancel: booking.status });
+      return { booking };
+    });
+    if (outcome.refusal) return sendChangeRefusal(res, outcome.refusal, cutoffHours, 'cancelled');
+
+    const { booking } = outcome;
+    let refund = null;
+
+    if (booking.status === 'pending_payment' && booking.paymentReference) {
+      await markPaymentFailed(db, { reference: booking.paymentReference, status: 'cancelled' });
+    }
+
+    if (booking.status === 'free' && booking.subscription) {
+      await releaseEntitlement(db, { subscriptionId: booking.subscription.id, period: booking.subscription.period });
+    } else if (booking.status === 'free') {
+      await runLoyaltyChange(db, {
+        userId: booking.userId,
+        locationId,
+        op: loyaltyOps.restoreFreeWash(booking.redeemedFreeWash),
+        meta: { bookingId, actorUid: uid },
+      });
+    }
+
+    if (booking.status === 'paid') {
+      if (booking.loyaltyAward) {
+        await runLoyaltyChange(db, {
+          userId: booking.userId,
+          locationId,
+          op: loyaltyOps.reverseEarn(booking.loyaltyAward),
+          meta: { bookingId, actorUid: uid },
+        });
+      }
+
+      // The booking stays cancelled even if Paystack refuses; the failure is kept for follow-up
+      try {
+        const result = await paystack.refundTransaction({ reference: booking.paymentReference });
+        refund = { status: result.status, amount: result.amount, paystackRefundId: result.id, requestedAt: now };
+        await db.collection(PAYMENTS).doc(booking.paymentReference).update({ status: 'refunded', refund, updatedAt: now });
+      } catch (error) {
+        logger.error('cancel-booking: refund failed', { error, response: error?.response?.data });
+        refund = { status: 'failed', amount: booking.amount ?? null, requestedAt: now };
+      }
+      await bookingRef.update({ refund });
+    }
+
+    await releaseBookingPromo(locationId, bookingId);
+
+    logger.info('cancel-booking', { bookingId, locationId, previousStatus: booking.status, refund: refund?.status });
+    publishBooking('cancelled', { locationId, bookingId });
+    fillFromWaitlist(locationId, dateKeyInZone(toDate(booking.startTime), await locationTimeZone(locationId)));
+    // Unpaid holds were never confirmed, so there is nothing to tell the customer
+    if (booking.status === 'paid' || booking.status === 'free') {
+      notifyBooking('booking_cancelled', { locationId, bookingId, extra: { refund } });
+    }
+
+    return res.status(200).json({ message: 'Booking cancelled.', bookingId, refund });
+  } catch (error) {
+    logger.error('Error in /api/my/bookings/cancel', error);
+    return sendError(res, 500, 'internal_error', 'Failed to cancel booking.');
+  }
+});
+
+const rescheduleSchema = {
+  params: bookingParams,
+  body: v.object({ locationId: v.id(), ...startFields }).refine(needsStart),
+};
+
+app.post('/api/my/bookings/:bookingId/reschedule', isAuthenticated, validate(rescheduleSchema), async (req, res) => {
+  const { bookingId } = req.valid.params;
+  const { locationId } = req.valid.body;
+
+  try {
+    const timeZone = await locationTimeZone(locationId);
+    const startUTC = parseStartFromBody(req.valid.body, timeZone);
+    if (!startUTC) return sendError(res, 400, 'invalid_start', 'That date and time does not exist at this location.');
+
+    const uid = req.user.uid;
+    const now = new Date();
+    const cutoffHours = await getCancellationCutoffHours(locationId);
+
+    // Older bookings don't store their duration
+    const current = await repos.bookings.get(locationId, bookingId);
+    if (!current.exists || current.data()?.userId !== uid) {
+      return sendError(res, 404, 'booking_not_found', 'Booking not found.');
+    }
+    let duration = current.data().durationInMinutes;
+    if (!duration && current.data().serviceId) {
+      duration = (await getService(locationId, current.data().serviceId))?.durationInMinutes;
+    }
+
+    const result = await rescheduleBooking(db, {
+      locationId,
+      timeZone,
+      bookingId,
+      start: startUTC,
+      durationInMinutes: duration,
+      now,
+      guard: (booking) => customerChangeRefusal(booking, uid, cutoffHours, now),
+      prepare: moveBookingTerms(locationId, timeZone),
+    });
+    if (!result.ok) return sendChangeRefusal(res, result.reason, cutoffHours, 'rescheduled');
+
+    logger.info('reschedule-booking', { bookingId, locationId, startUTC: startUTC.toISOString(), bayId: result.bayId });
+    publishBooking(result.moved ? 'moved' : 'updated', { locationId, bookingId, previousStartTime: current.data().startTime });
+    if (result.moved) fillFromWaitlist(locationId, dateKeyInZone(toDate(current.data().startTime), timeZone));
+    if (['paid', 'free'].includes(current.data().status)) {
+      notifyBooking('booking_rescheduled', {
+        locationId,
+        bookingId,
+        extra: { previousStartTime: current.data().startTime },
+      });
+    }
+
+    return res.status(200).json({
+      message: 'Booking rescheduled.',
+      bookingId,
+      startTime: startUTC.toISOString(),
+      bayId: result.bayId,
+    });
+  } catch (error) {
+    logger.error('Error in /api/my/bookings/reschedule', error);
+    return sendError(res, 500, 'internal_error', 'Failed to reschedule booking.');
+  }
+});
+
+// ----- Customer: Waitlist -----
+// Join a waitlist for a date when the times you want are taken; freed time is offered
+// and held for a while (lib/waitlist.js). Accepting an offer starts the payment.
+const WAITLIST_REFUSALS = {
+  not_found: [404, 'waitlist_entry_not_found', 'Waitlist entry not found.'],
+  not_active: [409, 'waitlist_entry_closed', 'This waitlist entry is no longer active.'],
+  not_offered: [409, 'offer_not_open', 'There is no open offer for this entry.'],
+  expired: [409, 'offer_expired', 'This offer has expired.'],
+};
+
+function sendWaitlistRefusal(res, reason) {
+  return sendError(res, ...WAITLIST_REFUSALS[reason]);
+}
+
+const entryParams = v.object({ entryId: v.id() });
+
+const joinWaitlistSchema = {
+  body: v.object({
+    locationId: v.id(),
+    serviceId: v.id(),
+    date: v.dateKey(),
+    // Any start time from `from` up to (not including) `to`
+    from: v.slot(),
+    to: v.slot(),
+    addOnIds: v.idList().optional(),
+    vehicleId: v.id().optional(),
+    vehicleClass: v.oneOf(VEHICLE_CLASSES).optional(),
+  }).refine(({ from, to }) => (to > from ? null : { path: 'to', message: 'must be after from' })),
+};
+
+app.get('/api/my/waitlist', isAuthenticated, async (req, res) => {
+  try {
+    const snapshot = await db.collection(WAITLIST).where('userId', '==', req.user.uid).get();
+    const entries = snapshot.docs.map(serializeEntry).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    res.status(200).json(entries);
+  } catch (error) {
+    logger.error('Error in /api/my/waitlist [GET]', error);
+    sendError(res, 500, 'internal_error', 'Failed to fetch waitlist.');
+  }
+});
+
+app.post('/api/my/waitlist', isAuthenticated, validate(joinWaitlistSchema), async (req, res) => {
+  const { locationId, serviceId, date, from, to, addOnIds = [] } = req.valid.body;
+  const uid = req.user.uid;
+  try {
+    const timeZone = await locationTimeZone(locationId);
+    const now = new Date();
+    if (date < dateKeyInZone(now, timeZone)) return sendError(res, 400, 'date_in_past', 'That date has already passed.');
+    if ((await loadDayState(db, locationId, date, { now, timeZone })).closed) return sendSlotRefusal(res, 'closed');
+
+    const car = await resolveBookingVehicle(uid, req.valid.body);
+    if (car.error) return sendError(res, car.status, car.code, car.error);
+    const items = await resolveItems(locationId, serviceId, addOnIds, car.vehicleClass);
+    if (items.refusal) return sendItemRefusal(res, items);
+
+    const active = (await db.collection(WAITLIST).where('userId', '==', uid).get()).docs
+      .map((doc) => doc.data())
+      .filter((entry) => ACTIVE_WAITLIST_STATUSES.includes(entry.status));
+    if (active.some((entry) => entry.locationId === locationId && entry.date === date)) {
+      return sendError(res, 409, 'already_waitlisted', 'You are already on the waitlist for that day.');
+    }
+    if (active.length >= MAX_ACTIVE_ENTRIES) {
+      return sendError(res, 409, 'waitlist_limit_reached', `You can be on up to ${MAX_ACTIVE_ENTRIES} waitlists at a time.`);
+    }
+
+    await ensureUserProfile(uid);
+    const ref = await db.collection(WAITLIST).add({
+      locationId,
+      userId: uid,
+      date,
+      from,
+      to,
+      serviceId,
+      addOnIds: items.addOns.map((a) => a.id),
+      vehicleId: car.vehicle?.id || null,
+      vehicle: car.vehicle,
+      vehicleClass: car.vehicleClass,
+      status: 'waiting',
+      offer: null,
+      createdAt: now,
+      updatedAt: now,
+    });
+    logger.info('waitlist-join', { locationId, entryId: ref.id, date, from, to, userId: uid });
+
+    // Time may already be free in the window (e.g. the customer looked before a cancellation)
+    notifyOffers(locationId, await offerOpenings(db, { locationId, dateKey: date, offerMinutes: WAITLIST_OFFER_MINUTES, now }));
+    res.status(201).json(serializeEntry(await ref.get()));
+  } catch (error) {
+    logger.error('Error in /api/my/waitlist [POST]', error);
+    sendError(res, 500, 'internal_error', 'Failed to join waitlist.');
+  }
+});
+
+// Takes the held slot: returns a Paystack checkout like POST /api/payments/initialize
+app.post('/api/my/waitlist/:entryId/accept', isAuthenticated, bookingLimiter, validate({ params: entryParams }), async (req, res) => {
+  const uid = req.user.uid;
+  try {
+    const email = (await ensureUserProfile(uid)).data()?.email || req.user.email || null;
+    if (!email) return sendError(res, 400, 'email_required', 'An email address is required for payment.');
+
+    const now = new Date();
+    const reference = newPaymentReference();
+    const result = await acceptOffer(db, {
+      entryId: req.valid.params.entryId,
+      userId: uid,
+      reference,
+      holdMinutes: PAYMENT_HOLD_MINUTES,
+      now,
+    });
+    if (!result.ok) return sendWaitlistRefusal(res, result.reason);
+
+    const { entry, booking } = result;
+    const checkout = await startCheckout({
+      reference,
+      bookingId: booking.id,
+      locationId: entry.locationId,
+      userId: uid,
+      amount: booking.amount,
+      email,
+      now,
+    });
+    if (!checkout) return sendError(res, 502, 'payment_start_failed', 'Failed to start payment. Please try again.');
+
+    logger.info('waitlist-accept', { locationId: entry.locationId, entryId: entry.id, bookingId: booking.id, reference });
+    res.status(200).json({
+      message: 'Offer accepted. Complete payment to confirm the booking.',
+      bookingId: booking.id,
+      reference,
+      authorizationUrl: checkout.authorizationUrl,
+      accessCode: checkout.accessCode,
+      holdExpiresAt: booking.holdExpiresAt.toISOString(),
+    });
+  } catch (error) {
+    logger.error('Error in /api/my/waitlist/:entryId/accept', error);
+    sendError(res, 500, 'internal_error', 'Failed to accept offer.');
+  }
+});
+
+// Leaves the waitlist, or turns down an open offer (the slot goes to the next person)
+app.delete('/api/my/waitlist/:entryId', isAuthenticated, validate({ params: entryParams }), async (req, res) => {
+  try {
+    const result = await closeEntry(db, { entryId: req.valid.params.entryId, userId: req.user.uid, status: 'left' });
+    if (!result.ok) return sendWaitlistRefusal(res, result.reason);
+    const { entry } = result;
+    if (entry.offer) {
+      publishBooking('released', { locationId: entry.locationId, bookingId: entry.offer.bookingId });
+      fillFromWaitlist(entry.locationId, entry.date);
+    }
+    res.status(200).json({ message: entry.offer ? 'Offer declined.' : 'You have left the waitlist.' });
+  } catch (error) {
+    logger.error('Error in /api/my/waitlist/:entryId [DELETE]', error);
+    sendError(res, 500, 'internal_error', 'Failed to leave waitlist.');
+  }
+});
+
+// ----- Customer: Rewards -----
+function serializeLedgerEntry(doc) {
+  const entry = doc.data();
+  return {
+    id: doc.id,
+    ...entry,
+    createdAt: entry.createdAt?.toDate ? entry.createdAt.toDate().toISOString() : entry.createdAt,
+  };
+}
+
+// Balances per location (or just ?locationId) plus recent ledger history
+app.get('/api/rewards', isAuthenticated, validate({ query: v.object({ locationId: v.id().optional() }) }), async (req, res) => {
+  const { locationId } = req.valid.query;
+
+  try {
+    const [userDoc, ledger] = await Promise.all([
+      repos.users.get(req.user.uid),
+      repos.users.ledger(req.user.uid, 50),
+    ]);
+    const rewards = userDoc.exists ? userDoc.data()?.rewards || {} : {};
+    const locationIds = locationId ? [locationId] : Object.keys(rewards);
+
+    const now = new Date();
+    const locations = await Promise.all(
+      locationIds.map(async (id) => {
+        const [rules, locationDoc] = await Promise.all([
+          getLoyaltyRules(db, id),
+          repos.locations.get(id),
+        ]);
+        return {
+          locationId: id,
+          locationName: locationDoc.exists ? locationDoc.data().name : 'Unknown Location',
+          ...describeBalance(rewards[id], rules, now),
+          rules: {
+            earnMode: rules.earnMode,
+            pointsPerBooking: rules.pointsPerBooking,
+            randsPerPoint: rules.randsPerPoint,
+            eligibleServiceIds: rules.eligibleServiceIds,
+            pointsExpiryDays: rules.pointsExpiryDays,
+            rewardExpiryDays: rules.rewardExpiryDays,
+          },
+        };
+      })
+    );
+
+    const history = ledger
+      .map(serializeLedgerEntry)
+      .filter((entry) => !locationId || entry.locationId === locationId)
+      .slice(0, 20);
+
+    return res.status(200).json({ locations, history });
+  } catch (error) {
+    logger.error('Error in /api/rewards', error);
+    return sendError(res, 500, 'internal_error', 'Failed to fetch rewards.');
+  }
+});
+
+// ----- Customer: Promo codes -----
+// Checks a code against the booking being put together, without using it up. The wash
+// date matters: codes can be limited to dates and days of the week.
+const promoQuoteSchema = {
+  body: v.object({
+    locationId: v.id(),
+    code: promoCodeField,
+    serviceId: v.id(),
+    addOnIds: v.idList().optional(),
+    vehicleId: v.id().optional(),
+    vehicleClass: v.oneOf(VEHICLE_CLASSES).optional(),
+    date: v.dateKey(),
+  }),
+};
+
+app.post('/api/promo-codes/validate', isAuthenticated, validate(promoQuoteSchema), async (req, res) => {
+  const { locationId, code, serviceId, addOnIds, date } = req.valid.body;
+  try {
+    const car = await resolveBookingVehicle(req.user.uid, req.valid.body);
+    if (car.error) return sendError(res, car.status, car.code, car.error);
+    const items = await resolveItems(locationId, serviceId, addOnIds, car.vehicleClass);
+    if (items.refusal) return sendItemRefusal(res, items);
+
+    const quote = await quotePromo(db, {
+      locationId,
+      code,
+      userId: req.user.uid,
+      serviceId,
+      amountCents: items.amount,
+      dateKey: date,
+    });
+    if (!quote.ok) return sendPromoRefusal(res, quote.reason);
+
+    const { ok, ...body } = quote;
+    return res.status(200).json(body);
+  } catch (error) {
+    logger.error('Error in /api/promo-codes/validate', error);
+    return sendError(res, 500, 'internal_error', 'Failed to check promo code.');
+  }
+});
+
+// ----- Customer: Subscriptions -----
+app.get('/api/plans', validate({ query: v.object({ locationId: v.id() }) }), async (req, res) => {
+  const { locationId } = req.valid.query;
+  try {
+    const snapshot = await plansOf(db, locationId).where('isActive', '==', true).get();
+    const plans = snapshot.docs.map(serializePlan).sort((a, b) => a.priceCents - b.priceCents);
+    res.status(200).json(plans);
+  } catch (error) {
+    logger.error('Error in /api/plans', error);
+    sendError(res, 500, 'internal_error', 'Failed to fetch plans.');
+  }
+});
+
+// Signs up for a plan and opens the Paystack checkout for the first month. One running
+// subscription per customer and location; an unpaid earlier sign-up is replaced.
+const subscribeSchema = {
+  body: v.object({ locationId: v.id(), planId: v.id(), email: v.email().optional() }),
+};
+
+app.post('/api/subscriptions', isAuthenticated, validate(subscribeSchema), idempotent, async (req, res) => {
+  const { locationId, planId } = req.valid.body;
+  const userId = req.user.uid;
+  try {
+    const planDoc = await plansOf(db, locationId).doc(planId).get();
+    if (!planDoc.exists) return sendError(res, 404, 'plan_not_found', 'Plan not found.');
+    if (planDoc.data().isActive === false) return sendError(res, 400, 'plan_inactive', 'That plan is no longer offered.');
+
+    const existing = await subscriptionsCol(db).where('userId', '==', userId).where('locationId', '==', locationId).get();
+    if (existing.docs.some((doc) => ['active', 'past_due'].includes(doc.data().status))) {
+      return sendError(res, 409, 'subscription_exists', 'You already have a subscription at this location.');
+    }
+    const now = new Date();
+    for (const doc of existing.docs.filter((d) => d.data().status === 'pending_payment')) {
+      await cancelSubscription(db, { subscriptionId: doc.id, by: userId, reason: 'replaced', now });
+    }
+
+    const userDoc = await ensureUserProfile(userId);
+    const email = userDoc.data()?.email || req.valid.body.email;
+    if (!email) return sendError(res, 400, 'email_required', 'An email address is required for payment.');
+
+    const plan = planTerms(planDoc.data());
+    const reference = newPaymentReference();
+    const ref = subscriptionsCol(db).doc();
+    await ref.set({
+      userId,
+      locationId,
+      planId,
+      plan,
+      email,
+      status: 'pending_payment',
+      authorizationCode: null,
+      paidThrough: null,
+      currentPeriodStart: null,
+      currentPeriodEnd: null,
+      nextChargeAt: null,
+      failedCharges: 0,
+      chargeLockedUntil: null,
+      usage: {},
+      signupReference: reference,
+      createdAt: now,
+    });
+    await chargesOf(db, ref.id).doc(reference).set({
+      reference,
+      period: periodOf(now, await locationTimeZone(locationId)),
+      amount: plan.priceCents,
+      kind: 'signup',
+      status: 'initialized',
+      createdAt: now,
+      settledAt: null,
+    });
+
+    let checkout;
+    try {
+      checkout = await paystack.initializeTransaction({
+        email,
+        amount: plan.priceCents,
+        reference,
+        callbackUrl: PAYSTACK_CALLBACK_URL,
+        metadata: { subscriptionId: ref.id, locationId, userId },
+      });
+    } catch (error) {
+      logger.error('subscription-initialize: Paystack error', { error, response: error?.response?.data });
+      await chargesOf(db, ref.id).doc(reference).update({ status: 'initialize_failed', settledAt: now });
+      await cancelSubscription(db, { subscriptionId: ref.id, by: userId, reason: 'checkout_failed', now });
+      return sendError(res, 502, 'payment_start_failed', 'Failed to start payment. Please try again.');
+    }
+
+    logger.info('subscription-created', { subscriptionId: ref.id, locationId, planId, reference });
+    res.status(201).json({
+      message: 'Subscription pending payment.',
+      subscriptionId: ref.id,
+      reference,
+      amount: plan.priceCents,
+      authorizationUrl: checkout.authorizationUrl,
+      accessCode: checkout.accessCode,
+    });
+  } catch (error) {
+    logger.error('Error in /api/subscriptions', error);
+    sendError(res, 500, 'internal_error', 'Failed to start subscription.');
+  }
+});
+
+app.get('/api/subscriptions/verify/:reference', validate({ params: v.object({ reference: v.id() }) }), async (req, res) => {
+  const { reference } = req.valid.params;
+  try {
+    const snapshot = await subscriptionsCol(db).where('signupReference', '==', reference).get();
+    if (snapshot.empty) return sendError(res, 404, 'payment_not_found', 'Payment not found.');
+    const subscriptionId = snapshot.docs[0].id;
+    if (snapshot.docs[0].data().status === 'active') return res.status(200).json({ status: 'active', subscriptionId });
+
+    const transaction = await paystack.verifyTransaction(reference);
+    if (transaction.status === 'success') {
+      const result = await settleSubscriptionSignup({
+        subscriptionId,
+        reference,
+        amount: transaction.amount,
+        authorizationCode: transaction.authorizationCode,
+      });
+      if (result.amountMismatch) {
+        return sendError(res, 409, 'payment_amount_mismatch', 'Paid amount does not match the plan.');
+      }
+      return res.status(200).json({ status: result.subscription.status, subscriptionId });
+    }
+    if (transaction.status === 'failed' || transaction.status === 'reversed') {
+      await chargesOf(db, subscriptionId).doc(reference).update({ status: transaction.status, settledAt: new Date() });
+      return sendError(res, 402, 'payment_unsuccessful', 'Payment was not successful.', { status: transaction.status });
+    }
+    return res.status(202).json({ status: 'pending', subscriptionId });
+  } catch (error) {
+    logger.error('Error in /api/subscriptions/verify', { error, response: error?.response?.data });
+    sendError(res, 500, 'internal_error', 'Failed to verify payment.');
+  }
+});
+
+app.get('/api/my/subscriptions', isAuthenticated, async (req, res) => {
+  try {
+    const snapshot = await subscriptionsCol(db).where('userId', '==', req.user.uid).get();
+    const now = new Date();
+    const subscriptions = await Promise.all(snapshot.docs.map(async (doc) =>
+      serializeSubscription(doc, { timeZone: await locationTimeZone(doc.data().locationId), now })));
+    subscriptions.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    res.status(200).json(subscriptions);
+  } catch (error) {
+    logger.error('Error in /api/my/subscriptions', error);
+    sendError(res, 500, 'internal_error', 'Failed to fetch your subscriptions.');
+  }
+});
+
+const subscriptionParams = v.object({ subscriptionId: v.id() });
+
+// Stops renewals; washes left in the month already paid can still be booked
+app.post('/api/my/subscriptions/:subscriptionId/cancel', isAuthenticated, validate({ params: subscriptionParams }), async (req, res) => {
+  const { subscriptionId } = req.valid.params;
+  try {
+    const result = await cancelSubscription(db, { subscriptionId, userId: req.user.uid, by: req.user.uid, reason: 'customer' });
+    if (result.refusal === 'not_found') return sendSubscriptionRefusal(res, 'subscription_not_found');
+    if (result.refusal) return sendError(res, 409, 'subscription_cancelled', 'This subscription is already cancelled.');
+    logger.info('subscription-cancelled', { subscriptionId, by: req.user.uid });
+    const doc = await subscriptionsCol(db).doc(subscriptionId).get();
+    res.status(200).json(serializeSubscription(doc, { timeZone: await locationTimeZone(doc.data().locationId) }));
+  } catch (error) {
+    logger.error('Error in /api/my/subscriptions/cancel', error);
+    sendError(res, 500, 'internal_error', 'Failed to cancel subscription.');
+  }
+});
+
+// ----- Customer: Notification contacts -----
+// Phone for SMS/WhatsApp (E.164, e.g. +27821234567) and FCM device tokens for push
+app.put('/api/my/phone', isAuthenticated, validate({ body: v.object({ phone: v.phone().nullable() }) }), async (req, res) => {
+  const { phone } = req.valid.body;
+  try {
+    await ensureUserProfile(req.user.uid);
+    await repos.users.update(req.user.uid, { phone });
+    res.status(200).json({ message: phone ? 'Phone number saved.' : 'Phone number removed.', phone });
+  } catch (error) {
+    logger.error('Error in /api/my/phone', error);
+    sendError(res, 500, 'internal_error', 'Failed to update phone number.');
+  }
+});
+
+const MAX_DEVICE_TOKENS = 10;
+
+// Registers (or, with remove: true, forgets) a device for push notifications
+const devicesSchema = {
+  body: v.object({ token: v.string({ max: 4096 }), remove: v.boolean().default(false) }),
+};
+
+app.post('/api/my/devices', isAuthenticated, validate(devicesSchema), async (req, res) => {
+  const { token, remove } = req.valid.body;
+  try {
+    await ensureUserProfile(req.user.uid);
+    const userRef = repos.users.ref(req.user.uid);
+    const fcmTokens = await db.runTransaction(async (tx) => {
+      const current = (await tx.get(userRef)).data()?.fcmTokens || [];
+      const others = current.filter((t) => t !== token);
+      // Newest last; the oldest devices drop off past the limit
+      const next = remove ? others : [...others, token].slice(-MAX_DEVICE_TOKENS);
+      tx.update(userRef, { fcmTokens: next });
+      return next;
+    });
+    res.status(200).json({ message: remove ? 'Device removed.' : 'Device registered.', devices: fcmTokens.length });
+  } catch (error) {
+    logger.error('Error in /api/my/devices', error);
+    sendError(res, 500, 'internal_error', 'Failed to update devices.');
+  }
+});
+
+// ----- Customer: Vehicles -----
+function vehiclesOf(uid) {
+  return repos.users.vehicles(uid);
+}
+
+// Another of this customer's vehicles with the same plate, if any
+async function findDuplicateVehicle(uid, registration, exceptId = null) {
+  const snapshot = await vehiclesOf(uid).where('registration', '==', registration).get();
+  return snapshot.docs.find((d) => d.id !== exceptId) || null;
+}
+
+app.get('/api/my/vehicles', isAuthenticated, async (req, res) => {
+  try {
+    const snapshot = await vehiclesOf(req.user.uid).orderBy('createdAt').get();
+    res.status(200).json(snapshot.docs.map(bookingVehicle));
+  } catch (error) {
+    logger.error('Error in /api/my/vehicles [GET]', error);
+    sendError(res, 500, 'internal_error', 'Failed to fetch vehicles.');
+  }
+});
+
+const vehicleParams = v.object({ vehicleId: v.id() });
+
+// { make, model, registration, sizeClass }
+app.post('/api/my/vehicles', isAuthenticated, validate({ body: v.check(validateVehicle) }), async (req, res) => {
+  try {
+    const fields = vehicleFields(req.valid.body);
+    const existing = await vehiclesOf(req.user.uid).get();
+    if (existing.size >= MAX_VEHICLES) {
+      return sendError(res, 409, 'vehicle_limit_reached', `You can save up to ${MAX_VEHICLES} vehicles.`);
+    }
+    if (await findDuplicateVehicle(req.user.uid, fields.registration)) {
+      return sendError(res, 409, 'duplicate_registration', 'You already have a vehicle with that registration.');
+    }
+    await ensureUserProfile(req.user.uid);
+    const now = new Date();
+    const ref = await vehiclesOf(req.user.uid).add({ ...fields, createdAt: now, updatedAt: now });
+    res.status(201).json({ id: ref.id, ...fields });
+  } catch (error) {
+    logger.error('Error in /api/my/vehicles [POST]', error);
+    sendError(res, 500, 'internal_error', 'Failed to save vehicle.');
+  }
+});
+
+const vehicleUpdateSchema = {
+  params: vehicleParams,
+  body: v.check((body) => validateVehicle(body, { partial: true })),
+};
+
+app.patch('/api/my/vehicles/:vehicleId', isAuthenticated, validate(vehicleUpdateSchema), async (req, res) => {
+  try {
+    const ref = vehiclesOf(req.user.uid).doc(req.valid.params.vehicleId);
+    if (!(await ref.get()).exists) return sendError(res, 404, 'vehicle_not_found', 'Vehicle not found.');
+    const fields = vehicleFields(req.valid.body);
+    if (fields.registration && (await findDuplicateVehicle(req.user.uid, fields.registration, ref.id))) {
+      return sendError(res, 409, 'duplicate_registration', 'You already have a vehicle with that registration.');
+    }
+    await ref.update({ ...fields, updatedAt: new Date() });
+    res.status(200).json(bookingVehicle(await ref.get()));
+  } catch (error) {
+    logger.error('Error in /api/my/vehicles/:vehicleId [PATCH]', error);
+    sendError(res, 500, 'internal_error', 'Failed to update vehicle.');
+  }
+});
+
+// Bookings keep their own copy of the vehicle, so removing it doesn't touch them
+app.delete('/api/my/vehicles/:vehicleId', isAuthenticated, validate({ params: vehicleParams }), async (req, res) => {
+  try {
+    const ref = vehiclesOf(req.user.uid).doc(req.valid.params.vehicleId);
+    if (!(await ref.get()).exists) return sendError(res, 404, 'vehicle_not_found', 'Vehicle not found.');
+    await ref.delete();
+    res.status(200).json({ message: 'Vehicle removed.' });
+  } catch (error) {
+    logger.error('Error in /api/my/vehicles/:vehicleId [DELETE]', error);
+    sendError(res, 500, 'internal_error', 'Failed to remove vehicle.');
+  }
+});
+
+// ----- Owner: Roles -----
+// Looks a user up by { userId } or { email }
+async function findAuthUser({ userId, email }) {
+  try {
+    if (typeof userId === 'string' && userId) return await auth.getUser(userId);
+    if (typeof email === 'string' && email) return await auth.getUserByEmail(email);
+  } catch (error) {
+    if (error.code === 'auth/user-not-found') return null;
+    throw error;
+  }
+  return null;
+}
+
+// Who a role change is for
+const roleTargetFields = {
+  userId: v.id().optional(),
+  email: v.email().optional(),
+  reason: v.string({ max: 500 }).nullable().optional(),
+};
+
+function needsTarget(body) {
+  return body.userId || body.email ? null : 'Send a userId or email.';
+}
+
+const grantSchema = {
+  body: v.object({ ...roleTargetFields, role: v.any(), locationIds: v.any().nullable().optional() })
+    .refine((body) => needsTarget(body) || validateGrant(body)),
+};
+
+// { userId | email, role: 'staff' | 'manager' | 'owner' | 'customer', locationIds?, reason? }.
+// Replaces the user's role and location list; owners can't change their own role.
+app.post('/api/owner/roles/grant', isOwner, validate(grantSchema), async (req, res) => {
+  const { role, locationIds, reason } = req.valid.body;
+  try {
+    const target = await findAuthUser(req.valid.body);
+    if (!target) return sendError(res, 404, 'user_not_found', 'User not found.');
+    if (target.uid === req.user.uid) return sendError(res, 409, 'own_role', 'You cannot change your own role.');
+
+    if (Array.isArray(locationIds) && locationIds.length) {
+      const docs = await repos.locations.getMany(locationIds);
+      const missing = docs.filter((d) => !d.exists).map((d) => d.id);
+      if (missing.length) return sendError(res, 404, 'location_not_found', `Unknown location(s): ${missing.join(', ')}.`);
+    }
+
+    const entry = await setRole(db, auth, {
+      uid: target.uid,
+      role,
+      locationIds: locationIds || [],
+      actor: { uid: req.user.uid, email: req.user.email },
+      reason: reason || null,
+    });
+    logger.info('role-change', { target: target.uid, role, locationIds: entry.locationIds, by: req.user.uid });
+    publishRoleChange(target.uid);
+    res.status(200).json({ message: `${target.email || target.uid} is now ${role}.`, userId: target.uid, role, locationIds: entry.locationIds });
+  } catch (error) {
+    logger.error('Error in /api/owner/roles/grant', error);
+    sendError(res, 500, 'internal_error', 'Failed to change role.');
+  }
+});
+
+// { userId | email, reason? } — back to customer
+app.post('/api/owner/roles/revoke', isOwner, validate({ body: v.object(roleTargetFields).refine(needsTarget) }), async (req, res) => {
+  const { reason } = req.valid.body;
+  try {
+    const target = await findAuthUser(req.valid.body);
+    if (!target) return sendError(res, 404, 'user_not_found', 'User not found.');
+    if (target.uid === req.user.uid) return sendError(res, 409, 'own_role', 'You cannot change your own role.');
+
+    const entry = await setRole(db, auth, {
+      uid: target.uid,
+      role: 'customer',
+      actor: { uid: req.user.uid, email: req.user.email },
+      reason: reason || null,
+    });
+    logger.info('role-change', { target: target.uid, role: 'customer', previousRole: entry.previousRole, by: req.user.uid });
+    publishRoleChange(target.uid);
+    res.status(200).json({ message: `${target.email || target.uid} is now a customer.`, userId: target.uid, previousRole: entry.previousRole });
+  } catch (error) {
+    logger.error('Error in /api/owner/roles/revoke', error);
+    sendError(res, 500, 'internal_error', 'Failed to revoke role.');
+  }
+});
+
+// Everyone with more than the customer role
+app.get('/api/owner/roles', isOwner, async (req, res) => {
+  try {
+    const staff = await repos.users.withRoles(['staff', 'manager', 'owner']);
+    res.status(200).json(
+      staff.map((doc) => ({
+        userId: doc.id,
+        name: doc.data().name || null,
+        email: doc.data().email || null,
+        role: doc.data().role,
+        locationIds: locationIdsOf(doc.data()),
+      }))
+    );
+  } catch (error) {
+    logger.error('Error in /api/owner/roles', error);
+    sendError(res, 500, 'internal_error', 'Failed to fetch roles.');
+  }
+});
+
+// Newest first; ?userId= narrows to one person.
+// Needs an index on roleAudit (targetUid ASC, at DESC).
+const roleAuditQuery = v.object({
+  userId: v.id().optional(),
+  limit: v.int({ min: 1, max: 500, coerce: true }).default(100),
+});
+
+app.get('/api/owner/roles/audit', isOwner, validate({ query: roleAuditQuery }), async (req, res) => {
+  const { userId, limit } = req.valid.query;
+  try {
+    let query = db.collection(ROLE_AUDIT);
+    if (userId) query = query.where('targetUid', '==', userId);
+    const snapshot = await query.orderBy('at', 'desc').limit(limit).get();
+    res.status(200).json(snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data(), at: doc.data().at.toDate().toISOString() })));
+  } catch (error) {
+    logger.error('Error in /api/owner/roles/audit', error);
+    sendError(res, 500, 'internal_error', 'Failed to fetch role audit log.');
+  }
+});
+
+// Older clients: makes { email } a manager of { locationId } on top of any locations they have
+const assignManagerSchema = { body: v.object({ email: v.email(), locationId: v.id() }) };
+
+app.post('/api/assign-manager-role', isOwner, validate(assignManagerSchema), async (req, res) => {
+  const { email, locationId } = req.valid.body;
+  try {
+    const target = await findAuthUser({ email });
+    if (!target) return sendError(res, 404, 'user_not_found', 'User not found.');
+    if (target.uid === req.user.uid) return sendError(res, 409, 'own_role', 'You cannot change your own role.');
+    if (!(await repos.locations.exists(locationId))) {
+      return sendError(res, 404, 'location_not_found', 'Location not found.');
+    }
+
+    const profile = (await repos.users.get(target.uid)).data();
+    const current = profile?.role === 'manager' ? locationIdsOf(profile) : [];
+    await setRole(db, auth, {
+      uid: target.uid,
+      role: 'manager',
+      locationIds: [...current, locationId],
+      actor: { uid: req.user.uid, email: req.user.email },
+    });
+    publishRoleChange(target.uid);
+    res.status(200).json({ message: `Successfully assigned manager role to ${email}` });
+  } catch (error) {
+    logger.error('Error in /api/assign-manager-role', error);
+    sendError(res, 500, 'internal_error', 'Failed to assign role.');
+  }
+});
+
+// ----- Owner: Locations -----
+// Every location, including closed ones (isActive: false), which /api/locations hides
+app.get('/api/owner/locations', isOwner, async (req, res) => {
+  try {
+    const locations = await repos.locations.list();
+    res.status(200).json(locations.map((doc) => ({ id: doc.id, ...doc.data(), isActive: doc.data().isActive !== false })));
+  } catch (error) {
+    logger.error('Error in /api/owner/locations [GET]', error);
+    sendError(res, 500, 'internal_error', 'Failed to fetch locations.');
+  }
+});
+
+// { name, address?, phone?, timezone?, isActive? }
+app.post('/api/owner/locations', isOwner, validate({ body: v.check(validateLocation) }), async (req, res) => {
+  try {
+    const now = new Date();
+    const location = {
+      address: null,
+      phone: null,
+      timezone: DEFAULT_TIMEZONE,
+      isActive: true,
+      ...req.valid.body,
+      createdAt: now,
+      updatedAt: now,
+      updatedBy: req.user.uid,
+    };
+    const ref = await repos.locations.create(location);
+    logger.info('location-created', { locationId: ref.id, by: req.user.uid });
+    res.status(201).json({ id: ref.id, ...location });
+  } catch (error) {
+    logger.error('Error in /api/owner/locations [POST]', error);
+    sendError(res, 500, 'internal_error', 'Failed to create location.');
+  }
+});
+
+// Any of the POST fields; { isActive: false } closes the location to new bookings
+const locationUpdateSchema = {
+  params: v.object({ locationId: v.id() }),
+  body: v.check((body) => validateLocation(body, { partial: true })),
+};
+
+app.patch('/api/owner/locations/:locationId', isOwner, validate(locationUpdateSchema), async (req, res) => {
+  try {
+    const { locationId } = req.valid.params;
+    if (!(await repos.locations.exists(locationId))) return sendError(res, 404, 'location_not_found', 'Location not found.');
+    await repos.locations.update(locationId, { ...req.valid.body, updatedAt: new Date(), updatedBy: req.user.uid });
+    res.status(200).json({ id: locationId, ...(await repos.locations.get(locationId)).data() });
+  } catch (error) {
+    logger.error('Error in /api/owner/locations/:locationId [PATCH]', error);
+    sendError(res, 500, 'internal_error', 'Failed to update location.');
+  }
+});
+
+// ----- Manager Routes -----
+// For the location selector: every location this user can act on
+app.get('/api/manager/locations', requireRole('staff', { location: false }), async (req, res) => {
+  try {
+    const locations = await repos.locations.list();
+    const allowed = req.user.locationIds;
+    res.status(200).json(
+      locations
+        .filter((doc) => !allowed || allowed.includes(doc.id))
+        .map((doc) => ({ id: doc.id, name: doc.data().name || null }))
+    );
+  } catch (error) {
+    logger.error('Error in /api/manager/locations', error);
+    sendError(res, 500, 'internal_error', 'Failed to fetch locations.');
+  }
+});
+
+// ?date= for the manager views that show one day
+const dayQuery = v.object({ date: v.dateKey() });
+
+// One booking as the manager board shows it, with customer, service and washer names
+async function boardBooking(locationId, doc, timeZone) {
+  const booking = doc.data();
+  const [userDoc, serviceDoc, washerDoc] = await Promise.all([
+    repos.users.get(booking.userId),
+    repos.services.get(locationId, booking.serviceId),
+    booking.washerId ? staffOf(db, locationId).doc(booking.washerId).get() : null,
+  ]);
+  return {
+    id: doc.id,
+    ...booking,
+    userName: userDoc.exists ? userDoc.data().name : 'Unknown User',
+    serviceName: serviceDoc.exists ? serviceDoc.data().name : 'Unknown Service',
+    // Bookings at locations without a roster (and older ones) have no washer
+    washerId: booking.washerId || null,
+    washerName: washerDoc?.exists ? washerDoc.data().name : null,
+    // Which car is coming in (older bookings have none)
+    vehicle: booking.vehicle || null,
+    vehicleClass: booking.vehicleClass || null,
+    // startTimeSAST kept for existing clients; it is the location's local time
+    startTimeSAST: timeLabelInZone(booking.startTime.toDate(), timeZone),
+    startTimeLocal: timeLabelInZone(booking.startTime.toDate(), timeZone),
+    timezone: timeZone,
+  };
+}
+
+// The location's local day, not the UTC day
+async function loadBoard(locationId, date, timeZone) {
+  const { start: startOfRequestedDay, end: endOfRequestedDay } = dayBoundsUTC(date, timeZone);
+  const bookings = await repos.bookings.between(locationId, startOfRequestedDay, endOfRequestedDay);
+  return Promise.all(bookings.map((doc) => boardBooking(locationId, doc, timeZone)));
+}
+
+app.get('/api/manager/bookings', isStaff, validate({ query: dayQuery }), async (req, res) => {
+  const { date } = req.valid.query;
+  const locationId = req.user.managedLocationId;
+  try {
+    const timeZone = await locationTimeZone(locationId);
+    res.status(200).json(await loadBoard(locationId, date, timeZone));
+  } catch (error) {
+    logger.error('Error in /api/manager/bookings', error);
+    sendError(res, 500, 'internal_error', 'Failed to fetch manager bookings.');
+  }
+});
+
+// ----- Live: Manager booking board (SSE) -----
+// ?date= (and ?locationId= as usual). Sends `snapshot` (the list GET /api/manager/bookings
+// returns) on connect, then `booking` ({ kind, booking }) as bookings on that day are
+// created, paid, cancelled, released, moved, edited or checked in (kinds: lib/events.js).
+// A booking moved to another day still arrives once, with its new startTime, so the
+// board can drop it. The browser's EventSource can't set headers, so the ID token may
+// come as ?access_token= instead.
+//
+// The stream outlives the checks that opened it, so it ends when the token expires or the
+// user's role changes: at once for a change made through this process (the 'role' event),
+// otherwise when users/{uid} is next re-read (every STREAM_ACCESS_CHECK_MS). The client
+// then reconnects with a fresh token, or is refused.
+const STREAM_ACCESS_CHECK_MS = 60 * 1000;
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+function tokenFromQuery(req, res, next) {
+  const token = req.query?.access_token;
+  if (!req.headers.authorization && typeof token === 'string' && token) {
+    req.headers.authorization = `Bearer ${token}`;
+    // identifyCaller has already checked the request without it
+    delete req.tokenCheck;
+  }
+  next();
+}
+
+function endWithAccess(stream, user) {
+  const expiresInMs = user.exp ? user.exp * 1000 - Date.now() : null;
+  const expiry = expiresInMs !== null ? setTimeout(() => stream.close(), Math.min(Math.max(0, expiresInMs), MAX_TIMEOUT_MS)) : null;
+  const unsubscribe = events.subscribe('role', (event) => {
+    if (event.uid === user.uid) stream.close();
+  });
+  const recheck = setInterval(() => {
+    repos.users
+      .get(user.uid)
+      .then((doc) => {
+        const roleChangedAt = toDate(doc.data()?.roleChangedAt);
+        if (roleChangedAt && user.iat < Math.floor(roleChangedAt.getTime() / 1000)) stream.close();
+      })
+      .catch((error) => logger.error('board-stream access check error', { uid: user.uid, error }));
+  }, STREAM_ACCESS_CHECK_MS);
+  stream.onClose(() => {
+    clearTimeout(expiry);
+    clearInterval(recheck);
+    unsubscribe();
+  });
+}
+
+app.get('/api/manager/bookings/stream', tokenFromQuery, isStaff, validate({ query: dayQuery }), async (req, res) => {
+  const { date } = req.valid.query;
+  const locationId = req.user.managedLocationId;
+  let timeZone;
+  let snapshot;
+  try {
+    timeZone = await locationTimeZone(locationId);
+    snapshot = await loadBoard(locationId, date, timeZone);
+  } catch (error) {
+    logger.error('Error in /api/manager/bookings/stream', error);
+    return sendError(res, 500, 'internal_error', 'Failed to fetch manager bookings.');
+  }
+
+  const release = takeStreamPlace(`uid:${req.user.uid}`);
+  if (!release) return sendTooManyStreams(res);
+  const stream = openStream(req, res);
+  stream.onClose(release);
+  endWithAccess(stream, req.user);
+  stream.send('snapshot', snapshot);
+
+  // One booking at a time, so updates reach the board in the order they happened
+  let queue = Promise.resolve();
+  const unsubscribe = events.subscribe('booking', (event) => {
+    if (event.locationId !== locationId || !touchesDate(event, date)) return;
+    queue = queue
+      .then(async () => {
+        const doc = await repos.bookings.get(locationId, event.bookingId);
+        if (!doc.exists || stream.closed) return;
+        stream.send('booking', { kind: event.kind, booking: await boardBooking(locationId, doc, timeZone) });
+      })
+      .catch((error) => logger.error('board-stream error', { locationId, bookingId: event.bookingId, error }));
+  });
+  stream.onClose(unsubscribe);
+});
+
+const summaryQuery = v.object({
+  month: v.int({ min: 1, max: 12, coerce: true }),
+  year: v.int({ min: 2000, max: 9999, coerce: true }),
+});
+
+app.get('/api/manager/bookings/summary', isManager, validate({ query: summaryQuery }), async (req, res) => {
+  const { month, year } = req.valid.query;
+  const locationId = req.user.managedLocationId;
+  try {
+    const timeZone = await locationTimeZone(locationId);
+    const bounds = monthBoundsUTC(year, month, timeZone);
+    const from = dateKeyInZone(bounds.start, timeZone);
+    const to = dateKeyInZone(bounds.end, timeZone);
+    const report = await buildLocationReport(db, { locationId, from, to, timeZone });
+
+    const topServices = report.byService
+      .filter((row) => row.bookings > 0)
+      .map((row) => ({ serviceName: row.serviceName, count: row.bookings }))
+      .sort((a, b) => b.count - a.count);
+    const topClients = report.topClients
+      .slice(0, 5)
+      .map((row) => ({ userName: row.userName, count: row.bookings }));
+
+    res.status(200).json({ topServices, topClients });
+  } catch (error) {
+    logger.error('Error in /api/manager/bookings/summary', error);
+    sendError(res, 500, 'internal_error', 'Failed to fetch booking summary.');
+  }
+});
+
+// Check-in / complete / no-show (lib/lifecycle.js). Body: { status, note? }
+const TRANSITION_REFUSALS = {
+  not_found: [404, 'booking_not_found', 'Booking not found.'],
+  too_early: [409, 'no_show_too_early', 'A customer can only be marked as a no-show after the booking has started.'],
+};
+
+const statusSchema = {
+  params: bookingParams,
+  body: v.object({
+    status: v.oneOf(MANAGER_STATUSES),
+    note: v.string({ max: 500, trim: true }).nullable().optional(),
+  }),
+};
+
+app.post('/api/manager/bookings/:bookingId/status', isStaff, validate(statusSchema), async (req, res) => {
+  const { bookingId } = req.valid.params;
+  const { status, note } = req.valid.body;
+  const locationId = req.user.managedLocationId;
+  try {
+    const result = await transitionBooking(db, {
+      locationId,
+      bookingId,
+      to: status,
+      actor: { uid: req.user.uid },
+      note: note || null,
+    });
+    if (!result.ok) {
+      if (result.reason === 'invalid_transition') {
+        return sendError(res, 409, 'invalid_transition', `This booking is ${result.from} and cannot be marked ${status}.`);
+      }
+      return sendError(res, ...TRANSITION_REFUSALS[result.reason]);
+    }
+
+    logger.info('booking-status', { bookingId, locationId, from: result.from, to: result.to, by: req.user.uid });
+    publishBooking('status', { locationId, bookingId });
+    res.status(200).json({ message: `Booking marked ${result.to}.`, bookingId, from: result.from, status: result.to });
+  } catch (error) {
+    logger.error('Error in /api/manager/bookings/status', error);
+    sendError(res, 500, 'internal_error', 'Failed to update booking status.');
+  }
+});
+
+// Manual edits when plans change at the counter: { bayId?, serviceId?, date+slot | startTime? }.
+// Goes through the same capacity checks as a customer booking; a booking that has
+// already started can still be moved to another bay or service without a new time.
+const MANAGER_EDITABLE_STATUSES = new Set(['pending_payment', 'paid', 'free', 'in_progress']);
+
+const managerEditSchema = {
+  params: bookingParams,
+  body: v.object({
+    // null lets the booking take any free bay or washer
+    bayId: v.int({ min: 1 }).nullable().optional(),
+    washerId: v.id().nullable().optional(),
+    serviceId: v.id().optional(),
+    ...startFields,
+  }).refine((body) => {
+    if (body.bayId === undefined && body.washerId === undefined && body.serviceId === undefined && !needsTime(body)) {
+      return 'Nothing to change (send bayId, washerId, serviceId, or a new {date,slot} or startTime).';
+    }
+    return needsTime(body) ? needsStart(body) : null;
+  }),
+};
+
+// Whether an edit asks for a new time at all
+function needsTime({ date, slot, startTime }) {
+  return Boolean(date || slot || startTime);
+}
+
+app.patch('/api/manager/bookings/:bookingId', isStaff, validate(managerEditSchema), idempotent, async (req, res) => {
+  const { bookingId } = req.valid.params;
+  const { bayId, washerId, serviceId } = req.valid.body;
+  const locationId = req.user.managedLocationId;
+  const changesTime = needsTime(req.valid.body);
+  try {
+    const timeZone = await locationTimeZone(locationId);
+    const current = await repos.bookings.get(locationId, bookingId);
+    if (!current.exists) return sendError(res, 404, 'booking_not_found', 'Booking not found.');
+    const booking = current.data();
+
+    const start = changesTime ? parseStartFromBody(req.valid.body, timeZone) : booking.startTime.toDate();
+    if (!start) return sendError(res, 400, 'invalid_start', 'That date and time does not exist at this location.');
+
+    let service = null;
+    if (serviceId !== undefined) {
+      service = await getService(locationId, serviceId);
+      if (!service) return sendError(res, 404, 'service_not_found', 'Service not found.');
+    }
+    // A new service keeps the booking's add-ons, so the bay time includes them
+    const addOnMinutes = (booking.addOns || []).reduce((sum, a) => sum + (Number(a.durationInMinutes) || 0), 0);
+    let duration = service
+      ? servicePriceFor(service, booking.vehicleClass).durationInMinutes + addOnMinutes
+      : booking.durationInMinutes;
+    if (!duration && booking.serviceId) {
+      duration = (await getService(locationId, booking.serviceId))?.durationInMinutes;
+    }
+
+    const now = new Date();
+    const changes = {
+      ...(bayId !== undefined ? { bayId } : {}),
+      ...(washerId !== undefined ? { washerId } : {}),
+      ...(service ? { serviceId: service.id } : {}),
+      ...(changesTime ? { startTime: start.toISOString() } : {}),
+    };
+    const result = await rescheduleBooking(db, {
+      locationId,
+      timeZone,
+      bookingId,
+      start,
+      durationInMinutes: duration,
+      bayId: bayId ?? null,
+      washerId: washerId ?? null,
+      allowPast: start.getTime() === booking.startTime.toDate().getTime(),
+      now,
+      guard: (fresh) => (MANAGER_EDITABLE_STATUSES.has(fresh.status) ? null : 'not_editable'),
+      prepare: moveBookingTerms(locationId, timeZone),
+      extra: (fresh) => ({
+        ...(service ? { serviceId: service.id, servicePriceCents: servicePriceFor(service, fresh.vehicleClass).priceCents } : {}),
+        lastEditedAt: now,
+        lastEditedBy: req.user.uid,
+        editHistory: [
+          ...(fresh.editHistory || []),
+          {
+            by: req.user.uid,
+            at: now,
+            changes,
+            previous: {
+              bayId: fresh.bayId ?? null,
+              washerId: fresh.washerId ?? null,
+              serviceId: fresh.serviceId ?? null,
+              startTime: fresh.startTime,
+            },
+          },
+        ],
+      }),
+    });
+    if (!result.ok) {
+      if (result.reason === 'not_found') return sendError(res, 404, 'booking_not_found', 'Booking not found.');
+      if (result.reason === 'not_editable') {
+        return sendError(res, 409, 'booking_not_editable', `This booking is ${booking.status} and can no longer be edited.`);
+      }
+      if (SUBSCRIPTION_REFUSALS[result.reason]) return sendSubscriptionRefusal(res, result.reason);
+      if (PROMO_REFUSALS[result.reason]) return sendPromoRefusal(res, result.reason);
+      return sendSlotRefusal(res, result.reason);
+    }
+
+    logger.info('manager-edit-booking', { bookingId, locationId, changes, bayId: result.bayId, washerId: result.washerId, by: req.user.uid });
+    publishBooking(result.moved ? 'moved' : 'updated', { locationId, bookingId, previousStartTime: booking.startTime });
+    // A move or a shorter service can free time on the original date
+    fillFromWaitlist(locationId, dateKeyInZone(booking.startTime.toDate(), timeZone));
+    if (result.moved && ['paid', 'free'].includes(booking.status)) {
+      notifyBooking('booking_rescheduled', { locationId, bookingId, extra: { previousStartTime: booking.startTime } });
+    }
+
+    res.status(200).json({
+      message: 'Booking updated.',
+      bookingId,
+      startTime: start.toISOString(),
+      bayId: result.bayId,
+      washerId: result.washerId,
+      serviceId: service ? service.id : booking.serviceId,
+      durationInMinutes: duration,
+    });
+  } catch (error) {
+    logger.error('Error in /api/manager/bookings/edit', error);
+    sendError(res, 500, 'internal_error', 'Failed to update booking.');
+  }
+});
+
+// Effective settings for one date: daily overrides on top of the global defaults
+app.get('/api/manager/settings', isManager, validate({ query: dayQuery }), async (req, res) => {
+  const { date } = req.valid.query;
+  const locationId = req.user.managedLocationId;
+  try {
+    const [dailyData, globalData, schedule, timeZone] = await Promise.all([
+      repos.settings.data(locationId, date),
+      repos.settings.data(locationId, 'global'),
+      repos.settings.data(locationId, 'schedule'),
+      locationTimeZone(locationId),
+    ]);
+    const day = resolveDayHours(schedule, dailyData, date);
+
+    res.status(200).json({
+      ...(globalData || {}),
+      ...(dailyData || {}),
+      activeBays: resolveActiveBays(dailyData, globalData),
+      hours: day.hours,
+      closed: day.closed,
+      closedReason: day.closedReason,
+      timezone: timeZone,
+    });
+  } catch (error) {
+    logger.error('Error in /api/manager/settings', error);
+    sendError(res, 500, 'internal_error', 'Failed to fetch settings.');
+  }
+});
+
+// IANA timezone the location's dates and slots are in, e.g. 'Africa/Johannesburg'
+app.put('/api/manager/settings/timezone', isManager, validate({ body: v.object({ timezone: v.timeZone() }) }), async (req, res) => {
+  const { timezone } = req.valid.body;
+  const locationId = req.user.managedLocationId;
+  try {
+    await repos.locations.merge(locationId, { timezone });
+    publishAvailability(locationId);
+    res.status(200).json({ message: `Timezone set to ${timezone}.`, timezone });
+  } catch (error) {
+    logger.error('Error in /api/manager/settings/timezone', error);
+    sendError(res, 500, 'internal_error', 'Failed to update timezone.');
+  }
+});
+
+const activeBaysSchema = { body: v.object({ count: v.int({ min: 1, max: 50 }), date: v.dateKey() }) };
+
+app.post('/api/manager/settings/activeBays', isManager, validate(activeBaysSchema), async (req, res) => {
+  const { count, date } = req.valid.body;
+  const locationId = req.user.managedLocationId;
+  try {
+    await repos.settings.merge(locationId, date, { activeBays: count });
+    publishAvailability(locationId, [date]);
+    fillFromWaitlist(locationId, date);
+    res.status(200).json({ message: `Active bays for ${date} successfully set to ${count}.` });
+  } catch (error) {
+    logger.error('Error in /api/manager/settings/activeBays', error);
+    sendError(res, 500, 'internal_error', 'Failed to update settings.');
+  }
+});
+
+app.get('/api/manager/settings/schedule', isManager, async (req, res) => {
+  const locationId = req.user?.managedLocationId;
+  try {
+    res.status(200).json(normalizeSchedule(await repos.settings.data(locationId, 'schedule')));
+  } catch (error) {
+    logger.error('Error in /api/manager/settings/schedule [GET]', error);
+    sendError(res, 500, 'internal_error', 'Failed to fetch schedule.');
+  }
+});
+
+// Weekly template: { slotInterval?, weekly: { mon: [{ open, close }], ..., sun: [] } }.
+// Days left out keep their current hours.
+const scheduleSchema = {
+  body: v.object({
+    weekly: v.check(validateWeekly).optional(),
+    slotInterval: v.check(validateSlotInterval).optional(),
+  }).refine(({ weekly, slotInterval }) =>
+    (weekly === undefined && slotInterval === undefined ? 'Provide weekly hours and/or slotInterval.' : null)),
+};
+
+app.put('/api/manager/settings/schedule', isManager, validate(scheduleSchema), async (req, res) => {
+  const { slotInterval, weekly } = req.valid.body;
+  const locationId = req.user.managedLocationId;
+  try {
+    const current = normalizeSchedule(await repos.settings.data(locationId, 'schedule'));
+    const next = {
+      slotInterval: slotInterval === undefined ? current.slotInterval : Number(slotInterval),
+      weekly: { ...current.weekly, ...(weekly || {}) },
+      updatedAt: new Date(),
+      updatedBy: req.user.uid,
+    };
+    await repos.settings.replace(locationId, 'schedule', next);
+    publishAvailability(locationId);
+    res.status(200).json({ message: 'Schedule updated.', ...normalizeSchedule(next) });
+  } catch (error) {
+    logger.error('Error in /api/manager/settings/schedule [PUT]', error);
+    sendError(res, 500, 'internal_error', 'Failed to update schedule.');
+  }
+});
+
+// Different hours for one date; `hours: null` goes back to the weekly template
+const hoursSchema = { body: v.object({ date: v.dateKey(), hours: v.check(validateHours).nullable() }) };
+
+app.post('/api/manager/settings/hours', isManager, validate(hoursSchema), async (req, res) => {
+  const { date, hours } = req.valid.body;
+  const locationId = req.user.managedLocationId;
+  try {
+    if (hours === null) {
+      const daily = await repos.settings.data(locationId, date);
+      if (daily) {
+        const { hours: _removed, ...rest } = daily;
+        await repos.settings.replace(locationId, date, rest);
+      }
+      publishAvailability(locationId, [date]);
+      return res.status(200).json({ message: `Hours for ${date} reset to the weekly schedule.` });
+    }
+    await repos.settings.merge(locationId, date, { hours: hours.map(({ open, close }) => ({ open, close })) });
+    publishAvailability(locationId, [date]);
+    res.status(200).json({ message: `Hours for ${date} updated.` });
+  } catch (error) {
+    logger.error('Error in /api/manager/settings/hours', error);
+    sendError(res, 500, 'internal_error', 'Failed to update hours.');
+  }
+});
+
+// Closed dates (public holidays etc.) in a range, default: from today onwards
+const closedDatesQuery = v.object({ from: v.dateKey().optional(), to: v.dateKey().optional() });
+
+app.get('/api/manager/settings/closed-dates', isManager, validate({ query: closedDatesQuery }), async (req, res) => {
+  const { from, to } = req.valid.query;
+  const locationId = req.user.managedLocationId;
+  try {
+    const closedDays = await repos.settings.closedDays(locationId);
+    const fromKey = from || dateKeyInZone(new Date(), await locationTimeZone(locationId));
+    const toKey = to || '9999-12-31';
+    const dates = closedDays
+      .filter((doc) => doc.id >= fromKey && doc.id <= toKey)
+      .map((doc) => ({ date: doc.id, reason: doc.data().closedReason || null }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+    res.status(200).json(dates);
+  } catch (error) {
+    logger.error('Error in /api/manager/settings/closed-dates [GET]', error);
+    sendError(res, 500, 'internal_error', 'Failed to fetch closed dates.');
+  }
+});
+
+const closedDateSchema = {
+  body: v.object({ date: v.dateKey(), closed: v.boolean(), reason: v.string({ max: 200 }).nullable().optional() }),
+};
+
+app.post('/api/manager/settings/closed-dates', isManager, validate(closedDateSchema), async (req, res) => {
+  const { date, closed, reason } = req.valid.body;
+  const locationId = req.user.managedLocationId;
+  try {
+    await repos.settings.merge(locationId, date, { closed, closedReason: closed && reason ? reason : null });
+    publishAvailability(locationId, [date]);
+    res.status(200).json({ message: closed ? `${date} marked as closed.` : `${date} reopened.` });
+  } catch (error) {
+    logger.error('Error in /api/manager/settings/closed-dates [POST]', error);
+    sendError(res, 500, 'internal_error', 'Failed to update closed dates.');
+  }
+});
+
+// ----- Manager: Loyalty -----
+app.get('/api/manager/loyalty/rules', isManager, async (req, res) => {
+  try {
+    res.status(200).json(await getLoyaltyRules(db, req.user.managedLocationId));
+  } catch (error) {
+    logger.error('Error in /api/manager/loyalty/rules [GET]', error);
+    sendError(res, 500, 'internal_error', 'Failed to fetch loyalty rules.');
+  }
+});
+
+// Partial updates: rules left out keep their current values
+app.put('/api/manager/loyalty/rules', isManager, validate({ body: v.check(validateLoyaltyRules) }), async (req, res) => {
+  const locationId = req.user.managedLocationId;
+  try {
+    const current = normalizeLoyaltyRules(await repos.settings.data(locationId, 'loyalty'));
+    const next = { ...current, ...req.valid.body };
+    await repos.settings.replace(locationId, 'loyalty', { ...next, updatedAt: new Date(), updatedBy: req.user.uid });
+    res.status(200).json({ message: 'Loyalty rules updated.', ...next });
+  } catch (error) {
+    logger.error('Error in /api/manager/loyalty/rules [PUT]', error);
+    sendError(res, 500, 'internal_error', 'Failed to update loyalty rules.');
+  }
+});
+
+app.get('/api/manager/loyalty/customers/:userId', isManager, validate({ params: v.object({ userId: v.id() }) }), async (req, res) => {
+  const locationId = req.user.managedLocationId;
+  try {
+    const [userDoc, ledger, rules] = await Promise.all([
+      repos.users.get(req.valid.params.userId),
+      repos.users.ledger(req.valid.params.userId, 100),
+      getLoyaltyRules(db, locationId),
+    ]);
+    if (!userDoc.exists) return sendError(res, 404, 'customer_not_found', 'Customer not found.');
+
+    res.status(200).json({
+      userId: userDoc.id,
+      name: userDoc.data().name || null,
+      ...describeBalance(userDoc.data()?.rewards?.[locationId], rules),
+      history: ledger.map(serializeLedgerEntry).filter((entry) => entry.locationId === locationId),
+    });
+  } catch (error) {
+    logger.error('Error in /api/manager/loyalty/customers', error);
+    sendError(res, 500, 'internal_error', 'Failed to fetch customer rewards.');
+  }
+});
+
+// { userId, points?, freeWashes?, reason } — negative values deduct
+const adjustSchema = {
+  body: v.object({
+    userId: v.id(),
+    points: v.int().default(0),
+    freeWashes: v.int().default(0),
+    reason: v.string({ max: 200, trim: true }),
+  }).refine(({ points, freeWashes }) =>
+    (points === 0 && freeWashes === 0 ? 'Send a non-zero number of points and/or freeWashes.' : null)),
+};
+
+app.post('/api/manager/loyalty/adjust', isManager, validate(adjustSchema), async (req, res) => {
+  const { userId, points, freeWashes, reason } = req.valid.body;
+  const locationId = req.user.managedLocationId;
+  try {
+    const change = await runLoyaltyChange(db, {
+      userId,
+      locationId,
+      op: loyaltyOps.adjust({ points, freeWashes }),
+      meta: { reason, actorUid: req.user.uid },
+    });
+    if (change.refusal === 'no_account') return sendError(res, 404, 'customer_not_found', 'Customer not found.');
+    if (change.refusal) {
+      return sendError(res, 409, 'insufficient_balance', 'Adjustment would take the balance below zero.');
+    }
+    res.status(200).json({ message: 'Rewards adjusted.', ...change.balance });
+  } catch (error) {
+    logger.error('Error in /api/manager/loyalty/adjust', error);
+    sendError(res, 500, 'internal_error', 'Failed to adjust rewards.');
+  }
+});
+
+
+app.get('/api/manager/blocked-slots', isStaff, validate({ query: dayQuery }), async (req, res) => {
+  const { date } = req.valid.query;
+  const locationId = req.user.managedLocationId;
+  try {
+    res.status(200).json(await repos.blockedSlots.forDay(locationId, date));
+  } catch (error) {
+    logger.error('Error in /api/manager/blocked-slots [GET]', error);
+    sendError(res, 500, 'internal_error', 'Failed to fetch blocked slots.');
+  }
+});
+
+const blockSlotSchema = { body: v.object({ date: v.dateKey(), slot: v.slot() }) };
+
+app.post('/api/manager/blocked-slots', isManager, validate(blockSlotSchema), async (req, res) => {
+  const { date, slot } = req.valid.body;
+  const locationId = req.user.managedLocationId;
+  try {
+    const doc = await repos.blockedSlots.get(locationId, date, slot);
+    if (doc.exists) {
+      await repos.blockedSlots.remove(locationId, date, slot);
+      publishAvailability(locationId, [date]);
+      fillFromWaitlist(locationId, date);
+      res.status(200).json({ message: `Slot ${slot} on ${date} has been unblocked.` });
+    } else {
+      await repos.blockedSlots.add(locationId, date, slot);
+      publishAvailability(locationId, [date]);
+      res.status(200).json({ message: `Slot ${slot} on ${date} has been blocked.` });
+    }
+  } catch (error) {
+    logger.error('Error in /api/manager/blocked-slots [POST]', error);
+    sendError(res, 500, 'internal_error', 'Failed to update blocked slot.');
+  }
+});
+
+// ----- Manager: Blocked time -----
+// Time ranges, whole days and weekly rules, for every bay or named bays (lib/blocks.js).
+// Blocking doesn't touch bookings already in that time.
+
+// The dates a block's change can show up on, for the live feeds (null = any date)
+function blockDateKeys({ date, until }) {
+  return date === until ? [date] : null;
+}
+
+const blocksQuery = v.object({ from: v.dateKey().optional(), to: v.dateKey().optional() });
+
+// Blocks that apply anywhere in ?from..?to (default: from today onwards)
+app.get('/api/manager/blocks', isStaff, validate({ query: blocksQuery }), async (req, res) => {
+  const locationId = req.user.managedLocationId;
+  try {
+    const from = req.valid.query.from || dateKeyInZone(new Date(), await locationTimeZone(locationId));
+    const to = req.valid.query.to || '9999-12-31';
+    if (to < from) return sendError(res, 400, 'invalid_range', 'from must not be after to.');
+    const blocks = await loadBlocks(db, locationId, from, to);
+    blocks.sort((a, b) => a.date.localeCompare(b.date) || (a.start || '').localeCompare(b.start || ''));
+    res.status(200).json(blocks.map(serializeBlock));
+  } catch (error) {
+    logger.error('Error in /api/manager/blocks [GET]', error);
+    sendError(res, 500, 'internal_error', 'Failed to fetch blocks.');
+  }
+});
+
+// { date, until?, weekdays?, start?, end?, bayIds?, reason? }
+app.post('/api/manager/blocks', isManager, validate({ body: v.check(validateBlock) }), async (req, res) => {
+  const locationId = req.user.managedLocationId;
+  try {
+    const block = { ...blockFields(req.valid.body), createdAt: new Date(), createdBy: req.user.uid };
+    const ref = await blocksOf(db, locationId).add(block);
+    logger.info('block-created', { locationId, blockId: ref.id, by: req.user.uid });
+    publishAvailability(locationId, blockDateKeys(block));
+    res.status(201).json(serializeBlock({ id: ref.id, ...block }));
+  } catch (error) {
+    logger.error('Error in /api/manager/blocks [POST]', error);
+    sendError(res, 500, 'internal_error', 'Failed to create block.');
+  }
+});
+
+app.delete('/api/manager/blocks/:blockId', isManager, validate({ params: v.object({ blockId: v.id() }) }), async (req, res) => {
+  const locationId = req.user.managedLocationId;
+  try {
+    const ref = blocksOf(db, locationId).doc(req.valid.params.blockId);
+    const doc = await ref.get();
+    if (!doc.exists) return sendError(res, 404, 'block_not_found', 'Block not found.');
+    await ref.delete();
+    logger.info('block-removed', { locationId, blockId: ref.id, by: req.user.uid });
+    publishAvailability(locationId, blockDateKeys(doc.data()));
+    // Waiting customers on the dates it covered may fit now
+    await fillWaitlistBetween(locationId, doc.data().date, doc.data().until);
+    res.status(200).json({ message: 'Block removed.' });
+  } catch (error) {
+    logger.error('Error in /api/manager/blocks/:blockId [DELETE]', error);
+    sendError(res, 500, 'internal_error', 'Failed to remove block.');
+  }
+});
+
+// ----- Manager: Roster -----
+// Washer profiles, their shifts and leave (lib/roster.js). Once a location has an active
+// profile every booking needs a washer on shift, so add shifts alongside the first
+// profiles. Changes don't move bookings already assigned; reassign them with
+// PATCH /api/manager/bookings/:bookingId { washerId }.
+const staffParams = v.object({ staffId: v.id() });
+const rangeQuery = v.object({ from: v.dateKey().optional(), to: v.dateKey().optional() });
+
+// ?from..?to, defaulting to today onwards; returns { from, to } or null when reversed
+async function rosterRange(locationId, query) {
+  const from = query.from || dateKeyInZone(new Date(), await locationTimeZone(locationId));
+  const to = query.to || '9999-12-31';
+  return to < from ? null : { from, to };
+}
+
+// A profile's userId must be a known user, linked to at most one profile here
+async function staffUserRefusal(locationId, userId, staffId = null) {
+  if (!userId) return null;
+  const userDoc = await repos.users.get(userId);
+  if (!userDoc.exists) return [404, 'user_not_found', 'User not found.'];
+  const linked = await staffOf(db, locationId).where('userId', '==', userId).get();
+  if (linked.docs.some((doc) => doc.id !== staffId)) {
+    return [409, 'staff_user_taken', 'That user is already linked to another washer here.'];
+  }
+  return null;
+}
+
+async function staffExists(locationId, staffId) {
+  return (await staffOf(db, locationId).doc(staffId).get()).exists;
+}
+
+app.get('/api/manager/staff', isStaff, async (req, res) => {
+  const locationId = req.user.managedLocationId;
+  try {
+    const snapshot = await staffOf(db, locationId).get();
+    const staff = snapshot.docs.map(serializeStaff);
+    staff.sort((a, b) => a.name.localeCompare(b.name));
+    res.status(200).json(staff);
+  } catch (error) {
+    logger.error('Error in /api/manager/staff [GET]', error);
+    sendError(res, 500, 'internal_error', 'Failed to fetch staff.');
+  }
+});
 
-app.get('/api/manager/settings', isManager, async (req, res) => {
-  const { date } = req.query || {};
-  const locationId = req.user?.managedLocationId;
-  if (!date || !locationId) {
-    return res.status(400).json({ error: 'Date and location are required.' });
+// { name, phone?, userId?, isActive? }
+app.post('/api/manager/staff', isManager, validate({ body: v.check(validateStaff) }), async (req, res) => {
+  const locationId = req.user.managedLocationId;
+  try {
+    const refusal = await staffUserRefusal(locationId, req.valid.body.userId);
+    if (refusal) return sendError(res, ...refusal);
+
+    const profile = { ...staffFields(req.valid.body), createdAt: new Date(), createdBy: req.user.uid };
+    const ref = await staffOf(db, locationId).add(profile);
+    logger.info('staff-created', { locationId, staffId: ref.id, by: req.user.uid });
+    publishAvailability(locationId, null);
+    res.status(201).json(serializeRosterEntry({ id: ref.id, ...profile }));
+  } catch (error) {
+    logger.error('Error in /api/manager/staff [POST]', error);
+    sendError(res, 500, 'internal_error', 'Failed to create staff profile.');
   }
+});
+
+const staffUpdateSchema = {
+  params: staffParams,
+  body: v.check((body) => validateStaff(body, { partial: true })),
+};
+
+app.patch('/api/manager/staff/:staffId', isManager, validate(staffUpdateSchema), async (req, res) => {
+  const locationId = req.user.managedLocationId;
   try {
-    const dailySettingDoc = await db.collection('locations').doc(locationId).collection('settings').doc(date).get();
-    if (dailySettingDoc.exists) return res.status(200).json(dailySettingDoc.data());
+    const ref = staffOf(db, locationId).doc(req.valid.params.staffId);
+    const doc = await ref.get();
+    if (!doc.exists) return sendError(res, 404, 'staff_not_found', 'Staff profile not found.');
+    const refusal = await staffUserRefusal(locationId, req.valid.body.userId, doc.id);
+    if (refusal) return sendError(res, ...refusal);
+
+    const fields = staffFields(req.valid.body, { partial: true });
+    await ref.update({ ...fields, updatedAt: new Date(), updatedBy: req.user.uid });
+    logger.info('staff-updated', { locationId, staffId: doc.id, by: req.user.uid });
+    if (fields.isActive !== undefined && fields.isActive !== doc.data().isActive) {
+      publishAvailability(locationId, null);
+      if (fields.isActive) await fillWaitlistBetween(locationId, dateKeyInZone(new Date(), await locationTimeZone(locationId)), null);
+    }
+    res.status(200).json(serializeStaff(await ref.get()));
+  } catch (error) {
+    logger.error('Error in /api/manager/staff/:staffId [PATCH]', error);
+    sendError(res, 500, 'internal_error', 'Failed to update staff profile.');
+  }
+});
 
-    const globalSettingsDoc = await db.collection('locations').doc(locationId).collection('settings').doc('global').get();
-    if (!globalSettingsDoc.exists) return res.status(200).json({ activeBays: 2 });
+// Deactivates: bookings keep their washer, and the profile can be switched back on
+app.delete('/api/manager/staff/:staffId', isManager, validate({ params: staffParams }), async (req, res) => {
+  const locationId = req.user.managedLocationId;
+  try {
+    const ref = staffOf(db, locationId).doc(req.valid.params.staffId);
+    const doc = await ref.get();
+    if (!doc.exists) return sendError(res, 404, 'staff_not_found', 'Staff profile not found.');
+    await ref.update({ isActive: false, updatedAt: new Date(), updatedBy: req.user.uid });
+    logger.info('staff-deactivated', { locationId, staffId: doc.id, by: req.user.uid });
+    publishAvailability(locationId, null);
+    res.status(200).json(serializeStaff(await ref.get()));
+  } catch (error) {
+    logger.error('Error in /api/manager/staff/:staffId [DELETE]', error);
+    sendError(res, 500, 'internal_error', 'Failed to deactivate staff profile.');
+  }
+});
 
-    res.status(200).json(globalSettingsDoc.data());
+// Shifts that apply anywhere in ?from..?to (default: from today onwards)
+app.get('/api/manager/shifts', isStaff, validate({ query: rangeQuery }), async (req, res) => {
+  const locationId = req.user.managedLocationId;
+  try {
+    const range = await rosterRange(locationId, req.valid.query);
+    if (!range) return sendError(res, 400, 'invalid_range', 'from must not be after to.');
+    const shifts = await loadShifts(db, locationId, range.from, range.to);
+    shifts.sort((a, b) => a.date.localeCompare(b.date) || a.start.localeCompare(b.start));
+    res.status(200).json(shifts.map(serializeRosterEntry));
   } catch (error) {
-    console.error('Error in /api/manager/settings:', error);
-    res.status(500).json({ error: 'Failed to fetch settings.' });
+    logger.error('Error in /api/manager/shifts [GET]', error);
+    sendError(res, 500, 'internal_error', 'Failed to fetch shifts.');
   }
 });
 
-app.post('/api/manager/settings/activeBays', isManager, async (req, res) => {
-  const { count, date } = req.body || {};
-  const locationId = req.user?.managedLocationId;
-  if (typeof count !== 'number' || !date || !locationId) {
-    return res.status(400).json({ error: 'Invalid count, date, or location provided.' });
+// { staffId, date, until?, weekdays?, start, end }
+app.post('/api/manager/shifts', isManager, validate({ body: v.check(validateShift) }), async (req, res) => {
+  const locationId = req.user.managedLocationId;
+  try {
+    if (!(await staffExists(locationId, req.valid.body.staffId))) {
+      return sendError(res, 404, 'staff_not_found', 'Staff profile not found.');
+    }
+    const shift = { ...shiftFields(req.valid.body), createdAt: new Date(), createdBy: req.user.uid };
+    const ref = await shiftsOf(db, locationId).add(shift);
+    logger.info('shift-created', { locationId, shiftId: ref.id, staffId: shift.staffId, by: req.user.uid });
+    publishAvailability(locationId, blockDateKeys(shift));
+    await fillWaitlistBetween(locationId, shift.date, shift.until);
+    res.status(201).json(serializeRosterEntry({ id: ref.id, ...shift }));
+  } catch (error) {
+    logger.error('Error in /api/manager/shifts [POST]', error);
+    sendError(res, 500, 'internal_error', 'Failed to create shift.');
   }
+});
+
+app.delete('/api/manager/shifts/:shiftId', isManager, validate({ params: v.object({ shiftId: v.id() }) }), async (req, res) => {
+  const locationId = req.user.managedLocationId;
   try {
-    await db.collection('locations').doc(locationId).collection('settings').doc(date).set({ activeBays: count }, { merge: true });
-    res.status(200).json({ message: `Active bays for ${date} successfully set to ${count}.` });
+    const ref = shiftsOf(db, locationId).doc(req.valid.params.shiftId);
+    const doc = await ref.get();
+    if (!doc.exists) return sendError(res, 404, 'shift_not_found', 'Shift not found.');
+    await ref.delete();
+    logger.info('shift-removed', { locationId, shiftId: ref.id, by: req.user.uid });
+    publishAvailability(locationId, blockDateKeys(doc.data()));
+    res.status(200).json({ message: 'Shift removed.' });
   } catch (error) {
-    console.error('Error in /api/manager/settings/activeBays:', error);
-    res.status(500).json({ error: 'Failed to update settings.' });
+    logger.error('Error in /api/manager/shifts/:shiftId [DELETE]', error);
+    sendError(res, 500, 'internal_error', 'Failed to remove shift.');
   }
 });
 
-app.get('/api/manager/blocked-slots', isManager, async (req, res) => {
-  const { date } = req.query || {};
-  const locationId = req.user?.managedLocationId;
-  if (!date || !locationId) {
-    return res.status(400).json({ error: 'Date and location are required.' });
+// Leave overlapping ?from..?to (default: from today onwards)
+app.get('/api/manager/leave', isStaff, validate({ query: rangeQuery }), async (req, res) => {
+  const locationId = req.user.managedLocationId;
+  try {
+    const range = await rosterRange(locationId, req.valid.query);
+    if (!range) return sendError(res, 400, 'invalid_range', 'from must not be after to.');
+    const leave = await loadLeave(db, locationId, range.from, range.to);
+    leave.sort((a, b) => a.from.localeCompare(b.from));
+    res.status(200).json(leave.map(serializeRosterEntry));
+  } catch (error) {
+    logger.error('Error in /api/manager/leave [GET]', error);
+    sendError(res, 500, 'internal_error', 'Failed to fetch leave.');
   }
+});
+
+// { staffId, from, to?, reason? }
+app.post('/api/manager/leave', isManager, validate({ body: v.check(validateLeave) }), async (req, res) => {
+  const locationId = req.user.managedLocationId;
+  try {
+    if (!(await staffExists(locationId, req.valid.body.staffId))) {
+      return sendError(res, 404, 'staff_not_found', 'Staff profile not found.');
+    }
+    const leave = { ...leaveFields(req.valid.body), createdAt: new Date(), createdBy: req.user.uid };
+    const ref = await leaveOf(db, locationId).add(leave);
+    logger.info('leave-created', { locationId, leaveId: ref.id, staffId: leave.staffId, by: req.user.uid });
+    publishAvailability(locationId, blockDateKeys({ date: leave.from, until: leave.to }));
+    res.status(201).json(serializeRosterEntry({ id: ref.id, ...leave }));
+  } catch (error) {
+    logger.error('Error in /api/manager/leave [POST]', error);
+    sendError(res, 500, 'internal_error', 'Failed to record leave.');
+  }
+});
+
+app.delete('/api/manager/leave/:leaveId', isManager, validate({ params: v.object({ leaveId: v.id() }) }), async (req, res) => {
+  const locationId = req.user.managedLocationId;
+  try {
+    const ref = leaveOf(db, locationId).doc(req.valid.params.leaveId);
+    const doc = await ref.get();
+    if (!doc.exists) return sendError(res, 404, 'leave_not_found', 'Leave not found.');
+    await ref.delete();
+    logger.info('leave-removed', { locationId, leaveId: ref.id, by: req.user.uid });
+    const { from, to } = doc.data();
+    publishAvailability(locationId, blockDateKeys({ date: from, until: to }));
+    await fillWaitlistBetween(locationId, from, to);
+    res.status(200).json({ message: 'Leave removed.' });
+  } catch (error) {
+    logger.error('Error in /api/manager/leave/:leaveId [DELETE]', error);
+    sendError(res, 500, 'internal_error', 'Failed to remove leave.');
+  }
+});
+
+// Who works when on ?date: { date, rostered, washers: [{ id, name, userId, onLeave, spans }] }
+app.get('/api/manager/roster', isStaff, validate({ query: dayQuery }), async (req, res) => {
+  const { date } = req.valid.query;
+  const locationId = req.user.managedLocationId;
+  try {
+    const roster = await loadRoster(db, locationId, date);
+    res.status(200).json({ date, rostered: roster !== null, washers: serializeRoster(roster) || [] });
+  } catch (error) {
+    logger.error('Error in /api/manager/roster', error);
+    sendError(res, 500, 'internal_error', 'Failed to fetch roster.');
+  }
+});
+
+// The signed-in washer's bookings for ?date (default: today), earliest first
+app.get('/api/manager/my-jobs', isStaff, validate({ query: v.object({ date: v.dateKey().optional() }) }), async (req, res) => {
+  const locationId = req.user.managedLocationId;
+  try {
+    const timeZone = await locationTimeZone(locationId);
+    const date = req.valid.query.date || dateKeyInZone(new Date(), timeZone);
+    const profiles = await staffOf(db, locationId).where('userId', '==', req.user.uid).get();
+    if (profiles.empty) return sendError(res, 404, 'staff_not_found', 'You are not on the roster at this location.');
+
+    const washerIds = new Set(profiles.docs.map((doc) => doc.id));
+    const { start, end } = dayBoundsUTC(date, timeZone);
+    const now = new Date();
+    const jobs = (await repos.bookings.between(locationId, start, end))
+      .filter((doc) => washerIds.has(doc.data().washerId) && bookingHoldsSlot(doc.data(), now))
+      .sort((a, b) => a.data().startTime.toDate() - b.data().startTime.toDate());
+    res.status(200).json(await Promise.all(jobs.map((doc) => boardBooking(locationId, doc, timeZone))));
+  } catch (error) {
+    logger.error('Error in /api/manager/my-jobs', error);
+    sendError(res, 500, 'internal_error', 'Failed to fetch your jobs.');
+  }
+});
+
+// ----- Manager: Waitlist -----
+// One day's waitlist in queue order, with customer names
+app.get('/api/manager/waitlist', isStaff, validate({ query: dayQuery }), async (req, res) => {
+  const locationId = req.user.managedLocationId;
   try {
-    const snapshot = await db
-      .collection('locations')
-      .doc(locationId)
-      .collection('blockedSlots')
-      .where('date', '==', date)
+    const snapshot = await db.collection(WAITLIST)
+      .where('locationId', '==', locationId)
+      .where('date', '==', req.valid.query.date)
       .get();
-    const slots = snapshot.docs.map((doc) => doc.data().slot);
-    res.status(200).json(slots);
+    const entries = snapshot.docs.map(serializeEntry).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    const userIds = Array.from(new Set(entries.map((e) => e.userId)));
+    const users = await repos.users.getMany(userIds);
+    const names = Object.fromEntries(users.filter((d) => d.exists).map((d) => [d.id, d.data().name || null]));
+    res.status(200).json(entries.map((entry) => ({ ...entry, userName: names[entry.userId] || null })));
   } catch (error) {
-    console.error('Error in /api/manager/blocked-slots [GET]:', error);
-    res.status(500).json({ error: 'Failed to fetch blocked slots.' });
+    logger.error('Error in /api/manager/waitlist [GET]', error);
+    sendError(res, 500, 'internal_error', 'Failed to fetch waitlist.');
   }
 });
 
-app.post('/api/manager/blocked-slots', isManager, async (req, res) => {
-  const { date, slot } = req.body || {};
-  const locationId = req.user?.managedLocationId;
-  if (!date || !slot || !locationId) {
-    return res.status(400).json({ error: 'Date, slot, and location are required.' });
+// Offers any free time on { date } to the waitlist now, instead of waiting for the sweep
+app.post('/api/manager/waitlist/offer', isManager, validate({ body: v.object({ date: v.dateKey() }) }), async (req, res) => {
+  const locationId = req.user.managedLocationId;
+  try {
+    const offers = await offerOpenings(db, { locationId, dateKey: req.valid.body.date, offerMinutes: WAITLIST_OFFER_MINUTES });
+    notifyOffers(locationId, offers);
+    res.status(200).json({
+      message: offers.length ? `${offers.length} offer(s) sent.` : 'No waiting customer fits the free time.',
+      offers: offers.map(({ entryId, bookingId, startTime, expiresAt }) => ({
+        entryId,
+        bookingId,
+        startTime: startTime.toISOString(),
+        expiresAt: expiresAt.toISOString(),
+      })),
+    });
+  } catch (error) {
+    logger.error('Error in /api/manager/waitlist/offer', error);
+    sendError(res, 500, 'internal_error', 'Failed to offer free time.');
   }
+});
+
+app.delete('/api/manager/waitlist/:entryId', isManager, validate({ params: entryParams }), async (req, res) => {
+  const locationId = req.user.managedLocationId;
   try {
-    const slotId = `${date}_${slot}`;
-    const slotRef = db.collection('locations').doc(locationId).collection('blockedSlots').doc(slotId);
-    const doc = await slotRef.get();
-    if (doc.exists) {
-      await slotRef.delete();
-      res.status(200).json({ message: `Slot ${slot} on ${date} has been unblocked.` });
-    } else {
-      await slotRef.set({ date, slot });
-      res.status(200).json({ message: `Slot ${slot} on ${date} has been blocked.` });
+    const result = await closeEntry(db, { entryId: req.valid.params.entryId, locationId, status: 'removed' });
+    if (!result.ok) return sendWaitlistRefusal(res, result.reason);
+    if (result.entry.offer) {
+      publishBooking('released', { locationId, bookingId: result.entry.offer.bookingId });
+      fillFromWaitlist(locationId, result.entry.date);
     }
+    logger.info('waitlist-remove', { locationId, entryId: result.entry.id, by: req.user.uid });
+    res.status(200).json({ message: 'Removed from the waitlist.' });
   } catch (error) {
-    console.error('Error in /api/manager/blocked-slots [POST]:', error);
-    res.status(500).json({ error: 'Failed to update blocked slot.' });
+    logger.error('Error in /api/manager/waitlist/:entryId [DELETE]', error);
+    sendError(res, 500, 'internal_error', 'Failed to remove waitlist entry.');
   }
 });
 
-// ----- Global Error Handler -----
-app.use((err, req, res, next) => {
-  console.error('[unhandled error]', err);
-  res.status(500).json({ error: 'Internal Server Error' });
+// ----- Manager: Catalogue -----
+// The selected location's own details; opening and closing locations is left to owners
+app.patch('/api/manager/location', isManager, validate({ body: locationUpdateSchema.body }), async (req, res) => {
+  const locationId = req.user.managedLocationId;
+  if (req.valid.body.isActive !== undefined) {
+    return sendError(res, 403, 'owner_only', 'Only an owner can open or close a location.');
+  }
+  try {
+    await repos.locations.update(locationId, { ...req.valid.body, updatedAt: new Date(), updatedBy: req.user.uid });
+    res.status(200).json({ id: locationId, ...(await repos.locations.get(locationId)).data() });
+  } catch (error) {
+    logger.error('Error in /api/manager/location', error);
+    sendError(res, 500, 'internal_error', 'Failed to update location.');
+  }
 });
 
-// ----- Process-level safety (avoid hard crashes) -----
-process.on('unhandledRejection', (reason) => {
-  console.error('[unhandledRejection]', reason);
+const SAVE_REFUSALS = {
+  not_found: [404, 'not found.'],
+  display_order_taken: [409, 'displayOrder is already used at this location.'],
+};
+
+const itemParams = v.object({ id: v.id() });
+
+// Services and add-ons share the same routes:
+//   GET    /api/manager/<path>        all, including deactivated ones
+//   POST   /api/manager/<path>        create (priceCents, durationInMinutes, displayOrder, ...)
+//   PATCH  /api/manager/<path>/:id    update any of those fields
+//   DELETE /api/manager/<path>/:id    deactivate (kept so existing bookings still resolve)
+function catalogueRoutes({ path, items, label, notFoundCode, validateFields, check = async () => null }) {
+  const itemsOf = (req) => items.collection(req.user.managedLocationId);
+  const route = `/api/manager/${path}`;
+  const createSchema = { body: v.check(validateFields) };
+  const updateSchema = { params: itemParams, body: v.check((body) => validateFields(body, { partial: true })) };
+
+  async function save(req, res, { id = null, fields }) {
+    const result = await saveItem(db, itemsOf(req), { id, fields, actorUid: req.user.uid });
+    if (!result.ok) {
+      const [status, message] = SAVE_REFUSALS[result.reason];
+      if (result.reason === 'not_found') return sendError(res, status, notFoundCode, `${label} ${message}`);
+      return sendError(res, status, result.reason, message);
+    }
+    const doc = await itemsOf(req).doc(result.id).get();
+    return res.status(id ? 200 : 201).json(serializeItem(doc));
+  }
+
+  app.get(route, isManager, async (req, res) => {
+    try {
+      const all = await items.list(req.user.managedLocationId, { all: true });
+      res.status(200).json(all.map(serializeItem));
+    } catch (error) {
+      logger.error(`Error in ${route} [GET]`, error);
+      sendError(res, 500, 'internal_error', `Failed to fetch ${path}.`);
+    }
+  });
+
+  app.post(route, isManager, validate(createSchema), async (req, res) => {
+    try {
+      const refusal = await check(req);
+      if (refusal) return sendError(res, 400, refusal.code, refusal.message);
+      return await save(req, res, { fields: req.valid.body });
+    } catch (error) {
+      logger.error(`Error in ${route} [POST]`, error);
+      sendError(res, 500, 'internal_error', `Failed to create ${label.toLowerCase()}.`);
+    }
+  });
+
+  app.patch(`${route}/:id`, isManager, validate(updateSchema), async (req, res) => {
+    try {
+      const refusal = await check(req);
+      if (refusal) return sendError(res, 400, refusal.code, refusal.message);
+      return await save(req, res, { id: req.valid.params.id, fields: req.valid.body });
+    } catch (error) {
+      logger.error(`Error in ${route}/:id [PATCH]`, error);
+      sendError(res, 500, 'internal_error', `Failed to update ${label.toLowerCase()}.`);
+    }
+  });
+
+  app.delete(`${route}/:id`, isManager, validate({ params: itemParams }), async (req, res) => {
+    try {
+      return await save(req, res, { id: req.valid.params.id, fields: { isActive: false } });
+    } catch (error) {
+      logger.error(`Error in ${route}/:id [DELETE]`, error);
+      sendError(res, 500, 'internal_error', `Failed to deactivate ${label.toLowerCase()}.`);
+    }
+  });
+}
+
+catalogueRoutes({
+  path: 'services',
+  items: repos.services,
+  label: 'Service',
+  notFoundCode: 'service_not_found',
+  validateFields: validateService,
 });
-process.on('uncaughtException', (err) => {
-  console.error('[uncaughtException]', err);
+catalogueRoutes({
+  path: 'add-ons',
+  items: repos.addOns,
+  label: 'Add-on',
+  notFoundCode: 'addon_not_found',
+  validateFields: validateAddOn,
+  // serviceIds must name services at this location
+  check: async (req) => {
+    const { serviceIds } = req.valid.body;
+    if (!Array.isArray(serviceIds) || !serviceIds.length) return null;
+    const docs = await repos.services.getMany(req.user.managedLocationId, serviceIds);
+    const missing = docs.filter((d) => !d.exists).map((d) => d.id);
+    return missing.length ? { code: 'service_not_found', message: `Unknown service(s): ${missing.join(', ')}.` } : null;
+  },
 });
 
-// ----- Start Server -----
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`Server is now listening on port ${PORT}`);
+// ----- Manager: Promo codes -----
+// Codes are deactivated rather than deleted: bookings keep referring to them and the
+// usage counts still matter if one is switched back on.
+const promoParams = v.object({ code: promoCodeField });
+
+// serviceIds on a code must name services at this location
+async function unknownServiceIds(locationId, serviceIds) {
+  if (!Array.isArray(serviceIds) || !serviceIds.length) return [];
+  const docs = await repos.services.getMany(locationId, serviceIds);
+  return docs.filter((d) => !d.exists).map((d) => d.id);
+}
+
+app.get('/api/manager/promo-codes', isManager, async (req, res) => {
+  const locationId = req.user.managedLocationId;
+  try {
+    const snapshot = await promoCodesOf(db, locationId).orderBy('code').get();
+    res.status(200).json(snapshot.docs.map(serializePromo));
+  } catch (error) {
+    logger.error('Error in /api/manager/promo-codes [GET]', error);
+    sendError(res, 500, 'internal_error', 'Failed to fetch promo codes.');
+  }
+});
+
+// { code, discountType, percentOff | amountOffCents, description?, validFrom?, validUntil?,
+//   weekdays?, serviceIds?, minSpendCents?, maxUses?, maxUsesPerUser?, isActive? }
+app.post('/api/manager/promo-codes', isManager, validate({ body: v.check(validatePromo) }), async (req, res) => {
+  const locationId = req.user.managedLocationId;
+  try {
+    const missing = await unknownServiceIds(locationId, req.valid.body.serviceIds);
+    if (missing.length) return sendError(res, 400, 'service_not_found', `Unknown service(s): ${missing.join(', ')}.`);
+
+    const fields = promoFields(req.valid.body);
+    const ref = promoRef(db, locationId, fields.code);
+    const now = new Date();
+    // In a transaction so two managers can't both create the same code
+    const created = await db.runTransaction(async (tx) => {
+      if ((await tx.get(ref)).exists) return false;
+      tx.set(ref, {
+        ...fields,
+        uses: 0,
+        usesByUser: {},
+        createdAt: now,
+        createdBy: req.user.uid,
+        updatedAt: now,
+        updatedBy: req.user.uid,
+      });
+      return true;
+    });
+    if (!created) return sendError(res, 409, 'promo_code_taken', 'That code already exists at this location.');
+
+    logger.info('promo-created', { locationId, code: fields.code, by: req.user.uid });
+    res.status(201).json(serializePromo(await ref.get()));
+  } catch (error) {
+    logger.error('Error in /api/manager/promo-codes [POST]', error);
+    sendError(res, 500, 'internal_error', 'Failed to create promo code.');
+  }
+});
+
+const promoUpdateSchema = {
+  params: promoParams,
+  body: v.check((body) => validatePromo(body, { partial: true })),
+};
+
+app.patch('/api/manager/promo-codes/:code', isManager, validate(promoUpdateSchema), async (req, res) => {
+  const locationId = req.user.managedLocationId;
+  try {
+    const ref = promoRef(db, locationId, req.valid.params.code);
+    const doc = await ref.get();
+    if (!doc.exists) return sendError(res, 404, 'promo_code_not_found', 'Promo code not found.');
+    // Checked again with the stored code, e.g. a new validUntil against the stored validFrom
+    const error = validatePromo(req.valid.body, { partial: true, existing: doc.data() });
+    if (error) return sendError(res, 400, 'validation_failed', error);
+    const missing = await unknownServiceIds(locationId, req.valid.body.serviceIds);
+    if (missing.length) return sendError(res, 400, 'service_not_found', `Unknown service(s): ${missing.join(', ')}.`);
+
+    await ref.update({ ...promoFields(req.valid.body, { partial: true }), updatedAt: new Date(), updatedBy: req.user.uid });
+    logger.info('promo-updated', { locationId, code: doc.id, by: req.user.uid });
+    res.status(200).json(serializePromo(await ref.get()));
+  } catch (error) {
+    logger.error('Error in /api/manager/promo-codes/:code [PATCH]', error);
+    sendError(res, 500, 'internal_error', 'Failed to update promo code.');
+  }
+});
+
+app.delete('/api/manager/promo-codes/:code', isManager, validate({ params: promoParams }), async (req, res) => {
+  const locationId = req.user.managedLocationId;
+  try {
+    const ref = promoRef(db, locationId, req.valid.params.code);
+    const doc = await ref.get();
+    if (!doc.exists) return sendError(res, 404, 'promo_code_not_found', 'Promo code not found.');
+    await ref.update({ isActive: false, updatedAt: new Date(), updatedBy: req.user.uid });
+    logger.info('promo-deactivated', { locationId, code: doc.id, by: req.user.uid });
+    res.status(200).json(serializePromo(await ref.get()));
+  } catch (error) {
+    logger.error('Error in /api/manager/promo-codes/:code [DELETE]', error);
+    sendError(res, 500, 'internal_error', 'Failed to deactivate promo code.');
+  }
+});
+
+// ----- Manager: Subscriptions -----
+// Plans are deactivated rather than deleted; subscribers keep the terms they signed up on.
+const planParams = v.object({ planId: v.id() });
+
+app.get('/api/manager/plans', isManager, async (req, res) => {
+  const locationId = req.user.managedLocationId;
+  try {
+    const snapshot = await plansOf(db, locationId).get();
+    res.status(200).json(snapshot.docs.map(serializePlan).sort((a, b) => a.priceCents - b.priceCents));
+  } catch (error) {
+    logger.error('Error in /api/manager/plans [GET]', error);
+    sendError(res, 500, 'internal_error', 'Failed to fetch plans.');
+  }
+});
+
+// { name, priceCents, washesPerMonth?, serviceIds?, description?, isActive? }
+app.post('/api/manager/plans', isManager, validate({ body: v.check(validatePlan) }), async (req, res) => {
+  const locationId = req.user.managedLocationId;
+  try {
+    const missing = await unknownServiceIds(locationId, req.valid.body.serviceIds);
+    if (missing.length) return sendError(res, 400, 'service_not_found', `Unknown service(s): ${missing.join(', ')}.`);
+
+    const now = new Date();
+    const ref = await plansOf(db, locationId).add({
+      ...planFields(req.valid.body),
+      createdAt: now,
+      createdBy: req.user.uid,
+      updatedAt: now,
+      updatedBy: req.user.uid,
+    });
+    logger.info('plan-created', { locationId, planId: ref.id, by: req.user.uid });
+    res.status(201).json(serializePlan(await ref.get()));
+  } catch (error) {
+    logger.error('Error in /api/manager/plans [POST]', error);
+    sendError(res, 500, 'internal_error', 'Failed to create plan.');
+  }
+});
+
+const planUpdateSchema = {
+  params: planParams,
+  body: v.check((body) => validatePlan(body, { partial: true })),
+};
+
+app.patch('/api/manager/plans/:planId', isManager, validate(planUpdateSchema), async (req, res) => {
+  const locationId = req.user.managedLocationId;
+  try {
+    const ref = plansOf(db, locationId).doc(req.valid.params.planId);
+    const doc = await ref.get();
+    if (!doc.exists) return sendError(res, 404, 'plan_not_found', 'Plan not found.');
+    const missing = await unknownServiceIds(locationId, req.valid.body.serviceIds);
+    if (missing.length) return sendError(res, 400, 'service_not_found', `Unknown service(s): ${missing.join(', ')}.`);
+
+    await ref.update({ ...planFields(req.valid.body, { partial: true }), updatedAt: new Date(), updatedBy: req.user.uid });
+    logger.info('plan-updated', { locationId, planId: doc.id, by: req.user.uid });
+    res.status(200).json(serializePlan(await ref.get()));
+  } catch (error) {
+    logger.error('Error in /api/manager/plans/:planId [PATCH]', error);
+    sendError(res, 500, 'internal_error', 'Failed to update plan.');
+  }
+});
+
+app.delete('/api/manager/plans/:planId', isManager, validate({ params: planParams }), async (req, res) => {
+  const locationId = req.user.managedLocationId;
+  try {
+    const ref = plansOf(db, locationId).doc(req.valid.params.planId);
+    const doc = await ref.get();
+    if (!doc.exists) return sendError(res, 404, 'plan_not_found', 'Plan not found.');
+    await ref.update({ isActive: false, updatedAt: new Date(), updatedBy: req.user.uid });
+    logger.info('plan-deactivated', { locationId, planId: doc.id, by: req.user.uid });
+    res.status(200).json(serializePlan(await ref.get()));
+  } catch (error) {
+    logger.error('Error in /api/manager/plans/:planId [DELETE]', error);
+    sendError(res, 500, 'internal_error', 'Failed to deactivate plan.');
+  }
+});
+
+// A subscription at the manager's location, or null
+async function locationSubscription(locationId, subscriptionId) {
+  const doc = await subscriptionsCol(db).doc(subscriptionId).get();
+  return doc.exists && doc.data().locationId === locationId ? doc : null;
+}
+
+// Subscribers with their plan and this month's use; ?status= narrows the list
+const subscribersQuery = v.object({ status: v.oneOf(['pending_payment', 'active', 'past_due', 'cancelled']).optional() });
+
+app.get('/api/manager/subscriptions', isManager, validate({ query: subscribersQuery }), async (req, res) => {
+  const locationId = req.user.managedLocationId;
+  try {
+    let query = subscriptionsCol(db).where('locationId', '==', locationId);
+    if (req.valid.query.status) query = query.where('status', '==', req.valid.query.status);
+    const snapshot = await query.get();
+    const timeZone = await locationTimeZone(locationId);
+    const now = new Date();
+    const subscribers = await Promise.all(snapshot.docs.map(async (doc) => {
+      const userDoc = await repos.users.get(doc.data().userId);
+      return { ...serializeSubscription(doc, { timeZone, now }), userName: userDoc.exists ? userDoc.data().name : 'Unknown User' };
+    }));
+    subscribers.sort((a, b) => a.userName.localeCompare(b.userName));
+    res.status(200).json(subscribers);
+  } catch (error) {
+    logger.error('Error in /api/manager/subscriptions', error);
+    sendError(res, 500, 'internal_error', 'Failed to fetch subscribers.');
+  }
+});
+
+// One subscriber with their charges, newest first
+app.get('/api/manager/subscriptions/:subscriptionId', isManager, validate({ params: subscriptionParams }), async (req, res) => {
+  const locationId = req.user.managedLocationId;
+  try {
+    const doc = await locationSubscription(locationId, req.valid.params.subscriptionId);
+    if (!doc) return sendSubscriptionRefusal(res, 'subscription_not_found');
+    const charges = (await chargesOf(db, doc.id).get()).docs
+      .map((c) => ({ ...c.data(), createdAt: toDate(c.data().createdAt).toISOString(), settledAt: toDate(c.data().settledAt)?.toISOString() || null }))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    res.status(200).json({ ...serializeSubscription(doc, { timeZone: await locationTimeZone(locationId) }), charges });
+  } catch (error) {
+    logger.error('Error in /api/manager/subscriptions/:subscriptionId', error);
+    sendError(res, 500, 'internal_error', 'Failed to fetch subscription.');
+  }
+});
+
+const managerCancelSubscriptionSchema = {
+  params: subscriptionParams,
+  body: v.object({ reason: v.string({ max: 200, trim: true }).optional() }),
+};
+
+app.post('/api/manager/subscriptions/:subscriptionId/cancel', isManager, validate(managerCancelSubscriptionSchema), async (req, res) => {
+  const locationId = req.user.managedLocationId;
+  try {
+    const doc = await locationSubscription(locationId, req.valid.params.subscriptionId);
+    if (!doc) return sendSubscriptionRefusal(res, 'subscription_not_found');
+    const result = await cancelSubscription(db, { subscriptionId: doc.id, by: req.user.uid, reason: req.valid.body.reason || 'manager' });
+    if (result.refusal) return sendError(res, 409, 'subscription_cancelled', 'This subscription is already cancelled.');
+    logger.info('subscription-cancelled', { subscriptionId: doc.id, locationId, by: req.user.uid });
+    const fresh = await subscriptionsCol(db).doc(doc.id).get();
+    res.status(200).json(serializeSubscription(fresh, { timeZone: await locationTimeZone(locationId) }));
+  } catch (error) {
+    logger.error('Error in /api/manager/subscriptions/:subscriptionId/cancel', error);
+    sendError(res, 500, 'internal_error', 'Failed to cancel subscription.');
+  }
+});
+
+// Charges a past_due subscriber's card now instead of waiting for the next retry
+app.post('/api/manager/subscriptions/:subscriptionId/retry', isManager, validate({ params: subscriptionParams }), async (req, res) => {
+  const locationId = req.user.managedLocationId;
+  try {
+    const doc = await locationSubscription(locationId, req.valid.params.subscriptionId);
+    if (!doc) return sendSubscriptionRefusal(res, 'subscription_not_found');
+    if (doc.data().status !== 'past_due') {
+      return sendError(res, 409, 'subscription_not_past_due', 'Only past-due subscriptions can be charged again.');
+    }
+    const timeZone = await locationTimeZone(locationId);
+    const result = await renewSubscription(db, {
+      paystack,
+      subscriptionId: doc.id,
+      timeZone,
+      force: true,
+      maxFailures: SUBSCRIPTION_MAX_FAILED_CHARGES,
+      retryMs: SUBSCRIPTION_RETRY_HOURS * 60 * 60 * 1000,
+    });
+    if (!result) return sendError(res, 409, 'subscription_charge_in_progress', 'A charge for this subscription is already running.');
+    logger.info('subscription-retry', { ...result, by: req.user.uid });
+    const fresh = await subscriptionsCol(db).doc(doc.id).get();
+    res.status(200).json(serializeSubscription(fresh, { timeZone }));
+  } catch (error) {
+    logger.error('Error in /api/manager/subscriptions/:subscriptionId/retry', error);
+    sendError(res, 500, 'internal_error', 'Failed to charge subscription.');
+  }
+});
+
+// ----- Reports -----
+// ?from=yyyy-MM-dd&to=yyyy-MM-dd (inclusive, local dates; default: the last 30 days).
+// ?format=csv downloads one table (?section=days|services|bays|hours|clients, default days).
+const reportQuery = v.object({
+  from: v.dateKey().optional(),
+  to: v.dateKey().optional(),
+  format: v.oneOf(['json', 'csv']).default('json'),
+  section: v.oneOf(Object.keys(CSV_SECTIONS)).default('days'),
+});
+
+// Fills in the default range, which depends on the location's "today"
+function parseReportQuery(query, timeZone) {
+  const to = query.to || dateKeyInZone(new Date(), timeZone);
+  const from = query.from || addDaysToKey(to, -29);
+  if (!dateRange(from, to)) return { error: `from must not be after to, and reports cover at most ${MAX_RANGE_DAYS} days.` };
+  return { ...query, from, to };
+}
+
+function sendCsv(res, filename, rows) {
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  res.status(200).send(toCsv(rows));
+}
+
+app.get('/api/manager/reports', isManager, validate({ query: reportQuery }), async (req, res) => {
+  const locationId = req.user.managedLocationId;
+  try {
+    const timeZone = await locationTimeZone(locationId);
+    const params = parseReportQuery(req.valid.query, timeZone);
+    if (params.error) return sendError(res, 400, 'invalid_range', params.error);
+
+    const report = await buildLocationReport(db, { locationId, from: params.from, to: params.to, timeZone });
+    if (params.format === 'csv') {
+      return sendCsv(res, `report-${locationId}-${params.section}-${params.from}-${params.to}.csv`, CSV_SECTIONS[params.section](report));
+    }
+    res.status(200).json(report);
+  } catch (error) {
+    logger.error('Error in /api/manager/reports', error);
+    sendError(res, 500, 'internal_error', 'Failed to build report.');
+  }
+});
+
+// Every location side by side; ?format=csv downloads the per-location table
+app.get('/api/owner/reports', isOwner, validate({ query: reportQuery }), async (req, res) => {
+  try {
+    const params = parseReportQuery(req.valid.query, DEFAULT_TIMEZONE);
+    if (params.error) return sendError(res, 400, 'invalid_range', params.error);
+
+    const locations = (await repos.locations.list()).map((doc) => ({
+      id: doc.id,
+      name: doc.data().name,
+      timeZone: isValidTimeZone(doc.data().timezone) ? doc.data().timezone : DEFAULT_TIMEZONE,
+    }));
+    const rollup = await buildRollup(db, { locations, from: params.from, to: params.to });
+    if (params.format === 'csv') {
+      return sendCsv(res, `rollup-${params.from}-${params.to}.csv`, rollup.locations);
+    }
+    res.status(200).json(rollup);
+  } catch (error) {
+    logger.error('Error in /api/owner/reports', error);
+    sendError(res, 500, 'internal_error', 'Failed to build rollup report.');
+  }
+});
+
+// ----- Manager: Notifications -----
+app.get('/api/manager/notifications/settings', isManager, async (req, res) => {
+  try {
+    res.status(200).json(await getNotificationSettings(db, req.user.managedLocationId));
+  } catch (error) {
+    logger.error('Error in /api/manager/notifications/settings [GET]', error);
+    sendError(res, 500, 'internal_error', 'Failed to fetch notification settings.');
+  }
+});
+
+// Partial updates: { channels?, templates?: { [event]: { subject?, body?, sms? } | null } }.
+// A null template goes back to the default.
+const notificationSettingsSchema = { body: v.check(validateNotificationSettings) };
+
+app.put('/api/manager/notifications/settings', isManager, validate(notificationSettingsSchema), async (req, res) => {
+  const locationId = req.user.managedLocationId;
+  const body = req.valid.body;
+  try {
+    const current = await getNotificationSettings(db, locationId);
+    const templates = { ...current.templates };
+    for (const [event, template] of Object.entries(body.templates || {})) {
+      if (template === null) delete templates[event];
+      else templates[event] = { ...(templates[event] || {}), ...template };
+    }
+    const next = { channels: body.channels || current.channels, templates };
+    await repos.settings.replace(locationId, 'notifications', { ...next, updatedAt: new Date(), updatedBy: req.user.uid });
+    res.status(200).json({ message: 'Notification settings updated.', ...next });
+  } catch (error) {
+    logger.error('Error in /api/manager/notifications/settings [PUT]', error);
+    sendError(res, 500, 'internal_error', 'Failed to update notification settings.');
+  }
+});
+
+// Delivery attempts at this location, newest first; ?bookingId narrows to one booking.
+// Needs an index on notificationLog (locationId ASC, attemptedAt DESC).
+const notificationLogQuery = v.object({
+  bookingId: v.id().optional(),
+  limit: v.int({ min: 1, max: 200, coerce: true }).default(50),
+});
+
+app.get('/api/manager/notifications/log', isManager, validate({ query: notificationLogQuery }), async (req, res) => {
+  const locationId = req.user.managedLocationId;
+  const { bookingId, limit } = req.valid.query;
+  try {
+    let query = db.collection(NOTIFICATION_LOG).where('locationId', '==', locationId);
+    if (bookingId) query = query.where('bookingId', '==', bookingId);
+    const snapshot = await query.orderBy('attemptedAt', 'desc').limit(limit).get();
+    res.status(200).json(
+      snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data(), attemptedAt: doc.data().attemptedAt.toDate().toISOString() }))
+    );
+  } catch (error) {
+    logger.error('Error in /api/manager/notifications/log', error);
+    sendError(res, 500, 'internal_error', 'Failed to fetch notification log.');
+  }
+});
+
+// ----- Jobs -----
+// For an external scheduler (e.g. a cron service every 15 minutes); send CRON_SECRET
+// in the X-Cron-Secret header.
+// Constant-time compare; hashing first gives equal lengths and hides the secret's
+function sameSecret(given, expected) {
+  const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  return typeof given === 'string' && crypto.timingSafeEqual(digest(given), digest(expected));
+}
+
+function requireCronSecret(req, res, next) {
+  if (!CRON_SECRET) return sendError(res, 503, 'cron_not_configured', 'Cron endpoint is not configured.');
+  if (!sameSecret(req.get('x-cron-secret'), CRON_SECRET)) {
+    return sendError(res, 401, 'invalid_cron_secret', 'Unauthorized: Invalid cron secret.');
+  }
+  return next();
+}
+
+app.post('/api/cron/reminders', requireCronSecret, async (req, res) => {
+  try {
+    const sent = await notifier.sendDueReminders({ leadMinutes: REMINDER_LEAD_MINUTES });
+    logger.info('reminders sent', { sent });
+    res.status(200).json({ sent });
+  } catch (error) {
+    logger.error('Error in /api/cron/reminders', error);
+    sendError(res, 500, 'internal_error', 'Failed to send reminders.');
+  }
+});
+
+// Charges subscriptions due for their next month, and retries declined ones
+app.post('/api/cron/subscriptions', requireCronSecret, async (req, res) => {
+  try {
+    const results = await renewDueSubscriptions(db, {
+      paystack,
+      timeZoneOf: locationTimeZone,
+      maxFailures: SUBSCRIPTION_MAX_FAILED_CHARGES,
+      retryMs: SUBSCRIPTION_RETRY_HOURS * 60 * 60 * 1000,
+    });
+    const count = (status) => results.filter((r) => r.status === status).length;
+    const summary = { renewed: count('active'), pastDue: count('past_due'), cancelled: count('cancelled') };
+    logger.info('subscription-renewals', summary);
+    res.status(200).json(summary);
+  } catch (error) {
+    logger.error('Error in /api/cron/subscriptions', error);
+    sendError(res, 500, 'internal_error', 'Failed to renew subscriptions.');
+  }
+});
+
+// ----- Metrics -----
+// Prometheus text format, outside /api so scrapes aren't rate limited. With METRICS_TOKEN
+// set (required in production), the scraper must send it as a bearer token.
+const METRICS_TOKEN = config.metricsToken;
+
+app.get('/metrics', (req, res) => {
+  if (METRICS_TOKEN && !sameSecret(req.get('authorization'), `Bearer ${METRICS_TOKEN}`)) {
+    return sendError(res, 401, 'invalid_metrics_token', 'Unauthorized: Invalid metrics token.');
+  }
+  return res.status(200).type(metrics.contentType).send(metrics.render());
+});
+
+// ----- Not Found -----
+app.use((req, res) => {
+  sendError(res, 404, 'route_not_found', `No route for ${req.method} ${req.path}.`);
+});
+
+// ----- Global Error Handler -----
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  if (err instanceof ApiError) return sendError(res, err.status, err.code, err.message, err.details);
+  // Thrown by express.json() before any route runs
+  if (err.type === 'entity.parse.failed') return sendError(res, 400, 'invalid_json', 'The request body is not valid JSON.');
+  if (err.type === 'entity.too.large') return sendError(res, 413, 'body_too_large', 'The request body is too large.');
+  logger.error('unhandled error', { requestId: req.id, method: req.method, path: req.path, error: err });
+  sendError(res, 500, 'internal_error', 'Internal Server Error', { requestId: req.id });
 });
+
+// ----- Process-level safety -----
+// A rejected promise nobody handled is logged. An uncaught exception leaves the process in
+// an unknown state, so it is logged and the server shuts down (the host restarts it).
+function installProcessHandlers(server) {
+  process.on('unhandledRejection', (reason) => {
+    logger.error('unhandledRejection', { error: reason });
+  });
+  process.on('uncaughtException', (err) => {
+    logger.error('uncaughtException', err);
+    shutdown(server, { reason: 'uncaughtException', exitCode: 1 });
+  });
+  for (const signal of ['SIGTERM', 'SIGINT']) {
+    process.on(signal, () => shutdown(server, { reason: signal }));
+  }
+}
+
+// ----- Graceful shutdown -----
+// Health turns 503, background jobs stop and event streams end (clients reconnect to
+// another instance); in-flight requests get SHUTDOWN_TIMEOUT_MS to finish before the
+// remaining connections are cut.
+function shutdown(server, { reason, exitCode = 0 }) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  logger.info('shutting down', { reason });
+  stopBackgroundJobs();
+  closeAllStreams();
+
+  setTimeout(() => {
+    logger.warn('shutdown timed out; closing open connections', { timeoutMs: config.shutdownTimeoutMs });
+    server.closeAllConnections();
+    process.exit(exitCode || 1);
+  }, config.shutdownTimeoutMs).unref();
+
+  server.close(() => {
+    logger.info('server closed');
+    process.exit(exitCode);
+  });
+  server.closeIdleConnections();
+}
+
+// ----- Background: release unpaid payment holds, then offer freed time to the waitlist -----
+let holdSweepTimer = null;
+
+function startBackgroundJobs() {
+  holdSweepTimer = setInterval(() => {
+    releaseExpiredHolds(db)
+      .then((released) => {
+        if (released.length) logger.info('hold-sweep: released expired holds', { released: released.length });
+        for (const hold of released) {
+          publishBooking('released', hold);
+          releaseBookingPromo(hold.locationId, hold.bookingId);
+        }
+        // Lapsed holds (waitlist offers among them) free time for whoever is waiting
+        return sweepWaitlist(db, { offerMinutes: WAITLIST_OFFER_MINUTES });
+      })
+      .then(({ offers, lapsed }) => {
+        for (const { entryId, locationId, bookingId } of lapsed) {
+          logger.info('waitlist-offer-expired', { locationId, entryId, bookingId });
+          notifyBooking('waitlist_offer_expired', { locationId, bookingId });
+        }
+        for (const offer of offers) notifyOffers(offer.locationId, [offer]);
+      })
+      .catch((error) => logger.error('hold-sweep error', error));
+  }, HOLD_SWEEP_INTERVAL_MS).unref();
+}
+
+function stopBackgroundJobs() {
+  clearInterval(holdSweepTimer);
+  holdSweepTimer = null;
+}
+
+// ----- Start Server -----
+// `node index.js` serves and runs the background jobs; tests require() the app instead
+// (with FIREBASE_MODE=memory and PAYSTACK_MODE=fake) and drive it with supertest.
+if (require.main === module) {
+  const server = app.listen(PORT, '0.0.0.0', () => {
+    logger.info('server listening', { port: PORT });
+  });
+  installProcessHandlers(server);
+  startBackgroundJobs();
+}
+
+module.exports = {
+  app,
+  db,
+  auth,
+  repos,
+  paystack,
+  events,
+};
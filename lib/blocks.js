@@ -0,0 +1,162 @@
+// lib/blocks.js
+// ----- Blocked time -----
+// locations/{id}/blocks/{id}
+//   { date, until, weekdays, start, end, bayIds, reason, createdAt, createdBy }
+// date..until are the first and last local dates the block covers (until null = no end,
+// only allowed when it repeats; stored as OPEN_ENDED so reads can bound on it). weekdays (['mon', 'wed']) repeats it on those days of
+// the week; null = every day from date to until. start/end ('HH:mm', end may be '24:00')
+// is the time of day; both null = the whole day. bayIds takes only those bays out, which
+// lowers capacity; null = every bay, so nothing can be booked across it.
+//
+// e.g. every Monday 12:00-13:00 until December:
+//   { date: '2030-01-07', until: '2030-12-31', weekdays: ['mon'], start: '12:00', end: '13:00' }
+//
+// The older blockedSlots/{date_slot} docs ({ date, slot }: one slot, every bay) still count.
+const { WEEKDAYS, toMinutes, weekdayOf } = require('./schedule');
+const { isValidDateKey } = require('./time');
+
+const DAY_MINUTES = 24 * 60;
+const OPEN_ENDED = '9999-12-31';
+const MAX_BAY_ID = 50;
+// A one-off block covering more days than this is almost certainly a typo in `until`
+const MAX_SPAN_DAYS = 366;
+const BLOCK_FIELDS = ['date', 'until', 'weekdays', 'start', 'end', 'bayIds', 'reason'];
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+}
+
+// ---------- Validation ----------
+// Returns an error message, or null
+function validateBlock(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return 'Body must be an object.';
+  for (const key of Object.keys(input)) {
+    if (!BLOCK_FIELDS.includes(key)) return `Unknown field "${key}".`;
+  }
+  const { date, until, weekdays, start, end, bayIds, reason } = input;
+  if (!isValidDateKey(date)) return 'date must be a date (yyyy-MM-dd).';
+  if (until != null) {
+    if (!isValidDateKey(until)) return 'until must be a date (yyyy-MM-dd) or null.';
+    if (until < date) return 'until must not be before date.';
+  }
+  if (weekdays != null) {
+    if (!Array.isArray(weekdays) || !weekdays.length || !weekdays.every((d) => WEEKDAYS.includes(d))) {
+      return `weekdays must be a list of ${WEEKDAYS.join(', ')}.`;
+    }
+  } else if (daysBetween(date, until ?? date) >= MAX_SPAN_DAYS) {
+    return `A block without weekdays can cover at most ${MAX_SPAN_DAYS} days.`;
+  }
+  if ((start == null) !== (end == null)) return 'Send both start and end, or neither for the whole day.';
+  if (start != null) {
+    if (!TIME_RE.test(start)) return 'start must be a time (HH:mm).';
+    if (!(TIME_RE.test(end) || end === '24:00')) return 'end must be a time (HH:mm).';
+    if (toMinutes(end) <= toMinutes(start)) return 'end must be after start.';
+  }
+  if (bayIds != null) {
+    if (!Array.isArray(bayIds) || !bayIds.length
+      || !bayIds.every((id) => Number.isInteger(id) && id >= 1 && id <= MAX_BAY_ID)) {
+      return `bayIds must be a list of bay numbers (1-${MAX_BAY_ID}) or null for every bay.`;
+    }
+  }
+  if (reason != null && !(typeof reason === 'string' && reason.length <= 200)) {
+    return 'reason must be text (up to 200 characters) or null.';
+  }
+  return null;
+}
+
+// Fields as stored, from a body that passed validateBlock
+function blockFields(input) {
+  return {
+    date: input.date,
+    until: input.until ?? (input.weekdays ? OPEN_ENDED : input.date),
+    weekdays: input.weekdays ? Array.from(new Set(input.weekdays)) : null,
+    start: input.start ?? null,
+    end: input.end ?? null,
+    bayIds: input.bayIds ? Array.from(new Set(input.bayIds)).sort((a, b) => a - b) : null,
+    reason: input.reason?.trim() || null,
+  };
+}
+
+// ---------- Reading ----------
+function blocksOf(db, locationId) {
+  return db.collection('locations').doc(locationId).collection('blocks');
+}
+
+// Blocks that may apply somewhere in [from, to]. `read` lets occupancy read inside a
+// transaction. Blocks stored before OPEN_ENDED have until: null and come from a second,
+// equality query. Needs an index on blocks (until ASC, date ASC).
+async function loadBlocks(db, locationId, from, to, read = (query) => query.get()) {
+  const [bounded, openEnded] = await Promise.all([
+    read(blocksOf(db, locationId).where('until', '>=', from).where('date', '<=', to)),
+    read(blocksOf(db, locationId).where('until', '==', null).where('date', '<=', to)),
+  ]);
+  return [...bounded.docs, ...openEnded.docs].map((doc) => ({ id: doc.id, ...doc.data() }));
+}
+
+// Whether a recurring entry ({ date, until, weekdays }: a block, or a shift in
+// lib/roster.js) falls on `dateKey`
+function appliesOn(block, dateKey) {
+  if (dateKey < block.date || (block.until != null && dateKey > block.until)) return false;
+  return !block.weekdays || block.weekdays.includes(weekdayOf(dateKey));
+}
+
+// The blocks on one local date as minutes of the day:
+// [{ id, start, end, bayIds, reason }]. Legacy blockedSlots docs become one-slot blocks.
+function blocksOnDay(blocks, legacySlots, dateKey, slotInterval) {
+  const day = blocks
+    .filter((block) => appliesOn(block, dateKey))
+    .map((block) => ({
+      id: block.id,
+      start: block.start == null ? 0 : toMinutes(block.start),
+      end: block.end == null ? DAY_MINUTES : toMinutes(block.end),
+      bayIds: block.bayIds || null,
+      reason: block.reason || null,
+    }));
+  for (const slot of legacySlots.filter((s) => TIME_RE.test(s))) {
+    const start = toMinutes(slot);
+    day.push({ id: `slot:${slot}`, start, end: start + slotInterval, bayIds: null, reason: null });
+  }
+  return day;
+}
+
+// Bay-minutes the day's blocks take out of the opening ranges (overlapping blocks count once)
+function blockedBayMinutes(dayBlocks, ranges, activeBays) {
+  if (!dayBlocks.length) return 0;
+  let total = 0;
+  for (const range of ranges) {
+    for (let m = range.open; m < range.close; m++) {
+      const covering = dayBlocks.filter((b) => b.start <= m && b.end > m);
+      if (!covering.length) continue;
+      if (covering.some((b) => !b.bayIds)) {
+        total += activeBays;
+        continue;
+      }
+      const bays = new Set(covering.flatMap((b) => b.bayIds).filter((id) => id <= activeBays));
+      total += bays.size;
+    }
+  }
+  return total;
+}
+
+// API shape of a block from loadBlocks (or one just written); no end is until: null
+function serializeBlock(block) {
+  const createdAt = block.createdAt?.toDate ? block.createdAt.toDate() : block.createdAt;
+  return {
+    ...block,
+    until: block.until === OPEN_ENDED ? null : block.until,
+    createdAt: createdAt ? createdAt.toISOString() : null,
+  };
+}
+
+module.exports = {
+  OPEN_ENDED,
+  validateBlock,
+  blockFields,
+  blocksOf,
+  loadBlocks,
+  appliesOn,
+  blocksOnDay,
+  blockedBayMinutes,
+  serializeBlock,
+};
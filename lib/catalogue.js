@@ -0,0 +1,247 @@
+// lib/catalogue.js
+// ----- Locations, services and add-ons -----
+// locations/{id}                     { name, address, phone, timezone, isActive }
+// locations/{id}/services/{id}       { name, description, durationInMinutes, priceCents, displayOrder, isActive,
+//                                      pricing }
+// locations/{id}/addOns/{id}         same fields, plus serviceIds (null = works with any service);
+//                                    durationInMinutes may be 0 for extras that take no bay time
+// pricing is an optional price matrix by vehicle class (lib/vehicles.js), e.g.
+//   { suv: { priceCents: 20000, durationInMinutes: 45 }, bakkie: { priceCents: 22000 } }
+// A class without an entry, or an entry leaving a field out, uses the service's own value.
+// Prices are whole cents. Services created before this stored `price` in rands; priceCentsOf
+// reads both. Services and add-ons are deactivated rather than deleted so bookings that
+// reference them keep working. displayOrder is unique among a location's services (and
+// among its add-ons).
+const { isValidTimeZone } = require('./time');
+const { VEHICLE_CLASSES, isVehicleClass } = require('./vehicles');
+
+const MAX_DURATION_MINUTES = 8 * 60;
+
+function isWholeNumber(n, min = 0) {
+  return Number.isInteger(n) && n >= min;
+}
+
+function isText(value, max) {
+  return typeof value === 'string' && value.trim().length > 0 && value.length <= max;
+}
+
+// ---------- Validation ----------
+// Each returns an error message, or null. `partial` allows leaving fields out (updates).
+function checkKnown(input, known) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return 'Body must be an object.';
+  if (input.price !== undefined) return 'Send priceCents (whole cents), not price.';
+  for (const key of Object.keys(input)) {
+    if (!known.includes(key)) return `Unknown field "${key}".`;
+  }
+  return null;
+}
+
+function checkRequired(input, required, partial) {
+  if (partial) return null;
+  const missing = required.filter((key) => input[key] === undefined);
+  return missing.length ? `Missing ${missing.join(', ')}.` : null;
+}
+
+const LOCATION_FIELDS = ['name', 'address', 'phone', 'timezone', 'isActive'];
+
+function validateLocation(input, { partial = false } = {}) {
+  const error = checkKnown(input, LOCATION_FIELDS) || checkRequired(input, ['name'], partial);
+  if (error) return error;
+  if (input.name !== undefined && !isText(input.name, 100)) return 'name must be 1-100 characters.';
+  for (const key of ['address', 'phone']) {
+    if (input[key] !== undefined && input[key] !== null && !(typeof input[key] === 'string' && input[key].length <= 300)) {
+      return `${key} must be text (up to 300 characters) or null.`;
+    }
+  }
+  if (input.timezone !== undefined && !isValidTimeZone(input.timezone)) {
+    return 'timezone must be an IANA timezone (e.g. Africa/Johannesburg).';
+  }
+  if (input.isActive !== undefined && typeof input.isActive !== 'boolean') return 'isActive must be true or false.';
+  return null;
+}
+
+const ITEM_FIELDS = ['name', 'description', 'durationInMinutes', 'priceCents', 'displayOrder', 'isActive'];
+
+function validateItem(input, { partial, minDuration, extraFields = [] }) {
+  const error =
+    checkKnown(input, [...ITEM_FIELDS, ...extraFields]) ||
+    checkRequired(input, ['name', 'durationInMinutes', 'priceCents', 'displayOrder'], partial);
+  if (error) return error;
+  if (input.name !== undefined && !isText(input.name, 100)) return 'name must be 1-100 characters.';
+  if (input.description !== undefined && input.description !== null
+    && !(typeof input.description === 'string' && input.description.length <= 1000)) {
+    return 'description must be text (up to 1000 characters) or null.';
+  }
+  if (input.durationInMinutes !== undefined
+    && !(isWholeNumber(input.durationInMinutes, minDuration) && input.durationInMinutes <= MAX_DURATION_MINUTES)) {
+    return `durationInMinutes must be a whole number from ${minDuration} to ${MAX_DURATION_MINUTES}.`;
+  }
+  if (input.priceCents !== undefined && !isWholeNumber(input.priceCents)) {
+    return 'priceCents must be a whole number of cents (0 or more).';
+  }
+  if (input.displayOrder !== undefined && !isWholeNumber(input.displayOrder)) {
+    return 'displayOrder must be a whole number (0 or more).';
+  }
+  if (input.isActive !== undefined && typeof input.isActive !== 'boolean') return 'isActive must be true or false.';
+  return null;
+}
+
+function validatePricing(pricing) {
+  if (pricing === null) return null;
+  if (!pricing || typeof pricing !== 'object' || Array.isArray(pricing)) return 'pricing must be an object keyed by vehicle class, or null.';
+  for (const [vehicleClass, entry] of Object.entries(pricing)) {
+    if (!isVehicleClass(vehicleClass)) return `pricing keys must be vehicle classes (${VEHICLE_CLASSES.join(', ')}).`;
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return `pricing.${vehicleClass} must be an object.`;
+    for (const key of Object.keys(entry)) {
+      if (!['priceCents', 'durationInMinutes'].includes(key)) return `Unknown field "pricing.${vehicleClass}.${key}".`;
+    }
+    if (entry.priceCents !== undefined && !isWholeNumber(entry.priceCents, 1)) {
+      return `pricing.${vehicleClass}.priceCents must be a whole number of cents above 0.`;
+    }
+    if (entry.durationInMinutes !== undefined
+      && !(isWholeNumber(entry.durationInMinutes, 1) && entry.durationInMinutes <= MAX_DURATION_MINUTES)) {
+      return `pricing.${vehicleClass}.durationInMinutes must be a whole number from 1 to ${MAX_DURATION_MINUTES}.`;
+    }
+  }
+  return null;
+}
+
+function validateService(input, { partial = false } = {}) {
+  const error = validateItem(input, { partial, minDuration: 1, extraFields: ['pricing'] });
+  if (error) return error;
+  if (input.priceCents === 0) return 'priceCents must be more than 0 for a service.';
+  if (input.pricing !== undefined) return validatePricing(input.pricing);
+  return null;
+}
+
+function validateAddOn(input, { partial = false } = {}) {
+  const error = validateItem(input, { partial, minDuration: 0, extraFields: ['serviceIds'] });
+  if (error) return error;
+  if (input.serviceIds !== undefined && input.serviceIds !== null
+    && !(Array.isArray(input.serviceIds) && input.serviceIds.every((id) => typeof id === 'string' && id))) {
+    return 'serviceIds must be a list of service IDs or null.';
+  }
+  return null;
+}
+
+// ---------- Reading ----------
+// Cents, for services saved either way; null when no usable price is set
+function priceCentsOf(item) {
+  if (isWholeNumber(item?.priceCents)) return item.priceCents;
+  const rands = Number(item?.price);
+  return item?.price != null && Number.isFinite(rands) && rands >= 0 ? Math.round(rands * 100) : null;
+}
+
+// A service's price and duration for one vehicle class (the service's own when there is
+// no class or no matrix entry)
+function servicePriceFor(service, vehicleClass) {
+  const entry = (vehicleClass && service.pricing && service.pricing[vehicleClass]) || {};
+  return {
+    priceCents: entry.priceCents ?? service.priceCents,
+    durationInMinutes: Number(entry.durationInMinutes ?? service.durationInMinutes) || 0,
+  };
+}
+
+// API shape: priceCents always present; `price` (rands) kept for older clients
+function serializeItem(doc) {
+  const data = doc.data();
+  const priceCents = priceCentsOf(data);
+  return {
+    id: doc.id,
+    ...data,
+    isActive: data.isActive !== false,
+    priceCents,
+    price: priceCents == null ? null : priceCents / 100,
+  };
+}
+
+// ---------- Writing ----------
+// Creates (id = null) or updates a service/add-on in a transaction so two concurrent saves
+// can't claim the same displayOrder. Only active items hold their displayOrder: a
+// deactivated one doesn't block it, and reactivating checks it again. Returns
+// { ok: true, id } or { ok: false, reason: 'not_found' | 'display_order_taken' }.
+async function saveItem(db, collectionRef, { id = null, fields, actorUid, now = new Date() }) {
+  const ref = id ? collectionRef.doc(id) : collectionRef.doc();
+  return db.runTransaction(async (tx) => {
+    const existing = id ? await tx.get(ref) : null;
+    if (id && !existing.exists) return { ok: false, reason: 'not_found' };
+
+    const current = existing?.data() || {};
+    const active = (fields.isActive ?? current.isActive) !== false;
+    const displayOrder = fields.displayOrder ?? current.displayOrder;
+    if (active && displayOrder !== undefined && (fields.displayOrder !== undefined || fields.isActive === true)) {
+      const clash = await tx.get(collectionRef.where('displayOrder', '==', displayOrder));
+      if (clash.docs.some((d) => d.id !== ref.id && d.data().isActive !== false)) {
+        return { ok: false, reason: 'display_order_taken' };
+      }
+    }
+
+    const stamp = { updatedAt: now, updatedBy: actorUid };
+    if (id) {
+      // A service still carrying the old rands price switches to cents when repriced
+      const legacy = fields.priceCents !== undefined && existing.data().price !== undefined ? { price: null } : {};
+      tx.update(ref, { ...fields, ...legacy, ...stamp });
+    } else {
+      tx.set(ref, { isActive: true, description: null, ...fields, createdAt: now, ...stamp });
+    }
+    return { ok: true, id: ref.id };
+  });
+}
+
+// ---------- Bookings ----------
+// The service and add-ons a booking asks for, with the combined duration and price for
+// the vehicle class (optional). Returns { service, addOns, servicePriceCents,
+// durationInMinutes, amount } or { refusal } where refusal is 'service_not_found' |
+// 'service_inactive' | 'addon_not_found' | 'addon_inactive' | 'addon_not_allowed' | 'no_price'.
+async function resolveBookingItems(db, { locationId, serviceId, addOnIds = [], vehicleClass = null }) {
+  const locationRef = db.collection('locations').doc(locationId);
+  const ids = Array.from(new Set(addOnIds.map(String)));
+  const [serviceDoc, ...addOnDocs] = await db.getAll(
+    locationRef.collection('services').doc(String(serviceId)),
+    ...ids.map((id) => locationRef.collection('addOns').doc(id))
+  );
+
+  if (!serviceDoc.exists) return { refusal: 'service_not_found' };
+  const service = serializeItem(serviceDoc);
+  if (!service.isActive) return { refusal: 'service_inactive' };
+
+  const addOns = [];
+  for (const doc of addOnDocs) {
+    if (!doc.exists) return { refusal: 'addon_not_found', addOnId: doc.id };
+    const addOn = serializeItem(doc);
+    if (!addOn.isActive) return { refusal: 'addon_inactive', addOnId: doc.id };
+    if (Array.isArray(addOn.serviceIds) && !addOn.serviceIds.includes(service.id)) {
+      return { refusal: 'addon_not_allowed', addOnId: doc.id };
+    }
+    addOns.push(addOn);
+  }
+
+  const base = servicePriceFor(service, vehicleClass);
+  const prices = [base.priceCents, ...addOns.map((a) => a.priceCents)];
+  if (!base.priceCents || prices.some((p) => p == null)) return { refusal: 'no_price' };
+
+  return {
+    service,
+    addOns,
+    servicePriceCents: base.priceCents,
+    durationInMinutes: base.durationInMinutes + addOns.reduce((sum, a) => sum + (Number(a.durationInMinutes) || 0), 0),
+    amount: prices.reduce((sum, p) => sum + p, 0),
+  };
+}
+
+// What a booking stores about its add-ons (prices as charged at booking time)
+function bookingAddOns(addOns) {
+  return addOns.map((a) => ({ id: a.id, name: a.name, priceCents: a.priceCents, durationInMinutes: Number(a.durationInMinutes) || 0 }));
+}
+
+module.exports = {
+  validateLocation,
+  validateService,
+  validateAddOn,
+  priceCentsOf,
+  servicePriceFor,
+  serializeItem,
+  saveItem,
+  resolveBookingItems,
+  bookingAddOns,
+};
@@ -0,0 +1,192 @@
+// lib/config.js
+// ----- Configuration -----
+// Everything the server takes from the environment, read and checked once at start-up:
+//   loadConfig(env) -> frozen config, or throws ConfigError listing every problem found
+// A missing secret or credential stops the process before it listens, rather than
+// surfacing later as failing requests. NODE_ENV=production additionally refuses the
+// in-memory datastore, the fake Paystack adapter, notifications that only log, an open
+// CORS policy and an unprotected /metrics.
+//
+// Firestore credentials come from FIREBASE_SERVICE_ACCOUNT (the key JSON, raw or base64,
+// for hosts that only take env vars) or else the file at FIREBASE_SERVICE_ACCOUNT_FILE
+// (default serviceAccountKey.json in the project root).
+const fs = require('fs');
+const path = require('path');
+const { NOTIFICATION_MODES } = require('./transports');
+
+const DEFAULT_SERVICE_ACCOUNT_FILE = path.join(__dirname, '..', 'serviceAccountKey.json');
+const PAYSTACK_SECRET_RE = /^sk_(test|live)_[A-Za-z0-9]+$/;
+const SERVICE_ACCOUNT_FIELDS = ['project_id', 'client_email', 'private_key'];
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+// FIREBASE_SERVICE_ACCOUNT may be the JSON itself or its base64 encoding
+function parseServiceAccountJson(text) {
+  const trimmed = text.trim();
+  const json = trimmed.startsWith('{') ? trimmed : Buffer.from(trimmed, 'base64').toString('utf8');
+  return JSON.parse(json);
+}
+
+// -> { serviceAccount, source } or { error }
+function loadServiceAccount(env = process.env, { defaultFile = DEFAULT_SERVICE_ACCOUNT_FILE } = {}) {
+  let serviceAccount;
+  let source;
+  if (env.FIREBASE_SERVICE_ACCOUNT) {
+    source = 'FIREBASE_SERVICE_ACCOUNT';
+    try {
+      serviceAccount = parseServiceAccountJson(env.FIREBASE_SERVICE_ACCOUNT);
+    } catch {
+      return { error: 'FIREBASE_SERVICE_ACCOUNT is not service-account JSON (raw or base64).' };
+    }
+  } else {
+    const file = env.FIREBASE_SERVICE_ACCOUNT_FILE ? path.resolve(env.FIREBASE_SERVICE_ACCOUNT_FILE) : defaultFile;
+    source = file;
+    if (!fs.existsSync(file)) {
+      return { error: `No Firestore credentials: set FIREBASE_SERVICE_ACCOUNT or provide ${file}.` };
+    }
+    try {
+      serviceAccount = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch {
+      return { error: `${file} is not valid JSON.` };
+    }
+  }
+
+  const missing = SERVICE_ACCOUNT_FIELDS.filter((field) => !serviceAccount?.[field]);
+  if (missing.length) return { error: `Service account from ${source} is missing ${missing.join(', ')}.` };
+  // Keys pasted into a single-line env var arrive with literal "\n"s
+  const privateKey = serviceAccount.private_key.replace(/\\n/g, '\n');
+  return { serviceAccount: { ...serviceAccount, private_key: privateKey }, source };
+}
+
+// CORS_ORIGINS: comma-separated origins (https://app.example.com) or '*' for any
+function parseOrigins(value) {
+  const origins = String(value).split(',').map((o) => o.trim()).filter(Boolean);
+  if (origins.includes('*')) return { origins: '*' };
+  const invalid = origins.filter((origin) => {
+    try {
+      const url = new URL(origin);
+      return url.origin !== origin.replace(/\/$/, '');
+    } catch {
+      return true;
+    }
+  });
+  if (invalid.length) return { error: `CORS_ORIGINS has entries that aren't origins: ${invalid.join(', ')}.` };
+  return { origins: origins.map((origin) => origin.replace(/\/$/, '')) };
+}
+
+function loadConfig(env = process.env, options = {}) {
+  const problems = [];
+  const production = env.NODE_ENV === 'production';
+
+  // Optional positive numbers; unset falls back to the default, garbage is a problem
+  const number = (name, fallback, { integer = false } = {}) => {
+    if (env[name] === undefined || env[name] === '') return fallback;
+    const value = Number(env[name]);
+    if (!Number.isFinite(value) || value <= 0 || (integer && !Number.isInteger(value))) {
+      problems.push(`${name} must be a positive ${integer ? 'whole ' : ''}number (got "${env[name]}").`);
+      return fallback;
+    }
+    return value;
+  };
+
+  // Datastore
+  const firebaseMode = env.FIREBASE_MODE === 'memory' ? 'memory' : 'live';
+  let serviceAccount = null;
+  if (firebaseMode === 'memory') {
+    if (production) problems.push('FIREBASE_MODE=memory keeps data in memory only; it is not allowed in production.');
+  } else {
+    const loaded = loadServiceAccount(env, options);
+    if (loaded.error) problems.push(loaded.error);
+    else serviceAccount = loaded.serviceAccount;
+  }
+
+  // Payments
+  const paystackMode = env.PAYSTACK_MODE === 'fake' ? 'fake' : 'live';
+  const paystackSecretKey = env.PAYSTACK_SECRET_KEY || null;
+  if (paystackMode === 'fake') {
+    if (production) problems.push('PAYSTACK_MODE=fake takes no real payments; it is not allowed in production.');
+  } else if (!paystackSecretKey) {
+    problems.push('PAYSTACK_SECRET_KEY is required (or PAYSTACK_MODE=fake for local development).');
+  } else if (!PAYSTACK_SECRET_RE.test(paystackSecretKey)) {
+    problems.push('PAYSTACK_SECRET_KEY does not look like a Paystack secret key (sk_test_... or sk_live_...).');
+  }
+
+  // Notifications: transports are built from the same env (lib/transports.js)
+  const notificationMode = env.NOTIFICATION_MODE || null;
+  if (!NOTIFICATION_MODES.includes(notificationMode)) {
+    problems.push(`NOTIFICATION_MODE is required: ${NOTIFICATION_MODES.join(', ')} (got "${notificationMode ?? ''}").`);
+  } else if (production && notificationMode !== 'live') {
+    problems.push(`NOTIFICATION_MODE=${notificationMode} sends nothing to customers; it is not allowed in production.`);
+  }
+
+  // CORS: any origin in development unless restricted; production must name its front ends
+  let corsOrigins = '*';
+  if (env.CORS_ORIGINS) {
+    const parsed = parseOrigins(env.CORS_ORIGINS);
+    if (parsed.error) {
+      problems.push(parsed.error);
+    } else if (production && parsed.origins === '*') {
+      problems.push("CORS_ORIGINS='*' is not allowed in production; list the web app origins.");
+    } else {
+      corsOrigins = parsed.origins;
+    }
+  } else if (production) {
+    problems.push('CORS_ORIGINS is required in production (comma-separated origins of the web apps).');
+  }
+
+  const metricsToken = env.METRICS_TOKEN || null;
+  if (production && !metricsToken) problems.push('METRICS_TOKEN is required in production (the /metrics scraper sends it).');
+
+  // Rate-limit counters: per process (memory) or shared through Firestore (lib/rateLimits.js)
+  const rateLimitStore = env.RATE_LIMIT_STORE || 'memory';
+  if (!['memory', 'firestore'].includes(rateLimitStore)) {
+    problems.push(`RATE_LIMIT_STORE must be memory or firestore (got "${rateLimitStore}").`);
+  }
+
+  const config = {
+    production,
+    port: number('PORT', 3001, { integer: true }),
+    firebase: { mode: firebaseMode, serviceAccount },
+    paystack: {
+      mode: paystackMode,
+      secretKey: paystackSecretKey,
+      callbackUrl: env.PAYSTACK_CALLBACK_URL || undefined,
+    },
+    notifications: { mode: notificationMode },
+    cors: { origins: corsOrigins },
+    cronSecret: env.CRON_SECRET || null,
+    metricsToken,
+    rateLimitStore,
+    paymentHoldMinutes: number('PAYMENT_HOLD_MINUTES', 15),
+    // How many future bookings one customer may have waiting for payment at once
+    maxOpenHoldsPerCustomer: number('MAX_OPEN_HOLDS_PER_CUSTOMER', 3, { integer: true }),
+    holdSweepIntervalMs: number('HOLD_SWEEP_INTERVAL_MS', 60 * 1000),
+    subscriptionRetryHours: number('SUBSCRIPTION_RETRY_HOURS', 24),
+    subscriptionMaxFailedCharges: number('SUBSCRIPTION_MAX_FAILED_CHARGES', 3, { integer: true }),
+    reminderLeadMinutes: number('REMINDER_LEAD_MINUTES', 24 * 60),
+    waitlistOfferMinutes: number('WAITLIST_OFFER_MINUTES', 30),
+    idempotencyTtlHours: number('IDEMPOTENCY_TTL_HOURS', 24),
+    streamCoalesceMs: number('STREAM_COALESCE_MS', 250),
+    // Live streams one caller (signed-in user, else IP) may hold open at once, per process
+    maxStreamsPerCaller: number('MAX_STREAMS_PER_CALLER', 5, { integer: true }),
+    cancellationCutoffHours: number('CANCELLATION_CUTOFF_HOURS', 2),
+    // How long in-flight requests get to finish after SIGTERM
+    shutdownTimeoutMs: number('SHUTDOWN_TIMEOUT_MS', 10 * 1000),
+  };
+
+  if (problems.length) throw new ConfigError(problems);
+  return Object.freeze(config);
+}
+
+module.exports = {
+  ConfigError,
+  loadConfig,
+  loadServiceAccount,
+  parseOrigins,
+};
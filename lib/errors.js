@@ -0,0 +1,48 @@
+// lib/errors.js
+// ----- Error responses -----
+// Every error the API sends has one shape:
+//   { error: { code, message, fields?, ...details } }
+// `code` is stable (snake_case) for clients to switch on; `message` is for people and may
+// change; `fields` maps input paths (e.g. 'date', 'walkIn.name') to what is wrong with them.
+
+// Used when a route doesn't name a more specific code
+const STATUS_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  402: 'payment_required',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  422: 'unprocessable',
+  429: 'rate_limited',
+  500: 'internal_error',
+  502: 'upstream_error',
+  503: 'unavailable',
+};
+
+function errorBody(status, code, message, details = {}) {
+  return { error: { code: code || STATUS_CODES[status] || 'error', message, ...details } };
+}
+
+function sendError(res, status, code, message, details) {
+  return res.status(status).json(errorBody(status, code, message, details));
+}
+
+// For code that finds a problem away from `res` (middleware, helpers); the error
+// handler turns it into the response above
+class ApiError extends Error {
+  constructor(status, code, message, details = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+module.exports = {
+  STATUS_CODES,
+  ApiError,
+  errorBody,
+  sendError,
+};
@@ -0,0 +1,68 @@
+// lib/events.js
+// ----- Event bus -----
+// In-process publish/subscribe between the routes that change bookings, settings or
+// blocked time and the live feeds that show those changes (the SSE streams in index.js).
+//
+//   booking       { kind, locationId, bookingId, dateKeys, status }
+//                 kind: created | confirmed | cancelled | released | moved | updated | status
+//   availability  { locationId, dateKeys }    dateKeys null = every date (hours, schedule)
+//   role          { uid }                     an owner changed the user's role or locations
+//
+// Every event also gets `at` (ISO time). dateKeys are local dates at the location; a
+// moved booking names both the old and the new date. Events carry IDs, not documents:
+// subscribers read what they need, so the feeds behave the same on Firestore, the
+// emulator or an in-memory store.
+//
+// The bus lives in one process. Several instances behind a load balancer would each
+// only see their own writes; that needs a shared broker in front of this.
+const { EventEmitter } = require('events');
+const { logger } = require('./logger');
+
+const TOPICS = ['booking', 'availability', 'role'];
+
+function assertTopic(topic) {
+  if (!TOPICS.includes(topic)) throw new Error(`Unknown event topic "${topic}".`);
+}
+
+function createEventBus() {
+  const emitter = new EventEmitter();
+  // One listener per open stream
+  emitter.setMaxListeners(0);
+
+  return {
+    publish(topic, event) {
+      assertTopic(topic);
+      emitter.emit(topic, { ...event, at: new Date().toISOString() });
+    },
+
+    // handler(event) runs synchronously inside publish(); a throwing subscriber is logged
+    // and never reaches the publishing route. Returns a function that unsubscribes.
+    subscribe(topic, handler) {
+      assertTopic(topic);
+      const listener = (event) => {
+        try {
+          handler(event);
+        } catch (error) {
+          logger.error('events: subscriber error', { topic, error });
+        }
+      };
+      emitter.on(topic, listener);
+      return () => emitter.off(topic, listener);
+    },
+
+    listenerCount(topic) {
+      return emitter.listenerCount(topic);
+    },
+  };
+}
+
+// Whether an event names `dateKey` (dateKeys null = every date)
+function touchesDate(event, dateKey) {
+  return !event.dateKeys || event.dateKeys.includes(dateKey);
+}
+
+module.exports = {
+  TOPICS,
+  createEventBus,
+  touchesDate,
+};
@@ -0,0 +1,105 @@
+// lib/idempotency.js
+// ----- Idempotency keys -----
+// idempotencyKeys/{id}
+//   { userId, key, method, path, requestHash, state, status, body, createdAt, expiresAt, lockedUntil }
+// id is a hash of (userId, method, path, key), so keys are per caller and per route. A
+// request claims its key before running; its response is then stored (status, and the
+// JSON body as a string) and replayed for repeats until expiresAt. state is 'pending'
+// while the first request runs and 'done' once its response is stored. A pending claim
+// only blocks repeats until lockedUntil, so a request that died half way doesn't lock its
+// key for the whole TTL. Server errors (5xx) aren't stored: the key is freed for a retry.
+//
+// Expired records are ignored when read; a Firestore TTL policy on expiresAt deletes them.
+const crypto = require('crypto');
+
+const IDEMPOTENCY_KEYS = 'idempotencyKeys';
+const DEFAULT_LOCK_MS = 60 * 1000;
+// Printable ASCII, as in the IETF Idempotency-Key draft; clients usually send a UUID
+const KEY_RE = /^[\x21-\x7e]{1,255}$/;
+
+function isValidIdempotencyKey(key) {
+  return typeof key === 'string' && KEY_RE.test(key);
+}
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// JSON with object keys sorted, so the same body hashes the same however it was sent
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter((key) => value[key] !== undefined).sort();
+    return `{${keys.map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function requestHash(body) {
+  return sha256(canonicalJson(body));
+}
+
+function toMillis(value) {
+  if (!value) return 0;
+  return value.toMillis ? value.toMillis() : new Date(value).getTime();
+}
+
+// Claims `key` for this request. Returns one of
+//   { action: 'proceed', id }       first use (or the earlier attempt failed or lapsed)
+//   { action: 'replay', status, body }
+//   { action: 'mismatch' }          the key came with a different body
+//   { action: 'in_progress' }       the first request is still running
+async function claimKey(db, { userId, method, path, key, hash, ttlMs, lockMs = DEFAULT_LOCK_MS, now = new Date() }) {
+  const id = sha256(JSON.stringify([userId, method, path, key]));
+  const ref = db.collection(IDEMPOTENCY_KEYS).doc(id);
+  return db.runTransaction(async (tx) => {
+    const doc = await tx.get(ref);
+    const record = doc.exists ? doc.data() : null;
+    const live = record && toMillis(record.expiresAt) > now.getTime();
+
+    if (live) {
+      if (record.requestHash !== hash) return { action: 'mismatch' };
+      if (record.state === 'done') return { action: 'replay', status: record.status, body: JSON.parse(record.body) };
+      if (toMillis(record.lockedUntil) > now.getTime()) return { action: 'in_progress' };
+    }
+
+    tx.set(ref, {
+      userId,
+      key,
+      method,
+      path,
+      requestHash: hash,
+      state: 'pending',
+      status: null,
+      body: null,
+      createdAt: now,
+      expiresAt: new Date(now.getTime() + ttlMs),
+      lockedUntil: new Date(now.getTime() + lockMs),
+    });
+    return { action: 'proceed', id };
+  });
+}
+
+// Stores the response to replay for repeats
+async function saveResponse(db, id, { status, body }) {
+  await db.collection(IDEMPOTENCY_KEYS).doc(id).update({
+    state: 'done',
+    status,
+    body: JSON.stringify(body ?? null),
+    lockedUntil: null,
+  });
+}
+
+// Frees the key so the client can retry
+async function releaseKey(db, id) {
+  await db.collection(IDEMPOTENCY_KEYS).doc(id).delete();
+}
+
+module.exports = {
+  IDEMPOTENCY_KEYS,
+  isValidIdempotencyKey,
+  requestHash,
+  claimKey,
+  saveResponse,
+  releaseKey,
+};
@@ -0,0 +1,79 @@
+// lib/lifecycle.js
+// ----- Booking lifecycle (manager side) -----
+// Once a booking is paid (or free), a manager moves it along:
+//   paid | free -> in_progress (checked in) -> completed
+//   paid | free -> completed   (checked in and finished in one step)
+//   paid | free -> no_show     (only once the start time has passed)
+// completed and no_show are final. Each step stamps who did it and when
+// (checkedInAt/By, completedAt/By, noShowAt/By) and is appended to statusHistory.
+// Completed and no-show bookings stop occupying their bay from that moment
+// (see occupiedUntil in lib/occupancy.js).
+const { toDate } = require('./time');
+
+const TRANSITIONS = {
+  paid: ['in_progress', 'completed', 'no_show'],
+  free: ['in_progress', 'completed', 'no_show'],
+  in_progress: ['completed'],
+};
+
+const MANAGER_STATUSES = ['in_progress', 'completed', 'no_show'];
+
+const STAMP_FIELDS = {
+  in_progress: 'checkedIn',
+  completed: 'completed',
+  no_show: 'noShow',
+};
+
+// Returns a reason to refuse, or null when `booking` may move to `to`
+function transitionRefusal(booking, to, now = new Date()) {
+  if (!booking) return 'not_found';
+  if (!MANAGER_STATUSES.includes(to)) return 'unknown_status';
+  if (!(TRANSITIONS[booking.status] || []).includes(to)) return 'invalid_transition';
+  if (to === 'no_show' && toDate(booking.startTime) > now) return 'too_early';
+  return null;
+}
+
+// Applies the transition in a transaction. A no-show also counts against the customer
+// (users/{uid}.noShowCount). Returns { ok: true, from, to } or { ok: false, reason, from? }.
+async function transitionBooking(db, { locationId, bookingId, to, actor, note = null, now = new Date() }) {
+  const bookingRef = db.collection('locations').doc(locationId).collection('bookings').doc(bookingId);
+
+  return db.runTransaction(async (tx) => {
+    const bookingDoc = await tx.get(bookingRef);
+    const booking = bookingDoc.exists ? bookingDoc.data() : null;
+    const refusal = transitionRefusal(booking, to, now);
+    if (refusal) return { ok: false, reason: refusal, from: booking?.status };
+
+    const userRef = to === 'no_show' && booking.userId ? db.collection('users').doc(booking.userId) : null;
+    const userDoc = userRef ? await tx.get(userRef) : null;
+
+    const stamp = STAMP_FIELDS[to];
+    const fields = {
+      status: to,
+      [`${stamp}At`]: now,
+      [`${stamp}By`]: actor.uid,
+      statusHistory: [
+        ...(booking.statusHistory || []),
+        { from: booking.status, to, by: actor.uid, at: now, ...(note ? { note } : {}) },
+      ],
+    };
+    // Going straight to completed still records the check-in
+    if (to === 'completed' && booking.status !== 'in_progress') {
+      fields.checkedInAt = now;
+      fields.checkedInBy = actor.uid;
+    }
+    tx.update(bookingRef, fields);
+
+    if (userDoc?.exists) {
+      tx.update(userRef, { noShowCount: (userDoc.data().noShowCount || 0) + 1, lastNoShowAt: now });
+    }
+    return { ok: true, from: booking.status, to };
+  });
+}
+
+module.exports = {
+  TRANSITIONS,
+  MANAGER_STATUSES,
+  transitionRefusal,
+  transitionBooking,
+};
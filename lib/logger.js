@@ -0,0 +1,110 @@
+// lib/logger.js
+// ----- Structured logging -----
+// One JSON object per line:
+//   { time, level, msg, requestId?, ...fields }
+// Levels are debug < info < warn < error; LOG_LEVEL picks the lowest one written (default
+// info, 'silent' for none). warn and error go to stderr, the rest to stdout.
+//
+// Inside a request, requestId comes from the request context (runWithRequestId, called by
+// the request-ID middleware in index.js), so helpers deep in a request log it without
+// being handed `req`. Errors anywhere in the fields are written as { name, message, code,
+// stack }, and sensitive keys (tokens, secrets, emails, phone numbers) are redacted.
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+const REDACTED = '[redacted]';
+const SENSITIVE_KEY_RE = /^(authorization|cookie|password|token|idToken|accessToken|refreshToken|accessCode|authorizationCode|authorization_code|secret|secretKey|email|phone|x-cron-secret|x-paystack-signature)$/i;
+const MAX_DEPTH = 6;
+
+const requestContext = new AsyncLocalStorage();
+
+function runWithRequestId(requestId, fn) {
+  return requestContext.run({ requestId }, fn);
+}
+
+function currentRequestId() {
+  return requestContext.getStore()?.requestId || null;
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code !== undefined ? { code: error.code } : {}),
+    ...(error.status !== undefined ? { status: error.status } : {}),
+    stack: error.stack,
+  };
+}
+
+// A copy of `value` that is safe to write: redacted, errors flattened, no cycles
+function sanitize(value, depth = 0, seen = new WeakSet()) {
+  if (value instanceof Error) return serializeError(value);
+  if (value instanceof Date) return value.toISOString();
+  if (value && typeof value.toDate === 'function') return value.toDate().toISOString();
+  if (!value || typeof value !== 'object') return value;
+  if (seen.has(value)) return '[circular]';
+  if (depth >= MAX_DEPTH) return '[truncated]';
+  seen.add(value);
+  if (Array.isArray(value)) return value.map((item) => sanitize(item, depth + 1, seen));
+  const out = {};
+  for (const [key, item] of Object.entries(value)) {
+    out[key] = SENSITIVE_KEY_RE.test(key) && item != null ? REDACTED : sanitize(item, depth + 1, seen);
+  }
+  return out;
+}
+
+function resolveLevel(level) {
+  return Object.prototype.hasOwnProperty.call(LEVELS, level) ? level : 'info';
+}
+
+// `write(line, level)` defaults to stdout/stderr; `base` fields go on every line
+function createLogger({ level = process.env.LOG_LEVEL, base = {}, write = null } = {}) {
+  const threshold = LEVELS[resolveLevel(level)];
+  const output = write || ((line, lineLevel) => {
+    (LEVELS[lineLevel] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+  });
+
+  function log(lineLevel, msg, fields) {
+    if (LEVELS[lineLevel] < threshold) return;
+    const extra = fields instanceof Error ? { error: fields } : fields || {};
+    const requestId = currentRequestId();
+    const entry = sanitize({
+      time: new Date().toISOString(),
+      level: lineLevel,
+      msg,
+      ...(requestId ? { requestId } : {}),
+      ...base,
+      ...extra,
+    });
+    let line;
+    try {
+      line = JSON.stringify(entry);
+    } catch (error) {
+      line = JSON.stringify({ time: entry.time, level: lineLevel, msg, logError: error.message });
+    }
+    output(line, lineLevel);
+  }
+
+  return {
+    level: resolveLevel(level),
+    debug: (msg, fields) => log('debug', msg, fields),
+    info: (msg, fields) => log('info', msg, fields),
+    warn: (msg, fields) => log('warn', msg, fields),
+    error: (msg, fields) => log('error', msg, fields),
+    isEnabled: (lineLevel) => LEVELS[lineLevel] >= threshold,
+    child: (fields) => createLogger({ level, base: { ...base, ...fields }, write: output }),
+  };
+}
+
+// Shared by the server and lib modules
+const logger = createLogger();
+
+module.exports = {
+  LEVELS,
+  REDACTED,
+  createLogger,
+  logger,
+  runWithRequestId,
+  currentRequestId,
+  sanitize,
+};
@@ -0,0 +1,324 @@
+// lib/loyalty.js
+// ----- Loyalty programme -----
+// Rules live in locations/{id}/settings/loyalty; the defaults match the original
+// "1 point per booking, a free wash at 10 points". Balances are kept per location on
+// users/{uid}.rewards[locationId] as expiring lots (loyaltyPoints / freeWashes stay as
+// totals for older clients), and every change is written to users/{uid}/pointsLedger.
+const { toDate } = require('./time');
+
+const DEFAULT_RULES = {
+  earnMode: 'per_booking',   // 'per_booking' | 'per_rand'
+  pointsPerBooking: 1,
+  pointsPerService: {},      // per_booking overrides: { [serviceId]: points }
+  randsPerPoint: 10,         // per_rand: one point for every R10 paid
+  rewardThreshold: 10,       // points needed for one free wash
+  eligibleServiceIds: null,  // services a free wash can be used on (null = any)
+  pointsExpiryDays: null,    // null = never expire
+  rewardExpiryDays: null,
+};
+
+const LEDGER = 'pointsLedger';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isWholeNumber(n, min = 0) {
+  return Number.isInteger(n) && n >= min;
+}
+
+// ---------- Rules ----------
+// Returns an error message, or null when the (partial) rules are valid
+function validateRules(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return 'Rules must be an object.';
+  const known = Object.keys(DEFAULT_RULES);
+  for (const key of Object.keys(input)) {
+    if (!known.includes(key)) return `Unknown rule "${key}".`;
+  }
+  const r = input;
+  if (r.earnMode !== undefined && !['per_booking', 'per_rand'].includes(r.earnMode)) {
+    return 'earnMode must be per_booking or per_rand.';
+  }
+  if (r.pointsPerBooking !== undefined && !isWholeNumber(r.pointsPerBooking)) {
+    return 'pointsPerBooking must be a whole number of 0 or more.';
+  }
+  if (r.pointsPerService !== undefined) {
+    if (!r.pointsPerService || typeof r.pointsPerService !== 'object' || Array.isArray(r.pointsPerService)) {
+      return 'pointsPerService must map service IDs to points.';
+    }
+    if (!Object.values(r.pointsPerService).every((p) => isWholeNumber(p))) {
+      return 'pointsPerService values must be whole numbers of 0 or more.';
+    }
+  }
+  if (r.randsPerPoint !== undefined && !(typeof r.randsPerPoint === 'number' && r.randsPerPoint > 0)) {
+    return 'randsPerPoint must be greater than 0.';
+  }
+  if (r.rewardThreshold !== undefined && !isWholeNumber(r.rewardThreshold, 1)) {
+    return 'rewardThreshold must be a whole number of 1 or more.';
+  }
+  if (r.eligibleServiceIds !== undefined && r.eligibleServiceIds !== null
+    && !(Array.isArray(r.eligibleServiceIds) && r.eligibleServiceIds.every((id) => typeof id === 'string'))) {
+    return 'eligibleServiceIds must be a list of service IDs or null.';
+  }
+  for (const key of ['pointsExpiryDays', 'rewardExpiryDays']) {
+    if (r[key] !== undefined && r[key] !== null && !isWholeNumber(r[key], 1)) {
+      return `${key} must be a whole number of days or null.`;
+    }
+  }
+  return null;
+}
+
+function normalizeRules(data) {
+  const rules = { ...DEFAULT_RULES };
+  if (data && !validateRules(stripMeta(data))) Object.assign(rules, stripMeta(data));
+  return rules;
+}
+
+function stripMeta(data) {
+  const { updatedAt, updatedBy, ...rules } = data || {};
+  return rules;
+}
+
+function pointsForBooking(rules, { serviceId, amount }) {
+  if (rules.earnMode === 'per_rand') {
+    return Math.max(0, Math.floor((Number(amount) || 0) / 100 / rules.randsPerPoint));
+  }
+  const override = rules.pointsPerService?.[serviceId];
+  return isWholeNumber(override) ? override : rules.pointsPerBooking;
+}
+
+function canRedeemFor(rules, serviceId) {
+  return !Array.isArray(rules.eligibleServiceIds) || rules.eligibleServiceIds.includes(String(serviceId));
+}
+
+// ---------- Balances ----------
+function addDays(now, days) {
+  return days ? new Date(now.getTime() + days * DAY_MS) : null;
+}
+
+// Soonest-expiring first; lots that never expire are used last
+function byExpiry(a, b) {
+  if (!a.expiresAt) return b.expiresAt ? 1 : 0;
+  if (!b.expiresAt) return -1;
+  return a.expiresAt - b.expiresAt;
+}
+
+// Accepts the older { loyaltyPoints, freeWashes } shape as non-expiring lots
+function normalizeEntry(raw) {
+  const pointLots = Array.isArray(raw?.pointLots)
+    ? raw.pointLots.map((l) => ({ points: Number(l.points) || 0, expiresAt: toDate(l.expiresAt) }))
+    : Number(raw?.loyaltyPoints) > 0 ? [{ points: Number(raw.loyaltyPoints), expiresAt: null }] : [];
+  const freeWashLots = Array.isArray(raw?.freeWashLots)
+    ? raw.freeWashLots.map((l) => ({ expiresAt: toDate(l.expiresAt), grantedAt: toDate(l.grantedAt) }))
+    : Array.from({ length: Math.max(0, Math.floor(Number(raw?.freeWashes) || 0)) }, () => ({ expiresAt: null, grantedAt: null }));
+  return { pointLots: pointLots.filter((l) => l.points > 0), freeWashLots };
+}
+
+function totalPoints(entry) {
+  return entry.pointLots.reduce((sum, l) => sum + l.points, 0);
+}
+
+function summarize(entry) {
+  return { loyaltyPoints: totalPoints(entry), freeWashes: entry.freeWashLots.length };
+}
+
+function serializeEntry(entry, now) {
+  return { ...summarize(entry), pointLots: entry.pointLots, freeWashLots: entry.freeWashLots, updatedAt: now };
+}
+
+// Drops expired lots and returns the ledger entry describing what expired (or null)
+function pruneExpired(entry, now) {
+  const expiredPoints = entry.pointLots.filter((l) => l.expiresAt && l.expiresAt <= now);
+  const expiredWashes = entry.freeWashLots.filter((l) => l.expiresAt && l.expiresAt <= now);
+  if (!expiredPoints.length && !expiredWashes.length) return null;
+  entry.pointLots = entry.pointLots.filter((l) => !expiredPoints.includes(l));
+  entry.freeWashLots = entry.freeWashLots.filter((l) => !expiredWashes.includes(l));
+  return {
+    type: 'expire',
+    points: -expiredPoints.reduce((sum, l) => sum + l.points, 0),
+    freeWashes: -expiredWashes.length,
+  };
+}
+
+// Takes `points` from the soonest-expiring lots; returns how many were actually taken
+function consumePoints(entry, points) {
+  let remaining = points;
+  entry.pointLots.sort(byExpiry);
+  for (const lot of entry.pointLots) {
+    const take = Math.min(lot.points, remaining);
+    lot.points -= take;
+    remaining -= take;
+    if (!remaining) break;
+  }
+  entry.pointLots = entry.pointLots.filter((l) => l.points > 0);
+  return points - remaining;
+}
+
+// Turns every full threshold of points into a free wash
+function convertToRewards(entry, rules, now) {
+  let granted = 0;
+  while (totalPoints(entry) >= rules.rewardThreshold) {
+    consumePoints(entry, rules.rewardThreshold);
+    entry.freeWashLots.push({ expiresAt: addDays(now, rules.rewardExpiryDays), grantedAt: now });
+    granted += 1;
+  }
+  return granted;
+}
+
+// ---------- Operations ----------
+// Each op mutates the entry and returns { result, ledger } or { refusal }.
+const ops = {
+  // Points for a paid booking
+  earnForBooking: ({ serviceId, amount }) => (entry, rules, now) => {
+    const points = pointsForBooking(rules, { serviceId, amount });
+    if (points) entry.pointLots.push({ points, expiresAt: addDays(now, rules.pointsExpiryDays) });
+    const freeWashesGranted = convertToRewards(entry, rules, now);
+    const ledger = [{ type: 'earn', points, freeWashes: 0 }];
+    if (freeWashesGranted) {
+      ledger.push({ type: 'reward', points: -freeWashesGranted * rules.rewardThreshold, freeWashes: freeWashesGranted });
+    }
+    return { result: { points, freeWashesGranted, threshold: rules.rewardThreshold }, ledger };
+  },
+
+  // Undo earnForBooking when a paid booking is cancelled. Free washes it completed are
+  // taken back while unused, returning their points, then the earned points are removed.
+  reverseEarn: (award) => (entry, rules, now) => {
+    const granted = Number(award?.freeWashesGranted ?? (award?.freeWashGranted ? 1 : 0)) || 0;
+    const threshold = Number(award?.threshold) || rules.rewardThreshold;
+    entry.freeWashLots.sort((a, b) => (toDate(a.grantedAt) || 0) - (toDate(b.grantedAt) || 0));
+    const reclaimed = Math.min(granted, entry.freeWashLots.length);
+    if (reclaimed) {
+      entry.freeWashLots.splice(entry.freeWashLots.length - reclaimed, reclaimed);
+      entry.pointLots.push({ points: reclaimed * threshold, expiresAt: addDays(now, rules.pointsExpiryDays) });
+    }
+    const removed = consumePoints(entry, Number(award?.points) || 0);
+    return {
+      result: { reclaimedFreeWashes: reclaimed },
+      ledger: [{ type: 'reverse', points: reclaimed * threshold - removed, freeWashes: -reclaimed }],
+    };
+  },
+
+  // Spend one free wash (soonest-expiring first) on an eligible service
+  redeemFreeWash: (serviceId) => (entry, rules) => {
+    if (!canRedeemFor(rules, serviceId)) return { refusal: 'not_eligible' };
+    if (!entry.freeWashLots.length) return { refusal: 'no_free_washes' };
+    entry.freeWashLots.sort(byExpiry);
+    const [lot] = entry.freeWashLots.splice(0, 1);
+    return { result: { lot }, ledger: [{ type: 'redeem', points: 0, freeWashes: -1 }] };
+  },
+
+  // Give back a free wash from a cancelled booking, keeping its expiry if still ahead
+  restoreFreeWash: (lot) => (entry, rules, now) => {
+    const expiresAt = toDate(lot?.expiresAt);
+    entry.freeWashLots.push({
+      expiresAt: expiresAt && expiresAt > now ? expiresAt : addDays(now, rules.rewardExpiryDays),
+      grantedAt: toDate(lot?.grantedAt) || now,
+    });
+    return { result: {}, ledger: [{ type: 'restore', points: 0, freeWashes: 1 }] };
+  },
+
+  // Manual correction by a manager; negative values may not take the balance below zero
+  adjust: ({ points = 0, freeWashes = 0 }) => (entry, rules, now) => {
+    if (points < 0 && totalPoints(entry) < -points) return { refusal: 'insufficient_points' };
+    if (freeWashes < 0 && entry.freeWashLots.length < -freeWashes) return { refusal: 'insufficient_free_washes' };
+
+    if (points > 0) entry.pointLots.push({ points, expiresAt: addDays(now, rules.pointsExpiryDays) });
+    if (points < 0) consumePoints(entry, -points);
+    if (freeWashes > 0) {
+      for (let i = 0; i < freeWashes; i++) {
+        entry.freeWashLots.push({ expiresAt: addDays(now, rules.rewardExpiryDays), grantedAt: now });
+      }
+    }
+    if (freeWashes < 0) {
+      entry.freeWashLots.sort(byExpiry);
+      entry.freeWashLots.splice(0, -freeWashes);
+    }
+    const ledger = [{ type: 'adjust', points, freeWashes }];
+    const freeWashesGranted = convertToRewards(entry, rules, now);
+    if (freeWashesGranted) {
+      ledger.push({ type: 'reward', points: -freeWashesGranted * rules.rewardThreshold, freeWashes: freeWashesGranted });
+    }
+    return { result: { freeWashesGranted }, ledger };
+  },
+};
+
+// ---------- Persistence ----------
+function rulesRef(db, locationId) {
+  return db.collection('locations').doc(locationId).collection('settings').doc('loyalty');
+}
+
+async function getRules(db, locationId) {
+  const doc = await rulesRef(db, locationId).get();
+  return normalizeRules(doc.exists ? doc.data() : null);
+}
+
+// Runs `op` against a user's balance inside an existing transaction. Does all reads
+// first and returns { refusal } or { result, balance, apply() } — call apply() once the
+// caller has finished its own reads to queue the writes.
+async function prepareLoyaltyChange(tx, db, { userId, locationId, op, meta = {}, now = new Date() }) {
+  const userRef = db.collection('users').doc(userId);
+  const [userDoc, rulesDoc] = await Promise.all([tx.get(userRef), tx.get(rulesRef(db, locationId))]);
+  if (!userDoc.exists) return { refusal: 'no_account' };
+
+  const rules = normalizeRules(rulesDoc.exists ? rulesDoc.data() : null);
+  const entry = normalizeEntry(userDoc.data()?.rewards?.[locationId]);
+  const expired = pruneExpired(entry, now);
+
+  const outcome = op(entry, rules, now);
+  if (outcome.refusal) return { refusal: outcome.refusal };
+
+  const balance = summarize(entry);
+  const ledger = [...(expired ? [expired] : []), ...outcome.ledger];
+  return {
+    result: outcome.result,
+    balance,
+    apply() {
+      tx.update(userRef, { [`rewards.${locationId}`]: serializeEntry(entry, now) });
+      for (const item of ledger) {
+        tx.set(userRef.collection(LEDGER).doc(), {
+          ...item,
+          ...meta,
+          locationId,
+          balanceAfter: balance,
+          createdAt: now,
+        });
+      }
+    },
+  };
+}
+
+async function runLoyaltyChange(db, args) {
+  return db.runTransaction(async (tx) => {
+    const prepared = await prepareLoyaltyChange(tx, db, args);
+    if (prepared.refusal) return prepared;
+    prepared.apply();
+    return prepared;
+  });
+}
+
+// Read-only view for the rewards endpoint; expired lots are left out but not written
+function describeBalance(rawEntry, rules, now = new Date()) {
+  const entry = normalizeEntry(rawEntry);
+  pruneExpired(entry, now);
+  const { loyaltyPoints, freeWashes } = summarize(entry);
+  const expiring = (lots) => lots.filter((l) => l.expiresAt).sort(byExpiry);
+  return {
+    loyaltyPoints,
+    freeWashes,
+    rewardThreshold: rules.rewardThreshold,
+    pointsToNextReward: Math.max(0, rules.rewardThreshold - loyaltyPoints),
+    pointsExpiring: expiring(entry.pointLots).map((l) => ({ points: l.points, expiresAt: l.expiresAt.toISOString() })),
+    freeWashesExpiring: expiring(entry.freeWashLots).map((l) => ({ expiresAt: l.expiresAt.toISOString() })),
+  };
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  LEDGER,
+  validateRules,
+  normalizeRules,
+  pointsForBooking,
+  canRedeemFor,
+  ops,
+  getRules,
+  prepareLoyaltyChange,
+  runLoyaltyChange,
+  describeBalance,
+};
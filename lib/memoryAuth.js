@@ -0,0 +1,82 @@
+// lib/memoryAuth.js
+// ----- In-memory auth -----
+// Stands in for the Firebase Auth Admin API (FIREBASE_MODE=memory, see lib/memoryStore.js).
+// There is no sign-in flow: signIn(uid) mints an ID token the way a client would get one
+// from Firebase, carrying the user's custom claims as they are at that moment, so a role
+// change only shows up in tokens minted afterwards (as with Firebase). Tokens expire an
+// hour after `iat`, as Firebase ID tokens do.
+const crypto = require('crypto');
+
+const ID_TOKEN_TTL_SECONDS = 60 * 60;
+
+function authError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function createMemoryAuth() {
+  const users = new Map(); // uid -> { uid, email, displayName, customClaims, tokensValidAfter }
+  const tokens = new Map(); // token -> { uid, claims, iat, exp }
+
+  function record(uid) {
+    const user = users.get(uid);
+    if (!user) throw authError('auth/user-not-found', 'There is no user record corresponding to the provided identifier.');
+    return { ...user, customClaims: { ...user.customClaims } };
+  }
+
+  return {
+    async createUser({ uid = crypto.randomUUID(), email = null, password = null, displayName = null } = {}) {
+      if (users.has(uid)) throw authError('auth/uid-already-exists', 'The user with the provided uid already exists.');
+      if (email && [...users.values()].some((u) => u.email === email)) {
+        throw authError('auth/email-already-exists', 'The email address is already in use by another account.');
+      }
+      if (password != null && String(password).length < 6) {
+        throw authError('auth/invalid-password', 'The password must be a string with at least 6 characters.');
+      }
+      users.set(uid, { uid, email, displayName, customClaims: {}, tokensValidAfter: null });
+      return record(uid);
+    },
+
+    async getUser(uid) {
+      return record(uid);
+    },
+
+    async getUserByEmail(email) {
+      const user = [...users.values()].find((u) => u.email === email);
+      if (!user) throw authError('auth/user-not-found', 'There is no user record corresponding to the provided identifier.');
+      return record(user.uid);
+    },
+
+    async setCustomUserClaims(uid, claims) {
+      record(uid);
+      users.get(uid).customClaims = { ...(claims || {}) };
+    },
+
+    async revokeRefreshTokens(uid) {
+      record(uid);
+      users.get(uid).tokensValidAfter = Math.floor(Date.now() / 1000);
+    },
+
+    async verifyIdToken(token) {
+      const issued = tokens.get(token);
+      if (!issued) throw authError('auth/argument-error', 'Decoding Firebase ID token failed.');
+      if (issued.exp <= Math.floor(Date.now() / 1000)) throw authError('auth/id-token-expired', 'Firebase ID token has expired.');
+      const user = record(issued.uid);
+      return { uid: user.uid, email: user.email, name: user.displayName, iat: issued.iat, exp: issued.exp, ...issued.claims };
+    },
+
+    // Test helper: an ID token for `uid`, creating the user (with `profile`) if needed.
+    // `iat` (seconds) backdates the token.
+    signIn(uid, { email = null, displayName = null, iat = Math.floor(Date.now() / 1000) } = {}) {
+      if (!users.has(uid)) users.set(uid, { uid, email, displayName, customClaims: {}, tokensValidAfter: null });
+      const token = `memory-token-${crypto.randomUUID()}`;
+      tokens.set(token, { uid, claims: { ...users.get(uid).customClaims }, iat, exp: iat + ID_TOKEN_TTL_SECONDS });
+      return token;
+    },
+  };
+}
+
+module.exports = {
+  createMemoryAuth,
+};
@@ -0,0 +1,375 @@
+// lib/memoryStore.js
+// ----- In-memory datastore -----
+// A stand-in for the part of the Firestore Admin API this backend uses, for tests and
+// offline development (FIREBASE_MODE=memory):
+//   collection/doc paths, get/set (merge)/update (dotted paths)/delete, add, where
+//   (==, !=, <, <=, >, >=, in, not-in, array-contains, array-contains-any), orderBy,
+//   limit, collectionGroup, getAll and runTransaction.
+// It behaves like Firestore where the app could notice: Dates come back as Timestamps
+// (toDate(), toMillis(); JSON { _seconds, _nanoseconds }), reads are copies, undefined
+// values are refused, orderBy leaves out documents without the field, and update() on a
+// missing document fails. Transactions run one at a time, which gives the outcome
+// Firestore's retries guarantee, and refuse reads once a write is queued, as Firestore does.
+let nextAutoId = 0;
+
+function autoId() {
+  nextAutoId += 1;
+  return `mem${String(nextAutoId).padStart(8, '0')}`;
+}
+
+class MemoryTimestamp {
+  constructor(seconds, nanoseconds) {
+    this._seconds = seconds;
+    this._nanoseconds = nanoseconds;
+  }
+
+  static fromMillis(ms) {
+    return new MemoryTimestamp(Math.floor(ms / 1000), (((ms % 1000) + 1000) % 1000) * 1e6);
+  }
+
+  get seconds() {
+    return this._seconds;
+  }
+
+  get nanoseconds() {
+    return this._nanoseconds;
+  }
+
+  toMillis() {
+    return this._seconds * 1000 + Math.floor(this._nanoseconds / 1e6);
+  }
+
+  toDate() {
+    return new Date(this.toMillis());
+  }
+
+  isEqual(other) {
+    return other instanceof MemoryTimestamp && other.toMillis() === this.toMillis();
+  }
+
+  valueOf() {
+    return String(this._seconds + 1e12).padStart(13, '0') + '.' + String(this._nanoseconds).padStart(9, '0');
+  }
+}
+
+function storeError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// What gets stored: Dates become Timestamps, objects and arrays are copied
+function toStored(value, field) {
+  if (value === undefined) {
+    throw storeError('invalid-argument', `Cannot use "undefined" as a Firestore value (found in field "${field}").`);
+  }
+  if (value instanceof Date) return MemoryTimestamp.fromMillis(value.getTime());
+  if (value instanceof MemoryTimestamp || value?.toDate) return MemoryTimestamp.fromMillis(value.toDate().getTime());
+  if (Array.isArray(value)) return value.map((item, i) => toStored(item, `${field}.${i}`));
+  if (value && typeof value === 'object') {
+    const out = {};
+    for (const [key, item] of Object.entries(value)) out[key] = toStored(item, field ? `${field}.${key}` : key);
+    return out;
+  }
+  return value;
+}
+
+function copy(value) {
+  if (value instanceof MemoryTimestamp) return new MemoryTimestamp(value._seconds, value._nanoseconds);
+  if (Array.isArray(value)) return value.map(copy);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, copy(item)]));
+  }
+  return value;
+}
+
+function comparable(value) {
+  if (value instanceof Date) return value.getTime();
+  if (value instanceof MemoryTimestamp || value?.toDate) return value.toDate().getTime();
+  return value;
+}
+
+function getField(data, path) {
+  return String(path).split('.').reduce((acc, key) => (acc == null ? undefined : acc[key]), data);
+}
+
+function setField(data, path, value) {
+  const keys = String(path).split('.');
+  let current = data;
+  for (const key of keys.slice(0, -1)) {
+    if (!current[key] || typeof current[key] !== 'object' || current[key] instanceof MemoryTimestamp) current[key] = {};
+    current = current[key];
+  }
+  current[keys[keys.length - 1]] = value;
+}
+
+function isMap(value) {
+  return value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof MemoryTimestamp);
+}
+
+function deepMerge(target, source) {
+  for (const [key, value] of Object.entries(source)) {
+    if (isMap(value) && isMap(target[key])) deepMerge(target[key], value);
+    else target[key] = value;
+  }
+  return target;
+}
+
+function matches(data, { field, op, value }) {
+  const actual = comparable(getField(data, field));
+  const expected = Array.isArray(value) ? value.map(comparable) : comparable(value);
+  switch (op) {
+    case '==': return actual === expected;
+    case '!=': return actual !== undefined && actual !== expected;
+    case '<': return actual !== undefined && actual < expected;
+    case '<=': return actual !== undefined && actual <= expected;
+    case '>': return actual !== undefined && actual > expected;
+    case '>=': return actual !== undefined && actual >= expected;
+    case 'in': return expected.includes(actual);
+    case 'not-in': return actual !== undefined && !expected.includes(actual);
+    case 'array-contains': return Array.isArray(actual) && actual.map(comparable).includes(expected);
+    case 'array-contains-any': return Array.isArray(actual) && actual.map(comparable).some((a) => expected.includes(a));
+    default: throw storeError('invalid-argument', `Unsupported operator "${op}".`);
+  }
+}
+
+class DocumentSnapshot {
+  constructor(ref, data) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = data !== undefined;
+    this._data = data;
+  }
+
+  data() {
+    return this._data === undefined ? undefined : copy(this._data);
+  }
+
+  get(field) {
+    return copy(getField(this._data || {}, field));
+  }
+}
+
+class QuerySnapshot {
+  constructor(docs) {
+    this.docs = docs;
+    this.size = docs.length;
+    this.empty = docs.length === 0;
+  }
+
+  forEach(fn) {
+    this.docs.forEach(fn);
+  }
+}
+
+class DocumentReference {
+  constructor(store, path) {
+    this._store = store;
+    this.path = path;
+    this.id = path.split('/').pop();
+  }
+
+  get parent() {
+    return new CollectionReference(this._store, this.path.split('/').slice(0, -1).join('/'));
+  }
+
+  collection(name) {
+    return new CollectionReference(this._store, `${this.path}/${name}`);
+  }
+
+  async get() {
+    return this._read();
+  }
+
+  async set(data, options) {
+    this._write(data, options);
+  }
+
+  async update(data) {
+    this._update(data);
+  }
+
+  async delete() {
+    this._store.docs.delete(this.path);
+  }
+
+  _read() {
+    return new DocumentSnapshot(this, this._store.docs.get(this.path));
+  }
+
+  _write(data, { merge = false } = {}) {
+    const stored = toStored(data, '');
+    const existing = this._store.docs.get(this.path);
+    this._store.docs.set(this.path, merge && existing ? deepMerge(existing, stored) : stored);
+  }
+
+  _update(data) {
+    const existing = this._store.docs.get(this.path);
+    if (!existing) throw storeError('not-found', `No document to update: ${this.path}`);
+    for (const [field, value] of Object.entries(data)) setField(existing, field, toStored(value, field));
+  }
+}
+
+class Query {
+  constructor(store, path, { filters = [], orders = [], limit = null, group = false } = {}) {
+    this._store = store;
+    this._path = path;
+    this._filters = filters;
+    this._orders = orders;
+    this._limit = limit;
+    this._group = group;
+  }
+
+  _with(changes) {
+    return new Query(this._store, this._path, {
+      filters: this._filters,
+      orders: this._orders,
+      limit: this._limit,
+      group: this._group,
+      ...changes,
+    });
+  }
+
+  where(field, op, value) {
+    return this._with({ filters: [...this._filters, { field, op, value }] });
+  }
+
+  orderBy(field, direction = 'asc') {
+    return this._with({ orders: [...this._orders, { field, direction }] });
+  }
+
+  limit(n) {
+    return this._with({ limit: n });
+  }
+
+  async get() {
+    return this._read();
+  }
+
+  _read() {
+    const docs = [];
+    for (const [path, data] of this._store.docs) {
+      const parts = path.split('/');
+      const inScope = this._group
+        ? parts[parts.length - 2] === this._path
+        : parts.slice(0, -1).join('/') === this._path;
+      if (!inScope || !this._filters.every((filter) => matches(data, filter))) continue;
+      if (this._orders.some(({ field }) => getField(data, field) === undefined)) continue;
+      docs.push(new DocumentSnapshot(new DocumentReference(this._store, path), data));
+    }
+    docs.sort((a, b) => {
+      for (const { field, direction } of this._orders) {
+        const av = comparable(getField(a._data, field));
+        const bv = comparable(getField(b._data, field));
+        if (av === bv) continue;
+        return (av < bv ? -1 : 1) * (direction === 'desc' ? -1 : 1);
+      }
+      return 0;
+    });
+    return new QuerySnapshot(this._limit == null ? docs : docs.slice(0, this._limit));
+  }
+}
+
+class CollectionReference extends Query {
+  constructor(store, path) {
+    super(store, path);
+    this.path = path;
+    this.id = path.split('/').pop();
+  }
+
+  get parent() {
+    const parts = this.path.split('/');
+    return parts.length > 1 ? new DocumentReference(this._store, parts.slice(0, -1).join('/')) : null;
+  }
+
+  doc(id) {
+    return new DocumentReference(this._store, `${this.path}/${id || autoId()}`);
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    ref._write(data);
+    return ref;
+  }
+}
+
+// Writes are queued and applied together when the transaction function returns
+class Transaction {
+  constructor(store) {
+    this._store = store;
+    this._writes = [];
+  }
+
+  async get(refOrQuery) {
+    this._checkRead();
+    return refOrQuery._read();
+  }
+
+  async getAll(...refs) {
+    this._checkRead();
+    return refs.map((ref) => ref._read());
+  }
+
+  _checkRead() {
+    if (this._writes.length) {
+      throw storeError('invalid-argument', 'Firestore transactions require all reads to be executed before all writes.');
+    }
+  }
+
+  set(ref, data, options) {
+    toStored(data, '');
+    this._writes.push(() => ref._write(data, options));
+    return this;
+  }
+
+  update(ref, data) {
+    for (const [field, value] of Object.entries(data)) toStored(value, field);
+    this._writes.push(() => ref._update(data));
+    return this;
+  }
+
+  delete(ref) {
+    this._writes.push(() => this._store.docs.delete(ref.path));
+    return this;
+  }
+
+  _commit() {
+    for (const write of this._writes) write();
+  }
+}
+
+function createMemoryStore() {
+  const store = { docs: new Map() };
+  let queue = Promise.resolve();
+
+  return {
+    collection: (path) => new CollectionReference(store, path),
+    doc: (path) => new DocumentReference(store, path),
+    collectionGroup: (id) => new Query(store, id, { group: true }),
+
+    async getAll(...refs) {
+      return refs.map((ref) => ref._read());
+    },
+
+    runTransaction(fn) {
+      const run = queue.then(async () => {
+        const tx = new Transaction(store);
+        const result = await fn(tx);
+        tx._commit();
+        return result;
+      });
+      queue = run.catch(() => {});
+      return run;
+    },
+
+    // Test helper: forget every document
+    reset() {
+      store.docs.clear();
+    },
+  };
+}
+
+module.exports = {
+  MemoryTimestamp,
+  createMemoryStore,
+};
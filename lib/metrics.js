@@ -0,0 +1,96 @@
+// lib/metrics.js
+// ----- Metrics -----
+// A small in-process registry of counters and histograms, rendered in the Prometheus text
+// format for GET /metrics. Values live in memory per process and restart from zero; keep
+// label values to a small fixed set (route patterns, not raw paths).
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+// Seconds; suits API latencies from a few milliseconds to several seconds
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function labelText(labelNames, labels, extra = '') {
+  const parts = labelNames.map((name) => `${name}="${escapeLabel(labels[name] ?? '')}"`);
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+function keyOf(labelNames, labels) {
+  return JSON.stringify(labelNames.map((name) => String(labels[name] ?? '')));
+}
+
+function createMetrics() {
+  const metrics = [];
+
+  function counter(name, help, labelNames = []) {
+    const values = new Map();
+    const metric = {
+      inc(labels = {}, by = 1) {
+        const key = keyOf(labelNames, labels);
+        const current = values.get(key);
+        values.set(key, { labels, value: (current?.value || 0) + by });
+      },
+      render() {
+        const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+        for (const { labels, value } of values.values()) lines.push(`${name}${labelText(labelNames, labels)} ${value}`);
+        return lines;
+      },
+    };
+    metrics.push(metric);
+    return metric;
+  }
+
+  function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const series = new Map();
+    const metric = {
+      observe(labels = {}, value) {
+        const key = keyOf(labelNames, labels);
+        if (!series.has(key)) series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+        const s = series.get(key);
+        buckets.forEach((bound, i) => {
+          if (value <= bound) s.counts[i] += 1;
+        });
+        s.sum += value;
+        s.count += 1;
+      },
+      // Returns a function that observes (and returns) the seconds since it was created
+      startTimer(labels = {}) {
+        const started = process.hrtime.bigint();
+        return (moreLabels = {}) => {
+          const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+          metric.observe({ ...labels, ...moreLabels }, seconds);
+          return seconds;
+        };
+      },
+      render() {
+        const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+        for (const { labels, counts, sum, count } of series.values()) {
+          buckets.forEach((bound, i) => {
+            lines.push(`${name}_bucket${labelText(labelNames, labels, `le="${bound}"`)} ${counts[i]}`);
+          });
+          lines.push(`${name}_bucket${labelText(labelNames, labels, 'le="+Inf"')} ${count}`);
+          lines.push(`${name}_sum${labelText(labelNames, labels)} ${sum}`);
+          lines.push(`${name}_count${labelText(labelNames, labels)} ${count}`);
+        }
+        return lines;
+      },
+    };
+    metrics.push(metric);
+    return metric;
+  }
+
+  return {
+    contentType: CONTENT_TYPE,
+    counter,
+    histogram,
+    render: () => `${metrics.flatMap((metric) => metric.render()).join('\n')}\n`,
+  };
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  DEFAULT_BUCKETS,
+  createMetrics,
+};
@@ -0,0 +1,331 @@
+// lib/notifications.js
+// ----- Booking notifications -----
+// Settings and templates live in locations/{id}/settings/notifications:
+//   { channels: ['email', 'sms', 'push'], templates: { booking_confirmed: { subject, body, sms }, ... } }
+// Email uses subject + body, push uses subject + sms, SMS and WhatsApp use sms.
+// Templates fill {{placeholders}} from the booking (see bookingVariables). Every delivery
+// attempt, including skipped channels, is written to notificationLog.
+const { toDate, dateKeyInZone, timeLabelInZone, DEFAULT_TIMEZONE, isValidTimeZone } = require('./time');
+const { CHANNELS } = require('./transports');
+const { logger } = require('./logger');
+
+const NOTIFICATION_LOG = 'notificationLog';
+const MINUTE_MS = 60 * 1000;
+
+const EVENTS = [
+  'booking_confirmed',
+  'booking_cancelled',
+  'booking_rescheduled',
+  'booking_reminder',
+  'waitlist_offer',
+  'waitlist_offer_expired',
+];
+
+const DEFAULT_TEMPLATES = {
+  booking_confirmed: {
+    subject: 'Your {{serviceName}} at {{locationName}} is booked',
+    body:
+      'Hi {{customerName}},\n\nYour {{serviceName}} at {{locationName}} is confirmed for ' +
+      '{{date}} at {{time}} (bay {{bayId}}).\n\nSee you soon!',
+    sms: '{{locationName}}: your {{serviceName}} is booked for {{date}} at {{time}}.',
+  },
+  booking_cancelled: {
+    subject: 'Your booking at {{locationName}} was cancelled',
+    body:
+      'Hi {{customerName}},\n\nYour {{serviceName}} at {{locationName}} on {{date}} at {{time}} ' +
+      'has been cancelled.{{refundNote}}',
+    sms: '{{locationName}}: your {{serviceName}} on {{date}} at {{time}} was cancelled.{{refundNote}}',
+  },
+  booking_rescheduled: {
+    subject: 'Your booking at {{locationName}} has moved',
+    body:
+      'Hi {{customerName}},\n\nYour {{serviceName}} at {{locationName}} has moved from ' +
+      '{{previousDate}} at {{previousTime}} to {{date}} at {{time}} (bay {{bayId}}).',
+    sms: '{{locationName}}: your {{serviceName}} has moved to {{date}} at {{time}}.',
+  },
+  booking_reminder: {
+    subject: 'Reminder: {{serviceName}} at {{locationName}} on {{date}}',
+    body:
+      'Hi {{customerName}},\n\nA reminder that your {{serviceName}} at {{locationName}} is on ' +
+      '{{date}} at {{time}} (bay {{bayId}}).',
+    sms: '{{locationName}} reminder: {{serviceName}} on {{date}} at {{time}}.',
+  },
+  // Sent for the held booking behind a waitlist offer (lib/waitlist.js)
+  waitlist_offer: {
+    subject: 'A slot opened up at {{locationName}}',
+    body:
+      'Hi {{customerName}},\n\nA {{serviceName}} slot at {{locationName}} is free on {{date}} at {{time}}. ' +
+      'We are holding it for you until {{offerExpiresTime}}; accept it in the app to book.',
+    sms: '{{locationName}}: a {{serviceName}} slot on {{date}} at {{time}} is held for you until {{offerExpiresTime}}.',
+  },
+  waitlist_offer_expired: {
+    subject: 'Your held slot at {{locationName}} was released',
+    body:
+      'Hi {{customerName}},\n\nThe {{serviceName}} slot on {{date}} at {{time}} we held for you ' +
+      'has been offered to the next person on the waitlist.',
+    sms: '{{locationName}}: the slot on {{date}} at {{time}} we held for you has been released.',
+  },
+};
+
+const DEFAULT_SETTINGS = {
+  channels: ['email', 'sms', 'push'],
+  templates: {},
+};
+
+const TEMPLATE_FIELDS = ['subject', 'body', 'sms'];
+
+// Only paid and free bookings get confirmations and reminders
+const REMINDABLE_STATUSES = ['paid', 'free'];
+
+// ---------- Settings ----------
+// Returns an error message, or null when the (partial) settings are valid
+function validateSettings(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return 'Settings must be an object.';
+  for (const key of Object.keys(input)) {
+    if (!['channels', 'templates'].includes(key)) return `Unknown setting "${key}".`;
+  }
+  if (input.channels !== undefined) {
+    if (!Array.isArray(input.channels) || !input.channels.every((c) => CHANNELS.includes(c))) {
+      return `channels must be a list of ${CHANNELS.join(', ')}.`;
+    }
+  }
+  if (input.templates !== undefined) {
+    if (!input.templates || typeof input.templates !== 'object' || Array.isArray(input.templates)) {
+      return 'templates must be an object keyed by event.';
+    }
+    for (const [event, template] of Object.entries(input.templates)) {
+      if (!EVENTS.includes(event)) return `Unknown event "${event}".`;
+      if (template === null) continue; // back to the default
+      if (typeof template !== 'object' || Array.isArray(template)) return `${event}: template must be an object.`;
+      for (const [field, text] of Object.entries(template)) {
+        if (!TEMPLATE_FIELDS.includes(field)) return `${event}: unknown template field "${field}".`;
+        if (typeof text !== 'string' || !text.trim()) return `${event}.${field} must be non-empty text.`;
+      }
+    }
+  }
+  return null;
+}
+
+function normalizeSettings(data) {
+  const settings = { channels: [...DEFAULT_SETTINGS.channels], templates: {} };
+  if (data?.channels && !validateSettings({ channels: data.channels })) settings.channels = [...data.channels];
+  if (data?.templates && !validateSettings({ templates: data.templates })) {
+    for (const [event, template] of Object.entries(data.templates)) {
+      if (template) settings.templates[event] = template;
+    }
+  }
+  return settings;
+}
+
+// Location overrides on top of the defaults, field by field
+function templateFor(settings, event) {
+  return { ...DEFAULT_TEMPLATES[event], ...(settings.templates[event] || {}) };
+}
+
+function settingsRef(db, locationId) {
+  return db.collection('locations').doc(locationId).collection('settings').doc('notifications');
+}
+
+async function getSettings(db, locationId) {
+  const doc = await settingsRef(db, locationId).get();
+  return normalizeSettings(doc.exists ? doc.data() : null);
+}
+
+// ---------- Rendering ----------
+function render(text, vars) {
+  return String(text).replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => (vars[key] == null ? '' : String(vars[key])));
+}
+
+function formatRands(cents) {
+  return Number.isFinite(Number(cents)) ? `R${(Number(cents) / 100).toFixed(2)}` : '';
+}
+
+function refundNote(refund) {
+  if (!refund) return '';
+  if (refund.status === 'failed') return ' We could not refund your payment automatically; we will be in touch.';
+  return ` A refund of ${formatRands(refund.amount)} is on its way.`;
+}
+
+// Placeholders available to every template
+function bookingVariables({ bookingId, booking, location, service, user, extra = {} }) {
+  const timeZone = isValidTimeZone(location?.timezone) ? location.timezone : DEFAULT_TIMEZONE;
+  const start = toDate(booking.startTime);
+  const previous = toDate(extra.previousStartTime);
+  const offerExpires = toDate(extra.offerExpiresAt);
+  return {
+    bookingId,
+    customerName: user?.name || 'there',
+    locationName: location?.name || 'Spark',
+    serviceName: service?.name || 'wash',
+    date: start ? dateKeyInZone(start, timeZone) : '',
+    time: start ? timeLabelInZone(start, timeZone) : '',
+    previousDate: previous ? dateKeyInZone(previous, timeZone) : '',
+    previousTime: previous ? timeLabelInZone(previous, timeZone) : '',
+    bayId: booking.bayId ?? '',
+    amount: formatRands(booking.amount),
+    reference: booking.paymentReference || '',
+    refundNote: refundNote(extra.refund),
+    offerExpiresTime: offerExpires ? timeLabelInZone(offerExpires, timeZone) : '',
+  };
+}
+
+// Where each channel delivers for this customer, or null when it can't
+function recipientFor(channel, user) {
+  if (!user) return null;
+  if (channel === 'email') return user.email || null;
+  if (channel === 'sms' || channel === 'whatsapp') return user.phone || null;
+  if (channel === 'push') return Array.isArray(user.fcmTokens) && user.fcmTokens.length ? user.fcmTokens : null;
+  return null;
+}
+
+function messageFor(channel, template, vars) {
+  if (channel === 'email') return { subject: render(template.subject, vars), body: render(template.body, vars) };
+  if (channel === 'push') return { subject: render(template.subject, vars), body: render(template.sms, vars) };
+  return { body: render(template.sms, vars) };
+}
+
+// ---------- Notifier ----------
+// `transports` maps channel -> transport (lib/transports.js). Channels without a transport
+// are logged as skipped, so a missing provider never breaks a booking.
+function createNotifier({ db, transports = {} }) {
+  async function logAttempt(entry) {
+    try {
+      await db.collection(NOTIFICATION_LOG).add({ ...entry, attemptedAt: new Date() });
+    } catch (error) {
+      logger.error('notify: failed to write delivery log', error);
+    }
+  }
+
+  async function loadContext(locationId, bookingId) {
+    const locationRef = db.collection('locations').doc(locationId);
+    const [locationDoc, bookingDoc, settings] = await Promise.all([
+      locationRef.get(),
+      locationRef.collection('bookings').doc(bookingId).get(),
+      getSettings(db, locationId),
+    ]);
+    if (!bookingDoc.exists) return null;
+    const booking = bookingDoc.data();
+    const [serviceDoc, userDoc] = await Promise.all([
+      booking.serviceId ? locationRef.collection('services').doc(String(booking.serviceId)).get() : null,
+      booking.userId ? db.collection('users').doc(booking.userId).get() : null,
+    ]);
+    return {
+      booking,
+      settings,
+      location: locationDoc.exists ? locationDoc.data() : null,
+      service: serviceDoc?.exists ? serviceDoc.data() : null,
+      user: userDoc?.exists ? userDoc.data() : null,
+    };
+  }
+
+  // Sends `event` for one booking on each of the location's channels.
+  // Returns [{ channel, status: 'sent' | 'failed' | 'skipped', reason? }].
+  async function notifyBooking(event, { locationId, bookingId, extra = {} }) {
+    if (!EVENTS.includes(event)) throw new Error(`Unknown notification event: ${event}`);
+    const context = await loadContext(locationId, bookingId);
+    if (!context) return [];
+
+    const { booking, settings, user } = context;
+    const template = templateFor(settings, event);
+    const vars = bookingVariables({ bookingId, ...context, extra });
+    const base = { event, locationId, bookingId, userId: booking.userId || null };
+
+    const results = [];
+    for (const channel of settings.channels) {
+      const to = recipientFor(channel, user);
+      const transport = transports[channel];
+      if (!to || !transport) {
+        const reason = !to ? 'no_recipient' : 'no_transport';
+        results.push({ channel, status: 'skipped', reason });
+        await logAttempt({ ...base, channel, to: null, status: 'skipped', reason });
+        continue;
+      }
+
+      const message = { to, ...messageFor(channel, template, vars), data: { event, bookingId, locationId } };
+      try {
+        const sent = await transport.send(message);
+        results.push({ channel, status: 'sent' });
+        await logAttempt({ ...base, channel, to, status: 'sent', providerId: sent?.id || null });
+      } catch (error) {
+        const reason = error.response?.data ? JSON.stringify(error.response.data) : error.message;
+        logger.error('notify: delivery failed', { channel, event, bookingId, reason });
+        results.push({ channel, status: 'failed', reason });
+        await logAttempt({ ...base, channel, to, status: 'failed', reason });
+      }
+    }
+    return results;
+  }
+
+  // Reminds every paid/free booking starting within the next `leadMinutes` that hasn't
+  // had one. Each booking is claimed (reminderSentAt) in a transaction first, so
+  // overlapping runs of the job never send twice. When no channel delivers and one
+  // failed, the claim is released (reminderFailures counts the attempts) and the next
+  // run tries again; a booking with no reachable channel keeps its claim.
+  // Needs a collection-group index on bookings (startTime ASC).
+  async function sendDueReminders({ leadMinutes, now = new Date() }) {
+    const until = new Date(now.getTime() + leadMinutes * MINUTE_MS);
+    const snapshot = await db
+      .collectionGroup('bookings')
+      .where('startTime', '>', now)
+      .where('startTime', '<=', until)
+      .get();
+
+    let sent = 0;
+    for (const doc of snapshot.docs) {
+      const data = doc.data() || {};
+      if (!REMINDABLE_STATUSES.includes(data.status) || data.reminderSentAt) continue;
+
+      const claimed = await db.runTransaction(async (tx) => {
+        const fresh = await tx.get(doc.ref);
+        const booking = fresh.data() || {};
+        if (!fresh.exists || !REMINDABLE_STATUSES.includes(booking.status) || booking.reminderSentAt) return false;
+        tx.update(doc.ref, { reminderSentAt: now });
+        return true;
+      });
+      if (!claimed) continue;
+
+      let results;
+      try {
+        results = await notifyBooking('booking_reminder', { locationId: doc.ref.parent.parent.id, bookingId: doc.id });
+      } catch (error) {
+        results = [{ status: 'failed', reason: error.message }];
+      }
+      if (!results.some((r) => r.status === 'sent') && results.some((r) => r.status === 'failed')) {
+        await releaseReminder(doc.ref, now);
+        continue;
+      }
+      sent += 1;
+    }
+    return sent;
+  }
+
+  async function releaseReminder(ref, claimedAt) {
+    try {
+      await db.runTransaction(async (tx) => {
+        const booking = (await tx.get(ref)).data() || {};
+        // Only our own claim
+        if (booking.reminderSentAt?.toDate?.().getTime() !== claimedAt.getTime()) return;
+        tx.update(ref, {
+          reminderSentAt: null,
+          reminderFailures: (booking.reminderFailures || 0) + 1,
+          lastReminderFailedAt: claimedAt,
+        });
+      });
+    } catch (error) {
+      logger.error('notify: failed to release reminder claim', { bookingId: ref.id, error });
+    }
+  }
+
+  return { notifyBooking, sendDueReminders };
+}
+
+module.exports = {
+  NOTIFICATION_LOG,
+  EVENTS,
+  DEFAULT_TEMPLATES,
+  validateSettings,
+  normalizeSettings,
+  getSettings,
+  render,
+  createNotifier,
+};
@@ -0,0 +1,502 @@
+// lib/occupancy.js
+// ----- Bay occupancy -----
+// One calculator for availability, verify-slot and booking creation so they always agree.
+// A booking occupies its bay from startTime for durationInMinutes (older bookings
+// without a stored duration fall back to their service's duration), and must fit
+// inside one of the location's opening ranges for that day (see lib/schedule.js).
+// Blocked time (lib/blocks.js) either closes every bay or counts like a booking on the
+// bays it names. At a rostered location (lib/roster.js) a booking also needs a washer on
+// shift and free for the whole wash, so a slot offers the lower of free bays and free
+// washers.
+const { resolveDayHours, normalizeSchedule } = require('./schedule');
+const { loadBlocks, blocksOnDay } = require('./blocks');
+const { loadRoster } = require('./roster');
+const { logger } = require('./logger');
+const {
+  DEFAULT_TIMEZONE,
+  toDate,
+  dateKeyInZone,
+  minutesOfDayInZone,
+  zonedToUTC,
+  dayBoundsUTC,
+} = require('./time');
+
+const DEFAULT_ACTIVE_BAYS = 2;
+const DEFAULT_DURATION_MINUTES = 15;
+
+const MINUTE_MS = 60 * 1000;
+
+function pad2(n) { return String(n).padStart(2, '0'); }
+
+function slotLabelFromMinutes(minutes) {
+  return `${pad2(Math.floor(minutes / 60))}:${pad2(minutes % 60)}`;
+}
+
+// ---------- Settings ----------
+// Daily override -> global -> default. A mistaken 0 or negative never blocks everything.
+function resolveActiveBays(dailyData, globalData, fallback = DEFAULT_ACTIVE_BAYS) {
+  for (const candidate of [dailyData?.activeBays, globalData?.activeBays]) {
+    const n = Number(candidate);
+    if (candidate != null && Number.isFinite(n)) return Math.max(1, Math.floor(n));
+  }
+  return fallback;
+}
+
+// Statuses that occupy a bay. A pending_payment hold only counts until it expires;
+// completed and no-show bookings only until they were closed off (see occupiedUntil).
+const OCCUPYING_STATUSES = ['paid', 'free', 'in_progress', 'completed', 'no_show'];
+
+function bookingHoldsSlot(booking, now = new Date()) {
+  if (!booking) return false;
+  if (OCCUPYING_STATUSES.includes(booking.status)) return true;
+  if (booking.status === 'pending_payment') {
+    const expDate = toDate(booking.holdExpiresAt);
+    return !!expDate && expDate > now;
+  }
+  return false;
+}
+
+// A wash finished early, or a customer marked as a no-show, frees the rest of the booking
+function occupiedUntil(booking, scheduledEnd) {
+  const closedAt = toDate(booking.status === 'completed' ? booking.completedAt : booking.status === 'no_show' ? booking.noShowAt : null);
+  return closedAt ? Math.min(scheduledEnd, closedAt.getTime()) : scheduledEnd;
+}
+
+function normalizeDuration(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+// ---------- Loading ----------
+// Reads everything needed to judge capacity on one local day at the location. Pass `tx` to
+// read inside a Firestore transaction; all reads happen before the caller writes.
+// Only bookings starting that day are read: opening ranges close by 24:00 and checkSlot
+// keeps every booking inside its range, so none runs over from the day before.
+async function loadDayState(db, locationId, dateKey, { tx = null, now = new Date(), timeZone = DEFAULT_TIMEZONE } = {}) {
+  const read = (refOrQuery) => (tx ? tx.get(refOrQuery) : refOrQuery.get());
+  const locationRef = db.collection('locations').doc(locationId);
+  const settingsRef = locationRef.collection('settings');
+  const { start, end } = dayBoundsUTC(dateKey, timeZone);
+
+  const [locationDoc, dailyDoc, globalDoc, scheduleDoc, bookingsSnap, blockedSnap, blockRules, roster] = await Promise.all([
+    read(locationRef),
+    read(settingsRef.doc(dateKey)),
+    read(settingsRef.doc('global')),
+    read(settingsRef.doc('schedule')),
+    read(
+      locationRef
+        .collection('bookings')
+        .where('startTime', '>=', start)
+        .where('startTime', '<=', end)
+        .orderBy('startTime', 'asc')
+    ),
+    read(locationRef.collection('blockedSlots').where('date', '==', dateKey)),
+    loadBlocks(db, locationId, dateKey, dateKey, read),
+    loadRoster(db, locationId, dateKey, read),
+  ]);
+
+  const raw = bookingsSnap.docs
+    .map((d) => ({ id: d.id, data: d.data() || {} }))
+    .filter(({ data }) => bookingHoldsSlot(data, now));
+
+  // Older bookings don't store their duration; look their services up once each
+  const missing = new Set();
+  for (const { data } of raw) {
+    if (!normalizeDuration(data.durationInMinutes) && data.serviceId) missing.add(String(data.serviceId));
+  }
+  const serviceDurations = {};
+  await Promise.all(
+    Array.from(missing).map(async (sid) => {
+      try {
+        const sd = await read(locationRef.collection('services').doc(sid));
+        if (sd.exists) serviceDurations[sid] = normalizeDuration(sd.data()?.durationInMinutes);
+      } catch (e) {
+        logger.warn('occupancy: failed to read service', { serviceId: sid, error: e });
+      }
+    })
+  );
+
+  const bookings = [];
+  for (const { id, data } of raw) {
+    const startDate = toDate(data.startTime);
+    if (!startDate) {
+      logger.warn('occupancy: skipping booking without startTime', { bookingId: id });
+      continue;
+    }
+    const duration =
+      normalizeDuration(data.durationInMinutes) ??
+      serviceDurations[String(data.serviceId || '')] ??
+      DEFAULT_DURATION_MINUTES;
+    const bayId = Number.isInteger(Number(data.bayId)) ? Number(data.bayId) : null;
+    const end = occupiedUntil(data, startDate.getTime() + duration * MINUTE_MS);
+    if (end <= startDate.getTime()) continue;
+    const washerId = typeof data.washerId === 'string' ? data.washerId : null;
+    bookings.push({ id, bayId, washerId, start: startDate.getTime(), end });
+  }
+
+  const dailyData = dailyDoc.exists ? dailyDoc.data() : null;
+  const schedule = normalizeSchedule(scheduleDoc.exists ? scheduleDoc.data() : null);
+  const day = resolveDayHours(schedule, dailyData, dateKey);
+
+  // Start times step by the slot interval from each range's opening time
+  const slots = [];
+  for (const range of day.ranges) {
+    for (let m = range.open; m + schedule.slotInterval <= range.close; m += schedule.slotInterval) {
+      slots.push(slotLabelFromMinutes(m));
+    }
+  }
+
+  const activeBays = resolveActiveBays(dailyData, globalDoc.exists ? globalDoc.data() : null);
+  const legacySlots = blockedSnap.docs.map((d) => d.data()?.slot).filter(Boolean);
+  const blocks = blocksOnDay(blockRules, legacySlots, dateKey, schedule.slotInterval);
+  const instantOf = (minutes) =>
+    (minutes >= 24 * 60 ? end.getTime() + 1 : zonedToUTC(dateKey, slotLabelFromMinutes(minutes), timeZone).getTime());
+  const blocked = [];
+  for (const block of blocks) {
+    const span = { start: instantOf(block.start), end: instantOf(block.end) };
+    if (!block.bayIds) {
+      blocked.push(span);
+      continue;
+    }
+    // A blocked bay is taken like a booked one
+    for (const bayId of block.bayIds.filter((id) => id <= activeBays)) {
+      bookings.push({ id: `block:${block.id}:${bayId}`, bayId, ...span, block: true });
+    }
+  }
+
+  // null when the location isn't rostered
+  const washers = roster
+    ? roster.map((washer) => ({
+      id: washer.id,
+      name: washer.name,
+      spans: washer.spans.map((span) => ({ start: instantOf(span.start), end: instantOf(span.end) })),
+    }))
+    : null;
+
+  const inactive = locationDoc.exists && locationDoc.data()?.isActive === false;
+  return {
+    locationId,
+    dateKey,
+    timeZone,
+    now,
+    activeBays,
+    slotInterval: schedule.slotInterval,
+    // A location an owner has deactivated takes no bookings on any day
+    closed: day.closed || inactive,
+    closedReason: inactive ? 'This location is not taking bookings.' : day.closedReason,
+    hours: day.hours,
+    ranges: day.ranges,
+    slots,
+    // Spans closed to every bay (ms), and the day's blocks as minutes of the day
+    blocked,
+    blocks,
+    bookings,
+    washers,
+  };
+}
+
+// ---------- Calculations ----------
+function overlapping(state, start, end) {
+  return state.bookings.filter((b) => b.start < end && b.end > start);
+}
+
+// Bays taken by entries that overlap one stretch of time. A blocked bay that is also
+// booked (the block was added over the booking) or blocked twice counts once.
+function baysInUse(entries) {
+  const booked = entries.filter((b) => !b.block);
+  const bookedBays = new Set(booked.map((b) => b.bayId).filter((id) => id != null));
+  const blockedOnly = new Set(entries.filter((b) => b.block && !bookedBays.has(b.bayId)).map((b) => b.bayId));
+  return booked.length + blockedOnly.size;
+}
+
+// Number of bays occupied in each slot of the grid
+function occupancyBySlot(state) {
+  const counts = {};
+  for (const slot of state.slots) {
+    const start = zonedToUTC(state.dateKey, slot, state.timeZone).getTime();
+    counts[slot] = baysInUse(overlapping(state, start, start + state.slotInterval * MINUTE_MS));
+  }
+  return counts;
+}
+
+// The lowest-numbered bay free for [startMs, endMs), or checks `bayId` when given.
+// `preferBayId` is kept when it is free (a moved booking stays in its bay).
+function pickBay(state, others, startMs, endMs, { bayId = null, preferBayId = null } = {}) {
+  const busyBays = new Set(
+    others.filter((b) => b.start < endMs && b.end > startMs && b.bayId != null).map((b) => b.bayId)
+  );
+  if (bayId != null) {
+    if (!Number.isInteger(bayId) || bayId < 1 || bayId > state.activeBays) return { ok: false, reason: 'no_such_bay' };
+    if (others.some((b) => b.block && b.bayId === bayId && b.start < endMs && b.end > startMs)) {
+      return { ok: false, reason: 'blocked' };
+    }
+    return busyBays.has(bayId) ? { ok: false, reason: 'bay_busy' } : { ok: true, bayId };
+  }
+  if (Number.isInteger(preferBayId) && preferBayId <= state.activeBays && !busyBays.has(preferBayId)) {
+    return { ok: true, bayId: preferBayId };
+  }
+  for (let bay = 1; bay <= state.activeBays; bay++) {
+    if (!busyBays.has(bay)) return { ok: true, bayId: bay };
+  }
+  return { ok: false, reason: 'full' };
+}
+
+// A washer for [startMs, endMs) at a rostered location: on shift throughout and not on
+// another booking. Bookings made before the roster (no washerId) each take one of the
+// free washers. `washerId` asks for that washer; otherwise `preferWasherId` is kept if
+// free, then whoever has the fewest bookings that day.
+// Returns { ok: true, washerId } (null when not rostered) or { ok: false, reason:
+// 'no_staff' | 'no_such_washer' | 'washer_busy' }.
+function pickWasher(state, others, startMs, endMs, { washerId = null, preferWasherId = null } = {}) {
+  if (!state.washers) return { ok: true, washerId: null };
+  const during = others.filter((b) => !b.block && b.start < endMs && b.end > startMs);
+  const busy = new Set(during.map((b) => b.washerId).filter(Boolean));
+  const unassigned = during.filter((b) => !b.washerId).length;
+  const onShift = (w) => w.spans.some((span) => span.start <= startMs && span.end >= endMs);
+  const free = state.washers.filter((w) => onShift(w) && !busy.has(w.id));
+
+  if (washerId != null) {
+    const washer = state.washers.find((w) => w.id === washerId);
+    if (!washer || !onShift(washer)) return { ok: false, reason: 'no_such_washer' };
+    return free.includes(washer) && free.length > unassigned ? { ok: true, washerId } : { ok: false, reason: 'washer_busy' };
+  }
+  if (free.length <= unassigned) return { ok: false, reason: 'no_staff' };
+  if (preferWasherId && free.some((w) => w.id === preferWasherId)) return { ok: true, washerId: preferWasherId };
+
+  const load = (id) => state.bookings.filter((b) => b.washerId === id).length;
+  const [chosen] = [...free].sort((a, b) => load(a.id) - load(b.id));
+  return { ok: true, washerId: chosen.id };
+}
+
+// Checks that a booking of `durationInMinutes` starting at `start` fits, and picks the
+// lowest-numbered bay that is free for the whole duration (see pickBay; `bayId`,
+// `preferBayId`), and at a rostered location a washer (see pickWasher; `washerId`,
+// `preferWasherId`).
+// `allowPast` is for managers editing a booking that has already started.
+// Returns { ok: true, bayId, washerId } or { ok: false, reason: 'past' | 'closed' |
+// 'outside_hours' | 'blocked' | 'full' | 'no_such_bay' | 'bay_busy' | 'no_staff' |
+// 'no_such_washer' | 'washer_busy' }.
+function checkSlot(state, start, durationInMinutes, {
+  ignoreBookingId = null,
+  bayId = null,
+  preferBayId = null,
+  washerId = null,
+  preferWasherId = null,
+  allowPast = false,
+} = {}) {
+  const startDate = toDate(start);
+  const startMs = startDate.getTime();
+  const duration = normalizeDuration(durationInMinutes) ?? DEFAULT_DURATION_MINUTES;
+  const endMs = startMs + duration * MINUTE_MS;
+
+  if (!allowPast && startMs <= state.now.getTime()) return { ok: false, reason: 'past' };
+  if (state.closed) return { ok: false, reason: 'closed' };
+
+  // Must start on the slot grid and finish before that range closes (by 24:00, so never
+  // on the next day; loadDayState relies on that)
+  const startMin = minutesOfDayInZone(startDate, state.timeZone);
+  const fits =
+    dateKeyInZone(startDate, state.timeZone) === state.dateKey &&
+    state.ranges.some(
+      (r) => startMin >= r.open && startMin + duration <= r.close && (startMin - r.open) % state.slotInterval === 0
+    );
+  if (!fits) return { ok: false, reason: 'outside_hours' };
+
+  // Every grid slot the booking touches must be unblocked and under capacity
+  const others = state.bookings.filter((b) => b.id !== ignoreBookingId);
+  for (let t = startMs; t < endMs; t += state.slotInterval * MINUTE_MS) {
+    const stepEnd = Math.min(endMs, t + state.slotInterval * MINUTE_MS);
+    if (state.blocked.some((b) => b.start < stepEnd && b.end > t)) return { ok: false, reason: 'blocked' };
+    const count = baysInUse(others.filter((b) => b.start < stepEnd && b.end > t));
+    if (count >= state.activeBays) return { ok: false, reason: 'full' };
+  }
+
+  const bay = pickBay(state, others, startMs, endMs, { bayId, preferBayId });
+  if (!bay.ok) return bay;
+  const washer = pickWasher(state, others, startMs, endMs, { washerId, preferWasherId });
+  if (!washer.ok) return washer;
+  return { ok: true, bayId: bay.bayId, washerId: washer.washerId };
+}
+
+// Runs prepare hooks in order as one: the first refusal wins, otherwise their apply()s run
+// together and their bookingFields are merged. Falsy hooks are skipped.
+function chainPrepare(...hooks) {
+  const active = hooks.filter(Boolean);
+  if (active.length < 2) return active[0] || null;
+  return async (tx, context) => {
+    const results = [];
+    for (const hook of active) {
+      const result = (await hook(tx, context)) || {};
+      if (result.refusal) return result;
+      results.push(result);
+    }
+    return {
+      apply: () => results.forEach((result) => result.apply?.()),
+      bookingFields: Object.assign({}, ...results.map((result) => result.bookingFields)),
+    };
+  };
+}
+
+// Creates the booking inside a transaction. Every reservation for the location/day also
+// writes slotLocks/{dateKey}, so two concurrent reservations conflict and Firestore
+// retries the loser against fresh data instead of both seeing the same free bay.
+// `prepare(tx, { bookingId })` lets the caller do its own reads once the slot fits; it
+// returns { refusal } to abort, or { apply(), bookingFields? } to queue writes alongside
+// the booking.
+async function reserveSlot(db, { locationId, timeZone = DEFAULT_TIMEZONE, start, durationInMinutes, booking, prepare = null, now = new Date() }) {
+  const startDate = toDate(start);
+  const dateKey = dateKeyInZone(startDate, timeZone);
+  const duration = normalizeDuration(durationInMinutes) ?? DEFAULT_DURATION_MINUTES;
+  const locationRef = db.collection('locations').doc(locationId);
+  const lockRef = locationRef.collection('slotLocks').doc(dateKey);
+  const bookingRef = locationRef.collection('bookings').doc();
+
+  return db.runTransaction(async (tx) => {
+    const lockDoc = await tx.get(lockRef);
+    const state = await loadDayState(db, locationId, dateKey, { tx, now, timeZone });
+    const check = checkSlot(state, startDate, duration);
+    if (!check.ok) return { ...check, activeBays: state.activeBays };
+
+    const prepared = prepare ? await prepare(tx, { bookingId: bookingRef.id }) : null;
+    if (prepared?.refusal) return { ok: false, reason: prepared.refusal, activeBays: state.activeBays };
+
+    tx.set(lockRef, { version: (lockDoc.data()?.version || 0) + 1, updatedAt: now });
+    tx.set(bookingRef, {
+      ...booking,
+      ...(prepared?.bookingFields || {}),
+      locationId,
+      startTime: startDate,
+      endTime: new Date(startDate.getTime() + duration * MINUTE_MS),
+      durationInMinutes: duration,
+      bayId: check.bayId,
+      washerId: check.washerId,
+    });
+    if (prepared?.apply) prepared.apply();
+    return { ok: true, bookingId: bookingRef.id, bayId: check.bayId, washerId: check.washerId, dateKey, activeBays: state.activeBays, prepared };
+  });
+}
+
+// Takes a released booking's slot back (a charge that landed after its hold expired or
+// failed), inside the caller's transaction. Reads only, under the same rules and
+// slotLocks write as reserveSlot: returns null when the time no longer fits (the bay was
+// re-sold or offered on), else { bayId, washerId, dateKey, apply() } where apply() writes
+// the lock and puts the booking back in a bay.
+async function reclaimSlot(db, tx, { locationId, bookingId, booking, timeZone = DEFAULT_TIMEZONE, now = new Date() }) {
+  const startDate = toDate(booking.startTime);
+  if (!startDate) return null;
+  const dateKey = dateKeyInZone(startDate, timeZone);
+  const locationRef = db.collection('locations').doc(locationId);
+  const lockRef = locationRef.collection('slotLocks').doc(dateKey);
+
+  const [lockDoc, state] = await Promise.all([
+    tx.get(lockRef),
+    loadDayState(db, locationId, dateKey, { tx, now, timeZone }),
+  ]);
+  const check = checkSlot(state, startDate, booking.durationInMinutes, {
+    ignoreBookingId: bookingId,
+    preferBayId: booking.bayId ?? null,
+    preferWasherId: booking.washerId || null,
+  });
+  if (!check.ok) return null;
+
+  return {
+    bayId: check.bayId,
+    washerId: check.washerId,
+    dateKey,
+    apply: () => {
+      tx.set(lockRef, { version: (lockDoc.data()?.version || 0) + 1, updatedAt: now });
+      tx.update(locationRef.collection('bookings').doc(bookingId), { bayId: check.bayId, washerId: check.washerId });
+    },
+  };
+}
+
+// Moves an existing booking to a new start time (and/or duration, bay or washer) under the
+// same capacity rules as reserveSlot. The booking's own bay time is ignored when checking.
+// `guard(booking)` runs inside the transaction and may return a reason to refuse;
+// `extra` (fields, or booking => fields) is written alongside. `bayId` and `washerId` ask
+// for a specific bay or washer (otherwise the booking keeps its bay and washer when free)
+// and `allowPast` lets a manager edit a booking that has already started.
+// `prepare(tx, { booking, start, dateKey })` works like reserveSlot's, once the new time
+// fits: { refusal } aborts, { apply(), bookingFields? } queues writes alongside the move.
+// Returns { ok: true, bayId, washerId } or { ok: false, reason: 'not_found' | <guard reason> | <checkSlot reason> | <prepare refusal> }.
+async function rescheduleBooking(db, {
+  locationId,
+  timeZone = DEFAULT_TIMEZONE,
+  bookingId,
+  start,
+  durationInMinutes,
+  bayId = null,
+  washerId = null,
+  allowPast = false,
+  guard = null,
+  prepare = null,
+  now = new Date(),
+  extra = {},
+}) {
+  const startDate = toDate(start);
+  const dateKey = dateKeyInZone(startDate, timeZone);
+  const locationRef = db.collection('locations').doc(locationId);
+  const lockRef = locationRef.collection('slotLocks').doc(dateKey);
+  const bookingRef = locationRef.collection('bookings').doc(bookingId);
+
+  return db.runTransaction(async (tx) => {
+    const [lockDoc, bookingDoc] = await Promise.all([tx.get(lockRef), tx.get(bookingRef)]);
+    if (!bookingDoc.exists) return { ok: false, reason: 'not_found' };
+
+    const booking = bookingDoc.data() || {};
+    const refusal = guard ? guard(booking) : null;
+    if (refusal) return { ok: false, reason: refusal };
+
+    const duration =
+      normalizeDuration(durationInMinutes) ??
+      normalizeDuration(booking.durationInMinutes) ??
+      DEFAULT_DURATION_MINUTES;
+
+    const state = await loadDayState(db, locationId, dateKey, { tx, now, timeZone });
+    const check = checkSlot(state, startDate, duration, {
+      ignoreBookingId: bookingId,
+      bayId,
+      washerId,
+      preferBayId: booking.bayId ?? null,
+      preferWasherId: booking.washerId || null,
+      allowPast,
+    });
+    if (!check.ok) return check;
+
+    const prepared = prepare ? await prepare(tx, { booking, start: startDate, dateKey }) : null;
+    if (prepared?.refusal) return { ok: false, reason: prepared.refusal };
+
+    const previousStart = toDate(booking.startTime);
+    const moved = !previousStart || previousStart.getTime() !== startDate.getTime();
+    tx.set(lockRef, { version: (lockDoc.data()?.version || 0) + 1, updatedAt: now });
+    tx.update(bookingRef, {
+      ...(typeof extra === 'function' ? extra(booking) : extra),
+      ...(prepared?.bookingFields || {}),
+      startTime: startDate,
+      endTime: new Date(startDate.getTime() + duration * MINUTE_MS),
+      durationInMinutes: duration,
+      bayId: check.bayId,
+      washerId: check.washerId,
+      ...(moved
+        ? { rescheduledFrom: previousStart, rescheduledAt: now, rescheduleCount: (booking.rescheduleCount || 0) + 1 }
+        : {}),
+    });
+    if (prepared?.apply) prepared.apply();
+    return { ok: true, bayId: check.bayId, washerId: check.washerId, dateKey, moved };
+  });
+}
+
+module.exports = {
+  DEFAULT_ACTIVE_BAYS,
+  DEFAULT_DURATION_MINUTES,
+  OCCUPYING_STATUSES,
+  resolveActiveBays,
+  bookingHoldsSlot,
+  loadDayState,
+  occupancyBySlot,
+  checkSlot,
+  reserveSlot,
+  reclaimSlot,
+  rescheduleBooking,
+  chainPrepare,
+};
@@ -0,0 +1,183 @@
+// lib/payments.js
+// ----- Booking payment state -----
+// A booking starts as `pending_payment` and holds its slot until `holdExpiresAt`.
+// A successful charge (verify route or webhook) moves it to `paid`; holds that
+// are never paid are released to `expired`.
+const crypto = require('crypto');
+const { toDate, getLocationTimeZone } = require('./time');
+const { reclaimSlot } = require('./occupancy');
+
+const PAYMENTS = 'payments';
+// holdLocks/{uid}: written by every checkout hold, like slotLocks for a day
+const HOLD_LOCKS = 'holdLocks';
+
+function newPaymentReference() {
+  return `SPK-${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`.toUpperCase();
+}
+
+function bookingRefFor(db, payment) {
+  return db.collection('locations').doc(payment.locationId).collection('bookings').doc(payment.bookingId);
+}
+
+async function getPayment(db, reference) {
+  const doc = await db.collection(PAYMENTS).doc(String(reference)).get();
+  return doc.exists ? doc.data() : null;
+}
+
+// Idempotent: the verify route and the webhook may both report the same charge.
+// Returns { found, alreadyProcessed, amountMismatch, bookingCancelled, slotLost, payment }.
+async function markPaymentSuccessful(db, { reference, amount, paidAt }) {
+  const paymentRef = db.collection(PAYMENTS).doc(String(reference));
+  return db.runTransaction(async (tx) => {
+    const paymentDoc = await tx.get(paymentRef);
+    if (!paymentDoc.exists) return { found: false };
+
+    const payment = paymentDoc.data();
+    if (payment.status === 'success') return { found: true, alreadyProcessed: true, payment };
+
+    const bookingRef = bookingRefFor(db, payment);
+    const bookingDoc = await tx.get(bookingRef);
+
+    if (Number(amount) !== Number(payment.amount)) {
+      tx.update(paymentRef, { status: 'amount_mismatch', reportedAmount: Number(amount), updatedAt: new Date() });
+      return { found: true, amountMismatch: true, payment };
+    }
+
+    const paidTime = paidAt || new Date();
+
+    // The customer cancelled before the charge landed: keep the booking cancelled
+    // and leave the payment flagged for a manual refund.
+    if (bookingDoc.exists && bookingDoc.data()?.status === 'cancelled') {
+      tx.update(paymentRef, { status: 'success', paidAt: paidTime, needsRefund: true, updatedAt: new Date() });
+      return { found: true, alreadyProcessed: false, bookingCancelled: true, payment };
+    }
+
+    // A charge that lands after the hold was released (expired, or a failed attempt) only
+    // gets the booking back if its slot is still free; the bay may have been re-sold or
+    // offered to the waitlist since. Otherwise the booking stays released and the payment
+    // is flagged for a manual refund, like a cancelled one.
+    const stillHeld = bookingDoc.data()?.status === 'pending_payment';
+    let reclaimed = null;
+    if (bookingDoc.exists && !stillHeld) {
+      const timeZone = await getLocationTimeZone(db, payment.locationId, (ref) => tx.get(ref));
+      reclaimed = await reclaimSlot(db, tx, {
+        locationId: payment.locationId,
+        bookingId: payment.bookingId,
+        booking: bookingDoc.data(),
+        timeZone,
+      });
+      if (!reclaimed) {
+        tx.update(paymentRef, { status: 'success', paidAt: paidTime, needsRefund: true, updatedAt: new Date() });
+        return { found: true, alreadyProcessed: false, slotLost: true, payment };
+      }
+    }
+
+    tx.update(paymentRef, { status: 'success', paidAt: paidTime, updatedAt: new Date() });
+
+    if (bookingDoc.exists) {
+      if (reclaimed) reclaimed.apply();
+      // Flagged so a manager can see the bay was taken back after the hold lapsed
+      tx.update(bookingRef, {
+        status: 'paid',
+        paymentReference: payment.reference,
+        paidAt: paidTime,
+        ...(stillHeld ? {} : { paidAfterHoldExpired: true }),
+      });
+    }
+    return { found: true, alreadyProcessed: false, payment };
+  });
+}
+
+// Releases the slot straight away instead of waiting for the hold to expire
+async function markPaymentFailed(db, { reference, status = 'failed' }) {
+  const paymentRef = db.collection(PAYMENTS).doc(String(reference));
+  return db.runTransaction(async (tx) => {
+    const paymentDoc = await tx.get(paymentRef);
+    if (!paymentDoc.exists) return { found: false };
+
+    const payment = paymentDoc.data();
+    if (payment.status !== 'initialized') return { found: true, alreadyProcessed: true, payment };
+
+    const bookingRef = bookingRefFor(db, payment);
+    const bookingDoc = await tx.get(bookingRef);
+
+    tx.update(paymentRef, { status, updatedAt: new Date() });
+    if (bookingDoc.exists && bookingDoc.data()?.status === 'pending_payment') {
+      tx.update(bookingRef, { status: 'payment_failed', releasedAt: new Date() });
+    }
+    return { found: true, alreadyProcessed: false, payment };
+  });
+}
+
+// Needs a collection-group index on bookings (status ASC, holdExpiresAt ASC).
+// Returns the released bookings: [{ locationId, bookingId }].
+async function releaseExpiredHolds(db, now = new Date()) {
+  const snapshot = await db
+    .collectionGroup('bookings')
+    .where('status', '==', 'pending_payment')
+    .where('holdExpiresAt', '<=', now)
+    .get();
+
+  const released = [];
+  for (const doc of snapshot.docs) {
+    const didRelease = await db.runTransaction(async (tx) => {
+      const fresh = await tx.get(doc.ref);
+      const booking = fresh.data() || {};
+      if (!fresh.exists || booking.status !== 'pending_payment') return false;
+
+      const paymentRef = booking.paymentReference
+        ? db.collection(PAYMENTS).doc(String(booking.paymentReference))
+        : null;
+      const paymentDoc = paymentRef ? await tx.get(paymentRef) : null;
+
+      tx.update(doc.ref, { status: 'expired', releasedAt: now });
+      if (paymentDoc?.exists && paymentDoc.data()?.status === 'initialized') {
+        tx.update(paymentRef, { status: 'abandoned', updatedAt: now });
+      }
+      return true;
+    });
+    if (didRelease) released.push({ locationId: doc.ref.parent.parent.id, bookingId: doc.id });
+  }
+  return released;
+}
+
+// A customer's own bookings still holding a future slot while they pay, at every location.
+// Waitlist offers (waitlistEntryId) and bookings staff made for them don't count.
+// Needs a collection-group index on bookings (userId ASC, status ASC).
+async function countOpenHolds(db, userId, now = new Date(), { tx = null } = {}) {
+  const query = db
+    .collectionGroup('bookings')
+    .where('userId', '==', userId)
+    .where('status', '==', 'pending_payment');
+  const snapshot = await (tx ? tx.get(query) : query.get());
+  return snapshot.docs.filter((doc) => {
+    const booking = doc.data();
+    return !booking.waitlistEntryId && !booking.bookedBy?.onBehalf && toDate(booking.holdExpiresAt) > now && toDate(booking.startTime) > now;
+  }).length;
+}
+
+// reserveSlot prepare hook: refuses ('too_many_unpaid_bookings') once the customer has
+// `limit` open holds. The count runs inside the reservation, and every hold rewrites
+// holdLocks/{userId}, so two checkouts at once can't both pass it: Firestore retries the
+// later one, which then counts the first.
+function capOpenHolds(db, { userId, limit, now = new Date() }) {
+  const lockRef = db.collection(HOLD_LOCKS).doc(userId);
+  return async (tx) => {
+    await tx.get(lockRef);
+    const open = await countOpenHolds(db, userId, now, { tx });
+    if (open >= limit) return { refusal: 'too_many_unpaid_bookings' };
+    return { apply: () => tx.set(lockRef, { userId, lastHoldAt: now }) };
+  };
+}
+
+module.exports = {
+  PAYMENTS,
+  HOLD_LOCKS,
+  newPaymentReference,
+  getPayment,
+  markPaymentSuccessful,
+  markPaymentFailed,
+  releaseExpiredHolds,
+  countOpenHolds,
+  capOpenHolds,
+};
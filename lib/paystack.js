@@ -0,0 +1,180 @@
+// lib/paystack.js
+// ----- Paystack adapter -----
+// Routes only talk to Paystack through this interface so a local fake can stand in for it.
+const crypto = require('crypto');
+const axios = require('axios');
+
+const PAYSTACK_BASE_URL = 'https://api.paystack.co';
+
+// Paystack signs webhooks with HMAC-SHA512 of the raw body using the secret key
+function signPayload(rawBody, secretKey) {
+  return crypto.createHmac('sha512', secretKey).update(rawBody).digest('hex');
+}
+
+function isValidSignature(rawBody, signature, secretKey) {
+  if (!rawBody || !signature || !secretKey) return false;
+  const expected = Buffer.from(signPayload(rawBody, secretKey), 'hex');
+  const given = Buffer.from(String(signature), 'hex');
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+// Amounts are in the currency's subunit (cents for ZAR)
+function createPaystackClient({ secretKey, baseUrl = PAYSTACK_BASE_URL, http = axios } = {}) {
+  const headers = () => ({ Authorization: `Bearer ${secretKey}`, 'Content-Type': 'application/json' });
+
+  return {
+    async initializeTransaction({ email, amount, reference, callbackUrl, metadata }) {
+      const { data } = await http.post(
+        `${baseUrl}/transaction/initialize`,
+        { email, amount, reference, currency: 'ZAR', callback_url: callbackUrl, metadata },
+        { headers: headers() }
+      );
+      if (!data?.status || !data?.data) {
+        throw new Error(data?.message || 'Paystack initialize failed.');
+      }
+      return {
+        authorizationUrl: data.data.authorization_url,
+        accessCode: data.data.access_code,
+        reference: data.data.reference,
+      };
+    },
+
+    async verifyTransaction(reference) {
+      const { data } = await http.get(
+        `${baseUrl}/transaction/verify/${encodeURIComponent(reference)}`,
+        { headers: headers() }
+      );
+      if (!data?.status || !data?.data) {
+        throw new Error(data?.message || 'Paystack verify failed.');
+      }
+      return {
+        reference: data.data.reference,
+        status: data.data.status, // 'success' | 'failed' | 'abandoned' | ...
+        amount: data.data.amount,
+        currency: data.data.currency,
+        paidAt: data.data.paid_at ? new Date(data.data.paid_at) : null,
+        // A reusable card authorization can be charged again without the customer (plans)
+        authorizationCode: data.data.authorization?.reusable ? data.data.authorization.authorization_code : null,
+      };
+    },
+
+    // Charges a saved card authorization (subscription renewals). A declined card comes
+    // back as status 'failed' rather than an error.
+    async chargeAuthorization({ email, amount, authorizationCode, reference, metadata }) {
+      const { data } = await http.post(
+        `${baseUrl}/transaction/charge_authorization`,
+        { email, amount, authorization_code: authorizationCode, reference, currency: 'ZAR', metadata },
+        { headers: headers() }
+      );
+      if (!data?.status || !data?.data) {
+        throw new Error(data?.message || 'Paystack charge failed.');
+      }
+      return {
+        reference: data.data.reference,
+        status: data.data.status,
+        amount: data.data.amount,
+        paidAt: data.data.paid_at ? new Date(data.data.paid_at) : null,
+      };
+    },
+
+    // Omit amount for a full refund
+    async refundTransaction({ reference, amount }) {
+      const { data } = await http.post(
+        `${baseUrl}/refund`,
+        { transaction: reference, ...(amount ? { amount } : {}) },
+        { headers: headers() }
+      );
+      if (!data?.status || !data?.data) {
+        throw new Error(data?.message || 'Paystack refund failed.');
+      }
+      return {
+        id: data.data.id,
+        status: data.data.status, // 'pending' | 'processing' | 'processed' | ...
+        amount: data.data.amount,
+      };
+    },
+
+    verifyWebhookSignature(rawBody, signature) {
+      return isValidSignature(rawBody, signature, secretKey);
+    },
+  };
+}
+
+// Local fake: keeps transactions in memory and lets callers settle them by hand.
+// Saved-card charges succeed until setChargeStatus() says otherwise.
+function createFakePaystackClient({ secretKey = 'sk_test_fake' } = {}) {
+  const transactions = new Map();
+  const refunds = [];
+  let chargeStatus = 'success';
+
+  return {
+    transactions,
+    refunds,
+
+    async initializeTransaction({ email, amount, reference, metadata }) {
+      transactions.set(reference, { reference, email, amount, metadata, currency: 'ZAR', status: 'pending', paidAt: null });
+      return {
+        authorizationUrl: `https://checkout.paystack.test/${reference}`,
+        accessCode: `fake_${reference}`,
+        reference,
+      };
+    },
+
+    async verifyTransaction(reference) {
+      const tx = transactions.get(reference);
+      if (!tx) throw new Error('Transaction reference not found.');
+      return {
+        reference,
+        status: tx.status,
+        amount: tx.amount,
+        currency: tx.currency,
+        paidAt: tx.paidAt,
+        authorizationCode: tx.authorizationCode || null,
+      };
+    },
+
+    async chargeAuthorization({ email, amount, authorizationCode, reference, metadata }) {
+      const known = [...transactions.values()].some((tx) => tx.authorizationCode === authorizationCode);
+      if (!known) throw new Error('Invalid authorization code.');
+      const paidAt = chargeStatus === 'success' ? new Date() : null;
+      transactions.set(reference, { reference, email, amount, metadata, currency: 'ZAR', status: chargeStatus, paidAt });
+      return { reference, status: chargeStatus, amount, paidAt };
+    },
+
+    async refundTransaction({ reference, amount }) {
+      const tx = transactions.get(reference);
+      if (!tx || tx.status !== 'success') throw new Error('Transaction cannot be refunded.');
+      const refund = { id: refunds.length + 1, reference, status: 'pending', amount: amount || tx.amount };
+      refunds.push(refund);
+      tx.status = 'reversed';
+      return { id: refund.id, status: refund.status, amount: refund.amount };
+    },
+
+    verifyWebhookSignature(rawBody, signature) {
+      return isValidSignature(rawBody, signature, secretKey);
+    },
+
+    // Test helpers
+    settle(reference, status = 'success') {
+      const tx = transactions.get(reference);
+      if (!tx) throw new Error('Transaction reference not found.');
+      tx.status = status;
+      tx.paidAt = status === 'success' ? new Date() : null;
+      tx.authorizationCode = status === 'success' ? `AUTH_${reference}` : null;
+      return tx;
+    },
+    setChargeStatus(status) {
+      chargeStatus = status;
+    },
+    sign(rawBody) {
+      return signPayload(rawBody, secretKey);
+    },
+  };
+}
+
+module.exports = {
+  PAYSTACK_BASE_URL,
+  createPaystackClient,
+  createFakePaystackClient,
+  signPayload,
+};
@@ -0,0 +1,285 @@
+// lib/promotions.js
+// ----- Promo codes -----
+// locations/{id}/promoCodes/{CODE}
+//   { code, description, discountType, percentOff, amountOffCents, validFrom, validUntil,
+//     weekdays, serviceIds, minSpendCents, maxUses, maxUsesPerUser, isActive,
+//     uses, usesByUser: { [uid]: n }, createdAt, createdBy, updatedAt, updatedBy }
+// The document ID is the code itself, upper-cased, so a code is unique per location.
+// discountType 'percent' takes percentOff (1-100) off the booking total (service plus
+// add-ons); 'fixed' takes amountOffCents off. Either way the customer still pays at least
+// MIN_CHARGE_CENTS, since Paystack can't take a zero charge.
+// validFrom..validUntil (local dates, either null = open) and weekdays (null = every day)
+// are checked against the day of the wash, so "20% off Tuesdays" is
+//   { discountType: 'percent', percentOff: 20, weekdays: ['tue'] }
+// serviceIds (null = any), minSpendCents (before the discount), maxUses and
+// maxUsesPerUser (null = unlimited) are checked when the booking is made.
+//
+// A use is claimed in the same transaction that reserves the slot (reserveSlot's
+// `prepare`), so two customers can't both take the last use. The booking keeps
+// promo: { code, discountCents, amountBeforeDiscount }; if its hold is released or it is
+// cancelled, releasePromo gives the use back.
+const { WEEKDAYS, weekdayOf } = require('./schedule');
+const { isValidDateKey } = require('./time');
+
+const PROMO_CODES = 'promoCodes';
+const DISCOUNT_TYPES = ['percent', 'fixed'];
+const MIN_CHARGE_CENTS = 100;
+const CODE_RE = /^[A-Z0-9][A-Z0-9-]{2,19}$/;
+const PROMO_FIELDS = [
+  'code', 'description', 'discountType', 'percentOff', 'amountOffCents', 'validFrom', 'validUntil',
+  'weekdays', 'serviceIds', 'minSpendCents', 'maxUses', 'maxUsesPerUser', 'isActive',
+];
+// Booking statuses that no longer hold on to their code
+const RELEASED_STATUSES = ['cancelled', 'expired', 'payment_failed'];
+
+function isWholeNumber(n, min = 0) {
+  return Number.isInteger(n) && n >= min;
+}
+
+function normalizeCode(code) {
+  return typeof code === 'string' ? code.trim().toUpperCase() : '';
+}
+
+// ---------- Validation ----------
+// Returns an error message, or null. `partial` allows leaving fields out (updates); the
+// code itself can't be changed. `existing` is the stored code when updating, so the
+// discount and window are checked as they will be after the change.
+function validatePromo(input, { partial = false, existing = null } = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return 'Body must be an object.';
+  for (const key of Object.keys(input)) {
+    if (!PROMO_FIELDS.includes(key)) return `Unknown field "${key}".`;
+  }
+  if (partial) {
+    if (input.code !== undefined) return 'The code cannot be changed; create a new one instead.';
+  } else {
+    const missing = ['code', 'discountType'].filter((key) => input[key] === undefined);
+    if (missing.length) return `Missing ${missing.join(', ')}.`;
+    if (!CODE_RE.test(normalizeCode(input.code))) {
+      return 'code must be 3-20 letters, digits or dashes, starting with a letter or digit.';
+    }
+  }
+
+  // The code as it will be; without `existing` an update's fields are checked one by one
+  const promo = { ...(existing || {}), ...input };
+  const whole = !partial || Boolean(existing);
+  if ((whole || input.discountType !== undefined) && !DISCOUNT_TYPES.includes(promo.discountType)) {
+    return `discountType must be one of ${DISCOUNT_TYPES.join(', ')}.`;
+  }
+  if ((whole ? promo.discountType === 'percent' : input.percentOff !== undefined)
+    && !(isWholeNumber(promo.percentOff, 1) && promo.percentOff <= 100)) {
+    return 'percentOff must be a whole number from 1 to 100.';
+  }
+  if ((whole ? promo.discountType === 'fixed' : input.amountOffCents !== undefined)
+    && !isWholeNumber(promo.amountOffCents, 1)) {
+    return 'amountOffCents must be a whole number of cents above 0.';
+  }
+  if (input.description !== undefined && input.description !== null
+    && !(typeof input.description === 'string' && input.description.length <= 300)) {
+    return 'description must be text (up to 300 characters) or null.';
+  }
+  for (const key of ['validFrom', 'validUntil']) {
+    if (input[key] != null && !isValidDateKey(input[key])) return `${key} must be a date (yyyy-MM-dd) or null.`;
+  }
+  if (promo.validFrom && promo.validUntil && promo.validUntil < promo.validFrom) {
+    return 'validUntil must not be before validFrom.';
+  }
+  if (input.weekdays != null
+    && !(Array.isArray(input.weekdays) && input.weekdays.length && input.weekdays.every((d) => WEEKDAYS.includes(d)))) {
+    return `weekdays must be a list of ${WEEKDAYS.join(', ')}, or null for every day.`;
+  }
+  if (input.serviceIds != null
+    && !(Array.isArray(input.serviceIds) && input.serviceIds.length
+      && input.serviceIds.every((id) => typeof id === 'string' && id))) {
+    return 'serviceIds must be a list of service IDs, or null for any service.';
+  }
+  for (const key of ['minSpendCents', 'maxUses', 'maxUsesPerUser']) {
+    if (input[key] != null && !isWholeNumber(input[key], key === 'minSpendCents' ? 0 : 1)) {
+      return key === 'minSpendCents'
+        ? 'minSpendCents must be a whole number of cents, or null.'
+        : `${key} must be a whole number above 0, or null for no limit.`;
+    }
+  }
+  if (input.isActive !== undefined && typeof input.isActive !== 'boolean') return 'isActive must be true or false.';
+  return null;
+}
+
+// Fields as stored, from a body that passed validatePromo. Fields left out of an update
+// stay as they are.
+function promoFields(input, { partial = false } = {}) {
+  const defaults = partial ? {} : {
+    description: null,
+    percentOff: null,
+    amountOffCents: null,
+    validFrom: null,
+    validUntil: null,
+    weekdays: null,
+    serviceIds: null,
+    minSpendCents: null,
+    maxUses: null,
+    maxUsesPerUser: null,
+    isActive: true,
+  };
+  const fields = { ...defaults };
+  for (const key of PROMO_FIELDS) {
+    if (input[key] !== undefined) fields[key] = input[key];
+  }
+  if (fields.code !== undefined) fields.code = normalizeCode(fields.code);
+  if (typeof fields.description === 'string') fields.description = fields.description.trim() || null;
+  if (fields.weekdays) fields.weekdays = Array.from(new Set(fields.weekdays));
+  if (fields.serviceIds) fields.serviceIds = Array.from(new Set(fields.serviceIds));
+  // Only the amount for the chosen type is kept
+  if (fields.discountType === 'percent') fields.amountOffCents = null;
+  if (fields.discountType === 'fixed') fields.percentOff = null;
+  return fields;
+}
+
+// ---------- Reading ----------
+function promoCodesOf(db, locationId) {
+  return db.collection('locations').doc(locationId).collection(PROMO_CODES);
+}
+
+function promoRef(db, locationId, code) {
+  return promoCodesOf(db, locationId).doc(normalizeCode(code) || '-');
+}
+
+// API shape (managers); usesByUser stays private
+function serializePromo(doc) {
+  const { usesByUser, createdAt, updatedAt, ...data } = doc.data();
+  const iso = (value) => (value?.toDate ? value.toDate().toISOString() : null);
+  return {
+    id: doc.id,
+    ...data,
+    uses: data.uses || 0,
+    createdAt: iso(createdAt),
+    updatedAt: iso(updatedAt),
+  };
+}
+
+// ---------- Applying ----------
+// The reason `promo` can't be used on this booking, or null. `promo` is the stored data
+// (null when there is no such code); `dateKey` is the wash's local date.
+// The code's date window and weekdays against the day of the wash
+function promoDateRefusal(promo, dateKey) {
+  if (promo.validFrom && dateKey < promo.validFrom) return 'promo_not_started';
+  if (promo.validUntil && dateKey > promo.validUntil) return 'promo_expired';
+  if (promo.weekdays && !promo.weekdays.includes(weekdayOf(dateKey))) return 'promo_wrong_day';
+  return null;
+}
+
+function promoRefusal(promo, { userId, serviceId, amountCents, dateKey }) {
+  if (!promo) return 'promo_not_found';
+  if (promo.isActive === false) return 'promo_inactive';
+  const dateRefusal = promoDateRefusal(promo, dateKey);
+  if (dateRefusal) return dateRefusal;
+  if (promo.serviceIds && !promo.serviceIds.includes(serviceId)) return 'promo_service_not_eligible';
+  if (promo.minSpendCents && amountCents < promo.minSpendCents) return 'promo_below_min_spend';
+  if (promo.maxUses != null && (promo.uses || 0) >= promo.maxUses) return 'promo_used_up';
+  if (promo.maxUsesPerUser != null && (promo.usesByUser?.[userId] || 0) >= promo.maxUsesPerUser) {
+    return 'promo_user_limit_reached';
+  }
+  return null;
+}
+
+// Cents off `amountCents`, leaving at least MIN_CHARGE_CENTS to pay
+function discountFor(promo, amountCents) {
+  const wanted = promo.discountType === 'percent'
+    ? Math.round((amountCents * promo.percentOff) / 100)
+    : promo.amountOffCents;
+  return Math.max(0, Math.min(wanted, amountCents - MIN_CHARGE_CENTS));
+}
+
+// Checks a code without claiming it (the customer's "apply" button).
+// Returns { ok: true, code, description, amountBeforeDiscount, discountCents, amount } (cents)
+// or { ok: false, reason }.
+async function quotePromo(db, { locationId, code, userId, serviceId, amountCents, dateKey }) {
+  const doc = await promoRef(db, locationId, code).get();
+  const promo = doc.exists ? doc.data() : null;
+  const reason = promoRefusal(promo, { userId, serviceId, amountCents, dateKey });
+  if (reason) return { ok: false, reason };
+  const discountCents = discountFor(promo, amountCents);
+  return {
+    ok: true,
+    code: doc.id,
+    description: promo.description || null,
+    amountBeforeDiscount: amountCents,
+    discountCents,
+    amount: amountCents - discountCents,
+  };
+}
+
+// A `prepare` for reserveSlot (lib/occupancy.js) that claims one use of the code alongside
+// the booking, and writes the discounted amount and promo onto it. Refuses with a
+// promo_* reason.
+function claimPromo(db, { locationId, code, userId, serviceId, amountCents, dateKey }) {
+  const ref = promoRef(db, locationId, code);
+  return async (tx) => {
+    const doc = await tx.get(ref);
+    const promo = doc.exists ? doc.data() : null;
+    const refusal = promoRefusal(promo, { userId, serviceId, amountCents, dateKey });
+    if (refusal) return { refusal };
+
+    const discountCents = discountFor(promo, amountCents);
+    return {
+      apply: () => tx.update(ref, {
+        uses: (promo.uses || 0) + 1,
+        [`usesByUser.${userId}`]: (promo.usesByUser?.[userId] || 0) + 1,
+      }),
+      bookingFields: {
+        amount: amountCents - discountCents,
+        promo: { code: doc.id, discountCents, amountBeforeDiscount: amountCents },
+      },
+    };
+  };
+}
+
+// Gives the use back once the booking is cancelled or its hold released. Safe to call
+// more than once and for bookings without a code; returns whether a use was given back.
+// Reschedule `prepare` step for a booking that used a code: the discount only stands if the
+// code is valid on the new day. Its use was counted when booked, so the use limits aren't
+// checked again, and a code deleted since then can't be checked at all.
+function checkPromoDate(db, { locationId, code, dateKey }) {
+  const ref = promoRef(db, locationId, code);
+  return async (tx) => {
+    const doc = await tx.get(ref);
+    const refusal = doc.exists ? promoDateRefusal(doc.data(), dateKey) : null;
+    return refusal ? { refusal } : {};
+  };
+}
+
+async function releasePromo(db, { locationId, bookingId, now = new Date() }) {
+  const bookingRef = db.collection('locations').doc(locationId).collection('bookings').doc(bookingId);
+  return db.runTransaction(async (tx) => {
+    const bookingDoc = await tx.get(bookingRef);
+    const booking = bookingDoc.exists ? bookingDoc.data() : null;
+    if (!booking?.promo || booking.promo.releasedAt || !RELEASED_STATUSES.includes(booking.status)) return false;
+
+    const ref = promoRef(db, locationId, booking.promo.code);
+    const promoDoc = await tx.get(ref);
+    if (promoDoc.exists) {
+      const promo = promoDoc.data();
+      tx.update(ref, {
+        uses: Math.max(0, (promo.uses || 0) - 1),
+        [`usesByUser.${booking.userId}`]: Math.max(0, (promo.usesByUser?.[booking.userId] || 0) - 1),
+      });
+    }
+    tx.update(bookingRef, { 'promo.releasedAt': now });
+    return true;
+  });
+}
+
+module.exports = {
+  PROMO_CODES,
+  MIN_CHARGE_CENTS,
+  normalizeCode,
+  validatePromo,
+  promoFields,
+  promoCodesOf,
+  promoRef,
+  serializePromo,
+  promoRefusal,
+  discountFor,
+  quotePromo,
+  claimPromo,
+  checkPromoDate,
+  releasePromo,
+};
@@ -0,0 +1,116 @@
+// lib/rateLimits.js
+// ----- Rate limits -----
+// express-rate-limit middleware keyed by caller: the signed-in uid when the request carries
+// a valid token (req.caller, set by identifyCaller in index.js), otherwise the client IP.
+// Each limiter has a budget per tier:
+//   anonymous | customer | staff   (staff, managers and owners: dashboards poll, and a
+//                                   whole shop may sit behind one NAT address)
+// Counters live in a store. By default each limiter gets express-rate-limit's MemoryStore
+// (one process, reset on restart); createFirestoreStore keeps them in rateLimits/{id}
+// instead, shared between instances and kept across restarts.
+const crypto = require('crypto');
+const { rateLimit, ipKeyGenerator } = require('express-rate-limit');
+const { errorBody } = require('./errors');
+const { hasRole } = require('./roles');
+
+const RATE_LIMITS = 'rateLimits';
+const TIERS = ['anonymous', 'customer', 'staff'];
+
+function tierOf(req) {
+  if (!req.caller) return 'anonymous';
+  return hasRole(req.caller.role, 'staff') ? 'staff' : 'customer';
+}
+
+function callerKey(req) {
+  return req.caller ? `uid:${req.caller.uid}` : `ip:${ipKeyGenerator(req.ip || '')}`;
+}
+
+// express-rate-limit Store over Firestore (or the in-memory store). One document per
+// limiter and caller; hits reset once the window has passed. Set a TTL policy on
+// rateLimits.expiresAt to have Firestore delete stale counters.
+class FirestoreStore {
+  constructor(db, { prefix }) {
+    this.db = db;
+    this.prefix = prefix;
+    this.localKeys = false;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  ref(key) {
+    // Keys carry ':' and '/' (IPv6 subnets), which document IDs can't
+    const id = crypto.createHash('sha256').update(`${this.prefix}|${key}`).digest('hex');
+    return this.db.collection(RATE_LIMITS).doc(id);
+  }
+
+  async get(key) {
+    const doc = await this.ref(key).get();
+    const data = doc.data();
+    const resetTime = data?.resetAt?.toDate ? data.resetAt.toDate() : null;
+    if (!resetTime || resetTime <= new Date()) return undefined;
+    return { totalHits: data.hits, resetTime };
+  }
+
+  async increment(key) {
+    const ref = this.ref(key);
+    return this.db.runTransaction(async (tx) => {
+      const now = new Date();
+      const data = (await tx.get(ref)).data();
+      const current = data?.resetAt?.toDate ? data.resetAt.toDate() : null;
+      const fresh = !current || current <= now;
+      const resetTime = fresh ? new Date(now.getTime() + this.windowMs) : current;
+      const totalHits = fresh ? 1 : data.hits + 1;
+      tx.set(ref, { prefix: this.prefix, key, hits: totalHits, resetAt: resetTime, expiresAt: resetTime });
+      return { totalHits, resetTime };
+    });
+  }
+
+  async decrement(key) {
+    const ref = this.ref(key);
+    await this.db.runTransaction(async (tx) => {
+      const data = (await tx.get(ref)).data();
+      if (data?.hits > 0) tx.update(ref, { hits: data.hits - 1 });
+    });
+  }
+
+  async resetKey(key) {
+    await this.ref(key).delete();
+  }
+}
+
+function createFirestoreStore(db) {
+  return (name) => new FirestoreStore(db, { prefix: name });
+}
+
+// `createStore(name)` returns a store for one limiter; null keeps the MemoryStore default.
+// Returns limiter(name, { windowMs, limits: { anonymous, customer, staff }, message, skip })
+function createRateLimiters({ createStore = null } = {}) {
+  return function limiter(name, { windowMs, limits, message, skip }) {
+    for (const tier of TIERS) {
+      if (!(limits[tier] > 0)) throw new Error(`Rate limit "${name}" needs a ${tier} limit.`);
+    }
+    return rateLimit({
+      windowMs,
+      limit: (req) => limits[tierOf(req)],
+      keyGenerator: callerKey,
+      message: errorBody(429, 'rate_limited', message),
+      standardHeaders: true,
+      legacyHeaders: false,
+      identifier: name,
+      ...(createStore ? { store: createStore(name) } : {}),
+      ...(skip ? { skip } : {}),
+    });
+  };
+}
+
+module.exports = {
+  RATE_LIMITS,
+  TIERS,
+  tierOf,
+  callerKey,
+  FirestoreStore,
+  createFirestoreStore,
+  createRateLimiters,
+};
@@ -0,0 +1,248 @@
+// lib/reports.js
+// ----- Reporting -----
+// Date-range reports for one location, built from one bookings query plus batched
+// getAll lookups for services, customers and per-day settings (no per-booking reads).
+// Amounts are in cents. Dates are local to the location (see lib/time.js).
+//
+// What counts:
+//   confirmed  paid, free, in_progress, completed, no_show
+//   free       nothing was charged: a reward wash, a subscription wash or a zero amount
+//              (whatever the status has moved on to since)
+//   revenue    amount of confirmed bookings that were paid for (not free)
+//   cancelled  customer cancellations of confirmed bookings (abandoned checkouts don't count)
+//   utilization booked bay-minutes / open bay-minutes (activeBays x opening hours, less blocked time)
+const { resolveActiveBays } = require('./occupancy');
+const { loadBlocks, blocksOnDay, blockedBayMinutes } = require('./blocks');
+const { resolveDayHours, normalizeSchedule } = require('./schedule');
+const { toDate, dayBoundsUTC, addDaysToKey, dateKeyInZone, timeLabelInZone } = require('./time');
+
+const MAX_RANGE_DAYS = 92;
+const CONFIRMED_STATUSES = ['paid', 'free', 'in_progress', 'completed', 'no_show'];
+const OCCUPIED_STATUSES = ['paid', 'free', 'in_progress', 'completed'];
+
+function ratio(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 10000) / 10000 : 0;
+}
+
+// Inclusive list of 'yyyy-MM-dd' keys, or null when the range is backwards or too long
+function dateRange(from, to) {
+  const days = [];
+  for (let key = from; key <= to; key = addDaysToKey(key, 1)) {
+    days.push(key);
+    if (days.length > MAX_RANGE_DAYS) return null;
+  }
+  return days.length ? days : null;
+}
+
+// Reads many docs in one round trip; Firestore's getAll needs at least one ref
+async function getAllById(db, refs) {
+  if (!refs.length) return {};
+  const docs = await db.getAll(...refs);
+  return Object.fromEntries(docs.filter((d) => d.exists).map((d) => [d.id, d.data()]));
+}
+
+function emptyCounts() {
+  return { bookings: 0, paid: 0, free: 0, noShows: 0, cancelled: 0, revenue: 0, bookedMinutes: 0 };
+}
+
+function isFree(booking) {
+  return booking.status === 'free'
+    || Boolean(booking.redeemedFreeWash || booking.subscription)
+    || Number(booking.amount) === 0;
+}
+
+function countBooking(counts, booking) {
+  if (booking.status === 'cancelled') {
+    counts.cancelled += 1;
+    return;
+  }
+  counts.bookings += 1;
+  const free = isFree(booking);
+  if (free) counts.free += 1;
+  else counts.paid += 1;
+  if (booking.status === 'no_show') counts.noShows += 1;
+  if (!free) counts.revenue += Number(booking.amount) || 0;
+  if (OCCUPIED_STATUSES.includes(booking.status)) counts.bookedMinutes += Number(booking.durationInMinutes) || 0;
+}
+
+function withRates(counts, capacityMinutes) {
+  return {
+    ...counts,
+    ...(capacityMinutes !== undefined
+      ? { capacityMinutes, utilization: ratio(counts.bookedMinutes, capacityMinutes) }
+      : {}),
+    noShowRate: ratio(counts.noShows, counts.bookings),
+    cancellationRate: ratio(counts.cancelled, counts.bookings + counts.cancelled),
+  };
+}
+
+// Open bay-minutes per day from the schedule, daily overrides and blocked time
+async function loadCapacity(db, locationId, days) {
+  const settingsRef = db.collection('locations').doc(locationId).collection('settings');
+  const [settings, blockedSnap, blocks] = await Promise.all([
+    getAllById(db, [settingsRef.doc('global'), settingsRef.doc('schedule'), ...days.map((d) => settingsRef.doc(d))]),
+    db
+      .collection('locations')
+      .doc(locationId)
+      .collection('blockedSlots')
+      .where('date', '>=', days[0])
+      .where('date', '<=', days[days.length - 1])
+      .get(),
+    loadBlocks(db, locationId, days[0], days[days.length - 1]),
+  ]);
+
+  const blockedSlotsPerDay = {};
+  for (const doc of blockedSnap.docs) {
+    const { date, slot } = doc.data();
+    (blockedSlotsPerDay[date] = blockedSlotsPerDay[date] || []).push(slot);
+  }
+
+  const schedule = normalizeSchedule(settings.schedule || null);
+  const capacity = {};
+  for (const dateKey of days) {
+    const daily = settings[dateKey] || null;
+    const day = resolveDayHours(schedule, daily, dateKey);
+    const openMinutes = day.ranges.reduce((sum, r) => sum + (r.close - r.open), 0);
+    const activeBays = resolveActiveBays(daily, settings.global || null);
+    const dayBlocks = blocksOnDay(blocks, blockedSlotsPerDay[dateKey] || [], dateKey, schedule.slotInterval);
+    capacity[dateKey] = Math.max(0, activeBays * openMinutes - blockedBayMinutes(dayBlocks, day.ranges, activeBays));
+  }
+  return capacity;
+}
+
+// Full report for one location over [from, to] (inclusive local dates)
+async function buildLocationReport(db, { locationId, from, to, timeZone }) {
+  const days = dateRange(from, to);
+  if (!days) throw new RangeError(`Reports cover 1 to ${MAX_RANGE_DAYS} days.`);
+
+  const locationRef = db.collection('locations').doc(locationId);
+  // Bookings never run past midnight (lib/schedule.js), so starts in the range are enough
+  const [bookingsSnap, capacity] = await Promise.all([
+    locationRef
+      .collection('bookings')
+      .where('startTime', '>=', dayBoundsUTC(from, timeZone).start)
+      .where('startTime', '<=', dayBoundsUTC(to, timeZone).end)
+      .get(),
+    loadCapacity(db, locationId, days),
+  ]);
+
+  const bookings = bookingsSnap.docs
+    .map((doc) => doc.data() || {})
+    .filter((b) => CONFIRMED_STATUSES.includes(b.status)
+      || (b.status === 'cancelled' && b.statusBeforeCancel !== 'pending_payment'));
+
+  const serviceIds = Array.from(new Set(bookings.map((b) => b.serviceId).filter(Boolean).map(String)));
+  const userIds = Array.from(new Set(bookings.map((b) => b.userId).filter(Boolean)));
+  const [services, users] = await Promise.all([
+    getAllById(db, serviceIds.map((id) => locationRef.collection('services').doc(id))),
+    getAllById(db, userIds.map((id) => db.collection('users').doc(id))),
+  ]);
+
+  const totals = emptyCounts();
+  const byDay = Object.fromEntries(days.map((d) => [d, emptyCounts()]));
+  const byService = {};
+  const byBay = {};
+  const byHour = {};
+  const byClient = {};
+
+  for (const booking of bookings) {
+    const start = toDate(booking.startTime);
+    const dateKey = dateKeyInZone(start, timeZone);
+    countBooking(totals, booking);
+    if (byDay[dateKey]) countBooking(byDay[dateKey], booking);
+
+    const serviceKey = String(booking.serviceId || 'unknown');
+    byService[serviceKey] = byService[serviceKey] || emptyCounts();
+    countBooking(byService[serviceKey], booking);
+
+    if (booking.status === 'cancelled') continue;
+    const bayKey = booking.bayId != null ? String(booking.bayId) : 'unassigned';
+    byBay[bayKey] = byBay[bayKey] || emptyCounts();
+    countBooking(byBay[bayKey], booking);
+
+    const hour = `${timeLabelInZone(start, timeZone).slice(0, 2)}:00`;
+    byHour[hour] = (byHour[hour] || 0) + 1;
+    if (booking.userId) byClient[booking.userId] = (byClient[booking.userId] || 0) + 1;
+  }
+
+  const capacityTotal = days.reduce((sum, d) => sum + capacity[d], 0);
+  return {
+    locationId,
+    from,
+    to,
+    timezone: timeZone,
+    totals: withRates(totals, capacityTotal),
+    byDay: days.map((date) => ({ date, ...withRates(byDay[date], capacity[date]) })),
+    byService: Object.entries(byService)
+      .map(([serviceId, counts]) => ({ serviceId, serviceName: services[serviceId]?.name || 'Unknown Service', ...withRates(counts) }))
+      .sort((a, b) => b.revenue - a.revenue || b.bookings - a.bookings),
+    byBay: Object.entries(byBay)
+      .map(([bayId, counts]) => ({ bayId, ...withRates(counts) }))
+      .sort((a, b) => a.bayId.localeCompare(b.bayId, undefined, { numeric: true })),
+    busiestHours: Object.entries(byHour)
+      .map(([hour, bookingsInHour]) => ({ hour, bookings: bookingsInHour }))
+      .sort((a, b) => b.bookings - a.bookings || a.hour.localeCompare(b.hour)),
+    topClients: Object.entries(byClient)
+      .map(([userId, count]) => ({ userId, userName: users[userId]?.name || 'Unknown User', bookings: count }))
+      .sort((a, b) => b.bookings - a.bookings)
+      .slice(0, 10),
+  };
+}
+
+// Totals per location plus a combined line, for owners
+async function buildRollup(db, { locations, from, to }) {
+  const reports = await Promise.all(
+    locations.map((l) => buildLocationReport(db, { locationId: l.id, from, to, timeZone: l.timeZone }))
+  );
+  const combined = emptyCounts();
+  let capacityMinutes = 0;
+  for (const report of reports) {
+    for (const key of Object.keys(combined)) combined[key] += report.totals[key];
+    capacityMinutes += report.totals.capacityMinutes;
+  }
+  return {
+    from,
+    to,
+    totals: withRates(combined, capacityMinutes),
+    locations: reports.map((report, i) => ({
+      locationId: report.locationId,
+      locationName: locations[i].name || null,
+      timezone: report.timezone,
+      ...report.totals,
+    })),
+  };
+}
+
+// ---------- CSV ----------
+// Text starting with = + - @ (or a tab/CR) is read as a formula by spreadsheet apps, so
+// it gets a leading ' (customer names and notes are free text). Numbers are left alone.
+function csvCell(value) {
+  if (value == null) return '';
+  let text = String(value);
+  if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows, columns = rows.length ? Object.keys(rows[0]) : []) {
+  const lines = [columns.map(csvCell).join(',')];
+  for (const row of rows) lines.push(columns.map((c) => csvCell(row[c])).join(','));
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+// Which table of a location report a CSV download contains
+const CSV_SECTIONS = {
+  days: (report) => report.byDay,
+  services: (report) => report.byService,
+  bays: (report) => report.byBay,
+  hours: (report) => report.busiestHours,
+  clients: (report) => report.topClients,
+};
+
+module.exports = {
+  MAX_RANGE_DAYS,
+  CSV_SECTIONS,
+  dateRange,
+  buildLocationReport,
+  buildRollup,
+  toCsv,
+};
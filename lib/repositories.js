@@ -0,0 +1,155 @@
+// lib/repositories.js
+// ----- Repositories -----
+// Data access for locations, services and add-ons, bookings, settings, blockedSlots and
+// users, over any Firestore-compatible `db`: the Admin SDK, the emulator or the in-memory
+// store (lib/memoryStore.js). Routes go through these rather than spelling out document
+// paths. Reads return document snapshots (doc.exists, doc.id, doc.data()), which is what
+// the lib modules take; `ref()` is there for transactions.
+//
+// Modules that run their own transactions (occupancy, waitlist, loyalty, payments, ...)
+// still address the same paths themselves.
+const { LEDGER } = require('./loyalty');
+
+function getMany(db, refs) {
+  return refs.length ? db.getAll(...refs) : Promise.resolve([]);
+}
+
+// locations/{id}
+function locationsRepository(db) {
+  const ref = (locationId) => db.collection('locations').doc(locationId);
+  return {
+    ref,
+    get: (locationId) => ref(locationId).get(),
+    async exists(locationId) {
+      return (await ref(locationId).get()).exists;
+    },
+    getMany: (locationIds) => getMany(db, locationIds.map(ref)),
+    // Every location by name, closed ones (isActive: false) included
+    async list() {
+      return (await db.collection('locations').orderBy('name').get()).docs;
+    },
+    create: (fields) => db.collection('locations').add(fields),
+    update: (locationId, fields) => ref(locationId).update(fields),
+    merge: (locationId, fields) => ref(locationId).set(fields, { merge: true }),
+  };
+}
+
+// locations/{id}/services/{id} and locations/{id}/addOns/{id}
+function catalogueRepository(db, name) {
+  const collection = (locationId) => db.collection('locations').doc(locationId).collection(name);
+  const ref = (locationId, id) => collection(locationId).doc(String(id));
+  return {
+    collection,
+    ref,
+    get: (locationId, id) => ref(locationId, id).get(),
+    getMany: (locationId, ids) => getMany(db, ids.map((id) => ref(locationId, id))),
+    // In displayOrder; only active ones unless `all`
+    async list(locationId, { all = false } = {}) {
+      const query = all ? collection(locationId) : collection(locationId).where('isActive', '==', true);
+      return (await query.orderBy('displayOrder').get()).docs;
+    },
+  };
+}
+
+// locations/{id}/bookings/{id}
+function bookingsRepository(db) {
+  const collection = (locationId) => db.collection('locations').doc(locationId).collection('bookings');
+  const ref = (locationId, bookingId) => collection(locationId).doc(bookingId);
+  return {
+    ref,
+    get: (locationId, bookingId) => ref(locationId, bookingId).get(),
+    // Starting from `start` to `end` (inclusive), earliest first
+    async between(locationId, start, end) {
+      const snapshot = await collection(locationId)
+        .where('startTime', '>=', start)
+        .where('startTime', '<=', end)
+        .orderBy('startTime', 'asc')
+        .get();
+      return snapshot.docs;
+    },
+    // One customer's bookings at every location, earliest first.
+    // Needs a collection-group index on bookings (userId ASC, startTime ASC).
+    async forUser(userId) {
+      const snapshot = await db.collectionGroup('bookings').where('userId', '==', userId).orderBy('startTime', 'asc').get();
+      return snapshot.docs;
+    },
+    locationIdOf: (doc) => doc.ref.parent.parent.id,
+  };
+}
+
+// locations/{id}/settings/{key}: a date (yyyy-MM-dd) for that day's overrides, or
+// 'global', 'schedule', 'loyalty', 'notifications'
+function settingsRepository(db) {
+  const collection = (locationId) => db.collection('locations').doc(locationId).collection('settings');
+  const ref = (locationId, key) => collection(locationId).doc(key);
+  return {
+    ref,
+    get: (locationId, key) => ref(locationId, key).get(),
+    // The document's data, or null
+    async data(locationId, key) {
+      const doc = await ref(locationId, key).get();
+      return doc.exists ? doc.data() : null;
+    },
+    merge: (locationId, key, fields) => ref(locationId, key).set(fields, { merge: true }),
+    replace: (locationId, key, data) => ref(locationId, key).set(data),
+    // Daily docs marked closed, in no particular order
+    async closedDays(locationId) {
+      return (await collection(locationId).where('closed', '==', true).get()).docs;
+    },
+  };
+}
+
+// locations/{id}/blockedSlots/{date_slot}: { date, slot }, the older one-slot blocks
+// (lib/blocks.js has the newer ranges)
+function blockedSlotsRepository(db) {
+  const collection = (locationId) => db.collection('locations').doc(locationId).collection('blockedSlots');
+  const ref = (locationId, date, slot) => collection(locationId).doc(`${date}_${slot}`);
+  return {
+    ref,
+    get: (locationId, date, slot) => ref(locationId, date, slot).get(),
+    add: (locationId, date, slot) => ref(locationId, date, slot).set({ date, slot }),
+    remove: (locationId, date, slot) => ref(locationId, date, slot).delete(),
+    // 'HH:mm' slots blocked on one date
+    async forDay(locationId, date) {
+      return (await collection(locationId).where('date', '==', date).get()).docs.map((doc) => doc.data().slot);
+    },
+  };
+}
+
+// users/{uid}, with vehicles/{id} and the loyalty ledger under each
+function usersRepository(db) {
+  const ref = (uid) => db.collection('users').doc(uid);
+  return {
+    ref,
+    get: (uid) => ref(uid).get(),
+    getMany: (uids) => getMany(db, uids.map(ref)),
+    set: (uid, profile) => ref(uid).set(profile),
+    // A ref with a fresh ID, for a profile written later (inside a transaction)
+    newRef: () => db.collection('users').doc(),
+    update: (uid, fields) => ref(uid).update(fields),
+    async withRoles(roles) {
+      return (await db.collection('users').where('role', 'in', roles).get()).docs;
+    },
+    vehicles: (uid) => ref(uid).collection('vehicles'),
+    // Newest first
+    async ledger(uid, limit) {
+      return (await ref(uid).collection(LEDGER).orderBy('createdAt', 'desc').limit(limit).get()).docs;
+    },
+  };
+}
+
+function createRepositories(db) {
+  return {
+    locations: locationsRepository(db),
+    services: catalogueRepository(db, 'services'),
+    addOns: catalogueRepository(db, 'addOns'),
+    bookings: bookingsRepository(db),
+    settings: settingsRepository(db),
+    blockedSlots: blockedSlotsRepository(db),
+    users: usersRepository(db),
+  };
+}
+
+module.exports = {
+  createRepositories,
+};
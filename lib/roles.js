@@ -0,0 +1,109 @@
+// lib/roles.js
+// ----- Roles -----
+// Roles are ranked; each includes everything below it:
+//   customer  books for themselves
+//   staff     runs the counter at their locations (bookings, check-in, walk-ins)
+//   manager   everything at their locations (settings, loyalty, reports)
+//   owner     every location, plus granting and revoking roles ('admin' is an alias)
+// The role is a custom claim on the ID token and is mirrored on users/{uid}.role;
+// the locations a staff member or manager works at are kept on users/{uid}.locationIds.
+// Every grant and revoke is written to roleAudit.
+
+const ROLE_RANK = { customer: 0, staff: 1, manager: 2, owner: 3, admin: 3 };
+const GRANTABLE_ROLES = ['customer', 'staff', 'manager', 'owner'];
+const LOCATION_ROLES = ['staff', 'manager'];
+const ROLE_AUDIT = 'roleAudit';
+
+function roleRank(role) {
+  return ROLE_RANK[role] ?? 0;
+}
+
+function hasRole(role, required) {
+  return roleRank(role) >= roleRank(required);
+}
+
+function isOwnerRole(role) {
+  return roleRank(role) >= ROLE_RANK.owner;
+}
+
+// Locations on a profile; older manager profiles only have managedLocationId
+function locationIdsOf(profile) {
+  if (Array.isArray(profile?.locationIds)) return profile.locationIds.filter((id) => typeof id === 'string');
+  return profile?.managedLocationId ? [profile.managedLocationId] : [];
+}
+
+function canAccessLocation(role, profile, locationId) {
+  if (isOwnerRole(role)) return true;
+  return locationIdsOf(profile).includes(locationId);
+}
+
+// Returns an error message, or null when the grant is valid
+function validateGrant({ role, locationIds }) {
+  if (!GRANTABLE_ROLES.includes(role)) return `role must be one of ${GRANTABLE_ROLES.join(', ')}.`;
+  if (LOCATION_ROLES.includes(role)) {
+    if (!Array.isArray(locationIds) || !locationIds.length || !locationIds.every((id) => typeof id === 'string' && id)) {
+      return `A ${role} needs a non-empty list of locationIds.`;
+    }
+  } else if (locationIds !== undefined && locationIds !== null && !(Array.isArray(locationIds) && !locationIds.length)) {
+    return `locationIds only apply to ${LOCATION_ROLES.join(' and ')} roles.`;
+  }
+  return null;
+}
+
+// Sets the claim and the profile together and records the change. `auth` is
+// firebase-admin's auth(). Existing sessions are revoked so the new role applies at
+// once (the middleware also rejects tokens issued before users/{uid}.roleChangedAt).
+async function setRole(db, auth, { uid, role, locationIds = [], actor, reason = null, now = new Date() }) {
+  const userRef = db.collection('users').doc(uid);
+  const before = await userRef.get();
+  const previous = before.exists ? before.data() : {};
+  const nextLocations = LOCATION_ROLES.includes(role) ? Array.from(new Set(locationIds)) : [];
+
+  const userRecord = await auth.getUser(uid);
+  const claims = { ...(userRecord.customClaims || {}) };
+  if (role === 'customer') delete claims.role;
+  else claims.role = role;
+  await auth.setCustomUserClaims(uid, claims);
+  await auth.revokeRefreshTokens(uid);
+
+  await userRef.set(
+    {
+      role,
+      locationIds: nextLocations,
+      // Kept for older clients that read a single location
+      managedLocationId: nextLocations[0] || null,
+      roleChangedAt: now,
+      ...(before.exists ? {} : { email: userRecord.email || null, name: userRecord.displayName || null, rewards: {} }),
+    },
+    { merge: true }
+  );
+
+  const entry = {
+    action: role === 'customer' ? 'revoke' : 'grant',
+    targetUid: uid,
+    targetEmail: userRecord.email || null,
+    role,
+    previousRole: previous.role || userRecord.customClaims?.role || 'customer',
+    locationIds: nextLocations,
+    previousLocationIds: locationIdsOf(previous),
+    actorUid: actor.uid,
+    actorEmail: actor.email || null,
+    reason,
+    at: now,
+  };
+  await db.collection(ROLE_AUDIT).add(entry);
+  return entry;
+}
+
+module.exports = {
+  ROLE_RANK,
+  GRANTABLE_ROLES,
+  LOCATION_ROLES,
+  ROLE_AUDIT,
+  hasRole,
+  isOwnerRole,
+  locationIdsOf,
+  canAccessLocation,
+  validateGrant,
+  setRole,
+};
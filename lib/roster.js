@@ -0,0 +1,240 @@
+// lib/roster.js
+// ----- Washers, shifts and leave -----
+// locations/{id}/staff/{id}    { name, phone, userId, isActive, createdAt, createdBy }
+//   The people who wash cars. userId links a profile to a staff sign-in (for "my jobs");
+//   a profile without one is still rostered. Profiles are deactivated, not deleted, so
+//   bookings keep their washer.
+// locations/{id}/shifts/{id}   { staffId, date, until, weekdays, start, end, createdAt, createdBy }
+//   Repeats like blocked time (lib/blocks.js): date..until are the first and last local
+//   dates (until null = no end, only when it repeats), weekdays (null = every day) and
+//   start/end the time of day ('HH:mm', end may be '24:00'). One washer's overlapping or
+//   back-to-back shifts count as one stretch.
+// locations/{id}/leave/{id}    { staffId, from, to, reason, createdAt, createdBy }
+//   Whole local days from..to; a washer on leave works no shift that day.
+//
+// Once a location has an active profile, a booking needs a washer as well as a bay: one
+// on shift for the whole wash and not on another car (lib/occupancy.js). A location with
+// no profiles is limited by its bays alone, as before rosters existed.
+const { WEEKDAYS, toMinutes } = require('./schedule');
+const { appliesOn } = require('./blocks');
+const { isValidDateKey } = require('./time');
+
+const STAFF = 'staff';
+const SHIFTS = 'shifts';
+const LEAVE = 'leave';
+const MAX_SPAN_DAYS = 366;
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+const STAFF_FIELDS = ['name', 'phone', 'userId', 'isActive'];
+const SHIFT_FIELDS = ['staffId', 'date', 'until', 'weekdays', 'start', 'end'];
+const LEAVE_FIELDS = ['staffId', 'from', 'to', 'reason'];
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+}
+
+function checkObject(input, known) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return 'Body must be an object.';
+  for (const key of Object.keys(input)) {
+    if (!known.includes(key)) return `Unknown field "${key}".`;
+  }
+  return null;
+}
+
+function isId(value) {
+  return typeof value === 'string' && value.length > 0 && value.length <= 128 && !value.includes('/');
+}
+
+// ---------- Validation ----------
+// Each returns an error message, or null. `partial` allows leaving fields out (updates).
+function validateStaff(input, { partial = false } = {}) {
+  const error = checkObject(input, STAFF_FIELDS);
+  if (error) return error;
+  if (!partial && input.name === undefined) return 'Missing name.';
+  if (input.name !== undefined && !(typeof input.name === 'string' && input.name.trim() && input.name.length <= 100)) {
+    return 'name must be 1-100 characters.';
+  }
+  if (input.phone != null && !(typeof input.phone === 'string' && input.phone.length <= 30)) {
+    return 'phone must be text (up to 30 characters) or null.';
+  }
+  if (input.userId != null && !isId(input.userId)) return 'userId must be a user ID or null.';
+  if (input.isActive !== undefined && typeof input.isActive !== 'boolean') return 'isActive must be true or false.';
+  return null;
+}
+
+function validateShift(input) {
+  const error = checkObject(input, SHIFT_FIELDS);
+  if (error) return error;
+  const { staffId, date, until, weekdays, start, end } = input;
+  if (!isId(staffId)) return 'staffId must be a staff profile ID.';
+  if (!isValidDateKey(date)) return 'date must be a date (yyyy-MM-dd).';
+  if (until != null) {
+    if (!isValidDateKey(until)) return 'until must be a date (yyyy-MM-dd) or null.';
+    if (until < date) return 'until must not be before date.';
+  }
+  if (weekdays != null) {
+    if (!Array.isArray(weekdays) || !weekdays.length || !weekdays.every((d) => WEEKDAYS.includes(d))) {
+      return `weekdays must be a list of ${WEEKDAYS.join(', ')}.`;
+    }
+  } else if (daysBetween(date, until ?? date) >= MAX_SPAN_DAYS) {
+    return `A shift without weekdays can cover at most ${MAX_SPAN_DAYS} days.`;
+  }
+  if (!TIME_RE.test(start)) return 'start must be a time (HH:mm).';
+  if (!(TIME_RE.test(end) || end === '24:00')) return 'end must be a time (HH:mm).';
+  if (toMinutes(end) <= toMinutes(start)) return 'end must be after start.';
+  return null;
+}
+
+function validateLeave(input) {
+  const error = checkObject(input, LEAVE_FIELDS);
+  if (error) return error;
+  const { staffId, from, to, reason } = input;
+  if (!isId(staffId)) return 'staffId must be a staff profile ID.';
+  if (!isValidDateKey(from)) return 'from must be a date (yyyy-MM-dd).';
+  if (to !== undefined && !isValidDateKey(to)) return 'to must be a date (yyyy-MM-dd).';
+  if (to !== undefined && to < from) return 'to must not be before from.';
+  if (daysBetween(from, to ?? from) >= MAX_SPAN_DAYS) return `Leave can cover at most ${MAX_SPAN_DAYS} days.`;
+  if (reason != null && !(typeof reason === 'string' && reason.length <= 200)) {
+    return 'reason must be text (up to 200 characters) or null.';
+  }
+  return null;
+}
+
+// ---------- Fields as stored ----------
+// From bodies that passed the validators above
+function staffFields(input, { partial = false } = {}) {
+  const fields = partial ? {} : { phone: null, userId: null, isActive: true };
+  for (const key of STAFF_FIELDS) {
+    if (input[key] !== undefined) fields[key] = input[key];
+  }
+  if (typeof fields.name === 'string') fields.name = fields.name.trim();
+  return fields;
+}
+
+function shiftFields(input) {
+  return {
+    staffId: input.staffId,
+    date: input.date,
+    until: input.until ?? (input.weekdays ? null : input.date),
+    weekdays: input.weekdays ? Array.from(new Set(input.weekdays)) : null,
+    start: input.start,
+    end: input.end,
+  };
+}
+
+function leaveFields(input) {
+  return {
+    staffId: input.staffId,
+    from: input.from,
+    to: input.to ?? input.from,
+    reason: input.reason?.trim() || null,
+  };
+}
+
+// ---------- Reading ----------
+function staffOf(db, locationId) {
+  return db.collection('locations').doc(locationId).collection(STAFF);
+}
+
+function shiftsOf(db, locationId) {
+  return db.collection('locations').doc(locationId).collection(SHIFTS);
+}
+
+function leaveOf(db, locationId) {
+  return db.collection('locations').doc(locationId).collection(LEAVE);
+}
+
+// Shifts that may apply somewhere in [from, to]
+async function loadShifts(db, locationId, from, to, read = (query) => query.get()) {
+  const snapshot = await read(shiftsOf(db, locationId).where('date', '<=', to));
+  return snapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data() }))
+    .filter((shift) => shift.until == null || shift.until >= from);
+}
+
+// Leave overlapping [from, to]
+async function loadLeave(db, locationId, from, to, read = (query) => query.get()) {
+  const snapshot = await read(leaveOf(db, locationId).where('from', '<=', to));
+  return snapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data() }))
+    .filter((leave) => leave.to >= from);
+}
+
+// Merges overlapping or touching [start, end] minute ranges
+function mergeSpans(spans) {
+  const sorted = [...spans].sort((a, b) => a.start - b.start);
+  const merged = [];
+  for (const span of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && span.start <= last.end) last.end = Math.max(last.end, span.end);
+    else merged.push({ ...span });
+  }
+  return merged;
+}
+
+// The roster for one local date: null when the location has no active staff profiles
+// (it isn't rostered), otherwise every active washer, by name:
+//   [{ id, name, userId, onLeave, spans: [{ start, end }] }]   spans in minutes of the day
+// `read` lets occupancy read inside a transaction.
+async function loadRoster(db, locationId, dateKey, read = (query) => query.get()) {
+  const [staffSnap, shifts, leave] = await Promise.all([
+    read(staffOf(db, locationId).where('isActive', '==', true)),
+    loadShifts(db, locationId, dateKey, dateKey, read),
+    loadLeave(db, locationId, dateKey, dateKey, read),
+  ]);
+  if (staffSnap.empty) return null;
+
+  const away = new Set(leave.map((l) => l.staffId));
+  return staffSnap.docs
+    .map((doc) => {
+      const onLeave = away.has(doc.id);
+      const spans = onLeave
+        ? []
+        : mergeSpans(
+          shifts
+            .filter((shift) => shift.staffId === doc.id && appliesOn(shift, dateKey))
+            .map((shift) => ({ start: toMinutes(shift.start), end: toMinutes(shift.end) }))
+        );
+      return { id: doc.id, name: doc.data().name, userId: doc.data().userId || null, onLeave, spans };
+    })
+    .sort((a, b) => a.name.localeCompare(b.name) || a.id.localeCompare(b.id));
+}
+
+// API shapes
+function timeOfDay(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// loadRoster's result with spans as 'HH:mm' (null stays null)
+function serializeRoster(roster) {
+  return roster && roster.map((washer) => ({
+    ...washer,
+    spans: washer.spans.map((span) => ({ start: timeOfDay(span.start), end: timeOfDay(span.end) })),
+  }));
+}
+
+function serializeRosterEntry(entry) {
+  const createdAt = entry.createdAt?.toDate ? entry.createdAt.toDate() : entry.createdAt;
+  return { ...entry, createdAt: createdAt ? createdAt.toISOString() : null };
+}
+
+function serializeStaff(doc) {
+  return serializeRosterEntry({ id: doc.id, ...doc.data() });
+}
+
+module.exports = {
+  validateStaff,
+  validateShift,
+  validateLeave,
+  staffFields,
+  shiftFields,
+  leaveFields,
+  staffOf,
+  shiftsOf,
+  leaveOf,
+  loadShifts,
+  loadLeave,
+  loadRoster,
+  serializeRoster,
+  serializeRosterEntry,
+  serializeStaff,
+};
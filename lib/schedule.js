@@ -0,0 +1,114 @@
+// lib/schedule.js
+// ----- Operating hours -----
+// settings/schedule holds the weekly template and slot interval for a location:
+//   { slotInterval: 15, weekly: { mon: [{ open: '08:00', close: '16:00' }], ..., sun: [] } }
+// A day may have several ranges (e.g. a lunch break) or none (closed every week).
+// The daily settings/{yyyy-MM-dd} doc can override one date:
+//   { hours: [{ open, close }] }   different hours that day
+//   { closed: true, closedReason } public holiday etc.
+// Ranges run within one local day and close by 24:00; a location open past midnight lists
+// the early hours as a range on the next day. Together with checkSlot (lib/occupancy.js)
+// making a booking finish inside its range, no booking runs into the next day, so a day's
+// occupancy only ever needs that day's bookings.
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DEFAULT_SLOT_INTERVAL = 15;
+const DEFAULT_HOURS = [{ open: '08:00', close: '16:00' }];
+
+const DEFAULT_SCHEDULE = {
+  slotInterval: DEFAULT_SLOT_INTERVAL,
+  weekly: Object.fromEntries(WEEKDAYS.map((d) => [d, DEFAULT_HOURS])),
+};
+
+const TIME_RE = /^([01]\d|2[0-3]):([0-5]\d)$|^24:00$/;
+
+function toMinutes(hhmm) {
+  const [h, m] = String(hhmm).split(':').map((x) => parseInt(x, 10));
+  return h * 60 + m;
+}
+
+// Returns an error message, or null when the ranges are valid
+function validateHours(hours) {
+  if (!Array.isArray(hours)) return 'Hours must be a list of { open, close } ranges.';
+  let previousClose = -1;
+  for (const range of hours) {
+    if (!range || !TIME_RE.test(range.open) || !TIME_RE.test(range.close)) {
+      return 'Each range needs open and close times as HH:mm.';
+    }
+    const open = toMinutes(range.open);
+    const close = toMinutes(range.close);
+    if (open >= close) {
+      return `Range ${range.open}-${range.close} must open before it closes and close by 24:00; list hours after midnight on the next day.`;
+    }
+    if (open < previousClose) return 'Ranges must be in order and must not overlap.';
+    previousClose = close;
+  }
+  return null;
+}
+
+function validateSlotInterval(value) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 5 || n > 240) return 'Slot interval must be a whole number of minutes between 5 and 240.';
+  return null;
+}
+
+// Returns an error message, or null when the weekly template is valid
+function validateWeekly(weekly) {
+  if (!weekly || typeof weekly !== 'object' || Array.isArray(weekly)) {
+    return `Weekly hours must be an object keyed by ${WEEKDAYS.join(', ')}.`;
+  }
+  for (const key of Object.keys(weekly)) {
+    if (!WEEKDAYS.includes(key)) return `Unknown weekday "${key}".`;
+    const error = validateHours(weekly[key]);
+    if (error) return `${key}: ${error}`;
+  }
+  return null;
+}
+
+function cleanHours(hours) {
+  return hours.map(({ open, close }) => ({ open, close }));
+}
+
+// Fills gaps with defaults so callers always get a full template
+function normalizeSchedule(data) {
+  const weekly = { ...DEFAULT_SCHEDULE.weekly };
+  if (data?.weekly && !validateWeekly(data.weekly)) {
+    for (const [day, hours] of Object.entries(data.weekly)) weekly[day] = cleanHours(hours);
+  }
+  const slotInterval = validateSlotInterval(data?.slotInterval) ? DEFAULT_SLOT_INTERVAL : Number(data.slotInterval);
+  return { slotInterval, weekly };
+}
+
+function weekdayOf(dateKey) {
+  return WEEKDAYS[new Date(`${dateKey}T12:00:00.000Z`).getUTCDay()];
+}
+
+// Effective opening ranges for one date: { closed, closedReason, hours, ranges (minutes of day) }
+function resolveDayHours(schedule, dailyData, dateKey) {
+  const normalized = normalizeSchedule(schedule);
+  if (dailyData?.closed) {
+    return { closed: true, closedReason: dailyData.closedReason || null, hours: [], ranges: [] };
+  }
+  const hours =
+    Array.isArray(dailyData?.hours) && !validateHours(dailyData.hours)
+      ? cleanHours(dailyData.hours)
+      : normalized.weekly[weekdayOf(dateKey)] || [];
+  return {
+    closed: hours.length === 0,
+    closedReason: null,
+    hours,
+    ranges: hours.map((r) => ({ open: toMinutes(r.open), close: toMinutes(r.close) })),
+  };
+}
+
+module.exports = {
+  WEEKDAYS,
+  DEFAULT_SCHEDULE,
+  toMinutes,
+  validateHours,
+  validateSlotInterval,
+  validateWeekly,
+  normalizeSchedule,
+  weekdayOf,
+  resolveDayHours,
+};
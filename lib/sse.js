@@ -0,0 +1,73 @@
+// lib/sse.js
+// ----- Server-Sent Events -----
+// openStream(req, res) turns a response into a text/event-stream and returns
+//   { send(event, data), onClose(fn), close(), closed }
+// Each message gets an increasing id and JSON data. A comment line every heartbeatMs keeps
+// proxies (Render's among them) from dropping an idle connection, and `retry` tells the
+// browser's EventSource how soon to reconnect. onClose callbacks run once, whether the
+// client went away or the server called close(). closeAllStreams() ends every open one
+// (graceful shutdown: browsers reconnect to another instance).
+const { logger } = require('./logger');
+
+const DEFAULT_HEARTBEAT_MS = 25 * 1000;
+const DEFAULT_RETRY_MS = 3 * 1000;
+
+const openStreams = new Set();
+
+function openStream(req, res, { heartbeatMs = DEFAULT_HEARTBEAT_MS, retryMs = DEFAULT_RETRY_MS } = {}) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // nginx would otherwise buffer the stream
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write(`retry: ${retryMs}\n\n`);
+
+  let nextId = 1;
+  let closed = false;
+  const cleanups = [];
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), heartbeatMs);
+
+  function close() {
+    if (closed) return;
+    closed = true;
+    openStreams.delete(close);
+    clearInterval(heartbeat);
+    for (const fn of cleanups) {
+      try {
+        fn();
+      } catch (error) {
+        logger.error('sse: cleanup error', error);
+      }
+    }
+    res.end();
+  }
+  res.on('close', close);
+  openStreams.add(close);
+
+  return {
+    send(event, data) {
+      if (closed) return;
+      res.write(`id: ${nextId++}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    onClose(fn) {
+      if (closed) fn();
+      else cleanups.push(fn);
+    },
+    close,
+    get closed() {
+      return closed;
+    },
+  };
+}
+
+function closeAllStreams() {
+  for (const close of Array.from(openStreams)) close();
+}
+
+module.exports = {
+  openStream,
+  closeAllStreams,
+};
@@ -0,0 +1,414 @@
+// lib/subscriptions.js
+// ----- Subscription plans -----
+// locations/{id}/plans/{planId}
+//   { name, description, priceCents, washesPerMonth, serviceIds, isActive,
+//     createdAt, createdBy, updatedAt, updatedBy }
+//   A monthly plan: washesPerMonth null is unlimited, serviceIds null covers any service.
+// subscriptions/{id}
+//   { userId, locationId, planId, plan: { name, priceCents, washesPerMonth, serviceIds },
+//     email, status, authorizationCode, paidThrough, currentPeriodStart, currentPeriodEnd,
+//     nextChargeAt, failedCharges, chargeLockedUntil, usage: { [period]: n },
+//     signupReference, createdAt, activatedAt, cancelledAt, cancelledBy, cancelReason }
+// subscriptions/{id}/charges/{reference}
+//   { reference, period, amount, kind: 'signup' | 'renewal', status, createdAt, settledAt }
+//
+// A period is a calendar month at the location ('yyyy-MM', bounded by monthBoundsUTC).
+// The plan is copied onto the subscription, so editing a plan doesn't change what
+// existing subscribers pay or get. status:
+//   pending_payment  signed up; the first month's Paystack checkout isn't paid yet
+//   active           paid through the current month, renewed from the saved card on the 1st
+//   past_due         a renewal was declined; retried every retryMs, cancelled after
+//                    maxFailures declines in a row
+//   cancelled        no more renewals; washes left in a month already paid can still be used
+// Entitlements reset monthly because use is counted per period: a wash in a paid month
+// is covered while that month's count is under washesPerMonth. The use is claimed in the
+// transaction that reserves the slot (reserveSlot's `prepare`) and given back if the
+// customer cancels.
+const { toDate, dateKeyInZone, monthBoundsUTC } = require('./time');
+const { logger } = require('./logger');
+
+const PLANS = 'plans';
+const SUBSCRIPTIONS = 'subscriptions';
+const CHARGES = 'charges';
+const MIN_PRICE_CENTS = 100;
+const CHARGE_LOCK_MS = 5 * 60 * 1000;
+const PLAN_FIELDS = ['name', 'description', 'priceCents', 'washesPerMonth', 'serviceIds', 'isActive'];
+
+function isWholeNumber(n, min = 0) {
+  return Number.isInteger(n) && n >= min;
+}
+
+// ---------- Periods ----------
+// 'yyyy-MM' of the month `date` falls in at the location
+function periodOf(date, timeZone) {
+  return dateKeyInZone(toDate(date), timeZone).slice(0, 7);
+}
+
+function nextPeriod(period) {
+  const [year, month] = period.split('-').map(Number);
+  return month === 12 ? `${year + 1}-01` : `${year}-${String(month + 1).padStart(2, '0')}`;
+}
+
+function periodBounds(period, timeZone) {
+  const [year, month] = period.split('-').map(Number);
+  return monthBoundsUTC(year, month, timeZone);
+}
+
+// ---------- Plans ----------
+// Returns an error message, or null. `partial` allows leaving fields out (updates).
+function validatePlan(input, { partial = false } = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return 'Body must be an object.';
+  for (const key of Object.keys(input)) {
+    if (!PLAN_FIELDS.includes(key)) return `Unknown field "${key}".`;
+  }
+  if (!partial) {
+    const missing = ['name', 'priceCents'].filter((key) => input[key] === undefined);
+    if (missing.length) return `Missing ${missing.join(', ')}.`;
+  }
+  if (input.name !== undefined && !(typeof input.name === 'string' && input.name.trim() && input.name.length <= 100)) {
+    return 'name must be 1-100 characters.';
+  }
+  if (input.description != null && !(typeof input.description === 'string' && input.description.length <= 300)) {
+    return 'description must be text (up to 300 characters) or null.';
+  }
+  if (input.priceCents !== undefined && !isWholeNumber(input.priceCents, MIN_PRICE_CENTS)) {
+    return `priceCents must be a whole number of cents, at least ${MIN_PRICE_CENTS}.`;
+  }
+  if (input.washesPerMonth != null && !isWholeNumber(input.washesPerMonth, 1)) {
+    return 'washesPerMonth must be a whole number above 0, or null for unlimited.';
+  }
+  if (input.serviceIds != null
+    && !(Array.isArray(input.serviceIds) && input.serviceIds.length
+      && input.serviceIds.every((id) => typeof id === 'string' && id))) {
+    return 'serviceIds must be a list of service IDs, or null for any service.';
+  }
+  if (input.isActive !== undefined && typeof input.isActive !== 'boolean') return 'isActive must be true or false.';
+  return null;
+}
+
+// Fields as stored, from a body that passed validatePlan
+function planFields(input, { partial = false } = {}) {
+  const fields = partial ? {} : { description: null, washesPerMonth: null, serviceIds: null, isActive: true };
+  for (const key of PLAN_FIELDS) {
+    if (input[key] !== undefined) fields[key] = input[key];
+  }
+  if (typeof fields.name === 'string') fields.name = fields.name.trim();
+  if (typeof fields.description === 'string') fields.description = fields.description.trim() || null;
+  if (fields.serviceIds) fields.serviceIds = Array.from(new Set(fields.serviceIds));
+  return fields;
+}
+
+// What a subscriber gets, copied onto their subscription
+function planTerms(plan) {
+  return {
+    name: plan.name,
+    priceCents: plan.priceCents,
+    washesPerMonth: plan.washesPerMonth ?? null,
+    serviceIds: plan.serviceIds ?? null,
+  };
+}
+
+// ---------- Reading ----------
+function plansOf(db, locationId) {
+  return db.collection('locations').doc(locationId).collection(PLANS);
+}
+
+function subscriptionsCol(db) {
+  return db.collection(SUBSCRIPTIONS);
+}
+
+function chargesOf(db, subscriptionId) {
+  return subscriptionsCol(db).doc(subscriptionId).collection(CHARGES);
+}
+
+function iso(value) {
+  if (!value) return null;
+  return (value.toDate ? value.toDate() : new Date(value)).toISOString();
+}
+
+function serializePlan(doc) {
+  const { createdAt, updatedAt, ...data } = doc.data();
+  return { id: doc.id, ...data, createdAt: iso(createdAt), updatedAt: iso(updatedAt) };
+}
+
+// API shape, with this month's use; the saved card authorization stays private
+function serializeSubscription(doc, { timeZone, now = new Date() }) {
+  const { authorizationCode, chargeLockedUntil, usage, ...data } = doc.data();
+  const period = periodOf(now, timeZone);
+  const used = usage?.[period] || 0;
+  const allowance = data.plan.washesPerMonth;
+  return {
+    id: doc.id,
+    ...data,
+    createdAt: iso(data.createdAt),
+    activatedAt: iso(data.activatedAt),
+    cancelledAt: iso(data.cancelledAt),
+    currentPeriodStart: iso(data.currentPeriodStart),
+    currentPeriodEnd: iso(data.currentPeriodEnd),
+    nextChargeAt: iso(data.nextChargeAt),
+    thisMonth: {
+      period,
+      paid: Boolean(data.paidThrough && data.paidThrough >= period),
+      used,
+      remaining: allowance == null ? null : Math.max(0, allowance - used),
+    },
+  };
+}
+
+// ---------- Entitlements ----------
+// Why `subscription` (stored data) can't cover a wash of `serviceId` in `period`, or null
+function entitlementRefusal(subscription, { serviceId, period }) {
+  if (!subscription) return 'subscription_not_found';
+  if (!subscription.paidThrough || period > subscription.paidThrough) return 'subscription_period_unpaid';
+  const { serviceIds, washesPerMonth } = subscription.plan;
+  if (serviceIds && !serviceIds.includes(serviceId)) return 'subscription_service_not_covered';
+  if (washesPerMonth != null && (subscription.usage?.[period] || 0) >= washesPerMonth) return 'subscription_used_up';
+  return null;
+}
+
+// The customer's subscription at this location that covers the wash, or null
+async function findEntitlement(db, { userId, locationId, serviceId, period }) {
+  const snapshot = await subscriptionsCol(db)
+    .where('userId', '==', userId)
+    .where('locationId', '==', locationId)
+    .get();
+  return snapshot.docs.find((doc) => !entitlementRefusal(doc.data(), { serviceId, period })) || null;
+}
+
+// A `prepare` for reserveSlot (lib/occupancy.js) that uses one of the month's washes
+// alongside the booking and records it on the booking. Refuses with a subscription_* reason.
+function claimEntitlement(db, { subscriptionId, serviceId, period }) {
+  const ref = subscriptionsCol(db).doc(subscriptionId);
+  return async (tx) => {
+    const doc = await tx.get(ref);
+    const subscription = doc.exists ? doc.data() : null;
+    const refusal = entitlementRefusal(subscription, { serviceId, period });
+    if (refusal) return { refusal };
+    return {
+      apply: () => tx.update(ref, { [`usage.${period}`]: (subscription.usage?.[period] || 0) + 1 }),
+      bookingFields: { subscription: { id: doc.id, period, planName: subscription.plan.name } },
+    };
+  };
+}
+
+// Gives the wash back once its booking is cancelled
+// Reschedule `prepare` (lib/occupancy.js) for a covered booking moved into another month:
+// the new month's allowance is claimed and the old month's given back in the same
+// transaction, so washes can't be shifted into a month to free up this one
+function moveEntitlement(db, { subscriptionId, serviceId, from, to }) {
+  const ref = subscriptionsCol(db).doc(subscriptionId);
+  return async (tx) => {
+    const doc = await tx.get(ref);
+    const subscription = doc.exists ? doc.data() : null;
+    const refusal = entitlementRefusal(subscription, { serviceId, period: to });
+    if (refusal) return { refusal };
+    const used = (period) => subscription.usage?.[period] || 0;
+    return {
+      apply: () => tx.update(ref, {
+        [`usage.${to}`]: used(to) + 1,
+        [`usage.${from}`]: Math.max(0, used(from) - 1),
+      }),
+      bookingFields: { subscription: { id: doc.id, period: to, planName: subscription.plan.name } },
+    };
+  };
+}
+
+async function releaseEntitlement(db, { subscriptionId, period }) {
+  const ref = subscriptionsCol(db).doc(subscriptionId);
+  return db.runTransaction(async (tx) => {
+    const doc = await tx.get(ref);
+    if (!doc.exists) return false;
+    const used = doc.data().usage?.[period] || 0;
+    tx.update(ref, { [`usage.${period}`]: Math.max(0, used - 1) });
+    return used > 0;
+  });
+}
+
+// ---------- Billing ----------
+// Fields for a subscription paid through `period`
+function paidFields(period, timeZone) {
+  const { start, end } = periodBounds(period, timeZone);
+  return {
+    status: 'active',
+    paidThrough: period,
+    currentPeriodStart: start,
+    currentPeriodEnd: end,
+    nextChargeAt: periodBounds(nextPeriod(period), timeZone).start,
+    failedCharges: 0,
+    chargeLockedUntil: null,
+  };
+}
+
+// Records the first month's checkout as paid and starts the subscription from this month.
+// Idempotent, like markPaymentSuccessful (lib/payments.js).
+// Returns { found, alreadyProcessed, amountMismatch, cancelled, subscription }.
+async function activateSubscription(db, { subscriptionId, reference, amount, authorizationCode, timeZone, now = new Date() }) {
+  const ref = subscriptionsCol(db).doc(subscriptionId);
+  const chargeRef = chargesOf(db, subscriptionId).doc(reference);
+  return db.runTransaction(async (tx) => {
+    const [doc, chargeDoc] = await Promise.all([tx.get(ref), tx.get(chargeRef)]);
+    // Renewals are settled when they are charged (renewSubscription)
+    if (!doc.exists || !chargeDoc.exists || chargeDoc.data().kind !== 'signup') return { found: false };
+    const subscription = { id: doc.id, ...doc.data() };
+    const charge = chargeDoc.data();
+    if (charge.status === 'success') return { found: true, alreadyProcessed: true, subscription };
+
+    if (Number(amount) !== Number(charge.amount)) {
+      tx.update(chargeRef, { status: 'amount_mismatch', reportedAmount: Number(amount), settledAt: now });
+      return { found: true, amountMismatch: true, subscription };
+    }
+    tx.update(chargeRef, { status: 'success', settledAt: now });
+    // Cancelled before paying: the charge is kept for a refund, the plan isn't started
+    if (subscription.status !== 'pending_payment') return { found: true, cancelled: true, subscription };
+
+    const fields = {
+      ...paidFields(periodOf(now, timeZone), timeZone),
+      authorizationCode: authorizationCode || null,
+      activatedAt: now,
+    };
+    tx.update(ref, fields);
+    return { found: true, subscription: { ...subscription, ...fields } };
+  });
+}
+
+// Charges the saved card for the first unpaid month (or the current month, if later) when
+// the subscription is due, or with `force` a past_due one straight away. Returns null
+// when nothing was due or another run is charging it, otherwise
+// { subscriptionId, locationId, userId, period, status, reference }.
+async function renewSubscription(db, {
+  paystack,
+  subscriptionId,
+  timeZone,
+  now = new Date(),
+  force = false,
+  maxFailures = 3,
+  retryMs = 24 * 60 * 60 * 1000,
+}) {
+  const ref = subscriptionsCol(db).doc(subscriptionId);
+
+  // Claim the charge first, so overlapping runs don't both charge the card
+  const claim = await db.runTransaction(async (tx) => {
+    const doc = await tx.get(ref);
+    const subscription = doc.exists ? doc.data() : null;
+    if (!subscription || !['active', 'past_due'].includes(subscription.status)) return null;
+    if (toDate(subscription.chargeLockedUntil) > now) return null;
+    const dueAt = toDate(subscription.nextChargeAt);
+    if (!(force && subscription.status === 'past_due') && !(dueAt && dueAt <= now)) return null;
+    const current = periodOf(now, timeZone);
+    const unpaid = subscription.paidThrough ? nextPeriod(subscription.paidThrough) : current;
+    const period = unpaid > current ? unpaid : current;
+
+    const attempt = (subscription.failedCharges || 0) + 1;
+    const reference = `SUB-${doc.id}-${period}-${attempt}`.toUpperCase();
+    tx.update(ref, { chargeLockedUntil: new Date(now.getTime() + CHARGE_LOCK_MS) });
+    tx.set(chargesOf(db, doc.id).doc(reference), {
+      reference,
+      period,
+      amount: subscription.plan.priceCents,
+      kind: 'renewal',
+      status: 'pending',
+      createdAt: now,
+      settledAt: null,
+    });
+    return { subscription, period, attempt, reference };
+  });
+  if (!claim) return null;
+
+  const { subscription, period, attempt, reference } = claim;
+  let status;
+  try {
+    const charge = await paystack.chargeAuthorization({
+      email: subscription.email,
+      amount: subscription.plan.priceCents,
+      authorizationCode: subscription.authorizationCode,
+      reference,
+      metadata: { subscriptionId, locationId: subscription.locationId, period },
+    });
+    status = charge.status === 'success' && Number(charge.amount) === Number(subscription.plan.priceCents)
+      ? 'success'
+      : charge.status;
+  } catch (error) {
+    logger.error('subscription-renewal: Paystack error', { subscriptionId, error, response: error?.response?.data });
+    status = 'error';
+  }
+
+  let outcome;
+  if (status === 'success') {
+    outcome = paidFields(period, timeZone);
+  } else if (attempt >= maxFailures) {
+    outcome = { status: 'cancelled', failedCharges: attempt, nextChargeAt: null, chargeLockedUntil: null,
+      cancelledAt: now, cancelledBy: null, cancelReason: 'payment_failed' };
+  } else {
+    outcome = { status: 'past_due', failedCharges: attempt, nextChargeAt: new Date(now.getTime() + retryMs), chargeLockedUntil: null };
+  }
+  await db.runTransaction(async (tx) => {
+    tx.update(ref, outcome);
+    tx.update(chargesOf(db, subscriptionId).doc(reference), { status, settledAt: now });
+  });
+
+  return {
+    subscriptionId,
+    locationId: subscription.locationId,
+    userId: subscription.userId,
+    period,
+    status: outcome.status,
+    reference,
+  };
+}
+
+// Renews every subscription whose nextChargeAt has come. `timeZoneOf(locationId)` gives
+// each location's time zone. Returns the renewSubscription results.
+async function renewDueSubscriptions(db, { paystack, timeZoneOf, now = new Date(), ...options }) {
+  const due = await subscriptionsCol(db).where('nextChargeAt', '<=', now).get();
+  const results = [];
+  for (const doc of due.docs) {
+    const { status, locationId } = doc.data();
+    if (!['active', 'past_due'].includes(status)) continue;
+    const result = await renewSubscription(db, {
+      paystack,
+      subscriptionId: doc.id,
+      timeZone: await timeZoneOf(locationId),
+      now,
+      ...options,
+    });
+    if (result) results.push(result);
+  }
+  return results;
+}
+
+// Stops renewals. `userId` limits it to the customer's own subscription.
+// Returns { subscription } or { refusal: 'not_found' | 'already_cancelled' }.
+async function cancelSubscription(db, { subscriptionId, userId = null, by, reason = null, now = new Date() }) {
+  const ref = subscriptionsCol(db).doc(subscriptionId);
+  return db.runTransaction(async (tx) => {
+    const doc = await tx.get(ref);
+    const subscription = doc.exists ? doc.data() : null;
+    if (!subscription || (userId && subscription.userId !== userId)) return { refusal: 'not_found' };
+    if (subscription.status === 'cancelled') return { refusal: 'already_cancelled' };
+    const fields = { status: 'cancelled', nextChargeAt: null, cancelledAt: now, cancelledBy: by, cancelReason: reason };
+    tx.update(ref, fields);
+    return { subscription: { id: doc.id, ...subscription, ...fields } };
+  });
+}
+
+module.exports = {
+  SUBSCRIPTIONS,
+  periodOf,
+  validatePlan,
+  planFields,
+  planTerms,
+  plansOf,
+  subscriptionsCol,
+  chargesOf,
+  serializePlan,
+  serializeSubscription,
+  entitlementRefusal,
+  findEntitlement,
+  claimEntitlement,
+  moveEntitlement,
+  releaseEntitlement,
+  activateSubscription,
+  renewSubscription,
+  renewDueSubscriptions,
+  cancelSubscription,
+};
@@ -0,0 +1,125 @@
+// lib/time.js
+// ----- Location time -----
+// Every location has an IANA timezone (locations/{id}.timezone, default SAST). Dates the
+// API accepts or returns as 'yyyy-MM-dd' / 'HH:mm' are wall-clock times at that location;
+// everything stored is a UTC instant. All conversions go through here.
+const { fromZonedTime, formatInTimeZone } = require('date-fns-tz');
+
+const DEFAULT_TIMEZONE = 'Africa/Johannesburg';
+
+const DATE_KEY_RE = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_RE = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+function pad2(n) { return String(n).padStart(2, '0'); }
+
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Real calendar dates only ('2026-02-30' is rejected)
+function isValidDateKey(dateKey) {
+  if (typeof dateKey !== 'string' || !DATE_KEY_RE.test(dateKey)) return false;
+  const d = new Date(`${dateKey}T00:00:00.000Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === dateKey;
+}
+
+// Firestore Timestamp | Date | ISO string -> Date (or null)
+function toDate(value) {
+  if (!value) return null;
+  if (value instanceof Date) return value;
+  if (typeof value.toDate === 'function') return value.toDate();
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+// 'yyyy-MM-dd' of the local calendar day an instant falls on
+function dateKeyInZone(date, timeZone) {
+  return formatInTimeZone(date, timeZone, 'yyyy-MM-dd');
+}
+
+// 'HH:mm' local wall-clock time of an instant
+function timeLabelInZone(date, timeZone) {
+  return formatInTimeZone(date, timeZone, 'HH:mm');
+}
+
+function minutesOfDayInZone(date, timeZone) {
+  const [h, m] = timeLabelInZone(date, timeZone).split(':').map(Number);
+  return h * 60 + m;
+}
+
+// UTC instant of a local date + 'HH:mm'
+function zonedToUTC(dateKey, hhmm, timeZone) {
+  return fromZonedTime(`${dateKey}T${hhmm}:00.000`, timeZone);
+}
+
+function addDaysToKey(dateKey, days) {
+  const d = new Date(`${dateKey}T00:00:00.000Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+// [start, end] UTC instants of a local calendar day (23 or 25 hours long on DST changes)
+function dayBoundsUTC(dateKey, timeZone) {
+  const start = zonedToUTC(dateKey, '00:00', timeZone);
+  const next = zonedToUTC(addDaysToKey(dateKey, 1), '00:00', timeZone);
+  return { start, end: new Date(next.getTime() - 1) };
+}
+
+// [start, end] UTC instants of a local calendar month (month is 1-12)
+function monthBoundsUTC(year, month, timeZone) {
+  const first = `${year}-${pad2(month)}-01`;
+  const nextFirst = month === 12 ? `${year + 1}-01-01` : `${year}-${pad2(month + 1)}-01`;
+  return {
+    start: zonedToUTC(first, '00:00', timeZone),
+    end: new Date(zonedToUTC(nextFirst, '00:00', timeZone).getTime() - 1),
+  };
+}
+
+// Accept {date:'yyyy-MM-dd', slot:'HH:mm'} OR {startTime:'ISO or yyyy-MM-ddTHH:mm'}.
+// A startTime without an offset is local time at the location.
+// Returns the UTC instant with seconds/millis zeroed (Firestore equality queries), or null.
+function parseStartFromBody(body, timeZone) {
+  let d = null;
+  if (body?.date && body?.slot) {
+    const parts = String(body.slot).split(':').map((x) => parseInt(x, 10));
+    if (!Number.isFinite(parts[0]) || !isValidDateKey(String(body.date))) return null;
+    const hhmm = `${pad2(parts[0])}:${pad2(Number.isFinite(parts[1]) ? parts[1] : 0)}`;
+    if (!TIME_RE.test(hhmm)) return null;
+    d = zonedToUTC(String(body.date), hhmm, timeZone);
+  } else if (body?.startTime) {
+    const st = String(body.startTime).replace(' ', 'T');
+    d = /[zZ]|[+\-]\d\d:\d\d$/.test(st) ? new Date(st) : fromZonedTime(st, timeZone);
+  }
+  if (!d || Number.isNaN(d.getTime())) return null;
+  d.setSeconds(0, 0);
+  return d;
+}
+
+// The location's timezone, falling back to SAST for locations that don't set one
+async function getLocationTimeZone(db, locationId, read = (ref) => ref.get()) {
+  const doc = await read(db.collection('locations').doc(String(locationId)));
+  const tz = doc.exists ? doc.data()?.timezone : null;
+  return isValidTimeZone(tz) ? tz : DEFAULT_TIMEZONE;
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  isValidDateKey,
+  toDate,
+  dateKeyInZone,
+  timeLabelInZone,
+  minutesOfDayInZone,
+  zonedToUTC,
+  addDaysToKey,
+  dayBoundsUTC,
+  monthBoundsUTC,
+  parseStartFromBody,
+  getLocationTimeZone,
+};
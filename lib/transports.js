@@ -0,0 +1,145 @@
+// lib/transports.js
+// ----- Notification transports -----
+// Each transport delivers one message on one channel:
+//   send({ to, subject, body, data }) -> { id }   (throws when the provider refuses)
+// `to` is an email address, an E.164 phone number, or a list of FCM device tokens.
+// The console and file transports stand in for the real providers in dev and tests.
+const fs = require('fs');
+const axios = require('axios');
+const { logger } = require('./logger');
+
+const SENDGRID_URL = 'https://api.sendgrid.com/v3/mail/send';
+const TWILIO_BASE_URL = 'https://api.twilio.com/2010-04-01';
+
+// Email through SendGrid's v3 API
+function createEmailTransport({ apiKey, from, http = axios }) {
+  return {
+    channel: 'email',
+    async send({ to, subject, body }) {
+      const response = await http.post(
+        SENDGRID_URL,
+        {
+          personalizations: [{ to: [{ email: to }] }],
+          from: { email: from },
+          subject,
+          content: [{ type: 'text/plain', value: body }],
+        },
+        { headers: { Authorization: `Bearer ${apiKey}`, 'Content-Type': 'application/json' } }
+      );
+      return { id: response.headers?.['x-message-id'] || null };
+    },
+  };
+}
+
+// SMS, or WhatsApp when `whatsapp` is set, through Twilio's Messages API
+function createTwilioTransport({ accountSid, authToken, from, whatsapp = false, http = axios }) {
+  const address = (number) => (whatsapp ? `whatsapp:${number}` : number);
+  return {
+    channel: whatsapp ? 'whatsapp' : 'sms',
+    async send({ to, body }) {
+      const response = await http.post(
+        `${TWILIO_BASE_URL}/Accounts/${accountSid}/Messages.json`,
+        new URLSearchParams({ To: address(to), From: address(from), Body: body }).toString(),
+        {
+          auth: { username: accountSid, password: authToken },
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        }
+      );
+      return { id: response.data?.sid || null };
+    },
+  };
+}
+
+// FCM push to every registered device of the customer (firebase-admin messaging)
+function createPushTransport({ messaging }) {
+  return {
+    channel: 'push',
+    async send({ to, subject, body, data }) {
+      const tokens = Array.isArray(to) ? to : [to];
+      const response = await messaging.sendEachForMulticast({
+        tokens,
+        notification: { title: subject, body },
+        data: Object.fromEntries(Object.entries(data || {}).map(([k, v]) => [k, String(v)])),
+      });
+      if (response.successCount === 0) {
+        throw new Error(response.responses?.[0]?.error?.message || 'No device accepted the push.');
+      }
+      return { id: null, successCount: response.successCount, failureCount: response.failureCount };
+    },
+  };
+}
+
+// Logs (at info) instead of sending; keeps what it "sent" for inspection
+function createConsoleTransport(channel) {
+  const sent = [];
+  return {
+    channel,
+    sent,
+    async send(message) {
+      sent.push(message);
+      logger.info('notify: console delivery', { channel, to: message.to, subject: message.subject, body: message.body });
+      return { id: `console-${sent.length}` };
+    },
+  };
+}
+
+// Appends one JSON line per message to `path`
+function createFileTransport(channel, path) {
+  return {
+    channel,
+    async send(message) {
+      const line = JSON.stringify({ channel, at: new Date().toISOString(), ...message });
+      await fs.promises.appendFile(path, `${line}\n`);
+      return { id: null };
+    },
+  };
+}
+
+const CHANNELS = ['email', 'sms', 'whatsapp', 'push'];
+const NOTIFICATION_MODES = ['console', 'file', 'live'];
+
+// NOTIFICATION_MODE picks the transports, and must be set (an unset mode would quietly
+// send nothing):
+//   console / file: every channel logs (file: to NOTIFICATION_FILE); not in production
+//   live: each provider whose credentials are set; channels without one are skipped
+function createTransportsFromEnv(env = process.env, { messaging = null } = {}) {
+  const mode = env.NOTIFICATION_MODE;
+  if (!NOTIFICATION_MODES.includes(mode)) {
+    throw new Error(`NOTIFICATION_MODE must be one of ${NOTIFICATION_MODES.join(', ')} (got "${mode ?? ''}").`);
+  }
+  if (env.NODE_ENV === 'production' && mode !== 'live') {
+    throw new Error(`NOTIFICATION_MODE=${mode} sends nothing to customers; it is not allowed in production.`);
+  }
+  if (mode === 'console') {
+    return Object.fromEntries(CHANNELS.map((c) => [c, createConsoleTransport(c)]));
+  }
+  if (mode === 'file') {
+    const path = env.NOTIFICATION_FILE || 'notifications.log';
+    return Object.fromEntries(CHANNELS.map((c) => [c, createFileTransport(c, path)]));
+  }
+
+  const transports = {};
+  if (env.SENDGRID_API_KEY && env.NOTIFICATION_EMAIL_FROM) {
+    transports.email = createEmailTransport({ apiKey: env.SENDGRID_API_KEY, from: env.NOTIFICATION_EMAIL_FROM });
+  }
+  if (env.TWILIO_ACCOUNT_SID && env.TWILIO_AUTH_TOKEN) {
+    const twilio = { accountSid: env.TWILIO_ACCOUNT_SID, authToken: env.TWILIO_AUTH_TOKEN };
+    if (env.TWILIO_SMS_FROM) transports.sms = createTwilioTransport({ ...twilio, from: env.TWILIO_SMS_FROM });
+    if (env.TWILIO_WHATSAPP_FROM) {
+      transports.whatsapp = createTwilioTransport({ ...twilio, from: env.TWILIO_WHATSAPP_FROM, whatsapp: true });
+    }
+  }
+  if (messaging) transports.push = createPushTransport({ messaging });
+  return transports;
+}
+
+module.exports = {
+  CHANNELS,
+  NOTIFICATION_MODES,
+  createEmailTransport,
+  createTwilioTransport,
+  createPushTransport,
+  createConsoleTransport,
+  createFileTransport,
+  createTransportsFromEnv,
+};
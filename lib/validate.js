@@ -0,0 +1,249 @@
+// lib/validate.js
+// ----- Request validation -----
+// Small schemas for route params, query strings and JSON bodies:
+//
+//   app.post('/api/x', isAuthenticated, validate({
+//     params: v.object({ bookingId: v.id() }),
+//     body: v.object({ date: v.dateKey(), note: v.string({ max: 500 }).optional() }),
+//   }), handler);
+//
+// Anything that doesn't match is answered with 400 validation_failed (lib/errors.js) and
+// `fields` naming each bad input, before the handler runs. The parsed values (numbers
+// coerced from query strings, defaults filled in) are on req.valid.{params,query,body};
+// req.body and req.query are left as they came in.
+// Checks that need the database (does the service exist?) stay in the routes.
+const { isValidDateKey, isValidTimeZone } = require('./time');
+const { sendError } = require('./errors');
+
+// Keys that would reach Object.prototype if used to index a plain object or map
+const RESERVED_IDS = new Set(['__proto__', 'constructor', 'prototype']);
+
+const SLOT_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+const START_TIME_RE = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})?$/;
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_RE = /^\+[1-9]\d{7,14}$/;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function joinPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+// ---------- Schemas ----------
+// check(value, path, issues) returns the parsed value and pushes { path, message } for
+// each problem. Modifiers return a new schema.
+function schema(check, flags = {}) {
+  return {
+    check,
+    ...flags,
+    optional() {
+      return schema(check, { ...flags, isOptional: true });
+    },
+    nullable() {
+      return schema(check, { ...flags, isNullable: true });
+    },
+    // Used (and still checked) when the input leaves the value out
+    default(value) {
+      return schema(check, { ...flags, isOptional: true, defaultValue: value });
+    },
+    // fn(parsed) returns a message (or { path, message }) when the whole value is wrong
+    refine(fn) {
+      return schema((value, path, issues) => {
+        const before = issues.length;
+        const parsed = check(value, path, issues);
+        if (issues.length > before) return parsed;
+        const problem = fn(parsed);
+        if (problem) {
+          issues.push(typeof problem === 'string' ? { path, message: problem } : { path: joinPath(path, problem.path), message: problem.message });
+        }
+        return parsed;
+      }, flags);
+    },
+  };
+}
+
+// An empty string leaves an optional value out (forms and query strings send `?x=`)
+function run(s, value, path, issues) {
+  if (value === undefined || (value === '' && s.isOptional)) {
+    if (s.defaultValue !== undefined) return s.defaultValue;
+    if (s.isOptional) return undefined;
+    issues.push({ path, message: 'is required' });
+    return undefined;
+  }
+  if (value === null) {
+    if (s.isNullable) return null;
+    issues.push({ path, message: 'must not be null' });
+    return undefined;
+  }
+  return s.check(value, path, issues);
+}
+
+function fail(issues, path, message) {
+  issues.push({ path, message });
+  return undefined;
+}
+
+const v = {
+  any() {
+    return schema((value) => value);
+  },
+
+  string({ min = 1, max = 500, pattern = null, message = null, trim = false } = {}) {
+    return schema((value, path, issues) => {
+      if (typeof value !== 'string') return fail(issues, path, 'must be text');
+      const text = trim ? value.trim() : value;
+      if (text.length < min || text.length > max) {
+        return fail(issues, path, min > 0 ? `must be ${min}-${max} characters` : `must be at most ${max} characters`);
+      }
+      if (pattern && !pattern.test(text)) return fail(issues, path, message || 'is not in the expected format');
+      return text;
+    });
+  },
+
+  // Firestore document ID supplied by a client. Whole numbers are read as their string
+  // (older clients send numeric service IDs).
+  id() {
+    return schema((input, path, issues) => {
+      const value = Number.isInteger(input) && input >= 0 ? String(input) : input;
+      if (typeof value !== 'string' || !value || value.length > 128) return fail(issues, path, 'must be an ID');
+      if (value.includes('/') || value === '.' || value === '..' || RESERVED_IDS.has(value)) {
+        return fail(issues, path, 'is not a valid ID');
+      }
+      return value;
+    });
+  },
+
+  dateKey() {
+    return schema((value, path, issues) => (isValidDateKey(value) ? value : fail(issues, path, 'must be a date (yyyy-MM-dd)')));
+  },
+
+  slot() {
+    return schema((value, path, issues) =>
+      typeof value === 'string' && SLOT_RE.test(value) ? value : fail(issues, path, 'must be a time (HH:mm)'));
+  },
+
+  // ISO date-time; without an offset it is local time at the location
+  startTime() {
+    return schema((value, path, issues) =>
+      typeof value === 'string' && START_TIME_RE.test(value) && !Number.isNaN(Date.parse(value.replace(' ', 'T')))
+        ? value
+        : fail(issues, path, 'must be a date and time (e.g. 2030-01-07T09:00)'));
+  },
+
+  timeZone() {
+    return schema((value, path, issues) =>
+      isValidTimeZone(value) ? value : fail(issues, path, 'must be an IANA timezone (e.g. Africa/Johannesburg)'));
+  },
+
+  email() {
+    return v.string({ max: 200, pattern: EMAIL_RE, message: 'must be an email address' });
+  },
+
+  // E.164, e.g. +27821234567
+  phone() {
+    return v.string({ max: 16, pattern: PHONE_RE, message: 'must be in international format (e.g. +27821234567)' });
+  },
+
+  // `coerce` accepts numeric strings (query parameters)
+  int({ min = -Infinity, max = Infinity, coerce = false } = {}) {
+    return schema((value, path, issues) => {
+      const n = coerce && typeof value === 'string' && /^-?\d+$/.test(value.trim()) ? Number(value) : value;
+      if (!Number.isInteger(n)) return fail(issues, path, 'must be a whole number');
+      if (n < min || n > max) {
+        if (max === Infinity) return fail(issues, path, `must be ${min} or more`);
+        if (min === -Infinity) return fail(issues, path, `must be ${max} or less`);
+        return fail(issues, path, `must be from ${min} to ${max}`);
+      }
+      return n;
+    });
+  },
+
+  boolean({ coerce = false } = {}) {
+    return schema((value, path, issues) => {
+      if (coerce && (value === 'true' || value === 'false')) return value === 'true';
+      return typeof value === 'boolean' ? value : fail(issues, path, 'must be true or false');
+    });
+  },
+
+  oneOf(values) {
+    return schema((value, path, issues) =>
+      values.includes(value) ? value : fail(issues, path, `must be one of ${values.join(', ')}`));
+  },
+
+  array(item, { min = 0, max = 100 } = {}) {
+    return schema((value, path, issues) => {
+      if (!Array.isArray(value)) return fail(issues, path, 'must be a list');
+      if (value.length < min || value.length > max) return fail(issues, path, `must have ${min}-${max} items`);
+      return value.map((entry, i) => run(item, entry, joinPath(path, i), issues));
+    });
+  },
+
+  // IDs as a JSON list or, in query strings, 'a,b,c'
+  idList({ max = 20 } = {}) {
+    const list = v.array(v.id(), { max });
+    return schema((value, path, issues) => {
+      const items = typeof value === 'string' ? value.split(',').map((s) => s.trim()).filter(Boolean) : value;
+      return list.check(items, path, issues);
+    });
+  },
+
+  // Keys not in `shape` pass through untouched; use a lib validator (v.check) where
+  // unknown fields must be refused
+  object(shape = {}) {
+    return schema((value, path, issues) => {
+      if (!isPlainObject(value)) return fail(issues, path, 'must be an object');
+      const parsed = { ...value };
+      for (const [key, child] of Object.entries(shape)) {
+        const result = run(child, value[key], joinPath(path, key), issues);
+        if (result === undefined) delete parsed[key];
+        else parsed[key] = result;
+      }
+      return parsed;
+    });
+  },
+
+  // Wraps an existing validator that returns an error message or null
+  check(fn) {
+    return schema((value, path, issues) => {
+      const message = fn(value);
+      return message ? fail(issues, path, message) : value;
+    });
+  },
+};
+
+// 'date must be a date (yyyy-MM-dd).' or, for validators with whole sentences, the sentence
+function describe({ path, message }) {
+  if (!path || /^[A-Z]/.test(message)) return /[.!?]$/.test(message) ? message : `${message}.`;
+  return `${path} ${message}.`;
+}
+
+// ---------- Middleware ----------
+function validate(schemas) {
+  return (req, res, next) => {
+    const issues = [];
+    const valid = {};
+    for (const part of ['params', 'query', 'body']) {
+      if (!schemas[part]) continue;
+      const input = req[part] === undefined ? {} : req[part];
+      valid[part] = run(schemas[part], input, '', issues);
+    }
+    if (issues.length) {
+      const fields = {};
+      for (const issue of issues) {
+        if (issue.path && !fields[issue.path]) fields[issue.path] = issue.message;
+      }
+      return sendError(res, 400, 'validation_failed', describe(issues[0]), Object.keys(fields).length ? { fields } : {});
+    }
+    req.valid = valid;
+    return next();
+  };
+}
+
+module.exports = {
+  RESERVED_IDS,
+  v,
+  validate,
+};
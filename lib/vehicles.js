@@ -0,0 +1,70 @@
+// lib/vehicles.js
+// ----- Customer vehicles -----
+// users/{uid}/vehicles/{id}  { make, model, registration, sizeClass, createdAt, updatedAt }
+// sizeClass picks the row of a service's price matrix (service.pricing, see
+// lib/catalogue.js). Bookings keep a copy of the vehicle, so editing or removing one
+// doesn't change past bookings.
+
+const VEHICLE_CLASSES = ['hatchback', 'sedan', 'suv', 'bakkie', 'van'];
+const MAX_VEHICLES = 10;
+const VEHICLE_FIELDS = ['make', 'model', 'registration', 'sizeClass'];
+
+function isVehicleClass(value) {
+  return VEHICLE_CLASSES.includes(value);
+}
+
+// 'ca 123-456' and 'CA123456' are the same plate
+function normalizeRegistration(value) {
+  return String(value).toUpperCase().replace(/[\s-]+/g, '');
+}
+
+// Returns an error message, or null. `partial` allows leaving fields out (updates).
+function validateVehicle(input, { partial = false } = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return 'Body must be an object.';
+  for (const key of Object.keys(input)) {
+    if (!VEHICLE_FIELDS.includes(key)) return `Unknown field "${key}".`;
+  }
+  if (!partial) {
+    const missing = VEHICLE_FIELDS.filter((key) => input[key] === undefined);
+    if (missing.length) return `Missing ${missing.join(', ')}.`;
+  }
+  for (const key of ['make', 'model']) {
+    if (input[key] !== undefined && !(typeof input[key] === 'string' && input[key].trim() && input[key].length <= 50)) {
+      return `${key} must be 1-50 characters.`;
+    }
+  }
+  if (input.registration !== undefined
+    && !(typeof input.registration === 'string' && /^[A-Z0-9]{2,12}$/.test(normalizeRegistration(input.registration)))) {
+    return 'registration must be 2-12 letters and digits.';
+  }
+  if (input.sizeClass !== undefined && !isVehicleClass(input.sizeClass)) {
+    return `sizeClass must be one of ${VEHICLE_CLASSES.join(', ')}.`;
+  }
+  return null;
+}
+
+// Fields as stored, from a body that passed validateVehicle
+function vehicleFields(input) {
+  const fields = {};
+  if (input.make !== undefined) fields.make = input.make.trim();
+  if (input.model !== undefined) fields.model = input.model.trim();
+  if (input.registration !== undefined) fields.registration = normalizeRegistration(input.registration);
+  if (input.sizeClass !== undefined) fields.sizeClass = input.sizeClass;
+  return fields;
+}
+
+// What a booking keeps about the vehicle
+function bookingVehicle(doc) {
+  const { make, model, registration, sizeClass } = doc.data();
+  return { id: doc.id, make, model, registration, sizeClass };
+}
+
+module.exports = {
+  VEHICLE_CLASSES,
+  MAX_VEHICLES,
+  isVehicleClass,
+  normalizeRegistration,
+  validateVehicle,
+  vehicleFields,
+  bookingVehicle,
+};
@@ -0,0 +1,239 @@
+// lib/waitlist.js
+// ----- Waitlist -----
+// waitlist/{id}  { locationId, userId, date, from, to, serviceId, addOnIds, vehicleId, vehicle,
+//                  vehicleClass, status, offer, createdAt, updatedAt }
+// A customer waits for any start time from `from` up to (not including) `to` on `date`,
+// local to the location. When time frees up (a cancellation, more active bays, unblocked
+// time, a lapsed hold) the longest-waiting entry it fits is offered it: the slot is held
+// as a pending_payment booking (waitlistEntryId) until offer.expiresAt. Accepting starts
+// the usual payment; an offer not paid for by then lapses and the next person gets a turn.
+//
+// status: waiting -> offered -> accepted (checkout started) -> booked
+//         offered | accepted -> declined | expired      waiting -> left | removed | lapsed
+const { resolveBookingItems, bookingAddOns } = require('./catalogue');
+const { loadDayState, checkSlot, reserveSlot } = require('./occupancy');
+const { toDate, dateKeyInZone, zonedToUTC, getLocationTimeZone } = require('./time');
+
+const WAITLIST = 'waitlist';
+const ACTIVE_STATUSES = ['waiting', 'offered', 'accepted'];
+const OFFER_STATUSES = ['offered', 'accepted'];
+const MAX_ACTIVE_ENTRIES = 5;
+// Booking statuses that mean the customer took the offer
+const BOOKED_STATUSES = ['paid', 'free', 'in_progress', 'completed', 'no_show'];
+
+const MINUTE_MS = 60 * 1000;
+
+function byCreatedAt(a, b) {
+  return toDate(a.data().createdAt) - toDate(b.data().createdAt);
+}
+
+function bookingRefFor(db, entry) {
+  return db.collection('locations').doc(entry.locationId).collection('bookings').doc(entry.offer.bookingId);
+}
+
+// ---------- Offering ----------
+// Offers free time on one local date to the waiting entries, first come first served.
+// An entry whose window has no room keeps waiting; later entries may still fit. The day is
+// read once and again only after a hold is placed (a refused hold leaves it as it was; the
+// transaction re-checks the slot either way).
+// Returns [{ entryId, userId, bookingId, startTime, expiresAt }].
+async function offerOpenings(db, { locationId, dateKey, offerMinutes, now = new Date() }) {
+  const snapshot = await db
+    .collection(WAITLIST)
+    .where('locationId', '==', locationId)
+    .where('date', '==', dateKey)
+    .where('status', '==', 'waiting')
+    .get();
+  if (snapshot.empty) return [];
+
+  const timeZone = await getLocationTimeZone(db, locationId);
+  if (dateKey < dateKeyInZone(now, timeZone)) return [];
+
+  const offers = [];
+  let state = null;
+  for (const doc of snapshot.docs.sort(byCreatedAt)) {
+    const entry = doc.data();
+    const items = await resolveBookingItems(db, {
+      locationId,
+      serviceId: entry.serviceId,
+      addOnIds: entry.addOnIds || [],
+      vehicleClass: entry.vehicleClass || null,
+    });
+    if (items.refusal) {
+      // The service or an add-on was withdrawn; nothing can be offered for this entry
+      await doc.ref.update({ status: 'lapsed', lapsedReason: items.refusal, updatedAt: now });
+      continue;
+    }
+
+    state = state || (await loadDayState(db, locationId, dateKey, { now, timeZone }));
+    if (state.closed) break;
+    const slot = state.slots.find(
+      (s) => s >= entry.from && s < entry.to
+        && checkSlot(state, zonedToUTC(dateKey, s, timeZone), items.durationInMinutes).ok
+    );
+    if (!slot) continue;
+
+    const start = zonedToUTC(dateKey, slot, timeZone);
+    // Never held past the start of the wash itself
+    const expiresAt = new Date(Math.min(now.getTime() + offerMinutes * MINUTE_MS, start.getTime()));
+    const reservation = await reserveSlot(db, {
+      locationId,
+      timeZone,
+      start,
+      durationInMinutes: items.durationInMinutes,
+      now,
+      booking: {
+        userId: entry.userId,
+        serviceId: entry.serviceId,
+        addOns: bookingAddOns(items.addOns),
+        vehicleId: entry.vehicleId || null,
+        vehicle: entry.vehicle || null,
+        vehicleClass: entry.vehicleClass || null,
+        servicePriceCents: items.servicePriceCents,
+        status: 'pending_payment',
+        holdExpiresAt: expiresAt,
+        paymentReference: null,
+        amount: items.amount,
+        createdAt: now,
+        bookedBy: { uid: entry.userId, role: 'customer', at: now },
+        waitlistEntryId: doc.id,
+      },
+      // Claims the entry in the same transaction, so two runs can't offer it twice
+      prepare: async (tx, { bookingId }) => {
+        const fresh = await tx.get(doc.ref);
+        if (fresh.data()?.status !== 'waiting') return { refusal: 'not_waiting' };
+        return {
+          apply: () => tx.update(doc.ref, {
+            status: 'offered',
+            offer: { bookingId, startTime: start, expiresAt, offeredAt: now },
+            updatedAt: now,
+          }),
+        };
+      },
+    });
+    if (!reservation.ok) continue;
+    state = null;
+    offers.push({ entryId: doc.id, userId: entry.userId, bookingId: reservation.bookingId, startTime: start, expiresAt });
+  }
+  return offers;
+}
+
+// ---------- Taking an offer ----------
+// Moves an offered entry to accepted and points its held booking at a new payment.
+// The hold runs at least `holdMinutes` from now so the customer has time to pay.
+// Returns { ok: true, entry, booking } or { ok: false, reason: 'not_found' | 'not_offered' | 'expired' }.
+async function acceptOffer(db, { entryId, userId, reference, holdMinutes, now = new Date() }) {
+  const entryRef = db.collection(WAITLIST).doc(entryId);
+  return db.runTransaction(async (tx) => {
+    const entryDoc = await tx.get(entryRef);
+    const entry = entryDoc.exists ? entryDoc.data() : null;
+    if (!entry || entry.userId !== userId) return { ok: false, reason: 'not_found' };
+    if (entry.status !== 'offered') return { ok: false, reason: 'not_offered' };
+
+    const bookingRef = bookingRefFor(db, entry);
+    const bookingDoc = await tx.get(bookingRef);
+    const booking = bookingDoc.exists ? bookingDoc.data() : null;
+    const expiresAt = toDate(booking?.holdExpiresAt);
+    if (booking?.status !== 'pending_payment' || !expiresAt || expiresAt <= now) return { ok: false, reason: 'expired' };
+
+    const holdExpiresAt = new Date(Math.max(expiresAt.getTime(), now.getTime() + holdMinutes * MINUTE_MS));
+    tx.update(bookingRef, { paymentReference: reference, holdExpiresAt });
+    tx.update(entryRef, { status: 'accepted', acceptedAt: now, updatedAt: now });
+    return { ok: true, entry: { id: entryId, ...entry }, booking: { id: bookingRef.id, ...booking, holdExpiresAt } };
+  });
+}
+
+// Takes an entry off the list (status: 'left' | 'removed'), releasing any slot held for
+// it; a customer leaving with an open offer is recorded as 'declined'. `userId` and
+// `locationId` limit it to one customer's or one location's entries.
+// Returns { ok: true, entry } or { ok: false, reason: 'not_found' | 'not_active' }.
+async function closeEntry(db, { entryId, userId = null, locationId = null, status, now = new Date() }) {
+  const entryRef = db.collection(WAITLIST).doc(entryId);
+  return db.runTransaction(async (tx) => {
+    const entryDoc = await tx.get(entryRef);
+    const entry = entryDoc.exists ? entryDoc.data() : null;
+    if (!entry || (userId && entry.userId !== userId) || (locationId && entry.locationId !== locationId)) {
+      return { ok: false, reason: 'not_found' };
+    }
+    if (!ACTIVE_STATUSES.includes(entry.status)) return { ok: false, reason: 'not_active' };
+
+    const bookingRef = entry.offer ? bookingRefFor(db, entry) : null;
+    const bookingDoc = bookingRef ? await tx.get(bookingRef) : null;
+    if (bookingDoc?.exists && bookingDoc.data().status === 'pending_payment') {
+      tx.update(bookingRef, { status: 'expired', releasedAt: now });
+    }
+    tx.update(entryRef, { status: status === 'left' && entry.offer ? 'declined' : status, closedAt: now, updatedAt: now });
+    return { ok: true, entry: { id: entryId, ...entry } };
+  });
+}
+
+// ---------- Sweeping ----------
+// Settles offers whose booking was paid, cancelled or ran out, then offers whatever is
+// free to the entries still waiting (which also covers time freed by a lapsed hold or a
+// wash finished early). Entries whose date has passed lapse.
+// Returns { offers, lapsed: [{ entryId, locationId, bookingId }] } so the caller can notify.
+async function sweepWaitlist(db, { offerMinutes, now = new Date() }) {
+  const lapsed = [];
+  const offered = await db.collection(WAITLIST).where('status', 'in', OFFER_STATUSES).get();
+  for (const doc of offered.docs) {
+    const entry = doc.data();
+    const bookingDoc = await bookingRefFor(db, entry).get();
+    const booking = bookingDoc.exists ? bookingDoc.data() : null;
+    if (booking && BOOKED_STATUSES.includes(booking.status)) {
+      await doc.ref.update({ status: 'booked', updatedAt: now });
+      continue;
+    }
+    const expiresAt = toDate(booking?.holdExpiresAt);
+    if (booking?.status === 'pending_payment' && expiresAt && expiresAt > now) continue;
+    await doc.ref.update({ status: booking?.status === 'cancelled' ? 'declined' : 'expired', updatedAt: now });
+    if (booking?.status !== 'cancelled') lapsed.push({ entryId: doc.id, locationId: entry.locationId, bookingId: entry.offer.bookingId });
+  }
+
+  const waiting = await db.collection(WAITLIST).where('status', '==', 'waiting').get();
+  const dates = new Map();
+  for (const doc of waiting.docs) {
+    const { locationId, date } = doc.data();
+    dates.set(`${locationId}|${date}`, { locationId, dateKey: date });
+  }
+
+  const offers = [];
+  const timeZones = {};
+  for (const { locationId, dateKey } of dates.values()) {
+    timeZones[locationId] = timeZones[locationId] || (await getLocationTimeZone(db, locationId));
+    if (dateKey < dateKeyInZone(now, timeZones[locationId])) {
+      const stale = waiting.docs.filter((d) => d.data().locationId === locationId && d.data().date === dateKey);
+      await Promise.all(stale.map((d) => d.ref.update({ status: 'lapsed', lapsedReason: 'date_passed', updatedAt: now })));
+      continue;
+    }
+    offers.push(...(await offerOpenings(db, { locationId, dateKey, offerMinutes, now })).map((o) => ({ ...o, locationId })));
+  }
+  return { offers, lapsed };
+}
+
+// API shape
+function serializeEntry(doc) {
+  const data = doc.data();
+  const iso = (value) => (toDate(value) ? toDate(value).toISOString() : null);
+  return {
+    id: doc.id,
+    ...data,
+    offer: data.offer
+      ? { ...data.offer, startTime: iso(data.offer.startTime), expiresAt: iso(data.offer.expiresAt), offeredAt: iso(data.offer.offeredAt) }
+      : null,
+    createdAt: iso(data.createdAt),
+    updatedAt: iso(data.updatedAt),
+    ...(data.acceptedAt ? { acceptedAt: iso(data.acceptedAt) } : {}),
+    ...(data.closedAt ? { closedAt: iso(data.closedAt) } : {}),
+  };
+}
+
+module.exports = {
+  WAITLIST,
+  ACTIVE_STATUSES,
+  MAX_ACTIVE_ENTRIES,
+  offerOpenings,
+  acceptOffer,
+  closeEntry,
+  sweepWaitlist,
+  serializeEntry,
+};
@@ -0,0 +1,39 @@
+// scripts/send-reminders.js
+// Sends booking reminders once and exits; for running from cron instead of the
+// /api/cron/reminders endpoint.
+//   node scripts/send-reminders.js [--lead=<minutes>]
+// Uses the same Firestore credentials (lib/config.js), NOTIFICATION_MODE / provider env vars
+// and REMINDER_LEAD_MINUTES as the server.
+const admin = require('firebase-admin');
+const { createNotifier } = require('../lib/notifications');
+const { createTransportsFromEnv } = require('../lib/transports');
+const { loadServiceAccount } = require('../lib/config');
+const { logger } = require('../lib/logger');
+
+function leadMinutesFromArgs(argv) {
+  const arg = argv.find((a) => a.startsWith('--lead='));
+  const value = Number(arg ? arg.slice('--lead='.length) : process.env.REMINDER_LEAD_MINUTES);
+  return Number.isFinite(value) && value > 0 ? value : 24 * 60;
+}
+
+async function main() {
+  const { serviceAccount, error } = loadServiceAccount(process.env);
+  if (error) throw new Error(error);
+  admin.initializeApp({ credential: admin.credential.cert(serviceAccount) });
+  const db = admin.firestore();
+
+  const notifier = createNotifier({
+    db,
+    transports: createTransportsFromEnv(process.env, { messaging: admin.messaging() }),
+  });
+  const leadMinutes = leadMinutesFromArgs(process.argv.slice(2));
+  const sent = await notifier.sendDueReminders({ leadMinutes });
+  logger.info('reminders sent', { sent, leadMinutes });
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    logger.error('reminders failed', error);
+    process.exit(1);
+  });
@@ -0,0 +1,120 @@
+const { app, request, repos, seedLocation, signIn, dateFromToday, bookAndPay } = require('./helpers');
+const { weekdayOf } = require('../lib/schedule');
+const { addDaysToKey } = require('../lib/time');
+
+describe('GET /api/availability', () => {
+  const date = dateFromToday(3);
+  let customer;
+
+  beforeAll(async () => {
+    await seedLocation('loc1');
+    customer = await signIn('avail-customer');
+  });
+
+  it('lists every start time in opening hours on an empty day', async () => {
+    const res = await request(app).get('/api/availability').query({ date, locationId: 'loc1' });
+
+    expect(res.status).toBe(200);
+    expect(res.body[0]).toBe('08:00');
+    expect(res.body).toContain('15:45');
+    expect(res.body).toHaveLength(32);
+  });
+
+  it('leaves out start times that would run past closing for the service', async () => {
+    const res = await request(app).get('/api/availability').query({ date, locationId: 'loc1', serviceId: 'wash' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toContain('15:30');
+    expect(res.body).not.toContain('15:45');
+  });
+
+  it('keeps opening hours, and so every booking, within the day', async () => {
+    const manager = await signIn('avail-hours-mgr', { role: 'manager', locationIds: ['loc1'] });
+    const lateDate = dateFromToday(9);
+    const overnight = await request(app)
+      .put('/api/manager/settings/schedule')
+      .set('Authorization', manager)
+      .send({ weekly: { fri: [{ open: '22:00', close: '02:00' }] } });
+    expect(overnight.status).toBe(400);
+    expect(JSON.stringify(overnight.body)).toMatch(/close by 24:00/);
+
+    const late = await request(app)
+      .post('/api/manager/settings/hours')
+      .set('Authorization', manager)
+      .send({ date: lateDate, hours: [{ open: '22:00', close: '24:00' }] });
+    expect(late.status).toBe(200);
+    const res = await request(app).get('/api/availability').query({ date: lateDate, locationId: 'loc1', serviceId: 'wash' });
+    expect(res.body[0]).toBe('22:00');
+    expect(res.body).toContain('23:30');
+    expect(res.body).not.toContain('23:45');
+  });
+
+  it('drops a start time once every bay is taken', async () => {
+    const fullDate = dateFromToday(4);
+    await bookAndPay(customer, { locationId: 'loc1', serviceId: 'wash', date: fullDate, slot: '09:00' });
+    await bookAndPay(customer, { locationId: 'loc1', serviceId: 'wash', date: fullDate, slot: '09:00' });
+
+    const res = await request(app).get('/api/availability').query({ date: fullDate, locationId: 'loc1', serviceId: 'wash' });
+
+    expect(res.body).not.toContain('09:00');
+    expect(res.body).not.toContain('09:15');
+    expect(res.body).toContain('08:30');
+    expect(res.body).toContain('09:30');
+  });
+
+  it('leaves out blocked slots and closed days', async () => {
+    const blockedDate = dateFromToday(5);
+    await repos.blockedSlots.add('loc1', blockedDate, '10:00');
+    const blocked = await request(app).get('/api/availability').query({ date: blockedDate, locationId: 'loc1' });
+    expect(blocked.body).not.toContain('10:00');
+
+    const closedDate = dateFromToday(6);
+    await repos.settings.merge('loc1', closedDate, { closed: true });
+    const closed = await request(app).get('/api/availability').query({ date: closedDate, locationId: 'loc1' });
+    expect(closed.body).toEqual([]);
+  });
+
+  it('keeps a repeating block with no end, and counts a blocked bay that is also booked once', async () => {
+    const manager = await signIn('avail-mgr', { role: 'manager', locationIds: ['loc1'] });
+    const blockDate = dateFromToday(7);
+    const slots = async (day) => (await request(app).get('/api/availability').query({ date: day, locationId: 'loc1', serviceId: 'wash' })).body;
+
+    // Bay 2, 12:00-13:00 every week from blockDate on, added over a booking already in bay 2
+    const booked = await bookAndPay(customer, { locationId: 'loc1', serviceId: 'wash', date: blockDate, slot: '12:00' });
+    const moved = await request(app).patch(`/api/manager/bookings/${booked.bookingId}`).set('Authorization', manager).send({ bayId: 2 });
+    expect(moved.body.bayId).toBe(2);
+    const created = await request(app)
+      .post('/api/manager/blocks')
+      .set('Authorization', manager)
+      .send({ date: blockDate, weekdays: [weekdayOf(blockDate)], start: '12:00', end: '13:00', bayIds: [2] });
+    expect(created.status).toBe(201);
+    expect(created.body.until).toBeNull();
+
+    // Bay 1 is still free at 12:00
+    expect(await slots(blockDate)).toContain('12:00');
+    const listed = await request(app).get('/api/manager/blocks').set('Authorization', manager).query({ from: addDaysToKey(blockDate, 70) });
+    expect(listed.body).toEqual([expect.objectContaining({ id: created.body.id, until: null })]);
+
+    // A whole-day block that ended before the range isn't read at all
+    await request(app).post('/api/manager/blocks').set('Authorization', manager).send({ date: dateFromToday(1) });
+    const later = await request(app).get('/api/manager/blocks').set('Authorization', manager).query({ from: dateFromToday(2) });
+    expect(later.body.map((block) => block.id)).toEqual([created.body.id]);
+  });
+
+  it('returns nothing for a past date', async () => {
+    const res = await request(app).get('/api/availability').query({ date: dateFromToday(-1), locationId: 'loc1' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual([]);
+  });
+
+  it('refuses an unknown service and a malformed date', async () => {
+    const unknown = await request(app).get('/api/availability').query({ date, locationId: 'loc1', serviceId: 'nope' });
+    expect(unknown.status).toBe(404);
+    expect(unknown.body.error.code).toBe('service_not_found');
+
+    const malformed = await request(app).get('/api/availability').query({ date: '2026-13-40', locationId: 'loc1' });
+    expect(malformed.status).toBe(400);
+    expect(malformed.body.error.code).toBe('validation_failed');
+  });
+});
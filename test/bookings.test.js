@@ -0,0 +1,156 @@
+const { app, db, request, repos, paystack, seedLocation, signIn, dateFromToday, bookAndPay } = require('./helpers');
+const { releaseExpiredHolds } = require('../lib/payments');
+
+describe('booking and paying', () => {
+  let customer;
+
+  beforeAll(async () => {
+    await seedLocation('loc1');
+    customer = await signIn('book-customer');
+  });
+
+  it('holds the slot pending payment and confirms it once Paystack settles', async () => {
+    const date = dateFromToday(3);
+    const created = await request(app)
+      .post('/api/payments/initialize')
+      .set('Authorization', customer)
+      .send({ locationId: 'loc1', serviceId: 'wash', addOnIds: ['wax'], date, slot: '10:00' });
+
+    expect(created.status).toBe(201);
+    expect(created.body.authorizationUrl).toEqual(expect.any(String));
+    const held = (await repos.bookings.get('loc1', created.body.bookingId)).data();
+    expect(held).toMatchObject({ status: 'pending_payment', amount: 20000, durationInMinutes: 45 });
+
+    const pending = await request(app).get(`/api/payments/verify/${created.body.reference}`);
+    expect(pending.status).toBe(202);
+
+    paystack.settle(created.body.reference);
+    const verified = await request(app).get(`/api/payments/verify/${created.body.reference}`);
+    expect(verified.status).toBe(200);
+    expect(verified.body).toMatchObject({ status: 'paid', bookingId: created.body.bookingId });
+    expect((await repos.bookings.get('loc1', created.body.bookingId)).data().status).toBe('paid');
+  });
+
+  it('releases the hold when the payment fails', async () => {
+    const date = dateFromToday(3);
+    const created = await request(app)
+      .post('/api/payments/initialize')
+      .set('Authorization', customer)
+      .send({ locationId: 'loc1', serviceId: 'wash', date, slot: '12:00' });
+
+    paystack.settle(created.body.reference, 'failed');
+    const verified = await request(app).get(`/api/payments/verify/${created.body.reference}`);
+
+    expect(verified.status).toBe(402);
+    expect(verified.body.error.code).toBe('payment_unsuccessful');
+    expect((await repos.bookings.get('loc1', created.body.bookingId)).data().status).not.toBe('pending_payment');
+  });
+
+  it('refuses a third booking when both bays are taken', async () => {
+    const date = dateFromToday(4);
+    const body = { locationId: 'loc1', serviceId: 'wash', date, slot: '09:00' };
+    await bookAndPay(customer, body);
+    await bookAndPay(customer, body);
+
+    const third = await request(app).post('/api/payments/initialize').set('Authorization', customer).send(body);
+
+    expect(third.status).toBe(409);
+    expect(third.body.error.code).toBe('slot_full');
+  });
+
+  it('refuses times outside opening hours, in the past or without a token', async () => {
+    const outside = await request(app)
+      .post('/api/payments/initialize')
+      .set('Authorization', customer)
+      .send({ locationId: 'loc1', serviceId: 'wash', date: dateFromToday(3), slot: '17:00' });
+    expect(outside.status).toBe(400);
+    expect(outside.body.error.code).toBe('outside_hours');
+
+    const past = await request(app)
+      .post('/api/payments/initialize')
+      .set('Authorization', customer)
+      .send({ locationId: 'loc1', serviceId: 'wash', date: dateFromToday(-1), slot: '09:00' });
+    expect(past.status).toBe(409);
+    expect(past.body.error.code).toBe('slot_in_past');
+
+    const anonymous = await request(app)
+      .post('/api/payments/initialize')
+      .send({ locationId: 'loc1', serviceId: 'wash', date: dateFromToday(3), slot: '09:00' });
+    expect(anonymous.status).toBe(401);
+  });
+
+  it('lists, reschedules and cancels the customer\'s own booking', async () => {
+    const date = dateFromToday(7);
+    const { bookingId } = await bookAndPay(customer, { locationId: 'loc1', serviceId: 'wash', date, slot: '11:00' });
+    // A damaged row is left out rather than failing the whole list
+    await repos.bookings.ref('loc1', 'no-start').set({ userId: 'book-customer', status: 'paid', startTime: 'not a time' });
+
+    const mine = await request(app).get('/api/my/bookings').set('Authorization', customer);
+    expect(mine.status).toBe(200);
+    expect([...mine.body.upcoming, ...mine.body.past].map((b) => b.id)).not.toContain('no-start');
+    expect(mine.body.upcoming.find((b) => b.id === bookingId)).toMatchObject({
+      locationName: 'Spark Rosebank',
+      serviceName: 'Full Wash',
+      status: 'paid',
+      date,
+      startTimeLocal: '11:00',
+    });
+
+    const moved = await request(app)
+      .post(`/api/my/bookings/${bookingId}/reschedule`)
+      .set('Authorization', customer)
+      .send({ locationId: 'loc1', date, slot: '14:00' });
+    expect(moved.status).toBe(200);
+
+    const cancelled = await request(app)
+      .post(`/api/my/bookings/${bookingId}/cancel`)
+      .set('Authorization', customer)
+      .send({ locationId: 'loc1' });
+    expect(cancelled.status).toBe(200);
+    expect((await repos.bookings.get('loc1', bookingId)).data().status).toBe('cancelled');
+
+    const slots = await request(app).get('/api/availability').query({ date, locationId: 'loc1', serviceId: 'wash' });
+    expect(slots.body).toContain('14:00');
+  });
+
+  it('does not let one customer cancel another\'s booking', async () => {
+    const { bookingId } = await bookAndPay(customer, { locationId: 'loc1', serviceId: 'wash', date: dateFromToday(8), slot: '11:00' });
+    const someoneElse = await signIn('book-other');
+
+    const res = await request(app)
+      .post(`/api/my/bookings/${bookingId}/cancel`)
+      .set('Authorization', someoneElse)
+      .send({ locationId: 'loc1' });
+
+    expect(res.status).toBe(404);
+    expect((await repos.bookings.get('loc1', bookingId)).data().status).toBe('paid');
+  });
+
+  it('takes a lapsed hold back when a late payment lands, unless the slot has gone', async () => {
+    const date = dateFromToday(9);
+    const hold = (slot) => request(app)
+      .post('/api/payments/initialize')
+      .set('Authorization', customer)
+      .send({ locationId: 'loc1', serviceId: 'wash', date, slot });
+    const kept = (await hold('10:00')).body;
+    const lost = (await hold('11:00')).body;
+    await releaseExpiredHolds(db, new Date(Date.now() + 60 * 60 * 1000));
+
+    // Both bays at 11:00 go to others while the first customer is still paying
+    const other = await signIn('book-late-other');
+    await bookAndPay(other, { locationId: 'loc1', serviceId: 'wash', date, slot: '11:00' });
+    await bookAndPay(other, { locationId: 'loc1', serviceId: 'wash', date, slot: '11:00' });
+
+    paystack.settle(kept.reference);
+    const reclaimed = await request(app).get(`/api/payments/verify/${kept.reference}`);
+    expect(reclaimed.status).toBe(200);
+    expect((await repos.bookings.get('loc1', kept.bookingId)).data()).toMatchObject({ status: 'paid', paidAfterHoldExpired: true, bayId: 1 });
+
+    paystack.settle(lost.reference);
+    const refused = await request(app).get(`/api/payments/verify/${lost.reference}`);
+    expect(refused.status).toBe(409);
+    expect(refused.body.error.code).toBe('slot_lost');
+    expect((await repos.bookings.get('loc1', lost.bookingId)).data().status).toBe('expired');
+    expect((await db.collection('payments').doc(lost.reference).get()).data()).toMatchObject({ status: 'success', needsRefund: true });
+  });
+});
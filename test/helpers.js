@@ -0,0 +1,67 @@
+// test/helpers.js
+// ----- Test helpers -----
+// Jest gives every test file its own module registry, so each file gets a fresh app and
+// an empty in-memory datastore (see test/setup.js). These seed it and sign people in.
+const request = require('supertest');
+const server = require('../index');
+const { addDaysToKey, dateKeyInZone, DEFAULT_TIMEZONE } = require('../lib/time');
+
+const { app, auth, repos, paystack } = server;
+
+// A location with one wash (R150, 30 minutes) and one extra (R50, 15 minutes).
+// Default hours (08:00–16:00 every 15 minutes) and two bays.
+async function seedLocation(locationId = 'loc1', { name = 'Spark Rosebank' } = {}) {
+  await repos.locations.merge(locationId, { name, isActive: true });
+  await repos.services.ref(locationId, 'wash').set({
+    name: 'Full Wash',
+    description: 'Outside and in',
+    durationInMinutes: 30,
+    priceCents: 15000,
+    displayOrder: 1,
+    isActive: true,
+  });
+  await repos.addOns.ref(locationId, 'wax').set({
+    name: 'Wax',
+    description: 'Hand wax',
+    durationInMinutes: 15,
+    priceCents: 5000,
+    displayOrder: 1,
+    isActive: true,
+  });
+  return locationId;
+}
+
+// Signs a user in with `role`; staff and managers work at `locationIds`.
+// Returns the Authorization header value.
+async function signIn(uid, { role = 'customer', locationIds = [] } = {}) {
+  const email = `${uid}@example.com`;
+  if (role !== 'customer') {
+    await auth.createUser({ uid, email, displayName: uid });
+    await auth.setCustomUserClaims(uid, { role });
+    await repos.users.set(uid, { email, name: uid, role, locationIds, rewards: {} });
+  }
+  return `Bearer ${auth.signIn(uid, { email, displayName: uid })}`;
+}
+
+// yyyy-MM-dd `days` from today at the location
+function dateFromToday(days) {
+  return addDaysToKey(dateKeyInZone(new Date(), DEFAULT_TIMEZONE), days);
+}
+
+// Books and pays through the fake Paystack checkout; returns the create response body
+async function bookAndPay(token, body) {
+  const created = await request(app).post('/api/payments/initialize').set('Authorization', token).send(body);
+  if (created.status !== 201) throw new Error(`Booking failed: ${JSON.stringify(created.body)}`);
+  paystack.settle(created.body.reference);
+  await request(app).get(`/api/payments/verify/${created.body.reference}`);
+  return created.body;
+}
+
+module.exports = {
+  ...server,
+  request,
+  seedLocation,
+  signIn,
+  dateFromToday,
+  bookAndPay,
+};
@@ -0,0 +1,94 @@
+const { app, request, repos, seedLocation, signIn, dateFromToday } = require('./helpers');
+const { dayBoundsUTC, DEFAULT_TIMEZONE } = require('../lib/time');
+
+describe('Idempotency-Key', () => {
+  const date = dateFromToday(3);
+  let customer;
+  let manager;
+
+  beforeAll(async () => {
+    await seedLocation('loc1');
+    customer = await signIn('retry-customer');
+    manager = await signIn('retry-mgr', { role: 'manager', locationIds: ['loc1'] });
+  });
+
+  function book(token, key, body) {
+    const req = request(app).post('/api/bookings').set('Authorization', token);
+    if (key) req.set('Idempotency-Key', key);
+    return req.send({ locationId: 'loc1', serviceId: 'wash', date, ...body });
+  }
+
+  async function bookingsAt(day) {
+    const { start, end } = dayBoundsUTC(day, DEFAULT_TIMEZONE);
+    return repos.bookings.between('loc1', start, end);
+  }
+
+  it('replays the first response for a retried booking instead of booking again', async () => {
+    const day = dateFromToday(6);
+    const first = await book(customer, 'key-1', { date: day, slot: '09:00' });
+    const retry = await book(customer, 'key-1', { date: day, slot: '09:00' });
+
+    expect(first.status).toBe(201);
+    expect(first.headers['idempotent-replayed']).toBeUndefined();
+    expect(retry.status).toBe(201);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(retry.body).toEqual(first.body);
+    expect(await bookingsAt(day)).toHaveLength(1);
+  });
+
+  it('refuses the same key with a different body', async () => {
+    await book(customer, 'key-2', { slot: '10:00' });
+    const changed = await book(customer, 'key-2', { slot: '10:30' });
+
+    expect(changed.status).toBe(422);
+    expect(changed.body.error.code).toBe('idempotency_key_reused');
+  });
+
+  it('keeps keys apart per user and books normally without one', async () => {
+    const other = await signIn('retry-other');
+    const mine = await book(customer, 'shared-key', { slot: '11:00' });
+    const theirs = await book(other, 'shared-key', { slot: '11:00' });
+    expect(theirs.status).toBe(201);
+    expect(theirs.body.bookingId).not.toBe(mine.body.bookingId);
+
+    const day = dateFromToday(4);
+    await book(customer, null, { date: day, slot: '09:00' });
+    await book(customer, null, { date: day, slot: '09:00' });
+    expect(await bookingsAt(day)).toHaveLength(2);
+  });
+
+  it('books once when two requests with the same key race', async () => {
+    const day = dateFromToday(5);
+    const results = await Promise.all([
+      book(customer, 'key-3', { date: day, slot: '12:00' }),
+      book(customer, 'key-3', { date: day, slot: '12:00' }),
+    ]);
+
+    // The second is turned away while the first runs (409), or arrives after it and gets the replay
+    const [booking] = await bookingsAt(day);
+    expect(await bookingsAt(day)).toHaveLength(1);
+    for (const res of results) {
+      if (res.status === 409) expect(res.body.error.code).toBe('idempotency_in_progress');
+      else expect(res.body.bookingId).toBe(booking.id);
+    }
+  });
+
+  it('replays manager edits and rejects malformed keys', async () => {
+    const { body: { bookingId } } = await book(customer, 'key-4', { slot: '13:00' });
+    const edit = () => request(app)
+      .patch(`/api/manager/bookings/${bookingId}`)
+      .set('Authorization', manager)
+      .set('Idempotency-Key', 'edit-1')
+      .send({ bayId: 2 });
+
+    const first = await edit();
+    const retry = await edit();
+    expect(first.status).toBe(200);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(retry.body).toEqual(first.body);
+
+    const malformed = await book(customer, 'bad key with spaces', { slot: '14:00' });
+    expect(malformed.status).toBe(400);
+    expect(malformed.body.error.code).toBe('invalid_idempotency_key');
+  });
+});
@@ -0,0 +1,104 @@
+// A low cap so the test reaches it; read when index.js loads
+process.env.MAX_OPEN_HOLDS_PER_CUSTOMER = '2';
+
+const { app, db, request, paystack, seedLocation, signIn, dateFromToday } = require('./helpers');
+const { FirestoreStore } = require('../lib/rateLimits');
+const { capOpenHolds } = require('../lib/payments');
+const { reserveSlot } = require('../lib/occupancy');
+const { zonedToUTC, DEFAULT_TIMEZONE } = require('../lib/time');
+
+describe('unpaid booking cap', () => {
+  const date = dateFromToday(2);
+  let customer;
+  let manager;
+
+  beforeAll(async () => {
+    await seedLocation('loc1');
+    customer = await signIn('cap-customer');
+    manager = await signIn('cap-mgr', { role: 'manager', locationIds: ['loc1'] });
+  });
+
+  function book(token, slot, extra = {}) {
+    return request(app)
+      .post('/api/bookings')
+      .set('Authorization', token)
+      .send({ locationId: 'loc1', serviceId: 'wash', date, slot, ...extra });
+  }
+
+  it('stops a customer holding more unpaid slots until one is paid', async () => {
+    const first = await book(customer, '09:00');
+    await book(customer, '10:00');
+    const third = await book(customer, '11:00');
+    expect(third.status).toBe(409);
+    expect(third.body.error).toMatchObject({ code: 'too_many_unpaid_bookings', limit: 2 });
+
+    // Staff booking for the customer isn't held against them
+    const byManager = await book(manager, '11:00', { userId: 'cap-customer' });
+    expect(byManager.status).toBe(201);
+
+    paystack.settle(first.body.reference);
+    await request(app).get(`/api/payments/verify/${first.body.reference}`);
+    expect((await book(customer, '12:00')).status).toBe(201);
+  });
+
+  it('counts holds inside the reservation, so checkouts at once still stop at the cap', async () => {
+    const now = new Date();
+    const hold = (slot) => reserveSlot(db, {
+      locationId: 'loc1',
+      start: zonedToUTC(date, slot, DEFAULT_TIMEZONE),
+      durationInMinutes: 30,
+      now,
+      booking: {
+        userId: 'cap-hurried',
+        status: 'pending_payment',
+        holdExpiresAt: new Date(now.getTime() + 15 * 60 * 1000),
+        bookedBy: { uid: 'cap-hurried', role: 'customer', at: now },
+      },
+      prepare: capOpenHolds(db, { userId: 'cap-hurried', limit: 2, now }),
+    });
+
+    const results = await Promise.all(['13:00', '13:30', '14:00'].map(hold));
+    expect(results.map((result) => result.ok)).toEqual([true, true, false]);
+    expect(results[2].reason).toBe('too_many_unpaid_bookings');
+  });
+});
+
+describe('rate limits', () => {
+  it('gives each signed-in user their own budget, with more room for staff', async () => {
+    const first = await signIn('limit-one');
+    const second = await signIn('limit-two');
+    const staff = await signIn('limit-staff', { role: 'staff', locationIds: ['loc1'] });
+    const verify = (token) => {
+      const req = request(app).post('/api/bookings/verify-slot');
+      if (token) req.set('Authorization', token);
+      return req.send({});
+    };
+
+    const limits = await Promise.all([verify(null), verify(first), verify(staff)]);
+    expect(limits.map((res) => res.headers['ratelimit-limit'])).toEqual(['20', '30', '120']);
+
+    for (let i = 1; i < 30; i += 1) await verify(first);
+    const limited = await verify(first);
+    expect(limited.status).toBe(429);
+    expect(limited.body.error.code).toBe('rate_limited');
+    // Same address, different user
+    expect((await verify(second)).status).toBe(400);
+  });
+
+  it('can keep counters in the datastore', async () => {
+    const store = new FirestoreStore(db, { prefix: 'test' });
+    store.init({ windowMs: 60 * 1000 });
+
+    expect(await store.get('uid:a')).toBeUndefined();
+    await store.increment('uid:a');
+    const { totalHits, resetTime } = await store.increment('uid:a');
+    expect(totalHits).toBe(2);
+    expect(resetTime.getTime()).toBeGreaterThan(Date.now());
+    expect((await store.increment('ip:2001:db8::/56')).totalHits).toBe(1);
+
+    await store.decrement('uid:a');
+    expect((await store.get('uid:a')).totalHits).toBe(1);
+    await store.resetKey('uid:a');
+    expect(await store.get('uid:a')).toBeUndefined();
+  });
+});
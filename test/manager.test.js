@@ -0,0 +1,149 @@
+const { app, db, request, repos, seedLocation, signIn, dateFromToday, bookAndPay } = require('./helpers');
+
+describe('manager tools', () => {
+  const date = dateFromToday(3);
+  let manager;
+  let staff;
+  let customer;
+  let bookingId;
+
+  beforeAll(async () => {
+    await seedLocation('loc1');
+    await seedLocation('loc2', { name: 'Spark Sandton' });
+    manager = await signIn('mgr', { role: 'manager', locationIds: ['loc1'] });
+    staff = await signIn('counter', { role: 'staff', locationIds: ['loc1'] });
+    customer = await signIn('mgr-customer');
+    ({ bookingId } = await bookAndPay(customer, { locationId: 'loc1', serviceId: 'wash', date, slot: '09:00' }));
+  });
+
+  it('shows the day\'s bookings with customer and service names', async () => {
+    const res = await request(app).get('/api/manager/bookings').set('Authorization', staff).query({ date });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toHaveLength(1);
+    expect(res.body[0]).toMatchObject({ id: bookingId, status: 'paid', serviceName: 'Full Wash' });
+  });
+
+  it('checks a booking in and completes it, refusing steps out of order', async () => {
+    const started = await request(app)
+      .post(`/api/manager/bookings/${bookingId}/status`)
+      .set('Authorization', staff)
+      .send({ status: 'in_progress' });
+    expect(started.status).toBe(200);
+    expect(started.body).toMatchObject({ from: 'paid', status: 'in_progress' });
+
+    const completed = await request(app)
+      .post(`/api/manager/bookings/${bookingId}/status`)
+      .set('Authorization', staff)
+      .send({ status: 'completed' });
+    expect(completed.status).toBe(200);
+
+    const noShow = await request(app)
+      .post(`/api/manager/bookings/${bookingId}/status`)
+      .set('Authorization', staff)
+      .send({ status: 'no_show' });
+    expect(noShow.status).toBe(409);
+    expect(noShow.body.error.code).toBe('invalid_transition');
+  });
+
+  it('changes the bay count and blocks a slot for one day', async () => {
+    const otherDay = dateFromToday(4);
+    const bays = await request(app)
+      .post('/api/manager/settings/activeBays')
+      .set('Authorization', manager)
+      .send({ date: otherDay, count: 1 });
+    expect(bays.status).toBe(200);
+
+    await bookAndPay(customer, { locationId: 'loc1', serviceId: 'wash', date: otherDay, slot: '09:00' });
+    const afterOne = await request(app).get('/api/availability').query({ date: otherDay, locationId: 'loc1', serviceId: 'wash' });
+    expect(afterOne.body).not.toContain('09:00');
+
+    const blocked = await request(app)
+      .post('/api/manager/blocked-slots')
+      .set('Authorization', manager)
+      .send({ date: otherDay, slot: '12:00' });
+    expect(blocked.status).toBe(200);
+
+    const list = await request(app).get('/api/manager/blocked-slots').set('Authorization', staff).query({ date: otherDay });
+    expect(list.body).toEqual(['12:00']);
+    const slots = await request(app).get('/api/availability').query({ date: otherDay, locationId: 'loc1' });
+    expect(slots.body).not.toContain('12:00');
+  });
+
+  it('keeps a booking in its bay when moved, and re-prices a changed service', async () => {
+    const day = dateFromToday(5);
+    await repos.services.ref('loc1', 'valet').set({
+      name: 'Valet',
+      durationInMinutes: 60,
+      priceCents: 30000,
+      displayOrder: 2,
+      isActive: true,
+    });
+    await bookAndPay(customer, { locationId: 'loc1', serviceId: 'wash', date: day, slot: '09:00' });
+    const second = await bookAndPay(customer, { locationId: 'loc1', serviceId: 'wash', date: day, slot: '09:00' });
+    const edit = (body) => request(app).patch(`/api/manager/bookings/${second.bookingId}`).set('Authorization', manager).send(body);
+
+    const moved = await edit({ date: day, slot: '13:00' });
+    expect(moved.status).toBe(200);
+    expect(moved.body.bayId).toBe(2);
+
+    const changed = await edit({ serviceId: 'valet' });
+    expect(changed.status).toBe(200);
+    expect(changed.body).toMatchObject({ bayId: 2, durationInMinutes: 60 });
+    const stored = (await repos.bookings.get('loc1', second.bookingId)).data();
+    expect(stored).toMatchObject({ serviceId: 'valet', servicePriceCents: 30000 });
+  });
+
+  it('keeps staff out of manager settings and everyone out of other locations', async () => {
+    const staffSettings = await request(app)
+      .post('/api/manager/settings/activeBays')
+      .set('Authorization', staff)
+      .send({ date, count: 3 });
+    expect(staffSettings.status).toBe(403);
+
+    const customerBoard = await request(app).get('/api/manager/bookings').set('Authorization', customer).query({ date });
+    expect(customerBoard.status).toBe(403);
+
+    const otherLocation = await request(app)
+      .get('/api/manager/bookings')
+      .set('Authorization', manager)
+      .query({ date, locationId: 'loc2' });
+    expect(otherLocation.status).toBe(403);
+    expect(otherLocation.body.error.code).toBe('location_forbidden');
+  });
+
+  it('creates a walk-in customer only when their booking goes through', async () => {
+    const day = dateFromToday(5);
+    const bookWalkIn = (slot, serviceId = 'wash') => request(app)
+      .post('/api/bookings')
+      .set('Authorization', staff)
+      .send({ locationId: 'loc1', serviceId, date: day, slot, walkIn: { name: 'Thandi', phone: '0820000000' } });
+    const walkIns = async () => (await db.collection('users').where('isWalkIn', '==', true).get()).docs;
+
+    expect((await bookWalkIn('10:00', 'no-such-service')).status).toBe(404);
+    expect((await bookWalkIn('10:00')).status).toBe(201);
+    expect((await bookWalkIn('10:00')).status).toBe(201);
+    // Both bays taken
+    expect((await bookWalkIn('10:00')).status).toBe(409);
+
+    const created = await walkIns();
+    expect(created).toHaveLength(2);
+    expect(created[0].data()).toMatchObject({ name: 'Thandi', role: 'customer', createdBy: 'counter' });
+  });
+
+  it('lets a deactivated item\'s displayOrder be reused, and checks it again on reactivation', async () => {
+    const addOns = (method, path = '') => request(app)[method](`/api/manager/add-ons${path}`).set('Authorization', manager);
+    const polish = { name: 'Polish', durationInMinutes: 15, priceCents: 4000, displayOrder: 1 };
+
+    const taken = await addOns('post').send(polish);
+    expect(taken.status).toBe(409);
+    expect(taken.body.error.code).toBe('display_order_taken');
+
+    expect((await addOns('delete', '/wax')).status).toBe(200);
+    expect((await addOns('post').send(polish)).status).toBe(201);
+
+    const reactivated = await addOns('patch', '/wax').send({ isActive: true });
+    expect(reactivated.status).toBe(409);
+    expect((await addOns('patch', '/wax').send({ isActive: true, displayOrder: 2 })).status).toBe(200);
+  });
+});
@@ -0,0 +1,85 @@
+const { createMemoryStore, MemoryTimestamp } = require('../lib/memoryStore');
+
+describe('in-memory datastore', () => {
+  let db;
+
+  beforeEach(() => {
+    db = createMemoryStore();
+  });
+
+  it('stores Dates as Timestamps and hands out copies', async () => {
+    const ref = db.collection('things').doc('a');
+    const at = new Date('2026-03-01T10:00:00Z');
+    await ref.set({ at, tags: ['x'] });
+
+    const data = (await ref.get()).data();
+    expect(data.at).toBeInstanceOf(MemoryTimestamp);
+    expect(data.at.toDate()).toEqual(at);
+    data.tags.push('y');
+    expect((await ref.get()).data().tags).toEqual(['x']);
+  });
+
+  it('merges, updates dotted paths and refuses undefined values and missing documents', async () => {
+    const ref = db.collection('users').doc('u1');
+    await ref.set({ rewards: { loc1: { points: 1 } }, name: 'Ann' });
+    await ref.set({ rewards: { loc2: { points: 2 } } }, { merge: true });
+    await ref.update({ 'rewards.loc1.points': 5 });
+
+    expect((await ref.get()).data()).toEqual({ name: 'Ann', rewards: { loc1: { points: 5 }, loc2: { points: 2 } } });
+    await expect(ref.set({ name: undefined })).rejects.toThrow(/undefined/);
+    await expect(db.collection('users').doc('u2').update({ name: 'Bo' })).rejects.toMatchObject({ code: 'not-found' });
+  });
+
+  it('filters, orders and limits queries, and finds subcollections by group', async () => {
+    const bookings = db.collection('locations').doc('loc1').collection('bookings');
+    await bookings.doc('b1').set({ userId: 'u1', startTime: new Date('2026-03-01T10:00:00Z') });
+    await bookings.doc('b2').set({ userId: 'u2', startTime: new Date('2026-03-01T09:00:00Z') });
+    await bookings.doc('b3').set({ userId: 'u1', startTime: new Date('2026-03-02T09:00:00Z') });
+    await db.collection('locations').doc('loc2').collection('bookings').doc('b4').set({ userId: 'u1' });
+
+    const ordered = await bookings.where('startTime', '>=', new Date('2026-03-01T00:00:00Z')).orderBy('startTime').limit(2).get();
+    expect(ordered.docs.map((d) => d.id)).toEqual(['b2', 'b1']);
+
+    const mine = await db.collectionGroup('bookings').where('userId', '==', 'u1').get();
+    expect(mine.docs.map((d) => d.id).sort()).toEqual(['b1', 'b3', 'b4']);
+    expect(mine.docs.find((d) => d.id === 'b4').ref.parent.parent.id).toBe('loc2');
+
+    // orderBy leaves out documents without the field, as Firestore does
+    const withTime = await db.collectionGroup('bookings').orderBy('startTime').get();
+    expect(withTime.size).toBe(3);
+  });
+
+  it('runs transactions one at a time and applies writes only on success', async () => {
+    const counter = db.collection('counters').doc('c');
+    await counter.set({ n: 0 });
+    const increment = () => db.runTransaction(async (tx) => {
+      const { n } = (await tx.get(counter)).data();
+      await new Promise((resolve) => setImmediate(resolve));
+      tx.update(counter, { n: n + 1 });
+    });
+    await Promise.all([increment(), increment(), increment()]);
+    expect((await counter.get()).data().n).toBe(3);
+
+    await expect(db.runTransaction(async (tx) => {
+      tx.update(counter, { n: 100 });
+      throw new Error('abort');
+    })).rejects.toThrow('abort');
+    expect((await counter.get()).data().n).toBe(3);
+  });
+
+  it('refuses transaction reads after a write, as Firestore does', async () => {
+    const counter = db.collection('counters').doc('c');
+    await counter.set({ n: 0 });
+
+    const readAfterWrite = db.runTransaction(async (tx) => {
+      tx.update(counter, { n: 1 });
+      await tx.get(counter);
+    });
+    await expect(readAfterWrite).rejects.toMatchObject({ code: 'invalid-argument' });
+    await expect(db.runTransaction(async (tx) => {
+      tx.set(db.collection('counters').doc('d'), { n: 0 });
+      await tx.getAll(counter);
+    })).rejects.toThrow(/reads to be executed before all writes/);
+    expect((await counter.get()).data().n).toBe(0);
+  });
+});
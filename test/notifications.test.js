@@ -0,0 +1,61 @@
+process.env.CRON_SECRET = 'cron-test-secret';
+
+const { app, db, request, repos, seedLocation } = require('./helpers');
+const { createNotifier } = require('../lib/notifications');
+const { createTransportsFromEnv } = require('../lib/transports');
+
+describe('reminders', () => {
+  beforeAll(async () => {
+    await seedLocation('loc1');
+    await repos.users.set('remind-customer', { name: 'Sam', email: 'sam@example.com', rewards: {} });
+    await repos.bookings.ref('loc1', 'soon').set({
+      userId: 'remind-customer',
+      serviceId: 'wash',
+      status: 'paid',
+      startTime: new Date(Date.now() + 60 * 60 * 1000),
+      durationInMinutes: 30,
+    });
+  });
+
+  it('tries again on the next run when the reminder could not be delivered', async () => {
+    let up = false;
+    const delivered = [];
+    const email = {
+      channel: 'email',
+      async send(message) {
+        if (!up) throw new Error('provider down');
+        delivered.push(message);
+        return { id: 'm1' };
+      },
+    };
+    const notifier = createNotifier({ db, transports: { email } });
+
+    expect(await notifier.sendDueReminders({ leadMinutes: 120 })).toBe(0);
+    const failed = (await repos.bookings.get('loc1', 'soon')).data();
+    expect(failed).toMatchObject({ reminderSentAt: null, reminderFailures: 1 });
+
+    up = true;
+    expect(await notifier.sendDueReminders({ leadMinutes: 120 })).toBe(1);
+    expect(delivered.map((m) => m.to)).toEqual(['sam@example.com']);
+    expect(await notifier.sendDueReminders({ leadMinutes: 120 })).toBe(0);
+  });
+
+  it('only runs the job for callers with the cron secret', async () => {
+    const wrong = await request(app).post('/api/cron/reminders').set('X-Cron-Secret', 'cron-test-secreT');
+    expect(wrong.status).toBe(401);
+    expect((await request(app).post('/api/cron/reminders')).status).toBe(401);
+
+    const right = await request(app).post('/api/cron/reminders').set('X-Cron-Secret', 'cron-test-secret');
+    expect(right.status).toBe(200);
+  });
+});
+
+describe('notification transports', () => {
+  it('needs an explicit mode, and a live one in production', () => {
+    expect(() => createTransportsFromEnv({})).toThrow(/NOTIFICATION_MODE must be one of/);
+    expect(() => createTransportsFromEnv({ NOTIFICATION_MODE: 'consol' })).toThrow(/got "consol"/);
+    expect(() => createTransportsFromEnv({ NOTIFICATION_MODE: 'console', NODE_ENV: 'production' })).toThrow(/not allowed in production/);
+    expect(Object.keys(createTransportsFromEnv({ NOTIFICATION_MODE: 'console' }))).toEqual(['email', 'sms', 'whatsapp', 'push']);
+    expect(createTransportsFromEnv({ NOTIFICATION_MODE: 'live', NODE_ENV: 'production' })).toEqual({});
+  });
+});
@@ -0,0 +1,79 @@
+const { app, request, seedLocation, signIn, dateFromToday } = require('./helpers');
+const { createLogger, runWithRequestId, REDACTED } = require('../lib/logger');
+
+describe('request IDs and metrics', () => {
+  beforeAll(async () => {
+    await seedLocation('loc1');
+  });
+
+  it('echoes a sane X-Request-Id and makes one up otherwise', async () => {
+    const given = await request(app).get('/api/health').set('X-Request-Id', 'client-abc.123');
+    expect(given.headers['x-request-id']).toBe('client-abc.123');
+
+    const made = await request(app).get('/api/health').set('X-Request-Id', 'not <ok>');
+    expect(made.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+
+    const notFound = await request(app).get('/api/nope');
+    expect(notFound.headers['x-request-id']).toBeDefined();
+  });
+
+  it('counts bookings, slot conflicts and request latency', async () => {
+    const customer = await signIn('metrics-customer');
+    const date = dateFromToday(2);
+    const book = () => request(app)
+      .post('/api/bookings')
+      .set('Authorization', customer)
+      .send({ locationId: 'loc1', serviceId: 'wash', date, slot: '09:00' });
+    // Two bays, so the third car at 09:00 is refused
+    const statuses = [(await book()).status, (await book()).status, (await book()).status];
+    expect(statuses).toEqual([201, 201, 409]);
+
+    const res = await request(app).get('/metrics');
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/plain;.*version=0\.0\.4/);
+    expect(res.text).toContain('bookings_created_total{source="checkout"} 2');
+    expect(res.text).toContain('booking_slot_conflicts_total{reason="full"} 1');
+    expect(res.text).toMatch(/http_request_duration_seconds_count\{method="POST",route="\/api\/payments\/initialize,\/api\/bookings",status="201"\} 2/);
+    expect(res.text).toContain('http_request_duration_seconds_bucket{method="GET",route="unmatched",status="404",le="+Inf"} 1');
+  });
+});
+
+describe('logger', () => {
+  function capture(level = 'debug') {
+    const lines = [];
+    const log = createLogger({ level, write: (line) => lines.push(JSON.parse(line)) });
+    return { log, lines };
+  }
+
+  it('writes JSON lines at or above its level, with the request ID', () => {
+    const { log, lines } = capture('info');
+    log.debug('skipped');
+    runWithRequestId('req-1', () => log.info('create-booking', { bookingId: 'b1' }));
+    log.error('failed', new Error('boom'));
+
+    expect(lines).toHaveLength(2);
+    expect(lines[0]).toMatchObject({ level: 'info', msg: 'create-booking', requestId: 'req-1', bookingId: 'b1' });
+    expect(lines[1].requestId).toBeUndefined();
+    expect(lines[1].error).toMatchObject({ name: 'Error', message: 'boom' });
+  });
+
+  it('redacts tokens, secrets and contact details', () => {
+    const { log, lines } = capture();
+    log.child({ service: 'api' }).info('signed in', {
+      userId: 'u1',
+      email: 'someone@example.com',
+      headers: { Authorization: 'Bearer abc', 'x-cron-secret': 's3cret' },
+      customer: { phone: '+27820000000', name: 'Sam' },
+      authorizationCode: 'AUTH_x',
+    });
+
+    expect(lines[0]).toMatchObject({
+      service: 'api',
+      userId: 'u1',
+      email: REDACTED,
+      headers: { Authorization: REDACTED, 'x-cron-secret': REDACTED },
+      customer: { phone: REDACTED, name: 'Sam' },
+      authorizationCode: REDACTED,
+    });
+  });
+});
@@ -0,0 +1,169 @@
+const { app, db, request, repos, seedLocation, signIn, dateFromToday, bookAndPay } = require('./helpers');
+const { promoRef } = require('../lib/promotions');
+const { weekdayOf, WEEKDAYS } = require('../lib/schedule');
+
+describe('promo codes', () => {
+  const date = dateFromToday(3);
+  let manager;
+  let staff;
+  let customer;
+
+  beforeAll(async () => {
+    await seedLocation('loc1');
+    manager = await signIn('promo-mgr', { role: 'manager', locationIds: ['loc1'] });
+    staff = await signIn('promo-staff', { role: 'staff', locationIds: ['loc1'] });
+    customer = await signIn('promo-customer');
+  });
+
+  function createCode(body) {
+    return request(app).post('/api/manager/promo-codes').set('Authorization', manager).send(body);
+  }
+
+  function book(token, body) {
+    return request(app)
+      .post('/api/payments/initialize')
+      .set('Authorization', token)
+      .send({ locationId: 'loc1', serviceId: 'wash', date, ...body });
+  }
+
+  it('lets managers create, list, update and deactivate codes', async () => {
+    const created = await createCode({ code: 'spring20', discountType: 'percent', percentOff: 20, description: 'Spring special' });
+    expect(created.status).toBe(201);
+    expect(created.body).toMatchObject({ id: 'SPRING20', code: 'SPRING20', percentOff: 20, amountOffCents: null, uses: 0, isActive: true });
+    expect(created.body.usesByUser).toBeUndefined();
+
+    const duplicate = await createCode({ code: 'SPRING20', discountType: 'fixed', amountOffCents: 1000 });
+    expect(duplicate.status).toBe(409);
+    expect(duplicate.body.error.code).toBe('promo_code_taken');
+
+    const updated = await request(app)
+      .patch('/api/manager/promo-codes/spring20')
+      .set('Authorization', manager)
+      .send({ percentOff: 25 });
+    expect(updated.status).toBe(200);
+    expect(updated.body.percentOff).toBe(25);
+
+    const removed = await request(app).delete('/api/manager/promo-codes/SPRING20').set('Authorization', manager);
+    expect(removed.body.isActive).toBe(false);
+
+    const list = await request(app).get('/api/manager/promo-codes').set('Authorization', manager);
+    expect(list.body.map((p) => p.code)).toEqual(['SPRING20']);
+  });
+
+  it('refuses bad codes and keeps staff out', async () => {
+    const noAmount = await createCode({ code: 'NOAMOUNT', discountType: 'fixed' });
+    expect(noAmount.status).toBe(400);
+    expect(noAmount.body.error.code).toBe('validation_failed');
+
+    const unknownService = await createCode({ code: 'NOSERVICE', discountType: 'fixed', amountOffCents: 500, serviceIds: ['nope'] });
+    expect(unknownService.status).toBe(400);
+    expect(unknownService.body.error.code).toBe('service_not_found');
+
+    const badWindow = await request(app)
+      .patch('/api/manager/promo-codes/SPRING20')
+      .set('Authorization', manager)
+      .send({ validFrom: '2030-06-01', validUntil: '2030-05-01' });
+    expect(badWindow.status).toBe(400);
+
+    const byStaff = await request(app)
+      .post('/api/manager/promo-codes')
+      .set('Authorization', staff)
+      .send({ code: 'STAFF', discountType: 'fixed', amountOffCents: 500 });
+    expect(byStaff.status).toBe(403);
+  });
+
+  it('quotes a code without using it, and applies it to the charge', async () => {
+    await createCode({ code: 'TENOFF', discountType: 'fixed', amountOffCents: 1000, minSpendCents: 15000 });
+
+    const quote = await request(app)
+      .post('/api/promo-codes/validate')
+      .set('Authorization', customer)
+      .send({ locationId: 'loc1', code: 'tenoff', serviceId: 'wash', addOnIds: ['wax'], date });
+    expect(quote.status).toBe(200);
+    expect(quote.body).toMatchObject({ code: 'TENOFF', amountBeforeDiscount: 20000, discountCents: 1000, amount: 19000 });
+
+    const created = await book(customer, { slot: '09:00', promoCode: 'TENOFF' });
+    expect(created.status).toBe(201);
+    expect(created.body.amount).toBe(14000);
+    const booking = (await repos.bookings.get('loc1', created.body.bookingId)).data();
+    expect(booking).toMatchObject({ amount: 14000, promo: { code: 'TENOFF', discountCents: 1000, amountBeforeDiscount: 15000 } });
+  });
+
+  it('refuses unknown codes and codes outside their day or minimum spend', async () => {
+    const otherDay = WEEKDAYS.find((d) => d !== weekdayOf(date));
+    await createCode({ code: 'OTHERDAY', discountType: 'percent', percentOff: 10, weekdays: [otherDay] });
+    await createCode({ code: 'BIGSPEND', discountType: 'percent', percentOff: 10, minSpendCents: 50000 });
+
+    const wrongDay = await book(customer, { slot: '10:00', promoCode: 'OTHERDAY' });
+    expect(wrongDay.status).toBe(409);
+    expect(wrongDay.body.error.code).toBe('promo_wrong_day');
+
+    const tooSmall = await request(app)
+      .post('/api/promo-codes/validate')
+      .set('Authorization', customer)
+      .send({ locationId: 'loc1', code: 'BIGSPEND', serviceId: 'wash', date });
+    expect(tooSmall.status).toBe(409);
+    expect(tooSmall.body.error.code).toBe('promo_below_min_spend');
+
+    const unknown = await book(customer, { slot: '10:00', promoCode: 'NOSUCHCODE' });
+    expect(unknown.status).toBe(404);
+    expect(unknown.body.error.code).toBe('promo_not_found');
+  });
+
+  it('never lets a code go past its total limit, even under concurrent bookings', async () => {
+    await createCode({ code: 'ONEONLY', discountType: 'fixed', amountOffCents: 2000, maxUses: 1 });
+    const first = await signIn('promo-race-1');
+    const second = await signIn('promo-race-2');
+
+    const results = await Promise.all([
+      book(first, { slot: '11:00', promoCode: 'ONEONLY' }),
+      book(second, { slot: '12:00', promoCode: 'ONEONLY' }),
+    ]);
+
+    expect(results.map((r) => r.status).sort()).toEqual([201, 409]);
+    expect(results.find((r) => r.status === 409).body.error.code).toBe('promo_used_up');
+    expect((await promoRef(db, 'loc1', 'ONEONLY').get()).data().uses).toBe(1);
+  });
+
+  it('limits uses per customer and gives a use back when the booking is cancelled', async () => {
+    await createCode({ code: 'FIRSTWASH', discountType: 'percent', percentOff: 50, maxUsesPerUser: 1 });
+
+    const { bookingId } = await bookAndPay(customer, { locationId: 'loc1', serviceId: 'wash', date, slot: '13:00', promoCode: 'FIRSTWASH' });
+    const again = await book(customer, { slot: '14:00', promoCode: 'FIRSTWASH' });
+    expect(again.status).toBe(409);
+    expect(again.body.error.code).toBe('promo_user_limit_reached');
+
+    const cancelled = await request(app)
+      .post(`/api/my/bookings/${bookingId}/cancel`)
+      .set('Authorization', customer)
+      .send({ locationId: 'loc1' });
+    expect(cancelled.status).toBe(200);
+
+    const retry = await book(customer, { slot: '14:00', promoCode: 'FIRSTWASH' });
+    expect(retry.status).toBe(201);
+    expect(retry.body.amount).toBe(7500);
+  });
+
+  it('refuses to move a discounted booking to a day the code does not cover', async () => {
+    const nextDay = dateFromToday(4);
+    await createCode({ code: 'ONEDAY', discountType: 'percent', percentOff: 20, weekdays: [weekdayOf(date)] });
+    const created = await book(customer, { slot: '15:00', promoCode: 'ONEDAY' });
+    expect(created.status).toBe(201);
+    const move = (body) => request(app)
+      .post(`/api/my/bookings/${created.body.bookingId}/reschedule`)
+      .set('Authorization', customer)
+      .send({ locationId: 'loc1', ...body });
+
+    const wrongDay = await move({ date: nextDay, slot: '15:00' });
+    expect(wrongDay.status).toBe(409);
+    expect(wrongDay.body.error.code).toBe('promo_wrong_day');
+    const byManager = await request(app)
+      .patch(`/api/manager/bookings/${created.body.bookingId}`)
+      .set('Authorization', manager)
+      .send({ date: nextDay, slot: '15:00' });
+    expect(byManager.body.error.code).toBe('promo_wrong_day');
+
+    // Same day, another time: the code still applies
+    expect((await move({ date, slot: '15:30' })).status).toBe(200);
+  });
+});
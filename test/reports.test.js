@@ -0,0 +1,102 @@
+const { app, db, request, repos, seedLocation, signIn, dateFromToday } = require('./helpers');
+const { buildLocationReport } = require('../lib/reports');
+const { addDaysToKey, zonedToUTC, DEFAULT_TIMEZONE } = require('../lib/time');
+
+describe('reports', () => {
+  let manager;
+
+  beforeAll(async () => {
+    await seedLocation('loc1');
+    manager = await signIn('report-mgr', { role: 'manager', locationIds: ['loc1'] });
+    await repos.users.set('report-customer', { name: '=HYPERLINK("http://evil.example")', rewards: {} });
+
+    const startTime = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const booking = { userId: 'report-customer', serviceId: 'wash', bayId: 1, startTime, durationInMinutes: 30 };
+    await repos.bookings.ref('loc1', 'paid-wash').set({ ...booking, status: 'completed', amount: 15000 });
+    // Free washes keep their flags once they move on from 'free'
+    await repos.bookings.ref('loc1', 'reward-wash').set({ ...booking, status: 'completed', amount: 0, redeemedFreeWash: { id: 'lot1' } });
+    await repos.bookings.ref('loc1', 'plan-wash').set({ ...booking, status: 'no_show', amount: 0, subscription: { id: 's1' } });
+  });
+
+  const report = (query = {}) => request(app)
+    .get('/api/manager/reports')
+    .set('Authorization', manager)
+    .query({ from: dateFromToday(-2), to: dateFromToday(0), ...query });
+
+  it('counts a free wash as free whatever its status', async () => {
+    const res = await report();
+    expect(res.status).toBe(200);
+    expect(res.body.totals).toMatchObject({ bookings: 3, paid: 1, free: 2, revenue: 15000, noShows: 1 });
+  });
+
+  it('keeps spreadsheet formulas out of CSV downloads', async () => {
+    const res = await report({ format: 'csv', section: 'clients' });
+    expect(res.status).toBe(200);
+    expect(res.text).toContain(`report-customer,"'=HYPERLINK(""http://evil.example"")",3`);
+  });
+
+  describe('capacity, cancellations and the owner rollup', () => {
+    const day = dateFromToday(10);
+    const at = (slot) => zonedToUTC(day, slot, DEFAULT_TIMEZONE);
+
+    beforeAll(async () => {
+      await seedLocation('loc2', { name: 'Spark Sandton' });
+      const booking = { userId: 'report-customer', serviceId: 'wash', bayId: 1, startTime: at('09:00'), durationInMinutes: 30, amount: 15000 };
+      await repos.bookings.ref('loc1', 'day-paid').set({ ...booking, status: 'paid' });
+      await repos.bookings.ref('loc1', 'day-cancelled').set({ ...booking, status: 'cancelled', statusBeforeCancel: 'paid' });
+      // An abandoned checkout and a lapsed hold were never confirmed bookings
+      await repos.bookings.ref('loc1', 'day-abandoned').set({ ...booking, status: 'cancelled', statusBeforeCancel: 'pending_payment' });
+      await repos.bookings.ref('loc1', 'day-expired').set({ ...booking, status: 'expired' });
+      await repos.bookings.ref('loc2', 'sandton-paid').set({ ...booking, startTime: at('10:00'), durationInMinutes: 60, amount: 20000, status: 'paid' });
+
+      // Bay 2 for an hour, every bay for an hour, and an old-style blocked slot (15 minutes)
+      const block = (body) => request(app).post('/api/manager/blocks').set('Authorization', manager).send({ date: day, ...body });
+      expect((await block({ start: '12:00', end: '13:00', bayIds: [2] })).status).toBe(201);
+      expect((await block({ start: '14:00', end: '15:00' })).status).toBe(201);
+      await repos.blockedSlots.add('loc1', day, '10:00');
+    });
+
+    it('measures utilization against open bay-minutes less blocked time', async () => {
+      const res = await report({ from: day, to: day });
+      expect(res.status).toBe(200);
+      // 2 bays x 8 hours, less 60 (bay 2) + 120 (both bays) + 30 (both bays, 15 minutes)
+      expect(res.body.totals).toMatchObject({ bookedMinutes: 30, capacityMinutes: 750, utilization: 0.04 });
+      expect(res.body.byDay).toEqual([expect.objectContaining({ date: day, capacityMinutes: 750 })]);
+    });
+
+    it('leaves abandoned checkouts out of the cancellation rate', async () => {
+      const res = await report({ from: day, to: day });
+      expect(res.body.totals).toMatchObject({ bookings: 1, cancelled: 1, cancellationRate: 0.5 });
+    });
+
+    it('refuses ranges longer than 92 days', async () => {
+      const tooLong = await report({ from: day, to: addDaysToKey(day, 92) });
+      expect(tooLong.status).toBe(400);
+      expect(tooLong.body.error.code).toBe('invalid_range');
+      expect((await report({ from: day, to: addDaysToKey(day, 91) })).status).toBe(200);
+
+      await expect(buildLocationReport(db, { locationId: 'loc1', from: day, to: addDaysToKey(day, 92), timeZone: DEFAULT_TIMEZONE }))
+        .rejects.toThrow(RangeError);
+    });
+
+    it('rolls every location up for owners', async () => {
+      const owner = await signIn('report-owner', { role: 'owner' });
+      const res = await request(app).get('/api/owner/reports').set('Authorization', owner).query({ from: day, to: day });
+
+      expect(res.status).toBe(200);
+      expect(res.body.totals).toMatchObject({
+        bookings: 2,
+        cancelled: 1,
+        revenue: 35000,
+        bookedMinutes: 90,
+        capacityMinutes: 750 + 960,
+        utilization: 0.0526,
+        cancellationRate: 0.3333,
+      });
+      expect(res.body.locations).toEqual(expect.arrayContaining([
+        expect.objectContaining({ locationId: 'loc1', locationName: 'Spark Rosebank', bookings: 1, capacityMinutes: 750 }),
+        expect.objectContaining({ locationId: 'loc2', locationName: 'Spark Sandton', bookings: 1, revenue: 20000, capacityMinutes: 960 }),
+      ]));
+    });
+  });
+});
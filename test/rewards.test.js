@@ -0,0 +1,58 @@
+const { app, request, repos, seedLocation, signIn, dateFromToday, bookAndPay } = require('./helpers');
+
+describe('loyalty rewards', () => {
+  let customer;
+
+  beforeAll(async () => {
+    await seedLocation('loc1');
+    customer = await signIn('loyal-customer');
+  });
+
+  it('earns a point for a paid booking', async () => {
+    await bookAndPay(customer, { locationId: 'loc1', serviceId: 'wash', date: dateFromToday(3), slot: '09:00' });
+
+    const res = await request(app).get('/api/rewards').set('Authorization', customer).query({ locationId: 'loc1' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.locations[0]).toMatchObject({ locationId: 'loc1', locationName: 'Spark Rosebank', loyaltyPoints: 1, freeWashes: 0 });
+    expect(res.body.history).toHaveLength(1);
+  });
+
+  it('turns ten points into a free wash that books without payment', async () => {
+    // Nine more paid washes make ten points
+    for (const slot of ['08:00', '09:00', '10:00', '11:00', '12:00', '13:00', '14:00', '15:00', '15:30']) {
+      await bookAndPay(customer, { locationId: 'loc1', serviceId: 'wash', date: dateFromToday(4), slot });
+    }
+    const earned = await request(app).get('/api/rewards').set('Authorization', customer).query({ locationId: 'loc1' });
+    expect(earned.body.locations[0]).toMatchObject({ loyaltyPoints: 0, freeWashes: 1 });
+
+    const withWax = await request(app)
+      .post('/api/bookings/redeem-free-wash')
+      .set('Authorization', customer)
+      .send({ locationId: 'loc1', serviceId: 'wash', addOnIds: ['wax'], date: dateFromToday(5), slot: '10:00' });
+    expect(withWax.status).toBe(400);
+    expect(withWax.body.error.code).toBe('free_wash_add_ons');
+
+    const redeemed = await request(app)
+      .post('/api/bookings/redeem-free-wash')
+      .set('Authorization', customer)
+      .send({ locationId: 'loc1', serviceId: 'wash', date: dateFromToday(5), slot: '10:00' });
+    expect(redeemed.status).toBe(201);
+    expect((await repos.bookings.get('loc1', redeemed.body.bookingId)).data().status).toBe('free');
+
+    const after = await request(app).get('/api/rewards').set('Authorization', customer).query({ locationId: 'loc1' });
+    expect(after.body.locations[0].freeWashes).toBe(0);
+  });
+
+  it('refuses a free wash with nothing to redeem', async () => {
+    const newcomer = await signIn('loyal-newcomer');
+
+    const res = await request(app)
+      .post('/api/bookings/redeem-free-wash')
+      .set('Authorization', newcomer)
+      .send({ locationId: 'loc1', serviceId: 'wash', date: dateFromToday(5), slot: '11:00' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.error.code).toBe('no_free_washes');
+  });
+});
@@ -0,0 +1,88 @@
+const { app, auth, request, repos, seedLocation, signIn, dateFromToday } = require('./helpers');
+
+describe('owner role management', () => {
+  const date = dateFromToday(1);
+  let owner;
+  let manager;
+  let customer;
+
+  beforeAll(async () => {
+    await seedLocation('loc1');
+    await seedLocation('loc2', { name: 'Spark Sandton' });
+    owner = await signIn('roles-owner', { role: 'owner' });
+    manager = await signIn('roles-mgr', { role: 'manager', locationIds: ['loc1'] });
+    customer = await signIn('roles-customer');
+    await signIn('new-hire');
+  });
+
+  const post = (path, token, body) => request(app).post(path).set('Authorization', token).send(body);
+
+  it('keeps managers and customers out', async () => {
+    const grant = { email: 'new-hire@example.com', role: 'staff', locationIds: ['loc1'] };
+    for (const token of [manager, customer]) {
+      expect((await post('/api/owner/roles/grant', token, grant)).status).toBe(403);
+      expect((await post('/api/owner/roles/revoke', token, { userId: 'new-hire' })).status).toBe(403);
+      expect((await post('/api/assign-manager-role', token, { email: 'new-hire@example.com', locationId: 'loc1' })).status).toBe(403);
+      expect((await request(app).get('/api/owner/roles/audit').set('Authorization', token)).status).toBe(403);
+    }
+    expect((await repos.users.get('new-hire')).exists).toBe(false);
+  });
+
+  it('grants and revokes a role, and records who did it', async () => {
+    const granted = await post('/api/owner/roles/grant', owner, {
+      email: 'new-hire@example.com',
+      role: 'staff',
+      locationIds: ['loc1'],
+      reason: 'Started Monday',
+    });
+    expect(granted.status).toBe(200);
+    expect(granted.body).toMatchObject({ userId: 'new-hire', role: 'staff', locationIds: ['loc1'] });
+
+    const staff = await signIn('new-hire');
+    expect((await request(app).get('/api/manager/bookings').set('Authorization', staff).query({ date })).status).toBe(200);
+
+    const revoked = await post('/api/owner/roles/revoke', owner, { userId: 'new-hire', reason: 'Left' });
+    expect(revoked.status).toBe(200);
+    expect(revoked.body.previousRole).toBe('staff');
+    expect((await repos.users.get('new-hire')).data()).toMatchObject({ role: 'customer', locationIds: [] });
+
+    const audit = await request(app).get('/api/owner/roles/audit').set('Authorization', owner).query({ userId: 'new-hire' });
+    expect(audit.status).toBe(200);
+    expect(audit.body).toHaveLength(2);
+    expect(audit.body).toEqual(expect.arrayContaining([
+      expect.objectContaining({ action: 'grant', role: 'staff', previousRole: 'customer', actorUid: 'roles-owner', reason: 'Started Monday' }),
+      expect.objectContaining({ action: 'revoke', role: 'customer', previousRole: 'staff', actorUid: 'roles-owner', reason: 'Left' }),
+    ]));
+
+    const own = await post('/api/owner/roles/revoke', owner, { userId: 'roles-owner' });
+    expect(own.status).toBe(409);
+    expect(own.body.error.code).toBe('own_role');
+  });
+
+  it('adds a location to a manager through the older endpoint', async () => {
+    const first = await post('/api/assign-manager-role', owner, { email: 'roles-mgr@example.com', locationId: 'loc2' });
+    expect(first.status).toBe(200);
+    expect((await repos.users.get('roles-mgr')).data()).toMatchObject({ role: 'manager', locationIds: ['loc1', 'loc2'] });
+
+    const unknown = await post('/api/assign-manager-role', owner, { email: 'roles-mgr@example.com', locationId: 'nowhere' });
+    expect(unknown.status).toBe(404);
+    expect(unknown.body.error.code).toBe('location_not_found');
+
+    const [entry] = (await request(app).get('/api/owner/roles/audit').set('Authorization', owner).query({ userId: 'roles-mgr' })).body;
+    expect(entry).toMatchObject({ action: 'grant', role: 'manager', locationIds: ['loc1', 'loc2'], previousLocationIds: ['loc1'] });
+  });
+
+  it('turns away a token minted before the role changed', async () => {
+    await post('/api/owner/roles/grant', owner, { userId: 'new-hire', role: 'staff', locationIds: ['loc1'] });
+    // Signed in a minute before the owner's next change, still carrying the staff claim
+    const old = `Bearer ${auth.signIn('new-hire', { iat: Math.floor(Date.now() / 1000) - 60 })}`;
+    await post('/api/owner/roles/grant', owner, { userId: 'new-hire', role: 'staff', locationIds: ['loc2'] });
+
+    const res = await request(app).get('/api/manager/bookings').set('Authorization', old).query({ date });
+    expect(res.status).toBe(401);
+    expect(res.body.error.code).toBe('role_changed');
+
+    const fresh = await signIn('new-hire');
+    expect((await request(app).get('/api/manager/bookings').set('Authorization', fresh).query({ date })).status).toBe(200);
+  });
+});
@@ -0,0 +1,137 @@
+const { app, request, repos, seedLocation, signIn, dateFromToday } = require('./helpers');
+const { WEEKDAYS } = require('../lib/schedule');
+
+describe('washer roster', () => {
+  // Alice works 08:00-12:00 every day from `date`; Bob only 10:00-16:00 on `date`
+  const date = dateFromToday(3);
+  const nextDay = dateFromToday(4);
+  let manager;
+  let staff;
+  let alice;
+  let customer;
+  const ids = {};
+
+  beforeAll(async () => {
+    await seedLocation('loc1');
+    await seedLocation('loc2', { name: 'Spark Sandton' });
+    manager = await signIn('roster-mgr', { role: 'manager', locationIds: ['loc1'] });
+    staff = await signIn('roster-staff', { role: 'staff', locationIds: ['loc1'] });
+    alice = await signIn('washer-alice', { role: 'staff', locationIds: ['loc1'] });
+    customer = await signIn('roster-customer');
+  });
+
+  function post(path, body) {
+    return request(app).post(path).set('Authorization', manager).send(body);
+  }
+
+  function book(slot, day = date, locationId = 'loc1') {
+    return request(app)
+      .post('/api/bookings')
+      .set('Authorization', customer)
+      .send({ locationId, serviceId: 'wash', date: day, slot });
+  }
+
+  async function available(day) {
+    const res = await request(app).get('/api/availability').query({ date: day, locationId: 'loc1', serviceId: 'wash' });
+    return res.body;
+  }
+
+  it('lets managers add washers, shifts and see the day roster', async () => {
+    const byStaff = await request(app).post('/api/manager/staff').set('Authorization', staff).send({ name: 'Nope' });
+    expect(byStaff.status).toBe(403);
+    const unknownUser = await post('/api/manager/staff', { name: 'Ghost', userId: 'no-such-user' });
+    expect(unknownUser.status).toBe(404);
+    expect(unknownUser.body.error.code).toBe('user_not_found');
+
+    const a = await post('/api/manager/staff', { name: 'Alice', userId: 'washer-alice' });
+    const b = await post('/api/manager/staff', { name: 'Bob', phone: '+27820000000' });
+    expect(a.status).toBe(201);
+    expect(a.body).toMatchObject({ name: 'Alice', userId: 'washer-alice', isActive: true });
+    ids.alice = a.body.id;
+    ids.bob = b.body.id;
+
+    const taken = await post('/api/manager/staff', { name: 'Alice again', userId: 'washer-alice' });
+    expect(taken.status).toBe(409);
+    expect(taken.body.error.code).toBe('staff_user_taken');
+
+    const shifts = await Promise.all([
+      post('/api/manager/shifts', { staffId: ids.alice, date, weekdays: WEEKDAYS, start: '08:00', end: '12:00' }),
+      post('/api/manager/shifts', { staffId: ids.bob, date, start: '10:00', end: '16:00' }),
+    ]);
+    expect(shifts.map((s) => s.status)).toEqual([201, 201]);
+    const badShift = await post('/api/manager/shifts', { staffId: ids.bob, date, start: '12:00', end: '10:00' });
+    expect(badShift.status).toBe(400);
+    const nobody = await post('/api/manager/shifts', { staffId: 'nobody', date, start: '08:00', end: '10:00' });
+    expect(nobody.status).toBe(404);
+
+    const roster = await request(app).get('/api/manager/roster').query({ date }).set('Authorization', staff);
+    expect(roster.body.rostered).toBe(true);
+    expect(roster.body.washers.map((w) => [w.name, w.spans])).toEqual([
+      ['Alice', [{ start: '08:00', end: '12:00' }]],
+      ['Bob', [{ start: '10:00', end: '16:00' }]],
+    ]);
+  });
+
+  it('offers the lower of free bays and washers on shift', async () => {
+    // Only Alice works on the next day, so one car at a time and nothing after her shift
+    let slots = await available(nextDay);
+    expect(slots).toContain('11:30');
+    expect(slots).not.toContain('11:45');
+    expect(slots).not.toContain('13:00');
+
+    expect((await book('09:00', nextDay)).status).toBe(201);
+    const second = await book('09:00', nextDay);
+    expect(second.status).toBe(409);
+    expect(second.body.error.code).toBe('no_washer_available');
+
+    slots = await available(nextDay);
+    expect(slots).not.toContain('09:00');
+    expect(slots).toContain('09:30');
+  });
+
+  it('takes washers on leave off the roster for those days', async () => {
+    const leave = await post('/api/manager/leave', { staffId: ids.alice, from: nextDay, reason: 'Dentist' });
+    expect(leave.status).toBe(201);
+    expect(await available(nextDay)).toEqual([]);
+
+    const removed = await request(app).delete(`/api/manager/leave/${leave.body.id}`).set('Authorization', manager);
+    expect(removed.status).toBe(200);
+    expect(await available(nextDay)).toContain('11:30');
+  });
+
+  it('assigns each booking a washer and lists a washer their jobs in order', async () => {
+    const nine = await book('09:00');
+    const ten = await book('10:00');
+    const eight = await book('08:00');
+    const bookings = await Promise.all([nine, ten, eight].map((r) => repos.bookings.get('loc1', r.body.bookingId)));
+    // Bob isn't on before 10:00; at 10:00 he has fewer cars than Alice
+    expect(bookings.map((doc) => doc.data().washerId)).toEqual([ids.alice, ids.bob, ids.alice]);
+
+    const jobs = await request(app).get('/api/manager/my-jobs').query({ date }).set('Authorization', alice);
+    expect(jobs.status).toBe(200);
+    expect(jobs.body.map((j) => [j.startTimeSAST, j.washerName])).toEqual([['08:00', 'Alice'], ['09:00', 'Alice']]);
+
+    const notRostered = await request(app).get('/api/manager/my-jobs').query({ date }).set('Authorization', staff);
+    expect(notRostered.status).toBe(404);
+  });
+
+  it('lets managers reassign a booking to a washer on shift', async () => {
+    const { body: { bookingId } } = await book('13:00');
+    const edit = (body) => request(app).patch(`/api/manager/bookings/${bookingId}`).set('Authorization', manager).send(body);
+
+    const offShift = await edit({ washerId: ids.alice });
+    expect(offShift.status).toBe(400);
+    expect(offShift.body.error.code).toBe('washer_not_rostered');
+
+    const moved = await edit({ slot: '11:00', date, washerId: ids.alice });
+    expect(moved.status).toBe(200);
+    expect(moved.body.washerId).toBe(ids.alice);
+  });
+
+  it('leaves locations without washers limited by bays alone', async () => {
+    const first = await book('09:00', date, 'loc2');
+    const second = await book('09:00', date, 'loc2');
+    expect([first.status, second.status]).toEqual([201, 201]);
+    expect((await repos.bookings.get('loc2', first.body.bookingId)).data().washerId).toBeNull();
+  });
+});
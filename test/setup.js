@@ -0,0 +1,10 @@
+// test/setup.js
+// Runs before every test file: the app loads with the in-memory datastore and auth and the
+// fake Paystack adapter, so the suite needs no network or service account.
+process.env.FIREBASE_MODE = 'memory';
+process.env.PAYSTACK_MODE = 'fake';
+process.env.NOTIFICATION_MODE = 'console';
+// The logger writes JSON lines straight to stdout/stderr; tests that care use createLogger
+process.env.LOG_LEVEL = 'silent';
+// Suites book many slots with one customer; test/limits.test.js checks the cap itself
+process.env.MAX_OPEN_HOLDS_PER_CUSTOMER = '50';
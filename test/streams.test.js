@@ -0,0 +1,144 @@
+// A low cap so the test reaches it, and quick refreshes; read when index.js loads
+process.env.MAX_STREAMS_PER_CALLER = '2';
+process.env.STREAM_COALESCE_MS = '20';
+
+const { app, auth, request, seedLocation, signIn, dateFromToday } = require('./helpers');
+
+// supertest closes the server it starts for each request, which waits for open streams;
+// one shared server lets a test read a stream while it stays open
+let server;
+beforeAll(() => {
+  server = app.listen(0);
+});
+afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+// Reads an SSE response as it arrives. `onEvent(event, events)` runs for each message;
+// the request resolves once it returns true, or when the server ends the stream. The body
+// is { events: [{ event, data }], ended, close() }; close() drops the connection.
+function readStream(req, onEvent = () => true) {
+  return req.buffer(true).parse((res, done) => {
+    const events = [];
+    let buffered = '';
+    let finished = false;
+    const finish = (ended) => {
+      if (finished) return;
+      finished = true;
+      done(null, { events, ended, close: () => res.destroy() });
+    };
+    res.setEncoding('utf8');
+    res.on('data', (chunk) => {
+      buffered += chunk;
+      let end = buffered.indexOf('\n\n');
+      while (end !== -1) {
+        const fields = {};
+        for (const line of buffered.slice(0, end).split('\n')) {
+          const colon = line.indexOf(': ');
+          if (colon > 0) fields[line.slice(0, colon)] = line.slice(colon + 2);
+        }
+        buffered = buffered.slice(end + 2);
+        end = buffered.indexOf('\n\n');
+        if (!fields.event) continue;
+        events.push({ event: fields.event, data: JSON.parse(fields.data) });
+        if (!finished && onEvent(events[events.length - 1], events)) finish(false);
+      }
+    });
+    res.on('end', () => finish(true));
+  });
+}
+
+describe('availability stream', () => {
+  const date = dateFromToday(3);
+  let customer;
+
+  beforeAll(async () => {
+    await seedLocation('loc1');
+    customer = await signIn('stream-customer');
+  });
+
+  const open = (onEvent) => readStream(
+    request(server).get('/api/availability/stream').query({ date, locationId: 'loc1', serviceId: 'wash' }),
+    onEvent
+  );
+
+  it('sends the free times on connect and again after a booking', async () => {
+    const book = () => request(server)
+      .post('/api/bookings')
+      .set('Authorization', customer)
+      .send({ locationId: 'loc1', serviceId: 'wash', date, slot: '09:00' });
+
+    const res = await open((event, events) => {
+      // Both bays taken at 09:00, so the time drops out
+      if (events.length === 1) book().then(book);
+      return !event.data.slots.includes('09:00');
+    });
+    res.body.close();
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/event-stream/);
+    const [first] = res.body.events;
+    expect(first).toMatchObject({ event: 'availability', data: { date } });
+    expect(first.data.slots).toContain('09:00');
+    expect(res.body.events.at(-1).data.slots).not.toContain('09:00');
+  });
+
+  it('limits how many streams one caller keeps open', async () => {
+    const held = [await open(), await open()];
+    const third = await request(server).get('/api/availability/stream').query({ date, locationId: 'loc1' });
+    expect(third.status).toBe(429);
+    expect(third.body.error.code).toBe('too_many_streams');
+
+    held[0].body.close();
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    const again = await open();
+    expect(again.status).toBe(200);
+    [held[1], again].forEach((res) => res.body.close());
+  });
+});
+
+describe('manager board stream', () => {
+  const date = dateFromToday(3);
+  let owner;
+
+  beforeAll(async () => {
+    await seedLocation('loc1');
+    owner = await signIn('stream-owner', { role: 'owner' });
+    await signIn('stream-staff', { role: 'staff', locationIds: ['loc1'] });
+  });
+
+  const open = (token, onEvent) => readStream(
+    request(server).get('/api/manager/bookings/stream').query({ date, access_token: token }),
+    onEvent
+  );
+
+  it('sends the day\'s board first, with the token from the query', async () => {
+    const res = await open(auth.signIn('stream-staff'));
+    res.body.close();
+    expect(res.status).toBe(200);
+    const [snapshot] = res.body.events;
+    expect(snapshot.event).toBe('snapshot');
+    // The two holds the availability test made
+    expect(snapshot.data.map((b) => [b.startTimeLocal, b.status])).toEqual([['09:00', 'pending_payment'], ['09:00', 'pending_payment']]);
+
+    const anonymous = await request(server).get('/api/manager/bookings/stream').query({ date });
+    expect(anonymous.status).toBe(401);
+  });
+
+  it('ends when the token expires', async () => {
+    // Minted an hour ago, less a second
+    const token = auth.signIn('stream-staff', { iat: Math.floor(Date.now() / 1000) - 60 * 60 + 1 });
+    const res = await open(token, () => false);
+    expect(res.body).toMatchObject({ ended: true, events: [{ event: 'snapshot' }] });
+  });
+
+  it('ends when an owner changes the user\'s role', async () => {
+    const res = await open(auth.signIn('stream-staff'), () => {
+      request(server)
+        .post('/api/owner/roles/revoke')
+        .set('Authorization', owner)
+        .send({ userId: 'stream-staff' })
+        .then(() => {});
+      return false;
+    });
+    expect(res.body).toMatchObject({ ended: true, events: [{ event: 'snapshot' }] });
+  });
+});
@@ -0,0 +1,183 @@
+const { app, db, request, repos, paystack, seedLocation, signIn, dateFromToday } = require('./helpers');
+const { renewDueSubscriptions, subscriptionsCol } = require('../lib/subscriptions');
+const { DEFAULT_TIMEZONE } = require('../lib/time');
+
+describe('subscription plans', () => {
+  const date = dateFromToday(1);
+  let manager;
+  let customer;
+  let planId;
+  let subscriptionId;
+
+  beforeAll(async () => {
+    await seedLocation('loc1');
+    manager = await signIn('plan-mgr', { role: 'manager', locationIds: ['loc1'] });
+    customer = await signIn('plan-customer');
+  });
+
+  async function subscription(id = subscriptionId) {
+    return (await subscriptionsCol(db).doc(id).get()).data();
+  }
+
+  async function nextChargeOf(id = subscriptionId) {
+    return (await subscription(id)).nextChargeAt.toDate();
+  }
+
+  // Renewals as the cron job runs them, at `now`
+  function renew(now) {
+    return renewDueSubscriptions(db, { paystack, timeZoneOf: async () => DEFAULT_TIMEZONE, now, maxFailures: 2 });
+  }
+
+  async function subscribe(token) {
+    const started = await request(app).post('/api/subscriptions').set('Authorization', token).send({ locationId: 'loc1', planId });
+    paystack.settle(started.body.reference);
+    const verified = await request(app).get(`/api/subscriptions/verify/${started.body.reference}`);
+    return { started, verified };
+  }
+
+  function book(body) {
+    return request(app)
+      .post('/api/bookings')
+      .set('Authorization', customer)
+      .send({ locationId: 'loc1', serviceId: 'wash', date, ...body });
+  }
+
+  it('lets managers define plans that customers can see', async () => {
+    const bad = await request(app).post('/api/manager/plans').set('Authorization', manager).send({ name: 'Cheap', priceCents: 5 });
+    expect(bad.status).toBe(400);
+
+    const created = await request(app)
+      .post('/api/manager/plans')
+      .set('Authorization', manager)
+      .send({ name: 'Two a month', priceCents: 25000, washesPerMonth: 2, serviceIds: ['wash'] });
+    expect(created.status).toBe(201);
+    planId = created.body.id;
+
+    const plans = await request(app).get('/api/plans').query({ locationId: 'loc1' });
+    expect(plans.body.map((p) => [p.name, p.washesPerMonth])).toEqual([['Two a month', 2]]);
+  });
+
+  it('starts a subscription once the first month is paid', async () => {
+    const { started, verified } = await subscribe(customer);
+    expect(started.status).toBe(201);
+    expect(started.body.amount).toBe(25000);
+    expect(verified.body).toEqual({ status: 'active', subscriptionId: started.body.subscriptionId });
+    subscriptionId = started.body.subscriptionId;
+
+    const mine = await request(app).get('/api/my/subscriptions').set('Authorization', customer);
+    expect(mine.body[0]).toMatchObject({ status: 'active', thisMonth: { paid: true, used: 0, remaining: 2 } });
+    expect(mine.body[0].authorizationCode).toBeUndefined();
+
+    const again = await request(app).post('/api/subscriptions').set('Authorization', customer).send({ locationId: 'loc1', planId });
+    expect(again.status).toBe(409);
+    expect(again.body.error.code).toBe('subscription_exists');
+  });
+
+  it('renews from the saved card when the month turns', async () => {
+    const nextChargeAt = await nextChargeOf();
+    expect(await renew(new Date(nextChargeAt.getTime() - 60 * 1000))).toEqual([]);
+
+    const [result] = await renew(nextChargeAt);
+    expect(result.status).toBe('active');
+    const renewed = await subscription();
+    expect(renewed.paidThrough).toBe(result.period);
+    expect(renewed.nextChargeAt.toDate().getTime()).toBeGreaterThan(nextChargeAt.getTime());
+  });
+
+  it('books covered washes without payment until the month is used up', async () => {
+    const period = date.slice(0, 7);
+    const first = await book({ slot: '09:00' });
+    expect(first.status).toBe(201);
+    expect(first.body).toMatchObject({ amount: 0, subscription: { id: subscriptionId, period } });
+    expect(first.body.authorizationUrl).toBeUndefined();
+
+    // Add-ons go through payment; so does a wash once the month's allowance is gone
+    const withWax = await book({ slot: '10:00', addOnIds: ['wax'] });
+    expect(withWax.body.authorizationUrl).toBeDefined();
+    await book({ slot: '11:00' });
+    const third = await book({ slot: '12:00' });
+    expect(third.body.authorizationUrl).toBeDefined();
+    expect((await subscription()).usage[period]).toBe(2);
+
+    const cancelled = await request(app)
+      .post(`/api/my/bookings/${first.body.bookingId}/cancel`)
+      .set('Authorization', customer)
+      .send({ locationId: 'loc1' });
+    expect(cancelled.status).toBe(200);
+    expect((await subscription()).usage[period]).toBe(1);
+  });
+
+  it('marks declined renewals past due, and a manager can charge again', async () => {
+    const nextChargeAt = await nextChargeOf();
+    paystack.setChargeStatus('failed');
+    const [declined] = await renew(nextChargeAt);
+    expect(declined.status).toBe('past_due');
+
+    const pastDue = await request(app).get('/api/manager/subscriptions').query({ status: 'past_due' }).set('Authorization', manager);
+    expect(pastDue.body.map((s) => [s.id, s.userName])).toEqual([[subscriptionId, 'plan-customer']]);
+
+    paystack.setChargeStatus('success');
+    const retried = await request(app).post(`/api/manager/subscriptions/${subscriptionId}/retry`).set('Authorization', manager);
+    expect(retried.status).toBe(200);
+    expect(retried.body.status).toBe('active');
+
+    const detail = await request(app).get(`/api/manager/subscriptions/${subscriptionId}`).set('Authorization', manager);
+    // Sign-up, first renewal, the declined one and the retry
+    expect(detail.body.charges.map((c) => c.status).sort()).toEqual(['failed', 'success', 'success', 'success']);
+  });
+
+  it('cancels after repeated declines, or when the customer asks', async () => {
+    const other = await signIn('plan-other');
+    const { started } = await subscribe(other);
+    const nextChargeAt = await nextChargeOf(started.body.subscriptionId);
+
+    paystack.setChargeStatus('failed');
+    await renew(nextChargeAt);
+    await renew(new Date(nextChargeAt.getTime() + 25 * 60 * 60 * 1000));
+    paystack.setChargeStatus('success');
+    expect(await subscription(started.body.subscriptionId)).toMatchObject({ status: 'cancelled', cancelReason: 'payment_failed' });
+
+    const stopped = await request(app).post(`/api/my/subscriptions/${subscriptionId}/cancel`).set('Authorization', customer);
+    expect(stopped.status).toBe(200);
+    expect(stopped.body).toMatchObject({ status: 'cancelled', nextChargeAt: null });
+    const twice = await request(app).post(`/api/my/subscriptions/${subscriptionId}/cancel`).set('Authorization', customer);
+    expect(twice.status).toBe(409);
+  });
+
+  it('moves a covered wash into another month only against that month\'s allowance', async () => {
+    const mover = await signIn('plan-mover');
+    const { started } = await subscribe(mover);
+    const id = started.body.subscriptionId;
+    // Pay two more months ahead, so months a and b are paid for and c isn't
+    await renew(await nextChargeOf(id));
+    const a = (await subscription(id)).paidThrough;
+    await renew(await nextChargeOf(id));
+    const b = (await subscription(id)).paidThrough;
+    const [year, month] = b.split('-').map(Number);
+    const c = month === 12 ? `${year + 1}-01` : `${year}-${String(month + 1).padStart(2, '0')}`;
+
+    const bookOn = (period, slot) => request(app)
+      .post('/api/bookings')
+      .set('Authorization', mover)
+      .send({ locationId: 'loc1', serviceId: 'wash', date: `${period}-10`, slot });
+    const moveTo = (bookingId, period) => request(app)
+      .post(`/api/my/bookings/${bookingId}/reschedule`)
+      .set('Authorization', mover)
+      .send({ locationId: 'loc1', date: `${period}-10`, slot: '09:00' });
+
+    const first = await bookOn(a, '09:00');
+    const second = await bookOn(a, '10:00');
+    expect([first.body.amount, second.body.amount]).toEqual([0, 0]);
+
+    const moved = await moveTo(first.body.bookingId, b);
+    expect(moved.status).toBe(200);
+    expect((await subscription(id)).usage).toMatchObject({ [a]: 1, [b]: 1 });
+    const booking = await repos.bookings.get('loc1', first.body.bookingId);
+    expect(booking.data().subscription.period).toBe(b);
+
+    const unpaid = await moveTo(second.body.bookingId, c);
+    expect(unpaid.status).toBe(409);
+    expect(unpaid.body.error.code).toBe('subscription_period_unpaid');
+    expect((await subscription(id)).usage).toMatchObject({ [a]: 1, [b]: 1 });
+  });
+});
@@ -0,0 +1,100 @@
+const { app, db, request, paystack, seedLocation, signIn, dateFromToday, bookAndPay } = require('./helpers');
+const { sweepWaitlist } = require('../lib/waitlist');
+
+const MINUTE_MS = 60 * 1000;
+
+// Offers from a cancellation are made after the response; polls until `check` passes
+async function eventually(check, { tries = 40 } = {}) {
+  for (let i = 1; ; i += 1) {
+    const value = await check();
+    if (value || i === tries) return value;
+    await new Promise((resolve) => setTimeout(resolve, 25));
+  }
+}
+
+describe('waitlist', () => {
+  const date = dateFromToday(3);
+  const people = {};
+  let filler;
+  let held;
+
+  beforeAll(async () => {
+    await seedLocation('loc1');
+    filler = await signIn('wl-filler');
+    for (const name of ['alice', 'bob', 'carol']) people[name] = await signIn(`wl-${name}`);
+    // Both bays taken at 09:00
+    held = [
+      await bookAndPay(filler, { locationId: 'loc1', serviceId: 'wash', date, slot: '09:00' }),
+      await bookAndPay(filler, { locationId: 'loc1', serviceId: 'wash', date, slot: '09:00' }),
+    ];
+  });
+
+  const join = (token, body = {}) => request(app)
+    .post('/api/my/waitlist')
+    .set('Authorization', token)
+    .send({ locationId: 'loc1', serviceId: 'wash', date, from: '09:00', to: '09:15', ...body });
+  const entryOf = async (token) => (await request(app).get('/api/my/waitlist').set('Authorization', token)).body[0];
+  const offeredTo = (token) => eventually(async () => {
+    const entry = await entryOf(token);
+    return entry.status === 'offered' ? entry : null;
+  });
+  const cancel = (bookingId) => request(app)
+    .post(`/api/my/bookings/${bookingId}/cancel`)
+    .set('Authorization', filler)
+    .send({ locationId: 'loc1' });
+
+  it('holds a cancelled slot for the first person waiting', async () => {
+    for (const name of ['alice', 'bob', 'carol']) {
+      const joined = await join(people[name]);
+      expect(joined.status).toBe(201);
+      expect(joined.body).toMatchObject({ status: 'waiting', offer: null });
+    }
+
+    expect((await cancel(held[0].bookingId)).status).toBe(200);
+    const entry = await offeredTo(people.alice);
+    expect(entry).toBeTruthy();
+    expect(entry.offer.bookingId).toEqual(expect.any(String));
+    expect((await entryOf(people.bob)).status).toBe('waiting');
+  });
+
+  it('books the slot once the offer is accepted and paid', async () => {
+    const entry = await entryOf(people.alice);
+    const accepted = await request(app).post(`/api/my/waitlist/${entry.id}/accept`).set('Authorization', people.alice);
+    expect(accepted.status).toBe(200);
+    expect(accepted.body.bookingId).toBe(entry.offer.bookingId);
+
+    paystack.settle(accepted.body.reference);
+    const verified = await request(app).get(`/api/payments/verify/${accepted.body.reference}`);
+    expect(verified.status).toBe(200);
+
+    await sweepWaitlist(db, { offerMinutes: 30 });
+    expect((await entryOf(people.alice)).status).toBe('booked');
+  });
+
+  it('passes an offer nobody took to the next person in line', async () => {
+    expect((await cancel(held[1].bookingId)).status).toBe(200);
+    const bobs = await offeredTo(people.bob);
+    expect(bobs).toBeTruthy();
+
+    const later = new Date(new Date(bobs.offer.expiresAt).getTime() + MINUTE_MS);
+    const { offers, lapsed } = await sweepWaitlist(db, { offerMinutes: 30, now: later });
+    expect(lapsed).toEqual([{ entryId: bobs.id, locationId: 'loc1', bookingId: bobs.offer.bookingId }]);
+    expect((await entryOf(people.bob)).status).toBe('expired');
+
+    expect(offers).toHaveLength(1);
+    const carols = await entryOf(people.carol);
+    expect(carols.status).toBe('offered');
+    expect(offers[0]).toMatchObject({ entryId: carols.id, bookingId: carols.offer.bookingId });
+  });
+
+  it('lets a waiting entry lapse once its date has passed', async () => {
+    const dave = await signIn('wl-dave');
+    const tomorrow = dateFromToday(1);
+    // The day's last start is 15:45, so nothing can be offered and the entry just waits
+    const joined = await join(dave, { date: tomorrow, from: '16:00', to: '16:15' });
+    expect(joined.status).toBe(201);
+
+    await sweepWaitlist(db, { offerMinutes: 30, now: new Date(Date.now() + 2 * 24 * 60 * MINUTE_MS) });
+    expect(await entryOf(dave)).toMatchObject({ status: 'lapsed', lapsedReason: 'date_passed' });
+  });
+});